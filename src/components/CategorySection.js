@@ -61,7 +61,8 @@ export class CategorySection extends HTMLElement {
 
   renderMetric(metric) {
     const scoreClass = metric.level?.class || 'score-fair';
-    const isBoolean = metric.isBoolean || metric.type === 'boolean';
+    // Unknown pass/fail metrics show their neutral score instead of a cross
+    const isBoolean = (metric.isBoolean || metric.type === 'boolean') && metric.rawValue !== null;
 
     return `
       <div class="metric-item" data-metric-id="${metric.id}">
@@ -69,6 +70,8 @@ export class CategorySection extends HTMLElement {
           <div class="metric-name">${this.escapeHtml(metric.name)}</div>
           <div class="metric-description">${this.escapeHtml(metric.description)}</div>
           ${metric.note ? `<div class="metric-note">${this.escapeHtml(metric.note)}</div>` : ''}
+          ${metric.breakdown?.length ? this.renderBreakdown(metric.breakdown) : ''}
+          ${metric.checks?.length ? this.renderChecks(metric.checks) : ''}
         </div>
         <div class="metric-value">
           <span class="metric-raw">${this.escapeHtml(String(metric.displayValue))}</span>
@@ -86,6 +89,46 @@ export class CategorySection extends HTMLElement {
     `;
   }
 
+  /**
+   * Render the detail rows of a metric
+   * @param {Array<Object>} breakdown - [{ label, value }]
+   */
+  renderBreakdown(breakdown) {
+    return `
+      <dl class="metric-breakdown">
+        ${breakdown.map(({ label, value }) => `
+          <dt>${this.escapeHtml(label)}</dt>
+          <dd>${this.escapeHtml(String(value))}</dd>
+        `).join('')}
+      </dl>
+    `;
+  }
+
+  /**
+   * Render the pass/fail results of a metric's individual checks
+   * @param {Array<Object>} checks - [{ label, passed }], passed is null when the check couldn't be made
+   */
+  renderChecks(checks) {
+    return `
+      <ul class="metric-checks">
+        ${checks.map(({ label, passed }) => this.renderCheck(label, passed)).join('')}
+      </ul>
+    `;
+  }
+
+  renderCheck(label, passed) {
+    const [className, status, icon] = passed === null
+      ? ['metric-check-unknown', 'Not visible', '?']
+      : passed ? ['metric-check-pass', 'Pass', '✓'] : ['metric-check-fail', 'Fail', '✗'];
+
+    return `
+      <li class="${className}">
+        <span aria-label="${status}">${icon}</span>
+        ${this.escapeHtml(label)}
+      </li>
+    `;
+  }
+
   addStyles() {
     // Add component-specific styles if not already present
     if (document.querySelector('#category-section-styles')) {
@@ -114,6 +157,42 @@ export class CategorySection extends HTMLElement {
         margin-top: var(--space-1);
       }
 
+      .metric-breakdown {
+        display: grid;
+        grid-template-columns: max-content 1fr;
+        gap: var(--space-1) var(--space-3);
+        font-size: var(--font-size-xs);
+        color: var(--color-text-secondary);
+        margin-top: var(--space-2);
+      }
+
+      .metric-breakdown dt {
+        font-weight: var(--font-weight-medium);
+      }
+
+      .metric-checks {
+        list-style: none;
+        display: flex;
+        flex-wrap: wrap;
+        gap: var(--space-1) var(--space-3);
+        padding: 0;
+        margin: var(--space-2) 0 0;
+        font-size: var(--font-size-xs);
+        color: var(--color-text-secondary);
+      }
+
+      .metric-check-pass span {
+        color: var(--color-success);
+      }
+
+      .metric-check-fail span {
+        color: var(--color-error);
+      }
+
+      .metric-check-unknown span {
+        color: var(--color-text-muted);
+      }
+
       .metric-pass {
         color: var(--color-success);
         font-weight: var(--font-weight-bold);
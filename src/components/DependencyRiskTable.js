@@ -0,0 +1,204 @@
+/**
+ * Dependency Risk Table Web Component
+ *
+ * Displays the results of a dependency scan, riskiest dependencies first.
+ */
+
+export class DependencyRiskTable extends HTMLElement {
+  constructor() {
+    super();
+    this.data = null;
+  }
+
+  /**
+   * Set the component data and render
+   * @param {Object} data - Scan results { file, packageCount, ranked, failed, skipped, unresolved }
+   */
+  setData(data) {
+    this.data = data;
+    this.render();
+  }
+
+  render() {
+    if (!this.data) {
+      return;
+    }
+
+    const { file, packageCount, ranked, failed, skipped, unresolved } = this.data;
+
+    this.innerHTML = `
+      <div class="dependency-scan">
+        <h2 class="dependency-scan-title">Dependency health: ${this.escapeHtml(file)}</h2>
+        <p class="dependency-scan-summary">
+          ${packageCount} package${packageCount !== 1 ? 's' : ''},
+          ${ranked.length} repositor${ranked.length !== 1 ? 'ies' : 'y'} analyzed
+        </p>
+        ${ranked.length > 0 ? `
+          <div class="dependency-table-wrapper">
+            <table class="dependency-table">
+              <thead>
+                <tr>
+                  <th scope="col">Rank</th>
+                  <th scope="col">Repository</th>
+                  <th scope="col">Grade</th>
+                  <th scope="col">Score</th>
+                  <th scope="col">Critical metrics</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${ranked.map(entry => this.renderRow(entry)).join('')}
+              </tbody>
+            </table>
+          </div>
+        ` : ''}
+        ${this.renderList('Analysis failed', failed.map(entry => `${this.formatRepository(entry.repository)}: ${entry.error}`))}
+        ${this.renderList(
+          'Skipped to stay within the API rate limit',
+          skipped.map(entry => this.formatRepository(entry.repository))
+        )}
+        ${this.renderList('No source repository found', unresolved)}
+      </div>
+    `;
+
+    this.addStyles();
+  }
+
+  renderRow(entry) {
+    const gradeClass = entry.gradeColor.replace('grade-', '');
+    const packages = entry.packages.length > 3
+      ? `${entry.packages.slice(0, 3).join(', ')} and ${entry.packages.length - 3} more`
+      : entry.packages.join(', ');
+    const scope = [entry.direct ? 'direct' : 'transitive', entry.dev ? 'development' : null].filter(Boolean).join(', ');
+
+    return `
+      <tr>
+        <td>${entry.rank}</td>
+        <td>
+          <a href="?repo=${encodeURIComponent(this.formatRepository(entry.repository))}">
+            ${this.escapeHtml(this.formatRepository(entry.repository))}
+          </a>
+          <div class="dependency-packages">${this.escapeHtml(packages)} (${scope})</div>
+        </td>
+        <td><span class="category-grade grade-${gradeClass}">${entry.grade}</span></td>
+        <td>${entry.score}</td>
+        <td>
+          ${entry.criticalMetrics.length > 0 ? `
+            <ul class="dependency-critical">
+              ${entry.criticalMetrics.map(metric => `
+                <li>${this.escapeHtml(metric.name)}: ${this.escapeHtml(String(metric.displayValue))}</li>
+              `).join('')}
+            </ul>
+          ` : '<span class="dependency-none">None</span>'}
+        </td>
+      </tr>
+    `;
+  }
+
+  /**
+   * Render a collapsible list of dependencies that weren't ranked
+   * @param {string} title - List title
+   * @param {Array<string>} items - List items
+   */
+  renderList(title, items) {
+    if (items.length === 0) {
+      return '';
+    }
+
+    return `
+      <details class="dependency-list">
+        <summary>${this.escapeHtml(title)} (${items.length})</summary>
+        <ul>
+          ${items.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}
+        </ul>
+      </details>
+    `;
+  }
+
+  formatRepository(url) {
+    return url.replace(/^https:\/\//, '');
+  }
+
+  addStyles() {
+    // Add component-specific styles if not already present
+    if (document.querySelector('#dependency-risk-table-styles')) {
+      return;
+    }
+
+    const style = document.createElement('style');
+    style.id = 'dependency-risk-table-styles';
+    style.textContent = `
+      .dependency-scan {
+        background: var(--color-bg-secondary);
+        border: 1px solid var(--color-border);
+        border-radius: var(--radius-xl);
+        padding: var(--space-6);
+      }
+
+      .dependency-scan-title {
+        font-size: var(--font-size-xl);
+        font-weight: var(--font-weight-bold);
+        color: var(--color-text-primary);
+      }
+
+      .dependency-scan-summary {
+        margin: var(--space-2) 0 var(--space-4);
+        color: var(--color-text-secondary);
+      }
+
+      .dependency-table-wrapper {
+        overflow-x: auto;
+      }
+
+      .dependency-table {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: var(--font-size-sm);
+      }
+
+      .dependency-table th,
+      .dependency-table td {
+        padding: var(--space-2) var(--space-3);
+        border-bottom: 1px solid var(--color-border);
+        text-align: left;
+        vertical-align: top;
+      }
+
+      .dependency-table th {
+        color: var(--color-text-muted);
+        font-weight: var(--font-weight-medium);
+      }
+
+      .dependency-packages,
+      .dependency-none {
+        font-size: var(--font-size-xs);
+        color: var(--color-text-muted);
+      }
+
+      .dependency-critical {
+        list-style: none;
+        padding: 0;
+        margin: 0;
+        font-size: var(--font-size-xs);
+        color: var(--color-error);
+      }
+
+      .dependency-list {
+        margin-top: var(--space-4);
+        font-size: var(--font-size-sm);
+        color: var(--color-text-secondary);
+      }
+
+      .dependency-list ul {
+        margin-top: var(--space-2);
+        padding-left: var(--space-4);
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
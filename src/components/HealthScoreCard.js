@@ -46,6 +46,7 @@ export class HealthScoreCard extends HTMLElement {
               <span aria-hidden="true">🍴</span> ${this.formatNumber(repository.forks)}
             </span>
           </div>
+          ${this.renderExcluded(this.data.excluded)}
         </div>
 
         <div class="score-display" role="img" aria-label="Health Score: ${healthScore.score} out of 100, Grade: ${healthScore.grade}">
@@ -69,6 +70,31 @@ export class HealthScoreCard extends HTMLElement {
     this.addStyles();
   }
 
+  /**
+   * Render how much bot activity was left out of the metrics
+   * @param {Object} excluded - { commits, pullRequests, issues, contributors } counts
+   */
+  renderExcluded(excluded) {
+    if (!excluded) {
+      return '';
+    }
+
+    const parts = [
+      [excluded.commits, 'commit'],
+      [excluded.pullRequests, 'pull request'],
+      [excluded.issues, 'issue'],
+      [excluded.contributors, 'contributor'],
+    ]
+      .filter(([count]) => count > 0)
+      .map(([count, noun]) => `${count} ${noun}${count !== 1 ? 's' : ''}`);
+
+    if (parts.length === 0) {
+      return '';
+    }
+
+    return `<p class="repo-excluded">Excluded bot activity: ${parts.join(', ')}</p>`;
+  }
+
   renderSummary(summary) {
     if (!summary) {
       return '';
@@ -144,6 +170,12 @@ export class HealthScoreCard extends HTMLElement {
         gap: var(--space-1);
       }
 
+      .repo-excluded {
+        margin-top: var(--space-2);
+        font-size: var(--font-size-xs);
+        color: var(--color-text-muted);
+      }
+
       .score-details {
         text-align: left;
       }
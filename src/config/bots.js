@@ -0,0 +1,34 @@
+/**
+ * Bot Accounts
+ *
+ * Automation accounts that are not excluded by their account type or a
+ * "[bot]" suffix: legacy GitHub Apps, CI robots and service users. Users can
+ * extend the list from the settings panel.
+ */
+
+export const DEFAULT_BOT_DENYLIST = [
+  'allcontributors',
+  'codecov',
+  'codecov-io',
+  'copilot',
+  'coveralls',
+  'dependabot',
+  'dependabot-preview',
+  'github-actions',
+  'googlebot',
+  'greenkeeper',
+  'imgbot',
+  'k8s-ci-robot',
+  'k8s-triage-robot',
+  'mergify',
+  'netlify',
+  'openshift-ci',
+  'openshift-merge-robot',
+  'pre-commit-ci',
+  'renovate',
+  'snyk-bot',
+  'sonarcloud',
+  'stale',
+  'vercel',
+  'web-flow',
+];
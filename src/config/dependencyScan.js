@@ -0,0 +1,39 @@
+/**
+ * Dependency Scan Settings
+ *
+ * Which metrics flag a dependency as risky and how much of the API budget a
+ * dependency scan may spend.
+ */
+
+/**
+ * Metrics reported for each scanned dependency when they score below
+ * CRITICAL_METRIC_SCORE, in order of importance
+ */
+export const CRITICAL_DEPENDENCY_METRICS = [
+  'last-activity',
+  'known-vulnerabilities',
+  'bus-factor',
+  'maintainer-count',
+  'security-policy',
+  'issue-response-time',
+  'time-since-release',
+  'release-cadence',
+  'scorecard-score',
+];
+
+export const CRITICAL_METRIC_SCORE = 40;
+
+/**
+ * Rate limit budgeting per forge host: requests left untouched for regular
+ * analyses, and the requests one analysis is assumed to need until a
+ * measurement is available
+ */
+export const SCAN_BUDGET = {
+  reserve: 200,
+  estimatedCost: 80,
+};
+
+/**
+ * npm registry metadata endpoint used to find package source repositories
+ */
+export const NPM_REGISTRY_URL = 'https://registry.npmjs.org';
@@ -0,0 +1,95 @@
+/**
+ * Forge Hosts
+ *
+ * Known code forge hosts and the provider that serves them. Self-hosted
+ * servers (GitHub Enterprise Server, GitLab, Gitea/Forgejo) are recognised by
+ * hostname or configured by the user with a base URL and API path.
+ */
+
+export const FORGE_HOSTS = {
+  'github.com': {
+    provider: 'github',
+    name: 'GitHub',
+    apiUrl: 'https://api.github.com',
+  },
+  'gitlab.com': {
+    provider: 'gitlab',
+    name: 'GitLab',
+    apiUrl: 'https://gitlab.com/api/v4',
+  },
+  'codeberg.org': {
+    provider: 'gitea',
+    name: 'Codeberg',
+    apiUrl: 'https://codeberg.org/api/v1',
+  },
+  'gitea.com': {
+    provider: 'gitea',
+    name: 'Gitea',
+    apiUrl: 'https://gitea.com/api/v1',
+  },
+};
+
+// API paths of self-hosted servers, relative to the server's base URL
+export const DEFAULT_API_PATHS = {
+  github: '/api/v3',
+  gitlab: '/api/v4',
+  gitea: '/api/v1',
+};
+
+const PROVIDER_NAMES = {
+  github: 'GitHub Enterprise',
+  gitlab: 'GitLab',
+  gitea: 'Gitea',
+};
+
+/**
+ * Build a forge host for a self-hosted server
+ * @param {string} host - Hostname
+ * @param {Object} config - { provider, baseUrl, apiPath, name }
+ * @returns {Object} { host, provider, name, apiUrl }
+ */
+export function buildForgeHost(host, { provider, baseUrl = `https://${host}`, apiPath, name } = {}) {
+  const path = apiPath ?? DEFAULT_API_PATHS[provider];
+  return {
+    host,
+    provider,
+    name: name || PROVIDER_NAMES[provider],
+    apiUrl: `${baseUrl.replace(/\/$/, '')}${path}`,
+  };
+}
+
+/**
+ * Resolve the forge provider for a hostname
+ * @param {string} hostname - Hostname from a repository URL
+ * @param {Object} customHosts - User-configured hosts keyed by hostname ({ provider, baseUrl, apiPath })
+ * @returns {Object|null} { host, provider, name, apiUrl } or null if unsupported
+ */
+export function resolveForgeHost(hostname, customHosts = {}) {
+  const host = hostname.toLowerCase();
+
+  if (customHosts[host]) {
+    return buildForgeHost(host, customHosts[host]);
+  }
+
+  if (FORGE_HOSTS[host]) {
+    return { host, ...FORGE_HOSTS[host] };
+  }
+
+  // GitHub Enterprise Server instances conventionally live on a github.* host
+  // (GitHub Pages sites on github.io are not repositories)
+  if (/(^|\.)github\./.test(host) && !host.endsWith('github.io')) {
+    return buildForgeHost(host, { provider: 'github' });
+  }
+
+  // Same for self-hosted GitLab
+  if (/(^|\.)gitlab\./.test(host)) {
+    return buildForgeHost(host, { provider: 'gitlab' });
+  }
+
+  // And for Gitea and its Forgejo fork
+  if (/(^|\.)(gitea|forgejo)\./.test(host)) {
+    return buildForgeHost(host, { provider: 'gitea' });
+  }
+
+  return null;
+}
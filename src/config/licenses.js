@@ -0,0 +1,54 @@
+/**
+ * License Classification
+ *
+ * SPDX license identifiers by policy category. Identifiers are listed without
+ * their "-only"/"-or-later" suffix; licenses that aren't listed are unknown.
+ * Users can fail the license metric for categories or licenses from the
+ * settings panel.
+ */
+
+export const LICENSE_CATEGORIES = {
+  'permissive': 'Permissive',
+  'weak-copyleft': 'Weak copyleft',
+  'strong-copyleft': 'Strong copyleft',
+  'network-copyleft': 'Network copyleft',
+  'non-osi': 'Not OSI-approved',
+  'unknown': 'Unknown',
+};
+
+export const LICENSE_CLASSIFICATION = {
+  'permissive': [
+    '0BSD', 'AFL-3.0', 'Apache-1.1', 'Apache-2.0', 'Artistic-2.0', 'BlueOak-1.0.0', 'BSD-1-Clause',
+    'BSD-2-Clause', 'BSD-2-Clause-Patent', 'BSD-3-Clause', 'BSL-1.0', 'CC0-1.0', 'ECL-2.0', 'ISC', 'MIT',
+    'MIT-0', 'MulanPSL-2.0', 'NCSA', 'PostgreSQL', 'PSF-2.0', 'Python-2.0', 'Unicode-3.0', 'Unlicense',
+    'UPL-1.0', 'W3C', 'X11', 'Zlib',
+  ],
+  'weak-copyleft': [
+    'CDDL-1.0', 'CDDL-1.1', 'CPL-1.0', 'EPL-1.0', 'EPL-2.0', 'LGPL-2.0', 'LGPL-2.1', 'LGPL-3.0', 'MPL-1.1',
+    'MPL-2.0', 'MS-RL', 'OFL-1.1',
+  ],
+  'strong-copyleft': ['CECILL-2.1', 'EUPL-1.1', 'EUPL-1.2', 'GPL-2.0', 'GPL-3.0', 'Sleepycat'],
+  'network-copyleft': ['AGPL-1.0', 'AGPL-3.0', 'CPAL-1.0', 'OSL-3.0', 'RPL-1.5'],
+  'non-osi': [
+    'BUSL-1.1', 'CC-BY-4.0', 'CC-BY-NC-4.0', 'CC-BY-NC-SA-4.0', 'CC-BY-SA-4.0', 'Elastic-2.0',
+    'Hippocratic-2.1', 'JSON', 'PolyForm-Noncommercial-1.0.0', 'PolyForm-Shield-1.0.0', 'SSPL-1.0', 'WTFPL',
+  ],
+};
+
+/**
+ * License exceptions that allow linking without the copyleft terms applying
+ * to the linking code (GPL-2.0 WITH Classpath-exception-2.0 acts like a weak copyleft)
+ */
+export const LINKING_EXCEPTIONS = [
+  'Classpath-exception-2.0',
+  'GCC-exception-2.0',
+  'GCC-exception-3.1',
+  'LLVM-exception',
+  'OpenJDK-assembly-exception-1.0',
+];
+
+/**
+ * Values forges and manifests use when no SPDX license applies ("UNLICENSED"
+ * is npm's marker for proprietary packages, not the Unlicense)
+ */
+export const NON_SPDX_LICENSE_VALUES = ['NOASSERTION', 'NONE', 'OTHER', 'UNLICENSED'];
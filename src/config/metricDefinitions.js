@@ -1,7 +1,7 @@
 /**
  * Metric Definitions
  *
- * 25 baseline metrics organized into 6 categories based on:
+ * 46 baseline metrics organized into 6 categories based on:
  * - CHAOSS (Community Health Analytics Open Source Software)
  * - OpenSSF (Open Source Security Foundation)
  * - CNCF (Cloud Native Computing Foundation)
@@ -56,7 +56,7 @@ export const METRIC_CATEGORIES = {
 
 export const METRIC_DEFINITIONS = {
   // ============================================================================
-  // ACTIVITY METRICS (4)
+  // ACTIVITY METRICS (9)
   // ============================================================================
 
   'commit-frequency': {
@@ -75,14 +75,38 @@ export const METRIC_DEFINITIONS = {
     id: 'release-cadence',
     name: 'Release Cadence',
     category: 'activity',
-    description: 'Average days between releases',
-    calculation: 'Average days between last 5 releases',
+    description: 'Average days between feature releases',
+    calculation: 'Average days between the last 5 stable releases that start a major.minor line, from tags if no releases are published',
     type: 'numeric',
     unit: 'days',
     higherIsBetter: false,
     source: 'CHAOSS',
   },
 
+  'time-since-release': {
+    id: 'time-since-release',
+    name: 'Time Since Release',
+    category: 'activity',
+    description: 'Days since the last stable release',
+    calculation: 'today - last_stable_release_date, from tags if no releases are published',
+    type: 'numeric',
+    unit: 'days ago',
+    higherIsBetter: false,
+    source: 'CHAOSS',
+  },
+
+  'semver-compliance': {
+    id: 'semver-compliance',
+    name: 'Semantic Versioning',
+    category: 'activity',
+    description: 'Releases tagged with a Semantic Versioning version',
+    calculation: 'SemVer-conforming release tags / published release tags',
+    type: 'percentage',
+    unit: '%',
+    higherIsBetter: true,
+    source: 'OpenSSF',
+  },
+
   'last-activity': {
     id: 'last-activity',
     name: 'Last Activity',
@@ -107,8 +131,44 @@ export const METRIC_DEFINITIONS = {
     source: 'CHAOSS',
   },
 
+  'ci-presence': {
+    id: 'ci-presence',
+    name: 'Continuous Integration',
+    category: 'activity',
+    description: 'CI configured to build and test changes',
+    calculation: 'CI configuration in the repository tree or CI runs on the default branch',
+    type: 'boolean',
+    unit: 'exists',
+    higherIsBetter: true,
+    source: 'OpenSSF Scorecard',
+  },
+
+  'ci-pass-rate': {
+    id: 'ci-pass-rate',
+    name: 'CI Pass Rate',
+    category: 'activity',
+    description: 'Percentage of default-branch CI runs that passed',
+    calculation: 'successful / (successful + failed) runs in 90 days; cancelled and skipped runs ignored',
+    type: 'percentage',
+    unit: '%',
+    higherIsBetter: true,
+    source: 'CHAOSS',
+  },
+
+  'ci-duration': {
+    id: 'ci-duration',
+    name: 'CI Duration',
+    category: 'activity',
+    description: 'Median minutes a default-branch CI run takes',
+    calculation: 'Median(completed - started) of runs in 90 days',
+    type: 'numeric',
+    unit: 'minutes',
+    higherIsBetter: false,
+    source: 'DORA',
+  },
+
   // ============================================================================
-  // COMMUNITY METRICS (5)
+  // COMMUNITY METRICS (6)
   // ============================================================================
 
   'contributor-count': {
@@ -135,12 +195,24 @@ export const METRIC_DEFINITIONS = {
     source: 'CHAOSS',
   },
 
+  'elephant-factor': {
+    id: 'elephant-factor',
+    name: 'Elephant Factor',
+    category: 'community',
+    description: 'Minimum organizations responsible for 50% of commits',
+    calculation: 'Top N organizations covering 50% of commits attributed to an organization',
+    type: 'numeric',
+    unit: 'organizations',
+    higherIsBetter: true,
+    source: 'CHAOSS',
+  },
+
   'new-contributors': {
     id: 'new-contributors',
     name: 'New Contributors',
     category: 'community',
     description: 'First-time contributors in the last 90 days',
-    calculation: 'Count of new authors in 90-day period',
+    calculation: 'Authors whose first-ever commit or merged PR falls in the 90-day period',
     type: 'numeric',
     unit: 'new contributors',
     higherIsBetter: true,
@@ -151,8 +223,8 @@ export const METRIC_DEFINITIONS = {
     id: 'org-diversity',
     name: 'Organization Diversity',
     category: 'community',
-    description: 'Number of distinct organizations (email domains)',
-    calculation: 'Unique email domains of contributors',
+    description: 'Number of distinct organizations contributing commits',
+    calculation: 'Distinct organizations from commit email domains and contributor profile companies (free-mail ignored)',
     type: 'numeric',
     unit: 'organizations',
     higherIsBetter: true,
@@ -172,15 +244,15 @@ export const METRIC_DEFINITIONS = {
   },
 
   // ============================================================================
-  // RESPONSIVENESS METRICS (4)
+  // RESPONSIVENESS METRICS (7)
   // ============================================================================
 
   'issue-response-time': {
     id: 'issue-response-time',
     name: 'Issue Response Time',
     category: 'responsiveness',
-    description: 'Median hours to first response on issues',
-    calculation: 'Median(first_comment - issue_created)',
+    description: 'Median hours to first human response on issues (pull requests shown separately)',
+    calculation: 'Median(first non-author, non-bot comment, review or close - created_at)',
     type: 'numeric',
     unit: 'hours',
     higherIsBetter: false,
@@ -199,6 +271,42 @@ export const METRIC_DEFINITIONS = {
     source: 'CHAOSS',
   },
 
+  'pr-review-time': {
+    id: 'pr-review-time',
+    name: 'PR Review Time',
+    category: 'responsiveness',
+    description: 'Median hours until a pull request gets its first review',
+    calculation: 'Median(first non-author review - created_at); PRs still waiting count their wait so far',
+    type: 'numeric',
+    unit: 'hours',
+    higherIsBetter: false,
+    source: 'CHAOSS',
+  },
+
+  'pr-merge-time': {
+    id: 'pr-merge-time',
+    name: 'PR Merge Time',
+    category: 'responsiveness',
+    description: 'Median days from opening a pull request to merging it',
+    calculation: 'Median(merged_at - created_at), p90 reported',
+    type: 'numeric',
+    unit: 'days',
+    higherIsBetter: false,
+    source: 'CHAOSS',
+  },
+
+  'pr-unreviewed-merges': {
+    id: 'pr-unreviewed-merges',
+    name: 'Unreviewed Merges',
+    category: 'responsiveness',
+    description: 'Percentage of merged pull requests without a review from someone other than the author',
+    calculation: 'merged without review before merge / merged',
+    type: 'percentage',
+    unit: '%',
+    higherIsBetter: false,
+    source: 'OpenSSF Scorecard',
+  },
+
   'stale-issues-ratio': {
     id: 'stale-issues-ratio',
     name: 'Stale Issues Ratio',
@@ -232,7 +340,7 @@ export const METRIC_DEFINITIONS = {
     name: 'README Quality',
     category: 'documentation',
     description: 'Completeness of README file',
-    calculation: 'Score based on sections, badges, examples (0-5)',
+    calculation: 'Install, usage, badges, license, contributing, table of contents and length checks (0-7)',
     type: 'score',
     unit: 'score',
     higherIsBetter: true,
@@ -255,10 +363,10 @@ export const METRIC_DEFINITIONS = {
     id: 'docs-directory',
     name: 'Documentation Directory',
     category: 'documentation',
-    description: 'Presence of /docs folder or wiki',
-    calculation: 'Directory or wiki check',
-    type: 'boolean',
-    unit: 'exists',
+    description: 'Documentation directory, documentation system or published docs site',
+    calculation: 'docs/, doc/, website/, MkDocs, Docusaurus, Sphinx, Read the Docs and Pages from the repository tree; pages counted',
+    type: 'numeric',
+    unit: 'pages',
     higherIsBetter: true,
     source: 'Linux Foundation',
   },
@@ -267,16 +375,16 @@ export const METRIC_DEFINITIONS = {
     id: 'changelog',
     name: 'Changelog',
     category: 'documentation',
-    description: 'Presence of CHANGELOG.md file',
-    calculation: 'File existence check',
-    type: 'boolean',
-    unit: 'exists',
-    higherIsBetter: true,
+    description: 'Changelog or release notes kept up to date with releases',
+    calculation: 'CHANGELOG/CHANGES/HISTORY/NEWS in the repository tree, latest entry compared to the latest release',
+    type: 'numeric',
+    unit: 'releases behind',
+    higherIsBetter: false,
     source: 'Keep a Changelog',
   },
 
   // ============================================================================
-  // SECURITY & COMPLIANCE METRICS (4)
+  // SECURITY & COMPLIANCE METRICS (16)
   // ============================================================================
 
   'security-policy': {
@@ -295,10 +403,10 @@ export const METRIC_DEFINITIONS = {
     id: 'license',
     name: 'License',
     category: 'security',
-    description: 'Presence of recognized OSS license',
-    calculation: 'License API check',
-    type: 'boolean',
-    unit: 'exists',
+    description: 'License category, consistency with package manifests and the license policy',
+    calculation: 'SPDX expression classified by category, capped on manifest mismatch, failed by the license policy',
+    type: 'license',
+    unit: 'category',
     higherIsBetter: true,
     source: 'OSI',
   },
@@ -319,14 +427,163 @@ export const METRIC_DEFINITIONS = {
     id: 'vulnerability-reporting',
     name: 'Vulnerability Reporting',
     category: 'security',
-    description: 'Private security vulnerability reporting process',
-    calculation: 'SECURITY.md content analysis',
+    description: 'Private channel for reporting security vulnerabilities',
+    calculation: 'Private vulnerability reporting enabled, or a security contact in SECURITY.md',
     type: 'boolean',
     unit: 'exists',
     higherIsBetter: true,
     source: 'OpenSSF',
   },
 
+  'security-advisories': {
+    id: 'security-advisories',
+    name: 'Vulnerability Response',
+    category: 'security',
+    description: 'Published security advisories and the time from publication to a patched release',
+    calculation: 'Median days from advisory publication to the release with the fix; unpatched advisories count at their age',
+    type: 'numeric',
+    unit: 'days',
+    higherIsBetter: false,
+    source: 'OpenSSF',
+  },
+
+  'branch-protection': {
+    id: 'branch-protection',
+    name: 'Branch Protection',
+    category: 'security',
+    description: 'Default branch requires reviews and status checks and blocks force pushes',
+    calculation: 'Enabled protections / visible protections (classic protection and rulesets)',
+    type: 'percentage',
+    unit: '%',
+    higherIsBetter: true,
+    source: 'OpenSSF Scorecard',
+  },
+
+  'signed-commits': {
+    id: 'signed-commits',
+    name: 'Signed Commits Required',
+    category: 'security',
+    description: 'Default branch requires signed commits',
+    calculation: 'Branch protection or ruleset setting',
+    type: 'boolean',
+    unit: 'exists',
+    higherIsBetter: true,
+    source: 'OpenSSF SLSA',
+  },
+
+  'security-features': {
+    id: 'security-features',
+    name: 'Security Features',
+    category: 'security',
+    description: 'Dependabot alerts and security updates, secret scanning and push protection',
+    calculation: 'Enabled features / visible features',
+    type: 'percentage',
+    unit: '%',
+    higherIsBetter: true,
+    source: 'OpenSSF Scorecard',
+  },
+
+  'dependency-updates': {
+    id: 'dependency-updates',
+    name: 'Dependency Update Tool',
+    category: 'security',
+    description: 'Automated dependency updates configured (Dependabot or Renovate)',
+    calculation: 'dependabot.yml or Renovate config in the repository tree',
+    type: 'boolean',
+    unit: 'exists',
+    higherIsBetter: true,
+    source: 'OpenSSF Scorecard',
+  },
+
+  'dependency-freshness': {
+    id: 'dependency-freshness',
+    name: 'Dependency Freshness',
+    category: 'security',
+    description: 'Direct dependencies on the latest major version',
+    calculation: 'Declared versions in the root manifests compared with a registry metadata snapshot',
+    type: 'percentage',
+    unit: '%',
+    higherIsBetter: true,
+    source: 'CHAOSS',
+  },
+
+  'scorecard-score': {
+    id: 'scorecard-score',
+    name: 'OpenSSF Scorecard',
+    category: 'security',
+    description: 'Aggregate OpenSSF Scorecard security score',
+    calculation: 'Scorecard aggregate (0-10) from the public API or a supplied results file',
+    type: 'numeric',
+    unit: '/10',
+    higherIsBetter: true,
+    source: 'OpenSSF Scorecard',
+  },
+
+  'token-permissions': {
+    id: 'token-permissions',
+    name: 'Token Permissions',
+    category: 'security',
+    description: 'CI workflow tokens are read-only by default',
+    calculation: 'Scorecard Token-Permissions check (0-10)',
+    type: 'numeric',
+    unit: '/10',
+    higherIsBetter: true,
+    source: 'OpenSSF Scorecard',
+    scorecardCheck: 'Token-Permissions',
+  },
+
+  'pinned-dependencies': {
+    id: 'pinned-dependencies',
+    name: 'Pinned Dependencies',
+    category: 'security',
+    description: 'Build dependencies and CI actions are pinned by hash',
+    calculation: 'Scorecard Pinned-Dependencies check (0-10)',
+    type: 'numeric',
+    unit: '/10',
+    higherIsBetter: true,
+    source: 'OpenSSF Scorecard',
+    scorecardCheck: 'Pinned-Dependencies',
+  },
+
+  'dangerous-workflow': {
+    id: 'dangerous-workflow',
+    name: 'Dangerous Workflows',
+    category: 'security',
+    description: 'No untrusted code checkout or script injection in CI workflows',
+    calculation: 'Scorecard Dangerous-Workflow check (0-10)',
+    type: 'numeric',
+    unit: '/10',
+    higherIsBetter: true,
+    source: 'OpenSSF Scorecard',
+    scorecardCheck: 'Dangerous-Workflow',
+  },
+
+  'binary-artifacts': {
+    id: 'binary-artifacts',
+    name: 'Binary Artifacts',
+    category: 'security',
+    description: 'No executable binaries checked into the repository',
+    calculation: 'Scorecard Binary-Artifacts check (0-10)',
+    type: 'numeric',
+    unit: '/10',
+    higherIsBetter: true,
+    source: 'OpenSSF Scorecard',
+    scorecardCheck: 'Binary-Artifacts',
+  },
+
+  'known-vulnerabilities': {
+    id: 'known-vulnerabilities',
+    name: 'Known Vulnerabilities',
+    category: 'security',
+    description: 'No open OSV vulnerabilities affecting the project',
+    calculation: 'Scorecard Vulnerabilities check (0-10)',
+    type: 'numeric',
+    unit: '/10',
+    higherIsBetter: true,
+    source: 'OpenSSF Scorecard',
+    scorecardCheck: 'Vulnerabilities',
+  },
+
   // ============================================================================
   // GOVERNANCE METRICS (3)
   // ============================================================================
@@ -335,10 +592,10 @@ export const METRIC_DEFINITIONS = {
     id: 'governance-docs',
     name: 'Governance Documentation',
     category: 'governance',
-    description: 'Presence of GOVERNANCE.md or similar',
-    calculation: 'File existence check',
-    type: 'boolean',
-    unit: 'exists',
+    description: 'Governance documents covering decisions, roles, conflicts, voting, releases and succession',
+    calculation: 'Elements found in GOVERNANCE, steering, TSC and MAINTAINERS documents (6 checks)',
+    type: 'numeric',
+    unit: 'elements',
     higherIsBetter: true,
     source: 'CNCF',
   },
@@ -347,8 +604,8 @@ export const METRIC_DEFINITIONS = {
     id: 'maintainer-count',
     name: 'Active Maintainers',
     category: 'governance',
-    description: 'Contributors with recent merge activity (90 days)',
-    calculation: 'Count of contributors with merge rights',
+    description: 'Declared maintainers active in the last 90 days',
+    calculation: 'MAINTAINERS, OWNERS (with OWNERS_ALIASES) and CODEOWNERS people who committed, opened or merged PRs; estimated from merge activity without them',
     type: 'numeric',
     unit: 'maintainers',
     higherIsBetter: true,
@@ -0,0 +1,119 @@
+/**
+ * Repository Files
+ *
+ * Well-known files every forge provider looks for, with their possible locations.
+ */
+
+/**
+ * Governance files and their possible locations, in order of preference
+ */
+export const GOVERNANCE_FILE_CHECKS = [
+  { key: 'governance', paths: ['GOVERNANCE.md', 'governance.md', 'docs/GOVERNANCE.md', '.github/GOVERNANCE.md'] },
+  { key: 'steering', paths: ['STEERING.md', 'STEERING-COMMITTEE.md', 'docs/governance/STEERING.md'] },
+  { key: 'tsc', paths: ['TSC.md', 'docs/TSC.md', 'TECHNICAL-STEERING-COMMITTEE.md'] },
+  { key: 'owners', paths: ['OWNERS', 'OWNERS.md', 'docs/OWNERS'] },
+  { key: 'owners_aliases', paths: ['OWNERS_ALIASES'] },
+  { key: 'maintainers', paths: ['MAINTAINERS', 'MAINTAINERS.md', 'MAINTAINERS.txt', 'docs/MAINTAINERS.md'] },
+  { key: 'codeowners', paths: ['CODEOWNERS', '.github/CODEOWNERS', '.gitlab/CODEOWNERS', 'docs/CODEOWNERS'] },
+];
+
+/**
+ * Package manifests read from the repository root, for their license and dependencies
+ */
+export const PACKAGE_MANIFESTS = [
+  'package.json',
+  'composer.json',
+  'Cargo.toml',
+  'pyproject.toml',
+  'setup.cfg',
+  'requirements.txt',
+  'go.mod',
+  'pom.xml',
+];
+
+/**
+ * Community health files, matched by base name (case-insensitive, any extension).
+ * Keys follow the GitHub community profile `files` object.
+ */
+export const COMMUNITY_FILE_PATTERNS = {
+  readme: /^readme(\.[a-z]+)?$/i,
+  contributing: /^contributing(\.[a-z]+)?$/i,
+  code_of_conduct: /^code[-_]of[-_]conduct(\.[a-z]+)?$/i,
+  license: /^(license|licence|copying)(\.[a-z]+)?$/i,
+  security_policy: /^security(\.[a-z]+)?$/i,
+};
+
+/**
+ * Directories community health files may live in besides the root
+ */
+export const COMMUNITY_FILE_DIRECTORIES = ['', 'docs', '.github', '.gitlab'];
+
+/**
+ * Changelog files, matched by base name (case-insensitive). Covers CHANGELOG,
+ * CHANGES, HISTORY and NEWS with common text extensions.
+ */
+export const CHANGELOG_FILE_PATTERN = /^(changelog|changes|history|news)(\.(md|markdown|mdx|rst|txt|adoc|asciidoc|org))?$/i;
+
+/**
+ * Directories (searched recursively) where changelogs may live besides the root,
+ * in order of preference
+ */
+export const CHANGELOG_DIRECTORIES = ['docs', 'doc', 'changelog', 'changelogs', '.github'];
+
+/**
+ * Top-level directories that hold project documentation
+ */
+export const DOCS_DIRECTORIES = ['docs', 'doc', 'documentation', 'website'];
+
+/**
+ * Documentation systems, detected from their configuration files (matched
+ * against the full path). `pages` is where the system keeps its sources,
+ * relative to the configuration file; `inDocsOnly` limits generic file
+ * names to the documentation directories.
+ */
+export const DOCS_SYSTEMS = [
+  { name: 'MkDocs', pattern: /(^|\/)mkdocs\.ya?ml$/i, pages: 'docs' },
+  { name: 'Docusaurus', pattern: /(^|\/)docusaurus\.config\.(js|cjs|mjs|ts)$/i, pages: 'docs' },
+  { name: 'Sphinx', pattern: /(^|\/)conf\.py$/i, pages: '', inDocsOnly: true },
+  { name: 'Read the Docs', pattern: /(^|\/)\.readthedocs\.ya?ml$/i },
+  { name: 'VitePress', pattern: /(^|\/)\.vitepress\/config\.(js|mjs|mts|ts)$/i, pages: '..' },
+  { name: 'mdBook', pattern: /(^|\/)book\.toml$/i, pages: 'src' },
+];
+
+/**
+ * Extensions of documentation pages
+ */
+export const DOCS_PAGE_PATTERN = /\.(md|mdx|markdown|rst|adoc|asciidoc|ipynb)$/i;
+
+/**
+ * Homepages that point to a hosted documentation site
+ */
+export const DOCS_SITE_PATTERN = /(\.readthedocs\.(io|org)|\.github\.io|\.gitlab\.io|\.codeberg\.page|\.pages\.dev|\.netlify\.app|\.gitbook\.io)(\/|$)/i;
+
+/**
+ * CI systems, detected from their configuration files (matched against the full path)
+ */
+export const CI_SYSTEMS = [
+  { name: 'GitHub Actions', pattern: /^\.github\/workflows\/[^/]+\.ya?ml$/i },
+  { name: 'GitLab CI', pattern: /^\.gitlab-ci\.ya?ml$/i },
+  { name: 'Gitea/Forgejo Actions', pattern: /^\.(gitea|forgejo)\/workflows\/[^/]+\.ya?ml$/i },
+  { name: 'CircleCI', pattern: /^\.circleci\/config\.ya?ml$/i },
+  { name: 'Travis CI', pattern: /^\.travis\.ya?ml$/i },
+  { name: 'Azure Pipelines', pattern: /^azure-pipelines\.ya?ml$/i },
+  { name: 'Jenkins', pattern: /^Jenkinsfile$/ },
+  { name: 'AppVeyor', pattern: /^\.?appveyor\.ya?ml$/i },
+  { name: 'Buildkite', pattern: /^\.buildkite\/pipeline\.ya?ml$/i },
+  { name: 'Drone', pattern: /^\.drone\.ya?ml$/i },
+  { name: 'Woodpecker', pattern: /^\.woodpecker(\.ya?ml|\/[^/]+\.ya?ml)$/i },
+  { name: 'Cirrus CI', pattern: /^\.cirrus\.ya?ml$/i },
+  { name: 'Prow', pattern: /^\.prow\.ya?ml$/i },
+  { name: 'Zuul', pattern: /^\.?zuul\.ya?ml$|^\.zuul\.d\//i },
+];
+
+/**
+ * Automated dependency update tools, detected from their configuration files
+ */
+export const DEPENDENCY_UPDATE_TOOLS = [
+  { name: 'Dependabot', pattern: /^\.github\/dependabot\.ya?ml$/i },
+  { name: 'Renovate', pattern: /^(\.github\/|\.gitlab\/)?(renovate\.json5?|\.renovaterc(\.json5?)?)$/i },
+];
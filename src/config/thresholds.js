@@ -31,6 +31,21 @@ export const METRIC_THRESHOLDS = {
     direction: 'lower-is-better',
   },
 
+  'time-since-release': {
+    // Days since the last stable release
+    // >365 Poor, 180-365 Fair, 90-180 Good, <90 Excellent
+    thresholds: [365, 180, 90],
+    scores: [0, 50, 75, 100],
+    direction: 'lower-is-better',
+  },
+
+  'semver-compliance': {
+    // % of release tags following Semantic Versioning
+    thresholds: [50, 80, 100],
+    scores: [0, 60, 100],
+    direction: 'higher-is-better',
+  },
+
   'last-activity': {
     // Days since last commit
     // >90 Poor, 30-90 Fair, 7-30 Good, <7 Excellent
@@ -47,6 +62,29 @@ export const METRIC_THRESHOLDS = {
     direction: 'higher-is-better',
   },
 
+  'ci-presence': {
+    // Boolean - pass/fail
+    type: 'boolean',
+    passScore: 100,
+    failScore: 0,
+  },
+
+  'ci-pass-rate': {
+    // % of default-branch runs passing
+    // <50% Poor, 50-70% Fair, 70-90% Good, >90% Excellent
+    thresholds: [50, 70, 90],
+    scores: [25, 50, 75, 100],
+    direction: 'higher-is-better',
+  },
+
+  'ci-duration': {
+    // Median minutes per run
+    // >60 Poor, 30-60 Fair, 10-30 Good, <10 Excellent
+    thresholds: [60, 30, 10],
+    scores: [25, 50, 75, 100],
+    direction: 'lower-is-better',
+  },
+
   // ============================================================================
   // COMMUNITY METRICS
   // ============================================================================
@@ -68,6 +106,14 @@ export const METRIC_THRESHOLDS = {
     isCritical: true,
   },
 
+  'elephant-factor': {
+    // Organizations for 50% of commits
+    // 1 Poor, 2 Fair, 3 Good, >=4 Excellent
+    thresholds: [1, 2, 4],
+    scores: [25, 50, 75, 100],
+    direction: 'higher-is-better',
+  },
+
   'new-contributors': {
     // First-time contributors (90d)
     // 0 Poor, 1-3 Fair, 3-10 Good, >10 Excellent
@@ -112,6 +158,30 @@ export const METRIC_THRESHOLDS = {
     direction: 'lower-is-better',
   },
 
+  'pr-review-time': {
+    // Hours to first review
+    // >240h Poor, 96-240h Fair, 24-96h Good, <24h Excellent
+    thresholds: [240, 96, 24],
+    scores: [25, 50, 75, 100],
+    direction: 'lower-is-better',
+  },
+
+  'pr-merge-time': {
+    // Days from opening to merge
+    // >30d Poor, 14-30d Fair, 3-14d Good, <3d Excellent
+    thresholds: [30, 14, 3],
+    scores: [25, 50, 75, 100],
+    direction: 'lower-is-better',
+  },
+
+  'pr-unreviewed-merges': {
+    // % of merged PRs without a review
+    // >50% Poor, 25-50% Fair, 10-25% Good, <10% Excellent
+    thresholds: [50, 25, 10],
+    scores: [25, 50, 75, 100],
+    direction: 'lower-is-better',
+  },
+
   'stale-issues-ratio': {
     // % issues inactive >90 days
     // >50% Poor, 25-50% Fair, 10-25% Good, <10% Excellent
@@ -133,9 +203,9 @@ export const METRIC_THRESHOLDS = {
   // ============================================================================
 
   'readme-quality': {
-    // 0-5 score
-    thresholds: [1, 2, 3, 4],
-    scores: [0, 25, 50, 75, 100],
+    // README checks passed, out of 7
+    thresholds: [0, 2, 4, 6],
+    scores: [10, 40, 75, 100],
     direction: 'higher-is-better',
   },
 
@@ -147,17 +217,21 @@ export const METRIC_THRESHOLDS = {
   },
 
   'docs-directory': {
-    // Boolean - pass/fail
-    type: 'boolean',
-    passScore: 100,
-    failScore: 0,
+    // Documentation pages in the docs directories
+    thresholds: [0, 3, 10, 25],
+    scores: [40, 60, 85, 100],
+    direction: 'higher-is-better',
+    // Documentation system or published site, whatever the page count
+    siteScore: 75,
   },
 
   'changelog': {
-    // Boolean - pass/fail
-    type: 'boolean',
-    passScore: 100,
-    failScore: 0,
+    // Stable releases newer than the changelog's latest entry
+    thresholds: [3, 2, 1, 0],
+    scores: [25, 50, 75, 100],
+    direction: 'lower-is-better',
+    // Changelog present, but no versioned entry to compare with the releases
+    unversionedScore: 75,
   },
 
   // ============================================================================
@@ -172,37 +246,129 @@ export const METRIC_THRESHOLDS = {
   },
 
   'license': {
+    // License category (see config/licenses.js); manifests declaring another license cap the score
+    type: 'license',
+    levels: {
+      'permissive': 100,
+      'weak-copyleft': 90,
+      'strong-copyleft': 70,
+      'network-copyleft': 50,
+      'non-osi': 25,
+      'unknown': 25,
+    },
+    mismatchCap: 50,
+  },
+
+  'code-of-conduct': {
     // Boolean - pass/fail
     type: 'boolean',
     passScore: 100,
     failScore: 0,
   },
 
-  'code-of-conduct': {
+  'vulnerability-reporting': {
     // Boolean - pass/fail
     type: 'boolean',
     passScore: 100,
     failScore: 0,
   },
 
-  'vulnerability-reporting': {
+  'security-advisories': {
+    // Median days from advisory publication to a patched release
+    // >90d Poor, 30-90d Fair, 7-30d Good, <7d Excellent
+    thresholds: [90, 30, 7],
+    scores: [25, 50, 75, 100],
+    direction: 'lower-is-better',
+  },
+
+  'branch-protection': {
+    // % of visible protections enabled
+    thresholds: [0, 100],
+    scores: [0, 100],
+    direction: 'higher-is-better',
+  },
+
+  'signed-commits': {
     // Boolean - pass/fail
     type: 'boolean',
     passScore: 100,
     failScore: 0,
   },
 
-  // ============================================================================
-  // GOVERNANCE METRICS
-  // ============================================================================
+  'security-features': {
+    // % of visible security features enabled
+    thresholds: [0, 100],
+    scores: [0, 100],
+    direction: 'higher-is-better',
+  },
 
-  'governance-docs': {
+  'dependency-updates': {
     // Boolean - pass/fail
     type: 'boolean',
     passScore: 100,
     failScore: 0,
   },
 
+  'dependency-freshness': {
+    // % of direct dependencies on the latest major version
+    thresholds: [50, 80, 100],
+    scores: [0, 60, 100],
+    direction: 'higher-is-better',
+  },
+
+  'scorecard-score': {
+    // Scorecard aggregate (0-10)
+    thresholds: [0, 10],
+    scores: [0, 100],
+    direction: 'higher-is-better',
+  },
+
+  'token-permissions': {
+    // Scorecard check score (0-10)
+    thresholds: [0, 10],
+    scores: [0, 100],
+    direction: 'higher-is-better',
+  },
+
+  'pinned-dependencies': {
+    // Scorecard check score (0-10)
+    thresholds: [0, 10],
+    scores: [0, 100],
+    direction: 'higher-is-better',
+  },
+
+  'dangerous-workflow': {
+    // Scorecard check score (0-10)
+    thresholds: [0, 10],
+    scores: [0, 100],
+    direction: 'higher-is-better',
+  },
+
+  'binary-artifacts': {
+    // Scorecard check score (0-10)
+    thresholds: [0, 10],
+    scores: [0, 100],
+    direction: 'higher-is-better',
+  },
+
+  'known-vulnerabilities': {
+    // Scorecard check score (0-10)
+    thresholds: [0, 10],
+    scores: [0, 100],
+    direction: 'higher-is-better',
+  },
+
+  // ============================================================================
+  // GOVERNANCE METRICS
+  // ============================================================================
+
+  'governance-docs': {
+    // Governance elements covered (0-6)
+    thresholds: [0, 6],
+    scores: [0, 100],
+    direction: 'higher-is-better',
+  },
+
   'maintainer-count': {
     // Active maintainers
     // <2 Poor, 2-3 Fair, 4-6 Good, >6 Excellent
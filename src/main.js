@@ -5,28 +5,49 @@
  */
 
 import './styles/main.css';
-import { GitHubApiService } from './services/githubApi.js';
+import { createForgeProvider } from './services/providerFactory.js';
+import { RequestScheduler } from './services/requestScheduler.js';
 import { MetricCalculator } from './services/metricCalculator.js';
 import { HealthScoreCalculator } from './services/healthScoreCalculator.js';
 import { CacheManager } from './services/cacheManager.js';
 import { HealthScoreCard } from './components/HealthScoreCard.js';
 import { CategorySection } from './components/CategorySection.js';
+import { DependencyRiskTable } from './components/DependencyRiskTable.js';
+import { resolveForgeHost } from './config/forgeHosts.js';
+import { HostSettings } from './services/hostSettings.js';
+import { excludeBots } from './services/dataPreprocessor.js';
+import { DependencyScanner } from './services/dependencyScanner.js';
+import { createBotClassifier } from './utils/bots.js';
+import { parseLicensePolicy } from './utils/licenses.js';
+import { parseDependencyFile, parseRegistrySnapshot } from './utils/dependencies.js';
 
 // Register custom elements
 customElements.define('health-score-card', HealthScoreCard);
 customElements.define('category-section', CategorySection);
+customElements.define('dependency-risk-table', DependencyRiskTable);
 
 class OSSHealthAnalyzer {
   constructor() {
-    this.githubApi = null;
+    this.forgeProvider = null;
+    this.schedulers = new Map();
     this.metricCalculator = new MetricCalculator();
     this.healthScoreCalculator = new HealthScoreCalculator();
     this.cacheManager = new CacheManager();
+    this.hostSettings = new HostSettings();
 
     this.elements = {
       form: document.getElementById('repo-form'),
       repoUrl: document.getElementById('repo-url'),
       githubToken: document.getElementById('github-token'),
+      tokenHost: document.getElementById('token-host'),
+      hostProvider: document.getElementById('host-provider'),
+      hostApiUrl: document.getElementById('host-api-url'),
+      botDenylist: document.getElementById('bot-denylist'),
+      licensePolicy: document.getElementById('license-policy'),
+      scorecardFile: document.getElementById('scorecard-file'),
+      registrySnapshot: document.getElementById('registry-snapshot'),
+      dependencyFile: document.getElementById('dependency-file'),
+      scanBtn: document.getElementById('scan-btn'),
       analyzeBtn: document.getElementById('analyze-btn'),
       refreshBtn: document.getElementById('refresh-btn'),
       resultsSection: document.getElementById('results-section'),
@@ -36,6 +57,7 @@ class OSSHealthAnalyzer {
       errorDismiss: document.getElementById('error-dismiss'),
       loadingSection: document.getElementById('loading-section'),
       loadingProgress: document.getElementById('loading-progress'),
+      loadingRateLimit: document.getElementById('loading-ratelimit'),
     };
 
     // Track if we should bypass cache
@@ -45,12 +67,6 @@ class OSSHealthAnalyzer {
   }
 
   async init() {
-    // Load saved token from localStorage
-    const savedToken = localStorage.getItem('github_token');
-    if (savedToken) {
-      this.elements.githubToken.value = savedToken;
-    }
-
     // Check for URL parameters
     const urlParams = new URLSearchParams(window.location.search);
     const repoParam = urlParams.get('repo');
@@ -63,6 +79,20 @@ class OSSHealthAnalyzer {
 
     if (repoParam) {
       this.elements.repoUrl.value = this.normalizeRepoUrl(repoParam);
+    }
+
+    // Load the saved token and server settings for the entered repository's host
+    this.loadHostSettings();
+
+    // Load additional bot accounts
+    this.elements.botDenylist.value = localStorage.getItem('bot_denylist') || '';
+    this.botClassifier = createBotClassifier(this.getBotDenylist());
+
+    // Load the license policy
+    this.elements.licensePolicy.value = localStorage.getItem('license_policy') || '';
+    this.licensePolicy = parseLicensePolicy(this.elements.licensePolicy.value);
+
+    if (repoParam) {
       // Auto-analyze if repo is provided
       this.analyze();
     }
@@ -71,10 +101,17 @@ class OSSHealthAnalyzer {
     this.elements.form.addEventListener('submit', e => this.handleSubmit(e));
     this.elements.errorDismiss.addEventListener('click', () => this.hideError());
     this.elements.githubToken.addEventListener('change', e => this.handleTokenChange(e));
+    this.elements.repoUrl.addEventListener('change', () => this.loadHostSettings());
+    this.elements.hostProvider.addEventListener('change', () => this.handleHostConfigChange());
+    this.elements.hostApiUrl.addEventListener('change', () => this.handleHostConfigChange());
+    this.elements.botDenylist.addEventListener('change', () => this.handleBotDenylistChange());
+    this.elements.licensePolicy.addEventListener('change', () => this.handleLicensePolicyChange());
     this.elements.refreshBtn.addEventListener('click', () => this.handleRefresh());
+    this.elements.scanBtn.addEventListener('click', () => this.handleScan());
 
     // Initialize cache
     await this.cacheManager.init();
+    await this.cacheManager.cleanupResponses();
   }
 
   normalizeRepoUrl(input) {
@@ -83,6 +120,10 @@ class OSSHealthAnalyzer {
       return input;
     }
     if (input.includes('/') && !input.includes('://')) {
+      // host/owner/repo format (e.g. gitlab.com/group/project)
+      if (input.split('/')[0].includes('.')) {
+        return `https://${input}`;
+      }
       // Assume owner/repo format
       return `https://github.com/${input}`;
     }
@@ -90,36 +131,121 @@ class OSSHealthAnalyzer {
   }
 
   parseRepoUrl(url) {
+    let parsed;
     try {
-      const parsed = new URL(url);
-      if (parsed.hostname !== 'github.com') {
-        throw new Error('Only GitHub repositories are supported');
-      }
+      parsed = new URL(url);
+    } catch {
+      throw new Error('Invalid URL format');
+    }
 
-      const pathParts = parsed.pathname.split('/').filter(Boolean);
-      if (pathParts.length < 2) {
-        throw new Error('Invalid repository URL format');
-      }
+    const forgeHost = resolveForgeHost(parsed.hostname, this.hostSettings.getHosts());
+    if (!forgeHost) {
+      throw new Error(
+        `Unrecognised host ${parsed.hostname}: set its server type under the access token settings ` +
+          '(GitHub, GitLab, Gitea and Forgejo servers are supported)'
+      );
+    }
 
-      return {
-        owner: pathParts[0],
-        repo: pathParts[1].replace('.git', ''),
-      };
-    } catch (err) {
-      if (err.message.includes('GitHub') || err.message.includes('Invalid')) {
-        throw err;
-      }
-      throw new Error('Invalid URL format');
+    let pathParts = parsed.pathname.split('/').filter(Boolean);
+    if (forgeHost.provider === 'github') {
+      pathParts = pathParts.slice(0, 2);
+    } else if (pathParts.includes('-')) {
+      // GitLab project paths may nest groups; "/-/" starts a sub-page (tree, issues, ...)
+      pathParts = pathParts.slice(0, pathParts.indexOf('-'));
+    } else if (forgeHost.provider === 'gitea') {
+      pathParts = pathParts.slice(0, 2);
+    }
+
+    if (pathParts.length < 2) {
+      throw new Error('Invalid repository URL format');
+    }
+
+    return {
+      forgeHost,
+      host: forgeHost.host,
+      owner: pathParts.slice(0, -1).join('/'),
+      repo: pathParts[pathParts.length - 1].replace(/\.git$/, ''),
+    };
+  }
+
+  /**
+   * Get the host of the entered repository URL, defaulting to github.com
+   */
+  getCurrentHost() {
+    try {
+      return new URL(this.normalizeRepoUrl(this.elements.repoUrl.value.trim())).hostname.toLowerCase();
+    } catch {
+      return 'github.com';
     }
   }
 
+  /**
+   * Show the saved token and server settings for the current host
+   */
+  loadHostSettings() {
+    const host = this.getCurrentHost();
+    const config = this.hostSettings.getHosts()[host];
+
+    this.elements.tokenHost.textContent = host;
+    this.elements.githubToken.value = this.hostSettings.getToken(host) || '';
+    this.elements.hostProvider.value = config?.provider || '';
+    this.elements.hostApiUrl.value = config?.apiPath !== undefined ? `${config.baseUrl}${config.apiPath}` : '';
+  }
+
   handleTokenChange(e) {
-    const token = e.target.value.trim();
-    if (token) {
-      localStorage.setItem('github_token', token);
+    this.hostSettings.setToken(this.getCurrentHost(), e.target.value.trim());
+  }
+
+  /**
+   * Save the server type and API URL entered for the current host
+   */
+  handleHostConfigChange() {
+    const host = this.getCurrentHost();
+    const provider = this.elements.hostProvider.value;
+    const apiUrl = this.elements.hostApiUrl.value.trim();
+
+    if (!provider && !apiUrl) {
+      this.hostSettings.setHost(host, null);
+      return;
+    }
+
+    const config = { provider: provider || 'github' };
+    if (apiUrl) {
+      let parsed;
+      try {
+        parsed = new URL(apiUrl);
+      } catch {
+        this.showError('Invalid API URL');
+        return;
+      }
+      config.baseUrl = parsed.origin;
+      config.apiPath = parsed.pathname.replace(/\/$/, '');
+    }
+    this.hostSettings.setHost(host, config);
+  }
+
+  getBotDenylist() {
+    return this.elements.botDenylist.value.split(',').map(login => login.trim()).filter(Boolean);
+  }
+
+  handleBotDenylistChange() {
+    const denylist = this.getBotDenylist();
+    if (denylist.length > 0) {
+      localStorage.setItem('bot_denylist', denylist.join(', '));
     } else {
-      localStorage.removeItem('github_token');
+      localStorage.removeItem('bot_denylist');
     }
+    this.botClassifier = createBotClassifier(denylist);
+  }
+
+  handleLicensePolicyChange() {
+    const policy = this.elements.licensePolicy.value.split(',').map(entry => entry.trim()).filter(Boolean).join(', ');
+    if (policy) {
+      localStorage.setItem('license_policy', policy);
+    } else {
+      localStorage.removeItem('license_policy');
+    }
+    this.licensePolicy = parseLicensePolicy(policy);
   }
 
   async handleSubmit(e) {
@@ -148,9 +274,10 @@ class OSSHealthAnalyzer {
       return;
     }
 
-    // Update URL with repo parameter for sharing
+    // Update URL with repo parameter for sharing (GitHub repos keep the short form)
+    const repoPath = `${repoInfo.owner}/${repoInfo.repo}`;
     const newUrl = new URL(window.location.href);
-    newUrl.searchParams.set('repo', `${repoInfo.owner}/${repoInfo.repo}`);
+    newUrl.searchParams.set('repo', repoInfo.host === 'github.com' ? repoPath : `${repoInfo.host}/${repoPath}`);
     window.history.replaceState({}, '', newUrl);
 
     this.showLoading();
@@ -158,96 +285,175 @@ class OSSHealthAnalyzer {
     this.hideResults();
 
     try {
-      // Initialize GitHub API with optional token
-      const token = this.elements.githubToken.value.trim() || null;
-      this.githubApi = new GitHubApiService(token);
-
-      // Check cache first (unless bypassing)
-      const cacheKey = `${repoInfo.owner}/${repoInfo.repo}`;
-      if (!this.bypassCache) {
-        const cached = await this.cacheManager.get(cacheKey);
-
-        if (cached && !this.isCacheExpired(cached.timestamp)) {
-          this.renderResults(cached.data);
-          this.hideLoading();
-          return;
-        }
-      }
-
-      // Fetch repository data
-      this.updateProgress('Fetching repository information...');
-      const repoData = await this.githubApi.getRepository(repoInfo.owner, repoInfo.repo);
-
-      this.updateProgress('Analyzing commit activity...');
-      const commits = await this.githubApi.getCommits(repoInfo.owner, repoInfo.repo, 90);
-
-      this.updateProgress('Fetching contributor data...');
-      const contributors = await this.githubApi.getContributors(repoInfo.owner, repoInfo.repo);
+      // Supplied Scorecard results and registry snapshots change the metrics, so skip cached results that didn't use them
+      const scorecardFile = this.elements.scorecardFile.files[0] || null;
+      const snapshotFile = this.elements.registrySnapshot.files[0] || null;
+      const registrySnapshot = snapshotFile ? parseRegistrySnapshot(await snapshotFile.text()) : null;
+
+      // The token field holds the token for this host
+      const results = await this.runAnalysis(repoInfo, {
+        token: this.elements.githubToken.value.trim() || null,
+        scorecardFile,
+        registrySnapshot,
+        useCache: !this.bypassCache && !scorecardFile && !snapshotFile,
+      });
 
-      this.updateProgress('Analyzing issues...');
-      const issues = await this.githubApi.getIssues(repoInfo.owner, repoInfo.repo);
+      this.renderResults(results);
+    } catch (err) {
+      console.error('Analysis failed:', err);
+      this.showError(this.formatError(err));
+    } finally {
+      this.hideLoading();
+    }
+  }
 
-      this.updateProgress('Checking pull requests...');
-      const pullRequests = await this.githubApi.getPullRequests(repoInfo.owner, repoInfo.repo);
+  /**
+   * Analyze a repository, reusing cached results when allowed
+   * @param {Object} repoInfo - Result of parseRepoUrl()
+   * @param {Object} options - { token, scorecardFile, registrySnapshot, useCache, onProgress }
+   * @returns {Promise<Object>} Analysis results { repository, metrics, healthScore, excluded, analyzedAt }
+   */
+  async runAnalysis(repoInfo, {
+    token = null,
+    scorecardFile = null,
+    registrySnapshot = null,
+    useCache = true,
+    onProgress = message => this.updateProgress(message),
+  } = {}) {
+    // Check cache first (unless bypassing); results depend on which accounts count as bots
+    // and on the license policy
+    const cacheKey = this.cacheManager.getAnalysisKey(repoInfo.host, repoInfo.owner, repoInfo.repo, {
+      bots: this.getBotDenylist().map(login => login.toLowerCase()).sort().join(','),
+      licenses: [...this.licensePolicy.denied].sort().join(','),
+    });
+    if (useCache) {
+      const cached = await this.cacheManager.get(cacheKey);
+
+      if (cached && !this.isCacheExpired(cached.timestamp)) {
+        return cached.data;
+      }
+    }
 
-      this.updateProgress('Fetching releases...');
-      const releases = await this.githubApi.getReleases(repoInfo.owner, repoInfo.repo);
+    this.forgeProvider = createForgeProvider(repoInfo.forgeHost, {
+      token,
+      scheduler: this.getScheduler(repoInfo.host),
+      responseCache: this.cacheManager,
+    });
+
+    // Show the remaining request budget up front (this endpoint is free)
+    await this.forgeProvider.getRateLimit().catch(() => null);
+
+    // Fetch repository data (batched GraphQL when a token is available)
+    const rawData = await this.forgeProvider.getAnalysisData(repoInfo.owner, repoInfo.repo, {
+      days: 90,
+      onProgress,
+      scorecardFile,
+    });
+    const repoData = rawData.repository;
+
+    onProgress('Calculating metrics...');
+
+    // Only count human activity in people-based metrics
+    const { data, excluded } = excludeBots(rawData, this.botClassifier);
+
+    // Calculate all metrics
+    const metrics = this.metricCalculator.calculateAll(data, {
+      licensePolicy: this.licensePolicy,
+      registrySnapshot,
+    });
+
+    // Calculate health scores
+    const healthScore = this.healthScoreCalculator.calculate(metrics);
+
+    const results = {
+      repository: {
+        owner: repoInfo.owner,
+        name: repoInfo.repo,
+        fullName: `${repoInfo.owner}/${repoInfo.repo}`,
+        description: repoData.description,
+        url: repoData.html_url,
+        stars: repoData.stargazers_count,
+        forks: repoData.forks_count,
+      },
+      metrics,
+      healthScore,
+      excluded,
+      analyzedAt: new Date().toISOString(),
+    };
 
-      this.updateProgress('Checking community health files...');
-      const communityProfile = await this.githubApi.getCommunityProfile(repoInfo.owner, repoInfo.repo);
+    // Cache results, except those scored with a supplied Scorecard file or registry
+    // snapshot, which a plain analysis would otherwise return as its own
+    if (!scorecardFile && !registrySnapshot) {
+      await this.cacheManager.set(cacheKey, {
+        data: results,
+        timestamp: Date.now(),
+      });
+    }
 
-      this.updateProgress('Checking governance documentation...');
-      const governanceFiles = await this.githubApi.getGovernanceFiles(repoInfo.owner, repoInfo.repo);
+    return results;
+  }
 
-      this.updateProgress('Checking OpenSSF Best Practices badge...');
-      const openSSFBadge = await this.githubApi.getOpenSSFBadge(repoInfo.owner, repoInfo.repo);
+  /**
+   * Get the request scheduler of a forge host, shared by every analysis on
+   * that host so rate limit budgets carry over
+   * @param {string} host - Forge host
+   * @returns {RequestScheduler} Scheduler
+   */
+  getScheduler(host) {
+    if (!this.schedulers.has(host)) {
+      this.schedulers.set(host, new RequestScheduler({
+        onStatus: status => this.updateRateLimit(status, host),
+      }));
+    }
+    return this.schedulers.get(host);
+  }
 
-      this.updateProgress('Detecting foundation affiliation...');
-      const foundationAffiliation = await this.githubApi.detectFoundationAffiliation(repoInfo.owner, repoInfo.repo, repoData);
+  /**
+   * Get the requests left on a host's REST or GraphQL budget, whichever is lower
+   * @param {string} host - Forge host
+   * @returns {number|null} Remaining requests, or null until the host has reported its budget
+   */
+  getRemainingBudget(host) {
+    const scheduler = this.schedulers.get(host);
+    const remaining = ['core', 'graphql']
+      .map(resource => scheduler?.getStatus(resource).remaining ?? null)
+      .filter(value => value !== null);
+    return remaining.length > 0 ? Math.min(...remaining) : null;
+  }
 
-      this.updateProgress('Calculating metrics...');
+  async handleScan() {
+    const file = this.elements.dependencyFile.files[0];
+    if (!file) {
+      this.showError('Choose a package.json or package-lock.json to scan');
+      return;
+    }
 
-      // Calculate all metrics
-      const metrics = this.metricCalculator.calculateAll({
-        repository: repoData,
-        commits,
-        contributors,
-        issues,
-        pullRequests,
-        releases,
-        communityProfile,
-        governanceFiles,
-        openSSFBadge,
-        foundationAffiliation,
-      });
+    this.showLoading();
+    this.hideError();
+    this.hideResults();
 
-      // Calculate health scores
-      const healthScore = this.healthScoreCalculator.calculate(metrics);
-
-      const results = {
-        repository: {
-          owner: repoInfo.owner,
-          name: repoInfo.repo,
-          fullName: `${repoInfo.owner}/${repoInfo.repo}`,
-          description: repoData.description,
-          url: repoData.html_url,
-          stars: repoData.stargazers_count,
-          forks: repoData.forks_count,
+    try {
+      const dependencies = parseDependencyFile(file.name, await file.text());
+      const scanner = new DependencyScanner({
+        analyzeRepository: async (url, { onProgress }) => {
+          const repoInfo = this.parseRepoUrl(url);
+          try {
+            return await this.runAnalysis(repoInfo, {
+              token: this.hostSettings.getToken(repoInfo.host) || null,
+              useCache: !this.bypassCache,
+              onProgress,
+            });
+          } catch (err) {
+            throw new Error(this.formatError(err));
+          }
         },
-        metrics,
-        healthScore,
-        analyzedAt: new Date().toISOString(),
-      };
-
-      // Cache results
-      await this.cacheManager.set(cacheKey, {
-        data: results,
-        timestamp: Date.now(),
+        getBudget: host => this.getRemainingBudget(host),
       });
 
-      this.renderResults(results);
+      const scan = await scanner.scan(dependencies, { onProgress: message => this.updateProgress(message) });
+      this.renderScanResults({ file: file.name, packageCount: dependencies.length, ...scan });
     } catch (err) {
-      console.error('Analysis failed:', err);
+      console.error('Dependency scan failed:', err);
       this.showError(this.formatError(err));
     } finally {
       this.hideLoading();
@@ -263,11 +469,11 @@ class OSSHealthAnalyzer {
     if (err.status === 404) {
       return 'Repository not found. Please check the URL and ensure the repository is public.';
     }
-    if (err.status === 403) {
-      return 'Rate limit exceeded. Please add a GitHub token for more requests, or try again later.';
+    if (err.status === 403 || err.status === 429) {
+      return 'Rate limit exceeded. Please add an access token for more requests, or try again later.';
     }
     if (err.status === 401) {
-      return 'Invalid GitHub token. Please check your token and try again.';
+      return 'Invalid access token. Please check your token and try again.';
     }
     return err.message || 'An unexpected error occurred. Please try again.';
   }
@@ -276,16 +482,37 @@ class OSSHealthAnalyzer {
     this.elements.loadingProgress.textContent = message;
   }
 
+  updateRateLimit(status, host) {
+    const element = this.elements.loadingRateLimit;
+
+    if (status.resumeAt) {
+      const resumeTime = status.resumeAt.toLocaleTimeString();
+      element.textContent = status.reason === 'server-error'
+        ? `${host} is having trouble, retrying at ${resumeTime}...`
+        : `Rate limit reached, analysis paused until ${resumeTime}`;
+    } else if (status.remaining !== null) {
+      const label = status.resource === 'core' ? 'API' : status.resource;
+      element.textContent = `${label} budget: ${status.remaining.toLocaleString()} of ${status.limit.toLocaleString()} requests remaining`;
+    } else {
+      return;
+    }
+
+    element.classList.remove('hidden');
+  }
+
   showLoading() {
     this.elements.loadingSection.classList.remove('hidden');
     this.elements.analyzeBtn.classList.add('btn-loading');
     this.elements.analyzeBtn.disabled = true;
+    this.elements.scanBtn.disabled = true;
   }
 
   hideLoading() {
     this.elements.loadingSection.classList.add('hidden');
+    this.elements.loadingRateLimit.classList.add('hidden');
     this.elements.analyzeBtn.classList.remove('btn-loading');
     this.elements.analyzeBtn.disabled = false;
+    this.elements.scanBtn.disabled = false;
   }
 
   showError(message) {
@@ -331,6 +558,15 @@ class OSSHealthAnalyzer {
     this.elements.resultsContainer.appendChild(categoriesContainer);
     this.elements.resultsSection.classList.remove('hidden');
   }
+
+  renderScanResults(scan) {
+    this.elements.resultsContainer.innerHTML = '';
+
+    const table = document.createElement('dependency-risk-table');
+    table.setData(scan);
+    this.elements.resultsContainer.appendChild(table);
+    this.elements.resultsSection.classList.remove('hidden');
+  }
 }
 
 // Initialize app when DOM is ready
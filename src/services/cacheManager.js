@@ -3,13 +3,31 @@
  *
  * IndexedDB-based caching for API responses.
  * Reduces API calls and improves performance.
+ *
+ * Two stores are kept: computed analysis results keyed by repository, and raw
+ * API responses keyed by request URL and token fingerprint together with their
+ * ETag/Last-Modified validators for conditional requests.
  */
 
 import { openDB } from 'idb';
 
 const DB_NAME = 'oss-health-analyzer';
-const DB_VERSION = 1;
+const DB_VERSION = 3;
 const STORE_NAME = 'analysis-cache';
+const RESPONSE_STORE_NAME = 'response-cache';
+
+/**
+ * Fingerprint an access token for response cache keys without storing the token
+ * @param {string|null} token - Access token
+ * @returns {Promise<string>} First 16 hex digits of the token's SHA-256, or 'anonymous'
+ */
+export async function fingerprintToken(token) {
+  if (!token) {
+    return 'anonymous';
+  }
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return [...new Uint8Array(digest)].slice(0, 8).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
 
 export class CacheManager {
   constructor() {
@@ -21,19 +39,48 @@ export class CacheManager {
    */
   async init() {
     this.db = await openDB(DB_NAME, DB_VERSION, {
-      upgrade(db) {
+      upgrade(db, oldVersion, _newVersion, transaction) {
         // Create object store if it doesn't exist
         if (!db.objectStoreNames.contains(STORE_NAME)) {
           const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
           store.createIndex('timestamp', 'timestamp');
         }
+        // Raw API responses (added in version 2)
+        if (!db.objectStoreNames.contains(RESPONSE_STORE_NAME)) {
+          const store = db.createObjectStore(RESPONSE_STORE_NAME, { keyPath: 'url' });
+          store.createIndex('timestamp', 'timestamp');
+        }
+        // Version 2 keyed responses by URL only, so they could be replayed for another token
+        if (oldVersion === 2) {
+          transaction.objectStore(RESPONSE_STORE_NAME).clear();
+        }
       },
     });
   }
 
+  /**
+   * Build the analysis cache key for a repository. The host is part of the
+   * key so identically named repositories on different servers don't collide,
+   * and settings that change the metrics are part of it so results computed
+   * under other settings aren't reused.
+   * @param {string} host - Forge hostname
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} settings - Normalized setting strings by name; empty settings are left out
+   * @returns {string} Cache key (host/owner/repo, followed by ?name=value&... if any settings are set)
+   */
+  getAnalysisKey(host, owner, repo, settings = {}) {
+    const key = `${host.toLowerCase()}/${owner}/${repo}`;
+    const variant = Object.entries(settings)
+      .filter(([, value]) => value)
+      .map(([name, value]) => `${name}=${value}`)
+      .join('&');
+    return variant ? `${key}?${variant}` : key;
+  }
+
   /**
    * Get cached data by key
-   * @param {string} key - Cache key (usually owner/repo)
+   * @param {string} key - Cache key (see getAnalysisKey())
    * @returns {Promise<Object|null>} Cached data or null
    */
   async get(key) {
@@ -84,17 +131,71 @@ export class CacheManager {
     await this.db.clear(STORE_NAME);
   }
 
+  /**
+   * Build the response cache key for a request. Responses fetched with one
+   * token must not be replayed for another token or for anonymous requests.
+   * @param {string} url - Absolute request URL (includes the host)
+   * @param {string} fingerprint - Token fingerprint from fingerprintToken()
+   * @returns {string} Cache key (fingerprint followed by the URL)
+   */
+  getResponseKey(url, fingerprint) {
+    return `${fingerprint} ${url}`;
+  }
+
+  /**
+   * Get a cached raw API response
+   * @param {string} key - Cache key (see getResponseKey())
+   * @returns {Promise<Object|null>} Cached response ({ etag, lastModified, headers, data }) or null
+   */
+  async getResponse(key) {
+    if (!this.db) {
+      await this.init();
+    }
+
+    const record = await this.db.get(RESPONSE_STORE_NAME, key);
+    return record || null;
+  }
+
+  /**
+   * Cache a raw API response with its validators
+   * @param {string} key - Cache key (see getResponseKey())
+   * @param {Object} response - { etag, lastModified, headers, data }
+   */
+  async setResponse(key, response) {
+    if (!this.db) {
+      await this.init();
+    }
+
+    await this.db.put(RESPONSE_STORE_NAME, {
+      url: key,
+      ...response,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Clear all cached raw API responses
+   */
+  async clearResponses() {
+    if (!this.db) {
+      await this.init();
+    }
+
+    await this.db.clear(RESPONSE_STORE_NAME);
+  }
+
   /**
    * Clean up expired entries
    * @param {number} maxAge - Maximum age in milliseconds (default: 1 hour)
+   * @param {string} storeName - Store to clean up (default: analysis results)
    */
-  async cleanup(maxAge = 60 * 60 * 1000) {
+  async cleanup(maxAge = 60 * 60 * 1000, storeName = STORE_NAME) {
     if (!this.db) {
       await this.init();
     }
 
     const cutoff = Date.now() - maxAge;
-    const tx = this.db.transaction(STORE_NAME, 'readwrite');
+    const tx = this.db.transaction(storeName, 'readwrite');
     const index = tx.store.index('timestamp');
 
     let cursor = await index.openCursor();
@@ -108,6 +209,14 @@ export class CacheManager {
     await tx.done;
   }
 
+  /**
+   * Clean up raw API responses that have not been revalidated for a while
+   * @param {number} maxAge - Maximum age in milliseconds (default: 30 days)
+   */
+  async cleanupResponses(maxAge = 30 * 24 * 60 * 60 * 1000) {
+    await this.cleanup(maxAge, RESPONSE_STORE_NAME);
+  }
+
   /**
    * Get all cached keys
    * @returns {Promise<Array<string>>} List of cache keys
@@ -0,0 +1,28 @@
+/**
+ * Cache Manager Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { CacheManager, fingerprintToken } from './cacheManager.js';
+
+describe('CacheManager', () => {
+  describe('response keys', () => {
+    const url = 'https://api.github.com/repos/owner/repo';
+
+    it('should keep responses for different tokens apart', async () => {
+      const cache = new CacheManager();
+      const keys = await Promise.all(['token-a', 'token-b', null].map(async token =>
+        cache.getResponseKey(url, await fingerprintToken(token))));
+
+      expect(new Set(keys).size).toBe(3);
+      expect(keys[2]).toBe(`anonymous ${url}`);
+    });
+
+    it('should not store the token itself', async () => {
+      const fingerprint = await fingerprintToken('ghp_secret');
+
+      expect(fingerprint).toMatch(/^[0-9a-f]{16}$/);
+      expect(fingerprint).toBe(await fingerprintToken('ghp_secret'));
+    });
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Data Preprocessor
+ *
+ * Shared clean-up applied to provider data before metrics are calculated.
+ * Removes bot activity so people-based metrics (contributors, bus factor,
+ * maintainers, responsiveness, ...) only count humans.
+ */
+
+import { defaultBotClassifier } from '../utils/bots.js';
+import { resolveFirstResponses } from '../utils/firstResponse.js';
+
+/**
+ * Remove bot-authored commits, pull requests and issues, bot contributors and
+ * bot mergers from analysis data, and resolve first responses and reviews
+ * from human responders only
+ * @param {Object} data - AnalysisData from a forge provider (not modified)
+ * @param {Object} classifier - Bot classifier from createBotClassifier()
+ * @returns {Object} { data: cleaned AnalysisData, excluded: { commits, pullRequests, issues, contributors } }
+ */
+export function excludeBots(data, classifier = defaultBotClassifier) {
+  const { isBotUser, isBotCommit } = classifier;
+  const isHumanItem = item => !isBotUser(item.user);
+  const withFirstResponses = item => ({ ...item, ...resolveFirstResponses(item, isBotUser) });
+
+  const commits = data.commits.filter(commit => !isBotCommit(commit));
+  const contributors = data.contributors.filter(contributor => !isBotUser(contributor));
+
+  // Pull requests merged by a bot (merge queues, CI robots) say nothing about maintainers
+  const cleanPullRequest = pr => (pr.merged_by && isBotUser(pr.merged_by) ? { ...pr, merged_by: null } : pr);
+  const pullRequests = Object.fromEntries(
+    Object.entries(data.pullRequests).map(([state, prs]) => [state, prs.filter(isHumanItem).map(cleanPullRequest).map(withFirstResponses)])
+  );
+
+  const issues = Object.fromEntries(
+    Object.entries(data.issues).map(([state, items]) => [state, items.filter(isHumanItem).map(withFirstResponses)])
+  );
+
+  return {
+    data: {
+      ...data,
+      commits,
+      contributors,
+      contributorProfiles: data.contributorProfiles?.filter(profile => !isBotUser(profile)),
+      pullRequests,
+      issues,
+    },
+    excluded: {
+      commits: data.commits.length - commits.length,
+      pullRequests: (data.pullRequests.all?.length || 0) - (pullRequests.all?.length || 0),
+      issues: (data.issues.all?.length || 0) - (issues.all?.length || 0),
+      contributors: data.contributors.length - contributors.length,
+    },
+  };
+}
@@ -0,0 +1,69 @@
+/**
+ * Data Preprocessor Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { excludeBots } from './dataPreprocessor.js';
+import { createBotClassifier } from '../utils/bots.js';
+
+const human = { login: 'dev', type: 'User' };
+const bot = { login: 'dependabot[bot]', type: 'Bot' };
+
+function buildData() {
+  const humanPr = { number: 1, user: human, merged_at: '2024-01-02', merged_by: { login: 'mergify', type: 'User' } };
+  const botPr = { number: 2, user: bot, merged_at: '2024-01-02', merged_by: human };
+  return {
+    commits: [
+      { commit: { author: { name: 'Dev' } }, author: human },
+      { commit: { author: { name: 'dependabot[bot]' } }, author: bot },
+    ],
+    contributors: [{ ...human, contributions: 10 }, { ...bot, contributions: 50 }],
+    pullRequests: { open: [], closed: [], merged: [humanPr, botPr], all: [humanPr, botPr] },
+    issues: { open: [{ number: 3, user: bot }], closed: [], all: [{ number: 3, user: bot }] },
+  };
+}
+
+describe('excludeBots', () => {
+  it('should remove bot activity and count what was excluded', () => {
+    const { data, excluded } = excludeBots(buildData());
+
+    expect(data.commits).toHaveLength(1);
+    expect(data.contributors.map(c => c.login)).toEqual(['dev']);
+    expect(data.pullRequests.merged.map(pr => pr.number)).toEqual([1]);
+    expect(data.issues.all).toEqual([]);
+    expect(excluded).toEqual({ commits: 1, pullRequests: 1, issues: 1, contributors: 1 });
+  });
+
+  it('should drop bot mergers so they do not count as maintainers', () => {
+    const { data } = excludeBots(buildData());
+    expect(data.pullRequests.merged[0].merged_by).toBeNull();
+  });
+
+  it('should apply a custom denylist', () => {
+    const { excluded } = excludeBots(buildData(), createBotClassifier(['dev']));
+    expect(excluded.contributors).toBe(2);
+  });
+
+  it('should resolve first responses without denylisted responders', () => {
+    const data = buildData();
+    data.pullRequests.all[0].responders = [
+      { login: 'acme-ci', type: 'User', created_at: '2024-01-01T01:00:00Z' },
+      { login: 'maintainer', type: 'User', created_at: '2024-01-01T03:00:00Z' },
+    ];
+    data.pullRequests.all[0].responders_complete = true;
+    data.pullRequests.all[0].reviewers = [{ login: 'acme-ci', type: 'User', created_at: '2024-01-01T02:00:00Z' }];
+    data.pullRequests.all[0].reviewers_complete = true;
+
+    const pr = excludeBots(data, createBotClassifier(['acme-ci'])).data.pullRequests.all[0];
+
+    expect(pr.first_response_at).toBe('2024-01-01T03:00:00Z');
+    expect(pr.first_review_at).toBeNull();
+    expect(excludeBots(data).data.pullRequests.all[0].first_response_at).toBe('2024-01-01T01:00:00Z');
+  });
+
+  it('should not modify the provider data', () => {
+    const original = buildData();
+    excludeBots(original);
+    expect(original.pullRequests.merged[0].merged_by.login).toBe('mergify');
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Dependency Scanner
+ *
+ * Runs the health analysis on the source repository of every package a
+ * project depends on and ranks the riskiest ones. Packages that share a
+ * repository (monorepos) are analyzed once, and analyses on a forge host stop
+ * before they would eat into the budget reserved for regular analyses.
+ */
+
+import {
+  CRITICAL_DEPENDENCY_METRICS,
+  CRITICAL_METRIC_SCORE,
+  NPM_REGISTRY_URL,
+  SCAN_BUDGET,
+} from '../config/dependencyScan.js';
+import { normalizeRepositoryUrl } from '../utils/dependencies.js';
+
+// Registry lookups run in parallel batches of this size
+const RESOLVE_BATCH_SIZE = 10;
+
+export class DependencyScanner {
+  /**
+   * @param {Object} options - Scanner options
+   * @param {Function} options.analyzeRepository - (repositoryUrl, { onProgress }) => Promise of analysis
+   *   results { metrics, healthScore }
+   * @param {Function} options.getBudget - (host) => requests left on a forge host, or null if not known yet
+   * @param {number} options.reserve - Requests per host to leave for regular analyses
+   * @param {number} options.estimatedCost - Requests one analysis is assumed to need until one has been measured
+   * @param {Function} options.fetch - fetch implementation (overridable for tests)
+   */
+  constructor({
+    analyzeRepository,
+    getBudget = () => null,
+    reserve = SCAN_BUDGET.reserve,
+    estimatedCost = SCAN_BUDGET.estimatedCost,
+    fetch = (...args) => globalThis.fetch(...args),
+  }) {
+    this.analyzeRepository = analyzeRepository;
+    this.getBudget = getBudget;
+    this.reserve = reserve;
+    this.estimatedCost = estimatedCost;
+    this.fetch = fetch;
+
+    // Repository URL lookups by package name, and the most requests an analysis took per host
+    this.repositories = new Map();
+    this.costs = {};
+  }
+
+  /**
+   * Analyze the source repositories of dependencies and rank them by risk
+   * @param {Array<Object>} dependencies - [{ name, versions, dev, direct }] from parseDependencyFile()
+   * @param {Object} [options] - Scan options
+   * @param {Function} [options.onProgress] - Called with progress messages
+   * @returns {Promise<Object>} { ranked, failed, skipped, unresolved }: ranked, failed and skipped list
+   *   { repository, packages, direct, dev, ... } (see rank()), unresolved lists package names
+   */
+  async scan(dependencies, { onProgress = () => {} } = {}) {
+    onProgress(`Finding the repositories of ${dependencies.length} packages...`);
+    const groups = new Map();
+    const unresolved = [];
+
+    for (let i = 0; i < dependencies.length; i += RESOLVE_BATCH_SIZE) {
+      const batch = dependencies.slice(i, i + RESOLVE_BATCH_SIZE);
+      const repositories = await Promise.all(batch.map(dependency => this.resolveRepository(dependency.name)));
+
+      batch.forEach((dependency, j) => {
+        const repository = repositories[j];
+        if (!repository) {
+          unresolved.push(dependency.name);
+          return;
+        }
+        const group = groups.get(repository) || { repository, packages: [], direct: false, dev: true };
+        group.packages.push(dependency.name);
+        group.direct = group.direct || dependency.direct;
+        group.dev = group.dev && dependency.dev;
+        groups.set(repository, group);
+      });
+    }
+
+    // Spend the budget on direct runtime dependencies first
+    const queue = [...groups.values()].sort((a, b) =>
+      Number(b.direct) - Number(a.direct) || Number(a.dev) - Number(b.dev) || b.packages.length - a.packages.length
+    );
+
+    const entries = [];
+    for (const [index, group] of queue.entries()) {
+      const host = new URL(group.repository).hostname;
+      if (!this.hasBudget(host)) {
+        entries.push({ ...group, status: 'skipped' });
+        continue;
+      }
+
+      const label = `Analyzing ${index + 1}/${queue.length} ${group.repository.replace(/^https:\/\//, '')}`;
+      onProgress(label);
+      const before = this.getBudget(host);
+      try {
+        const results = await this.analyzeRepository(group.repository, {
+          onProgress: message => onProgress(`${label}: ${message}`),
+        });
+        entries.push({ ...group, status: 'analyzed', ...this.summarizeAnalysis(results) });
+      } catch (error) {
+        entries.push({ ...group, status: 'failed', error: error.message || String(error) });
+      }
+      this.recordCost(host, before, this.getBudget(host));
+    }
+
+    return { ...this.rank(entries), unresolved };
+  }
+
+  /**
+   * Find the source repository of an npm package
+   * @param {string} name - Package name
+   * @returns {Promise<string|null>} Repository URL, or null if the package doesn't name one
+   */
+  resolveRepository(name) {
+    if (!this.repositories.has(name)) {
+      this.repositories.set(name, this.fetchRepository(name));
+    }
+    return this.repositories.get(name);
+  }
+
+  async fetchRepository(name) {
+    try {
+      // The latest version's manifest is much smaller than the full package document
+      const response = await this.fetch(`${NPM_REGISTRY_URL}/${name}/latest`);
+      if (!response.ok) {
+        return null;
+      }
+      const data = await response.json();
+      return normalizeRepositoryUrl(data.repository);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a host has budget left for another analysis
+   * @param {string} host - Forge host
+   * @returns {boolean} True if the host's budget is unknown or covers an analysis beyond the reserve
+   */
+  hasBudget(host) {
+    const remaining = this.getBudget(host);
+    return remaining === null || remaining - this.reserve >= (this.costs[host] ?? this.estimatedCost);
+  }
+
+  /**
+   * Record how many requests an analysis took
+   * @param {string} host - Forge host
+   * @param {number|null} before - Requests left before the analysis
+   * @param {number|null} after - Requests left after the analysis
+   */
+  recordCost(host, before, after) {
+    // Cached analyses and budget resets during the analysis don't say anything about the cost
+    if (before === null || after === null || after >= before) {
+      return;
+    }
+    this.costs[host] = Math.max(this.costs[host] ?? 0, before - after);
+  }
+
+  /**
+   * Reduce analysis results to the grade and the critical metrics that score poorly
+   * @param {Object} results - Analysis results { metrics, healthScore }
+   * @returns {Object} { score, grade, gradeColor, criticalMetrics: [{ id, name, displayValue, score }] }
+   */
+  summarizeAnalysis({ metrics, healthScore }) {
+    const criticalMetrics = CRITICAL_DEPENDENCY_METRICS
+      .map(id => metrics.find(metric => metric.id === id))
+      .filter(metric => metric && metric.score < CRITICAL_METRIC_SCORE)
+      .map(metric => ({
+        id: metric.id,
+        name: metric.name,
+        displayValue: metric.displayValue,
+        score: Math.round(metric.score),
+      }));
+
+    return {
+      score: healthScore.score,
+      grade: healthScore.grade,
+      gradeColor: healthScore.gradeColor,
+      criticalMetrics,
+    };
+  }
+
+  /**
+   * Rank analyzed dependencies from the riskiest (lowest score, then most critical metrics)
+   * @param {Array<Object>} entries - Scan entries with a status of analyzed, failed or skipped
+   * @returns {Object} { ranked (with rank), failed, skipped }
+   */
+  rank(entries) {
+    const ranked = entries
+      .filter(entry => entry.status === 'analyzed')
+      .sort((a, b) =>
+        a.score - b.score ||
+        b.criticalMetrics.length - a.criticalMetrics.length ||
+        a.repository.localeCompare(b.repository)
+      )
+      .map((entry, index) => ({ ...entry, rank: index + 1 }));
+
+    return {
+      ranked,
+      failed: entries.filter(entry => entry.status === 'failed'),
+      skipped: entries.filter(entry => entry.status === 'skipped'),
+    };
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * Dependency Scanner Tests
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { DependencyScanner } from './dependencyScanner.js';
+
+const REPOSITORIES = {
+  'react': 'https://github.com/facebook/react.git',
+  'react-dom': { type: 'git', url: 'git+https://github.com/facebook/react.git', directory: 'packages/react-dom' },
+  'left-pad': 'stevemao/left-pad',
+  'vitest': 'git+https://github.com/vitest-dev/vitest.git',
+};
+
+function registryFetch(url) {
+  const name = url.replace('https://registry.npmjs.org/', '').replace(/\/latest$/, '');
+  if (!(name in REPOSITORIES)) {
+    return Promise.resolve({ ok: false, status: 404 });
+  }
+  return Promise.resolve({ ok: true, json: async () => ({ name, repository: REPOSITORIES[name] }) });
+}
+
+function analysis(score, metrics = []) {
+  return { healthScore: { score, grade: score < 60 ? 'F' : 'B', gradeColor: score < 60 ? 'grade-f' : 'grade-b' }, metrics };
+}
+
+const dependencies = [
+  { name: 'react', versions: ['18.3.1'], dev: false, direct: true },
+  { name: 'vitest', versions: ['3.2.4'], dev: true, direct: true },
+  { name: 'react-dom', versions: ['18.3.1'], dev: false, direct: false },
+  { name: 'left-pad', versions: ['1.3.0'], dev: false, direct: false },
+  { name: 'internal-only', versions: ['1.0.0'], dev: false, direct: false },
+];
+
+describe('DependencyScanner', () => {
+  it('should analyze each repository once and rank the riskiest first', async () => {
+    const results = {
+      'https://github.com/facebook/react': analysis(85),
+      'https://github.com/stevemao/left-pad': analysis(30, [
+        { id: 'last-activity', name: 'Last Activity', displayValue: '2000 days', score: 0 },
+        { id: 'bus-factor', name: 'Bus Factor', displayValue: '1', score: 55 },
+      ]),
+      'https://github.com/vitest-dev/vitest': analysis(90),
+    };
+    const analyzeRepository = vi.fn(async url => results[url]);
+    const scanner = new DependencyScanner({ analyzeRepository, fetch: registryFetch });
+
+    const scan = await scanner.scan(dependencies);
+
+    expect(analyzeRepository).toHaveBeenCalledTimes(3);
+    // Direct runtime dependencies go first
+    expect(analyzeRepository.mock.calls[0][0]).toBe('https://github.com/facebook/react');
+    expect(scan.ranked.map(entry => [entry.rank, entry.repository])).toEqual([
+      [1, 'https://github.com/stevemao/left-pad'],
+      [2, 'https://github.com/facebook/react'],
+      [3, 'https://github.com/vitest-dev/vitest'],
+    ]);
+    expect(scan.ranked[0].criticalMetrics).toEqual([
+      { id: 'last-activity', name: 'Last Activity', displayValue: '2000 days', score: 0 },
+    ]);
+    expect(scan.ranked[1]).toMatchObject({ packages: ['react', 'react-dom'], direct: true, dev: false });
+    expect(scan.unresolved).toEqual(['internal-only']);
+  });
+
+  it('should record failed analyses', async () => {
+    const scanner = new DependencyScanner({
+      analyzeRepository: async () => {
+        throw new Error('Repository not found');
+      },
+      fetch: registryFetch,
+    });
+
+    const scan = await scanner.scan([dependencies[3]]);
+    expect(scan.ranked).toEqual([]);
+    expect(scan.failed).toMatchObject([{ repository: 'https://github.com/stevemao/left-pad', error: 'Repository not found' }]);
+  });
+
+  it('should skip analyses that would eat into the reserved budget', async () => {
+    let remaining = 400;
+    const scanner = new DependencyScanner({
+      analyzeRepository: async () => {
+        remaining -= 150;
+        return analysis(70);
+      },
+      getBudget: () => remaining,
+      reserve: 100,
+      estimatedCost: 50,
+      fetch: registryFetch,
+    });
+
+    const scan = await scanner.scan(dependencies);
+
+    // 400 -> 250 after the first analysis, which measured a cost of 150: 250 - 100 leaves exactly one more
+    expect(scan.ranked).toHaveLength(2);
+    expect(scan.skipped.map(entry => entry.repository)).toEqual(['https://github.com/stevemao/left-pad']);
+  });
+
+  it('should look up each package once', async () => {
+    const fetch = vi.fn(registryFetch);
+    const scanner = new DependencyScanner({ analyzeRepository: async () => analysis(70), fetch });
+
+    await scanner.resolveRepository('react');
+    expect(await scanner.resolveRepository('react')).toBe('https://github.com/facebook/react');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,567 @@
+/**
+ * Forge Provider
+ *
+ * Base class for code forge API services (GitHub, GitLab, ...).
+ * Every provider returns the same normalized data model from
+ * getAnalysisData(). The model follows the GitHub REST API shapes, which is
+ * what MetricCalculator was written against, so providers for other forges
+ * map their responses into those shapes.
+ */
+
+import { RequestScheduler } from './requestScheduler.js';
+import { COMMUNITY_FILE_DIRECTORIES, COMMUNITY_FILE_PATTERNS, PACKAGE_MANIFESTS } from '../config/repositoryFiles.js';
+import { findChangelogPath, parseChangelogEntries } from '../utils/changelog.js';
+import { parseScorecard } from '../utils/scorecard.js';
+import { findSecurityContacts } from '../utils/securityPolicy.js';
+
+/**
+ * @typedef {Object} AnalysisData
+ * @property {Object} repository - { html_url, description, homepage, stargazers_count, forks_count,
+ *   open_issues_count, pushed_at, updated_at, default_branch, topics, license: { spdx_id, name } | null }
+ * @property {Array<Object>} commits - [{ sha, commit: { message, author: { name, email, date } }, author: { login } | null }]
+ * @property {Array<Object>} contributors - [{ login, contributions }]
+ * @property {Array<Object>} [contributorProfiles] - Top contributors' profiles [{ login, company }]
+ * @property {Object} [firstContributions] - First-ever commit date (ISO) of recent authors, keyed by
+ *   login or lowercased email (see getCommitAuthorKey())
+ * @property {Object} issues - { open, closed, all } of [{ number, state, created_at, updated_at, closed_at, comments, user,
+ *   responders, responders_complete }]
+ * @property {Object} pullRequests - { open, closed, merged, all } of [{ number, state, created_at, merged_at, merged_by, user,
+ *   responders, responders_complete, reviewers, reviewers_complete }]
+ * @property {Array<Object>} releases - [{ tag_name, name, body, published_at, prerelease, draft }]
+ * @property {Array<Object>} [tags] - Most recent tags [{ name, date }]; only fetched over REST when fewer than
+ *   two releases are published
+ * @property {Object} communityProfile - { health_percentage, files: { readme, contributing, code_of_conduct, license, security_policy } }
+ * @property {Object} governanceFiles - { governance, steering, tsc, owners, owners_aliases, maintainers, codeowners }
+ *   of { path, contentLength, content } | null
+ * @property {string|null} [readme] - README content, or null if the repository has none
+ * @property {Object|null} [repositoryTree] - File paths of the default branch { paths, truncated }, or null if unavailable
+ * @property {Object|null} [changelog] - { path, latestEntry: { version, date } | null }, or null if none was found
+ * @property {Array<Object>|null} [manifests] - Package manifests in the repository root [{ path, content }],
+ *   or null if the tree is unavailable
+ * @property {string|null} [pagesUrl] - URL of the forge-hosted documentation site (GitHub Pages)
+ * @property {Object|null} [ci] - Default-branch CI results { source, workflows, runs: [{ name, conclusion,
+ *   created_at, started_at, completed_at }] }, or null if not accessible
+ * @property {Object} [securitySettings] - { branchProtection: { requiredReviews, statusChecks, forcePushBlocked,
+ *   signedCommits }, securityFeatures: { dependabotAlerts, dependabotSecurityUpdates, secretScanning,
+ *   secretScanningPushProtection } }, with null for settings the token can't see
+ * @property {Array<Object>|null} [securityAdvisories] - Published security advisories [{ ghsa_id, cve_id, severity,
+ *   published_at, patched_versions: [string] }], or null if not accessible
+ * @property {Object} [vulnerabilityReporting] - { privateReporting, policyPath, contacts: [{ type, value }] };
+ *   privateReporting is null if it can't be read and undefined if the forge has no such setting,
+ *   contacts is null without a security policy and undefined if the policy couldn't be found
+ * @property {Object} openSSFBadge - { found, source, level }
+ * @property {Object|null} [scorecard] - OpenSSF Scorecard result { source, repo, commit, date, version, score,
+ *   checks: [{ name, score, reason, url }] }, or null if the repository hasn't been scanned
+ * @property {Object} foundationAffiliation - { foundation, level, confidence, source }
+ *
+ * responders are the comment, review and event authors of an item
+ * [{ login, type, created_at }], or undefined if the provider didn't collect them;
+ * responders_complete is false if the listing may miss responses. reviewers and
+ * reviewers_complete follow the same convention for pull request reviews.
+ * excludeBots() resolves them into first_response_at and first_review_at: the
+ * time of the first non-author, non-bot response, null if nobody has responded,
+ * or undefined if unknown.
+ */
+
+// Organizations whose repositories belong to a foundation (highest confidence)
+const ORG_AFFILIATIONS = {
+  'apache': { foundation: 'apache', level: 'tlp', confidence: 100 },
+  'kubernetes': { foundation: 'cncf', level: 'graduated', confidence: 100 },
+  'cncf': { foundation: 'cncf', level: 'member', confidence: 95 },
+  'linux-foundation': { foundation: 'linux-foundation', level: 'member', confidence: 100 },
+  'lfai': { foundation: 'linux-foundation', level: 'lfai-data', confidence: 100 },
+  'lf-edge': { foundation: 'linux-foundation', level: 'lf-edge', confidence: 100 },
+  'openjs-foundation': { foundation: 'openjs', level: 'member', confidence: 100 },
+  'eclipse': { foundation: 'eclipse', level: 'member', confidence: 100 },
+  'eclipse-ee4j': { foundation: 'eclipse', level: 'member', confidence: 100 },
+  // LF AI & Data Foundation projects
+  'mlflow': { foundation: 'linux-foundation', level: 'lfai-data', confidence: 100 },
+  'onnx': { foundation: 'linux-foundation', level: 'lfai-data', confidence: 100 },
+  'milvus-io': { foundation: 'linux-foundation', level: 'lfai-data', confidence: 100 },
+  'feast-dev': { foundation: 'linux-foundation', level: 'lfai-data', confidence: 100 },
+};
+
+// Hosts whose public repositories the OpenSSF Scorecard API scans
+const SCORECARD_API_HOSTS = ['github.com', 'gitlab.com'];
+
+// Public hosts whose repository URLs are looked up on bestpractices.dev; other
+// hosts are self-hosted, so their (possibly internal) names stay private and
+// can't be mistaken for a public project with the same path
+const BEST_PRACTICES_API_HOSTS = ['github.com', 'gitlab.com', 'codeberg.org'];
+
+const TOPIC_AFFILIATIONS = {
+  'cncf-graduated': { foundation: 'cncf', level: 'graduated', confidence: 95 },
+  'cncf-incubating': { foundation: 'cncf', level: 'incubating', confidence: 95 },
+  'cncf-sandbox': { foundation: 'cncf', level: 'sandbox', confidence: 95 },
+  'linux-foundation': { foundation: 'linux-foundation', level: 'member', confidence: 90 },
+  'lfai': { foundation: 'linux-foundation', level: 'lfai-data', confidence: 90 },
+  'apache': { foundation: 'apache', level: 'tlp', confidence: 85 },
+  'openjs': { foundation: 'openjs', level: 'member', confidence: 85 },
+  'eclipse': { foundation: 'eclipse', level: 'member', confidence: 85 },
+};
+
+export class ForgeProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {RequestScheduler} options.scheduler - Scheduler that paces requests and handles rate limits
+   */
+  constructor({ scheduler = new RequestScheduler() } = {}) {
+    this.scheduler = scheduler;
+  }
+
+  /**
+   * Fetch everything MetricCalculator.calculateAll() needs for a repository
+   * @param {string} _owner - Repository owner (namespace)
+   * @param {string} _repo - Repository name
+   * @param {Object} _options - { days, onProgress, scorecardFile }; scorecardFile is a
+   *   user-supplied Scorecard JSON file (File or Blob) used instead of the public API
+   * @returns {Promise<AnalysisData>} Normalized analysis data
+   */
+  async getAnalysisData(_owner, _repo, _options = {}) {
+    throw new Error(`${this.constructor.name} does not implement getAnalysisData()`);
+  }
+
+  /**
+   * Get rate limit status, if the forge exposes one
+   * @returns {Promise<Object|null>} Rate limit information
+   */
+  async getRateLimit() {
+    return null;
+  }
+
+  /**
+   * Get how many of `count` optional requests fit in the remaining rate limit
+   * budget while keeping `reserve` requests for the rest of the analysis.
+   * Optional per-item lookups are cut short this way instead of pausing the
+   * analysis until the limit resets. While the budget is unknown (before the
+   * first response, or on hosts without rate limit headers) all of them fit.
+   * @param {number} count - Number of optional requests
+   * @param {Object} options - { reserve: requests to keep, resource: rate limit resource }
+   * @returns {number} Number of requests to make
+   */
+  getAffordableRequests(count, { reserve = 0, resource = 'core' } = {}) {
+    const { remaining } = this.scheduler.getStatus(resource);
+    if (remaining === null) {
+      return count;
+    }
+    return Math.max(0, Math.min(count, remaining - reserve));
+  }
+
+  /**
+   * Get the most recent tags of a repository
+   * @param {string} _owner - Repository owner (namespace)
+   * @param {string} _repo - Repository name
+   * @param {number} _limit - Maximum number of tags to fetch
+   * @returns {Promise<Array<Object>>} [{ name, date }]
+   */
+  async getTags(_owner, _repo, _limit) {
+    throw new Error(`${this.constructor.name} does not implement getTags()`);
+  }
+
+  // ============================================================================
+  // HTTP HELPERS (for fetch-based providers)
+  // ============================================================================
+
+  /**
+   * Headers sent with every request (e.g. authentication)
+   * @returns {Object} Request headers
+   */
+  getRequestHeaders() {
+    return {};
+  }
+
+  /**
+   * Perform a GET request against the provider's API through the scheduler
+   * @param {string} path - Path relative to this.apiUrl
+   * @param {Object} params - Query parameters
+   * @param {Object} options - { raw: return text instead of JSON }
+   * @returns {Promise<Object>} Response { status, headers, data }
+   */
+  async request(path, params = {}, { raw = false } = {}) {
+    const url = new URL(`${this.apiUrl}${path}`);
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, value);
+      }
+    }
+
+    return this.scheduler.schedule(async () => {
+      const response = await fetch(url, { headers: this.getRequestHeaders() });
+      const headers = this.normalizeHeaders(response.headers);
+
+      if (!response.ok) {
+        const error = new Error(`${response.status} ${response.statusText} for ${url.pathname}`);
+        error.status = response.status;
+        error.response = { headers };
+        throw error;
+      }
+
+      const data = raw ? await response.text() : await response.json();
+      return { status: response.status, headers, data };
+    });
+  }
+
+  /**
+   * Fetch all pages of a list endpoint by following Link rel="next" headers
+   * @param {string} path - Path relative to this.apiUrl
+   * @param {Object} params - Query parameters
+   * @param {number} limit - Maximum number of items to return
+   * @returns {Promise<Array>} Items
+   */
+  async paginate(path, params = {}, limit = Infinity) {
+    const items = [];
+    let response = await this.request(path, params);
+
+    for (;;) {
+      items.push(...response.data);
+      const next = response.headers.link?.match(/<([^>]+)>;\s*rel="next"/)?.[1];
+      if (!next || items.length >= limit) {
+        break;
+      }
+      const nextUrl = new URL(next);
+      response = await this.request(path, Object.fromEntries(nextUrl.searchParams));
+    }
+
+    return items.slice(0, limit);
+  }
+
+  /**
+   * Convert fetch Headers to a plain object, mapping forge-specific rate limit
+   * headers (RateLimit-*) to the x-ratelimit-* names the scheduler tracks
+   * @param {Headers} headers - Response headers
+   * @returns {Object} Lowercased header map
+   */
+  normalizeHeaders(headers) {
+    const result = {};
+    for (const [key, value] of headers) {
+      result[key.toLowerCase()] = value;
+    }
+    for (const name of ['limit', 'remaining', 'reset']) {
+      if (result[`x-ratelimit-${name}`] === undefined && result[`ratelimit-${name}`] !== undefined) {
+        result[`x-ratelimit-${name}`] = result[`ratelimit-${name}`];
+      }
+    }
+    return result;
+  }
+
+  // ============================================================================
+  // SHARED ANALYSIS HELPERS
+  // ============================================================================
+
+  /**
+   * Build a GitHub-style community profile from a list of repository file paths
+   * @param {Array<string>} paths - File paths found in the repository
+   * @returns {Object} { health_percentage, files }
+   */
+  buildCommunityProfile(paths) {
+    const files = {};
+    for (const [key, pattern] of Object.entries(COMMUNITY_FILE_PATTERNS)) {
+      const path = paths.find(p => pattern.test(p.split('/').pop()));
+      files[key] = path ? { path } : null;
+    }
+
+    const found = Object.values(files).filter(Boolean).length;
+    return {
+      health_percentage: Math.round((found / Object.keys(files).length) * 100),
+      files,
+    };
+  }
+
+  /**
+   * Find the security policy in the repository tree (root, docs or forge directory)
+   * @param {Object|null} tree - Repository tree { paths, truncated }
+   * @returns {Object|null|undefined} { path }, null if there is none, or undefined if the tree is unavailable
+   */
+  findSecurityPolicy(tree) {
+    if (!tree) {
+      return undefined;
+    }
+
+    const paths = tree.paths.filter(path => COMMUNITY_FILE_DIRECTORIES.includes(path.split('/').slice(0, -1).join('/')));
+    return this.buildCommunityProfile(paths).files.security_policy || (tree.truncated ? undefined : null);
+  }
+
+  /**
+   * Read the security policy and find the private channels it offers for reporting vulnerabilities
+   * @param {string} owner - Repository owner (namespace)
+   * @param {string} repo - Repository name
+   * @param {Object|null|undefined} securityPolicy - { path } of the policy, null if there is none
+   * @param {boolean|null|undefined} privateReporting - Forge-side private vulnerability reporting setting
+   * @returns {Promise<Object>} { privateReporting, policyPath, contacts }
+   */
+  async getVulnerabilityReporting(owner, repo, securityPolicy, privateReporting = undefined) {
+    if (!securityPolicy?.path) {
+      return { privateReporting, policyPath: null, contacts: securityPolicy === null ? null : undefined };
+    }
+
+    const content = await this.getFileContent(owner, repo, securityPolicy.path);
+    return {
+      privateReporting,
+      policyPath: securityPolicy.path,
+      contacts: content === null ? null : findSecurityContacts(content),
+    };
+  }
+
+  /**
+   * Read the package manifests in the repository root
+   * @param {string} owner - Repository owner (namespace)
+   * @param {string} repo - Repository name
+   * @param {Object|null} tree - Repository tree { paths, truncated }
+   * @returns {Promise<Array<Object>|null>} [{ path, content }], or null if the tree is unavailable
+   */
+  async getManifests(owner, repo, tree) {
+    if (!tree) {
+      return null;
+    }
+
+    const manifests = await Promise.all(
+      PACKAGE_MANIFESTS.filter(path => tree.paths.includes(path))
+        .map(async path => ({ path, content: await this.getFileContent(owner, repo, path) }))
+    );
+    return manifests.filter(manifest => manifest.content !== null);
+  }
+
+  /**
+   * Get tags for projects that tag versions without publishing releases
+   * @param {string} owner - Repository owner (namespace)
+   * @param {string} repo - Repository name
+   * @param {Array<Object>} releases - Normalized releases
+   * @returns {Promise<Array<Object>>} [{ name, date }], or [] if at least two releases are published
+   */
+  async getReleaseTags(owner, repo, releases) {
+    if (releases.filter(release => !release.draft).length >= 2) {
+      return [];
+    }
+    return this.getTags(owner, repo);
+  }
+
+  /**
+   * Find the changelog in the repository tree and read its latest entry
+   * @param {string} owner - Repository owner (namespace)
+   * @param {string} repo - Repository name
+   * @param {Object|null} tree - Repository tree { paths, truncated }
+   * @returns {Promise<Object|null>} { path, latestEntry } or null if there is no changelog
+   */
+  async getChangelog(owner, repo, tree) {
+    const path = tree ? findChangelogPath(tree.paths) : null;
+    if (!path) {
+      return null;
+    }
+
+    const content = await this.getFileContent(owner, repo, path);
+    return { path, latestEntry: parseChangelogEntries(content, 1)[0] || null };
+  }
+
+  /**
+   * Look up OpenSSF Best Practices badge status for a repository URL
+   * @param {string} repoUrl - Repository URL (web page, as in repository.html_url)
+   * @param {Function} loadReadme - Returns a promise for the README content (only called if needed)
+   * @returns {Promise<Object>} OpenSSF badge data
+   */
+  async lookupOpenSSFBadge(repoUrl, loadReadme) {
+    // Try OpenSSF API first (public hosts only)
+    if (BEST_PRACTICES_API_HOSTS.includes(new URL(repoUrl).hostname)) {
+      try {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), 5000);
+
+        const response = await fetch(
+          `https://www.bestpractices.dev/projects.json?url=${encodeURIComponent(repoUrl)}`,
+          { signal: controller.signal }
+        );
+        clearTimeout(timeout);
+
+        if (response.ok) {
+          const data = await response.json();
+          if (data && data.length > 0) {
+            const project = data[0];
+            // Map badge_level to our levels
+            // OpenSSF returns: in_progress, passing, silver, gold
+            const level = project.badge_level || 'in_progress';
+            return {
+              found: true,
+              source: 'api',
+              level: level,
+              projectId: project.id,
+              percentComplete: project.badge_percentage_0 || 0,
+            };
+          }
+        }
+      } catch {
+        // API failed or timed out, fall back to README
+      }
+    }
+
+    // Fallback: Check README for badge
+    try {
+      const readme = await loadReadme();
+      if (readme) {
+        // Check for OpenSSF badge patterns
+        const badgePatterns = [
+          /bestpractices\.dev\/projects\/(\d+)\/badge/,
+          /cii-best-practices-badge.*?(\d+)/,
+          /openssf.*?badge/i,
+        ];
+
+        for (const pattern of badgePatterns) {
+          const match = readme.match(pattern);
+          if (match) {
+            // Try to determine level from badge URL or surrounding text
+            if (readme.includes('gold')) {
+              return { found: true, source: 'readme', level: 'gold' };
+            } else if (readme.includes('silver')) {
+              return { found: true, source: 'readme', level: 'silver' };
+            } else if (readme.includes('passing')) {
+              return { found: true, source: 'readme', level: 'passing' };
+            }
+            return { found: true, source: 'readme', level: 'in_progress' };
+          }
+        }
+      }
+    } catch {
+      // README check failed
+    }
+
+    return { found: false, source: null, level: 'none' };
+  }
+
+  /**
+   * Get OpenSSF Scorecard results, from a user-supplied file or the public API
+   * @param {string} repoUrl - Public repository URL
+   * @param {Blob|null} scorecardFile - Output of `scorecard --format json`; the API isn't queried when given
+   * @returns {Promise<Object|null>} Parsed Scorecard result with its source ('file' or 'api'),
+   *   or null if the repository hasn't been scanned
+   * @throws {Error} If the file isn't a Scorecard result for this repository
+   */
+  async getOpenSSFScorecard(repoUrl, scorecardFile = null) {
+    const { hostname, pathname } = new URL(repoUrl);
+    const project = `${hostname}${pathname.replace(/\/$/, '')}`.toLowerCase();
+
+    if (scorecardFile) {
+      let data;
+      try {
+        data = JSON.parse(await scorecardFile.text());
+      } catch {
+        throw new Error('The Scorecard file is not valid JSON');
+      }
+
+      const scorecard = parseScorecard(data);
+      if (scorecard.repo && scorecard.repo.toLowerCase() !== project) {
+        throw new Error(`The Scorecard file is for ${scorecard.repo}, not ${project}`);
+      }
+      return { source: 'file', ...scorecard };
+    }
+
+    if (!SCORECARD_API_HOSTS.includes(hostname)) {
+      return null;
+    }
+
+    try {
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), 5000);
+
+      const response = await fetch(`https://api.securityscorecards.dev/projects/${project}`, {
+        signal: controller.signal,
+      });
+      clearTimeout(timeout);
+
+      if (response.ok) {
+        return { source: 'api', ...parseScorecard(await response.json()) };
+      }
+    } catch {
+      // API unreachable (e.g. offline) or returned something else
+    }
+
+    return null;
+  }
+
+  /**
+   * Detect foundation affiliation from the owner, repository metadata and README
+   * @param {string} owner - Repository owner (namespace)
+   * @param {Object} repoData - Normalized repository data
+   * @param {Function} loadReadme - Returns a promise for the README content (only called if needed)
+   * @returns {Promise<Object>} Foundation affiliation data
+   */
+  async detectFoundation(owner, repoData, loadReadme) {
+    const result = {
+      foundation: null,
+      level: null,
+      confidence: 0,
+      source: null,
+    };
+
+    // 1. Check organization (highest confidence)
+    const ownerLower = owner.split('/')[0].toLowerCase();
+    if (ORG_AFFILIATIONS[ownerLower]) {
+      return {
+        ...ORG_AFFILIATIONS[ownerLower],
+        source: 'organization',
+      };
+    }
+
+    // 2. Check repository topics (high confidence)
+    const topics = repoData.topics || [];
+
+    for (const topic of topics) {
+      const topicLower = topic.toLowerCase();
+      if (TOPIC_AFFILIATIONS[topicLower]) {
+        return {
+          ...TOPIC_AFFILIATIONS[topicLower],
+          source: 'topic',
+        };
+      }
+    }
+
+    // 3. Check README for foundation mentions (moderate confidence)
+    try {
+      const readme = await loadReadme();
+      if (readme) {
+        const readmePatterns = [
+          { pattern: /linux foundation ai|lfai|lf ai & data/i, foundation: 'linux-foundation', level: 'lfai-data', confidence: 85 },
+          { pattern: /cloud native computing foundation|cncf/i, foundation: 'cncf', level: 'member', confidence: 80 },
+          { pattern: /apache software foundation/i, foundation: 'apache', level: 'tlp', confidence: 80 },
+          { pattern: /linux foundation/i, foundation: 'linux-foundation', level: 'member', confidence: 75 },
+          { pattern: /openjs foundation/i, foundation: 'openjs', level: 'member', confidence: 80 },
+          { pattern: /eclipse foundation/i, foundation: 'eclipse', level: 'member', confidence: 80 },
+        ];
+
+        // Also check for CNCF badge images
+        if (readme.includes('cncf.io') || readme.includes('landscapeapp.io')) {
+          const cncfMatch = readme.match(/cncf.*?(graduated|incubating|sandbox)/i);
+          if (cncfMatch) {
+            return {
+              foundation: 'cncf',
+              level: cncfMatch[1].toLowerCase(),
+              confidence: 85,
+              source: 'readme_badge',
+            };
+          }
+        }
+
+        for (const { pattern, foundation, level, confidence } of readmePatterns) {
+          if (pattern.test(readme)) {
+            return { foundation, level, confidence, source: 'readme' };
+          }
+        }
+      }
+    } catch {
+      // README check failed
+    }
+
+    // 4. Check description and homepage (lower confidence)
+    if (repoData.description) {
+      const descLower = repoData.description.toLowerCase();
+      if (descLower.includes('cncf') || descLower.includes('cloud native')) {
+        return { foundation: 'cncf', level: 'member', confidence: 70, source: 'description' };
+      }
+      if (descLower.includes('apache')) {
+        return { foundation: 'apache', level: 'tlp', confidence: 70, source: 'description' };
+      }
+      if (descLower.includes('linux foundation') || descLower.includes('lfai')) {
+        return { foundation: 'linux-foundation', level: 'member', confidence: 70, source: 'description' };
+      }
+    }
+
+    return result;
+  }
+}
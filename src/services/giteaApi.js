@@ -0,0 +1,434 @@
+/**
+ * Gitea API Service
+ *
+ * Forge provider for Gitea and Forgejo instances (Codeberg, gitea.com,
+ * self-hosted) using the /api/v1 REST API. Gitea responses are close to the
+ * GitHub REST shapes; the mappers below fill in the differences.
+ */
+
+import { ForgeProvider } from './forgeProvider.js';
+import { RequestScheduler } from './requestScheduler.js';
+import { COMMUNITY_FILE_DIRECTORIES, GOVERNANCE_FILE_CHECKS } from '../config/repositoryFiles.js';
+
+// Gitea caps page sizes at 50 by default
+const PAGE_SIZE = 50;
+
+/**
+ * Map a Gitea user to the normalized user shape
+ */
+export function mapGiteaUser(user) {
+  if (!user) {
+    return null;
+  }
+  return {
+    login: user.login || user.username,
+    type: 'User',
+  };
+}
+
+/**
+ * Map a Gitea repository to the normalized repository shape
+ */
+export function mapGiteaRepository(repository) {
+  // Gitea 1.22+/Forgejo report detected licenses as SPDX identifiers
+  const spdxId = repository.licenses?.[0] || null;
+
+  return {
+    name: repository.name,
+    full_name: repository.full_name,
+    description: repository.description,
+    html_url: repository.html_url,
+    homepage: repository.website || null,
+    stargazers_count: repository.stars_count,
+    forks_count: repository.forks_count,
+    // GitHub counts open pull requests as open issues too
+    open_issues_count: (repository.open_issues_count || 0) + (repository.open_pr_counter || 0),
+    created_at: repository.created_at,
+    updated_at: repository.updated_at,
+    pushed_at: repository.updated_at,
+    archived: repository.archived,
+    default_branch: repository.default_branch || null,
+    topics: repository.topics || [],
+    license: spdxId ? { key: spdxId.toLowerCase(), name: spdxId, spdx_id: spdxId } : null,
+  };
+}
+
+/**
+ * Map a Gitea commit to the normalized commit shape
+ */
+export function mapGiteaCommit(commit) {
+  return {
+    sha: commit.sha,
+    html_url: commit.html_url,
+    commit: {
+      message: commit.commit?.message,
+      author: {
+        name: commit.commit?.author?.name,
+        email: commit.commit?.author?.email,
+        date: commit.commit?.author?.date || commit.created,
+      },
+    },
+    author: mapGiteaUser(commit.author),
+  };
+}
+
+/**
+ * Map a Gitea issue to the normalized issue shape
+ */
+export function mapGiteaIssue(issue) {
+  return {
+    number: issue.number,
+    title: issue.title,
+    state: issue.state,
+    created_at: issue.created_at,
+    updated_at: issue.updated_at,
+    closed_at: issue.closed_at,
+    html_url: issue.html_url,
+    comments: issue.comments || 0,
+    user: mapGiteaUser(issue.user),
+  };
+}
+
+/**
+ * Map a Gitea pull request to the normalized pull request shape
+ */
+export function mapGiteaPullRequest(pullRequest) {
+  return {
+    number: pullRequest.number,
+    title: pullRequest.title,
+    state: pullRequest.state,
+    created_at: pullRequest.created_at,
+    updated_at: pullRequest.updated_at,
+    closed_at: pullRequest.closed_at,
+    merged_at: pullRequest.merged ? pullRequest.merged_at : null,
+    html_url: pullRequest.html_url,
+    user: mapGiteaUser(pullRequest.user),
+    merged_by: mapGiteaUser(pullRequest.merged_by),
+  };
+}
+
+/**
+ * Map a Gitea release to the normalized release shape
+ */
+export function mapGiteaRelease(release) {
+  return {
+    tag_name: release.tag_name,
+    name: release.name,
+    body: release.body,
+    html_url: release.html_url,
+    published_at: release.published_at,
+    created_at: release.created_at,
+    prerelease: release.prerelease,
+    draft: release.draft,
+  };
+}
+
+/**
+ * Map a Gitea tag to { name, date } (the date of the tagged commit)
+ */
+export function mapGiteaTag(tag) {
+  return {
+    name: tag.name,
+    date: tag.commit?.created || null,
+  };
+}
+
+/**
+ * Aggregate commits into contributors (Gitea has no contributors endpoint)
+ * @param {Array<Object>} commits - Normalized commits
+ * @returns {Array<Object>} Contributors sorted by contributions
+ */
+export function contributorsFromCommits(commits) {
+  const counts = new Map();
+  for (const commit of commits) {
+    const login = commit.author?.login || commit.commit.author.name || commit.commit.author.email;
+    if (!login) {
+      continue;
+    }
+    counts.set(login, (counts.get(login) || 0) + 1);
+  }
+
+  return [...counts.entries()]
+    .map(([login, contributions]) => ({ login, contributions }))
+    .sort((a, b) => b.contributions - a.contributions);
+}
+
+export class GiteaApiService extends ForgeProvider {
+  /**
+   * @param {string|null} token - Optional access token for the instance
+   * @param {Object} options - Service options
+   * @param {string} options.apiUrl - API base URL (https://host/api/v1)
+   * @param {RequestScheduler} options.scheduler - Scheduler that paces requests and handles rate limits
+   */
+  constructor(token = null, { apiUrl = 'https://codeberg.org/api/v1', scheduler = new RequestScheduler() } = {}) {
+    super({ scheduler });
+    this.apiUrl = apiUrl.replace(/\/$/, '');
+    this.token = token;
+  }
+
+  getRequestHeaders() {
+    return this.token ? { Authorization: `token ${this.token}` } : {};
+  }
+
+  repoPath(owner, repo) {
+    return `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+  }
+
+  async getAnalysisData(owner, repo, { days = 90, onProgress = () => {}, scorecardFile = null } = {}) {
+    onProgress('Fetching repository information...');
+    const repository = await this.getRepository(owner, repo);
+
+    onProgress('Analyzing commit activity...');
+    const commits = await this.getCommits(owner, repo, days);
+
+    onProgress('Fetching contributor data...');
+    const contributors = await this.getContributors(owner, repo);
+
+    onProgress('Analyzing issues...');
+    const issues = await this.getIssues(owner, repo, days);
+
+    onProgress('Checking pull requests...');
+    const pullRequests = await this.getPullRequests(owner, repo);
+
+    onProgress('Fetching releases...');
+    const releases = await this.getReleases(owner, repo);
+    const tags = await this.getReleaseTags(owner, repo, releases);
+
+    onProgress('Checking community health and governance files...');
+    const paths = await this.listFilePaths(owner, repo);
+    const communityProfile = this.buildCommunityProfile(paths);
+    const governanceFiles = await this.getGovernanceFiles(owner, repo, paths);
+    const readmePath = communityProfile.files.readme?.path;
+    const readme = readmePath ? await this.getFileContent(owner, repo, readmePath) : null;
+
+    onProgress('Scanning repository files...');
+    const repositoryTree = await this.getRepositoryTree(owner, repo, repository.default_branch);
+    const changelog = await this.getChangelog(owner, repo, repositoryTree);
+    const manifests = await this.getManifests(owner, repo, repositoryTree);
+
+    onProgress('Reading security policy...');
+    const vulnerabilityReporting = await this.getVulnerabilityReporting(owner, repo, communityProfile.files.security_policy);
+
+    onProgress('Checking OpenSSF Best Practices badge...');
+    const openSSFBadge = await this.lookupOpenSSFBadge(repository.html_url, async () => readme);
+
+    onProgress('Fetching OpenSSF Scorecard results...');
+    const scorecard = await this.getOpenSSFScorecard(repository.html_url, scorecardFile);
+
+    onProgress('Detecting foundation affiliation...');
+    const foundationAffiliation = await this.detectFoundation(owner, repository, async () => readme);
+
+    return {
+      repository,
+      commits,
+      contributors,
+      issues,
+      pullRequests,
+      releases,
+      tags,
+      communityProfile,
+      governanceFiles,
+      readme,
+      repositoryTree,
+      changelog,
+      manifests,
+      vulnerabilityReporting,
+      openSSFBadge,
+      scorecard,
+      foundationAffiliation,
+    };
+  }
+
+  async getRepository(owner, repo) {
+    const { data } = await this.request(this.repoPath(owner, repo));
+    return mapGiteaRepository(data);
+  }
+
+  async getCommits(owner, repo, days = 90) {
+    const since = new Date();
+    since.setDate(since.getDate() - days);
+
+    try {
+      const commits = await this.paginate(`${this.repoPath(owner, repo)}/commits`, {
+        since: since.toISOString(),
+        stat: false,
+        verification: false,
+        files: false,
+        limit: PAGE_SIZE,
+      });
+      return commits.map(mapGiteaCommit);
+    } catch (error) {
+      // Empty repositories answer 409 like GitHub
+      if (error.status === 409 || error.status === 404) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get contributors derived from recent commit history
+   * @param {number} limit - Maximum number of commits to aggregate
+   */
+  async getContributors(owner, repo, limit = 500) {
+    try {
+      const commits = await this.paginate(`${this.repoPath(owner, repo)}/commits`, {
+        stat: false,
+        verification: false,
+        files: false,
+        limit: PAGE_SIZE,
+      }, limit);
+      return contributorsFromCommits(commits.map(mapGiteaCommit));
+    } catch (error) {
+      if (error.status === 409 || error.status === 404) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async getIssues(owner, repo, days = 90, limit = 100) {
+    const since = new Date();
+    since.setDate(since.getDate() - days);
+    const path = `${this.repoPath(owner, repo)}/issues`;
+
+    const open = await this.paginate(path, { state: 'open', type: 'issues', limit: PAGE_SIZE }, limit);
+    const closed = await this.paginate(path, {
+      state: 'closed',
+      type: 'issues',
+      since: since.toISOString(),
+      limit: PAGE_SIZE,
+    }, limit);
+
+    const openIssues = open.map(mapGiteaIssue);
+    const closedIssues = closed.map(mapGiteaIssue);
+
+    return {
+      open: openIssues,
+      closed: closedIssues,
+      all: [...openIssues, ...closedIssues],
+    };
+  }
+
+  async getPullRequests(owner, repo, limit = 100) {
+    const pulls = await this.paginate(`${this.repoPath(owner, repo)}/pulls`, {
+      state: 'all',
+      sort: 'recentupdate',
+      limit: PAGE_SIZE,
+    }, limit);
+
+    const prs = pulls.map(mapGiteaPullRequest);
+    return {
+      open: prs.filter(pr => pr.state === 'open'),
+      closed: prs.filter(pr => pr.state === 'closed' && !pr.merged_at),
+      merged: prs.filter(pr => pr.merged_at),
+      all: prs,
+    };
+  }
+
+  async getReleases(owner, repo, limit = 20) {
+    try {
+      const { data } = await this.request(`${this.repoPath(owner, repo)}/releases`, { limit });
+      return data.map(mapGiteaRelease);
+    } catch (error) {
+      if (error.status === 404) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async getTags(owner, repo, limit = 20) {
+    try {
+      const { data } = await this.request(`${this.repoPath(owner, repo)}/tags`, { limit });
+      return data.map(mapGiteaTag);
+    } catch (error) {
+      if (error.status === 404) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List file paths in the directories where community and governance files live
+   * @returns {Promise<Array<string>>} File paths
+   */
+  async listFilePaths(owner, repo) {
+    const governanceDirectories = GOVERNANCE_FILE_CHECKS
+      .flatMap(check => check.paths)
+      .map(path => path.split('/').slice(0, -1).join('/'));
+    const directories = [...new Set([...COMMUNITY_FILE_DIRECTORIES, '.gitea', '.forgejo', ...governanceDirectories])];
+
+    const listings = await Promise.all(directories.map(async directory => {
+      try {
+        const path = directory ? `/contents/${directory}` : '/contents';
+        const { data } = await this.request(`${this.repoPath(owner, repo)}${path}`);
+        return Array.isArray(data) ? data.filter(entry => entry.type === 'file').map(entry => entry.path) : [];
+      } catch (error) {
+        if (error.status === 404) {
+          return [];
+        }
+        throw error;
+      }
+    }));
+
+    return listings.flat();
+  }
+
+  /**
+   * List every file on a branch with a single recursive git tree request
+   * @returns {Promise<Object|null>} { paths, truncated } or null if the tree is unavailable
+   */
+  async getRepositoryTree(owner, repo, ref = null) {
+    if (!ref) {
+      return null;
+    }
+
+    try {
+      const { data } = await this.request(`${this.repoPath(owner, repo)}/git/trees/${encodeURIComponent(ref)}`, {
+        recursive: true,
+        per_page: 10000,
+      });
+      return {
+        paths: (data.tree || []).filter(entry => entry.type === 'blob').map(entry => entry.path),
+        truncated: Boolean(data.truncated),
+      };
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get governance-related files from a list of repository paths
+   */
+  async getGovernanceFiles(owner, repo, paths) {
+    const governanceFiles = {};
+    for (const { key, paths: candidates } of GOVERNANCE_FILE_CHECKS) {
+      const path = candidates.find(candidate => paths.includes(candidate));
+      if (path) {
+        const content = await this.getFileContent(owner, repo, path);
+        governanceFiles[key] = { path, contentLength: content?.length || 0, content };
+      } else {
+        governanceFiles[key] = null;
+      }
+    }
+    return governanceFiles;
+  }
+
+  async getFileContent(owner, repo, path) {
+    try {
+      const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+      const { data } = await this.request(`${this.repoPath(owner, repo)}/raw/${encodedPath}`, {}, { raw: true });
+      return data;
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
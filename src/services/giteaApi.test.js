@@ -0,0 +1,101 @@
+/**
+ * Gitea API Service Tests
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  GiteaApiService,
+  contributorsFromCommits,
+  mapGiteaCommit,
+  mapGiteaPullRequest,
+  mapGiteaRepository,
+} from './giteaApi.js';
+import { resolveForgeHost } from '../config/forgeHosts.js';
+
+describe('GiteaApiService', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('mappers', () => {
+    it('should map repositories to the normalized repository shape', () => {
+      const repository = mapGiteaRepository({
+        name: 'project',
+        full_name: 'owner/project',
+        html_url: 'https://codeberg.org/owner/project',
+        website: 'https://project.example',
+        stars_count: 12,
+        forks_count: 3,
+        open_issues_count: 4,
+        open_pr_counter: 2,
+        licenses: ['GPL-3.0-or-later'],
+      });
+
+      expect(repository.stargazers_count).toBe(12);
+      expect(repository.homepage).toBe('https://project.example');
+      expect(repository.open_issues_count).toBe(6);
+      expect(repository.license.spdx_id).toBe('GPL-3.0-or-later');
+      expect(repository.topics).toEqual([]);
+    });
+
+    it('should leave the license empty when none was detected', () => {
+      expect(mapGiteaRepository({ name: 'project' }).license).toBeNull();
+    });
+
+    it('should map commits with linked authors', () => {
+      const commit = mapGiteaCommit({
+        sha: 'abc',
+        commit: { message: 'Fix', author: { name: 'Dev', email: 'dev@example.com', date: '2024-01-01T00:00:00Z' } },
+        author: { login: 'dev' },
+      });
+
+      expect(commit.commit.author.date).toBe('2024-01-01T00:00:00Z');
+      expect(commit.author.login).toBe('dev');
+    });
+
+    it('should only report merge dates for merged pull requests', () => {
+      expect(mapGiteaPullRequest({ number: 1, state: 'closed', merged: true, merged_at: '2024-01-02T00:00:00Z' }).merged_at)
+        .toBe('2024-01-02T00:00:00Z');
+      expect(mapGiteaPullRequest({ number: 2, state: 'closed', merged: false, merged_at: null }).merged_at)
+        .toBeNull();
+    });
+  });
+
+  describe('contributorsFromCommits', () => {
+    it('should count commits per author, falling back to the git author name', () => {
+      const commits = [
+        { commit: { author: { name: 'Dev' } }, author: { login: 'dev' } },
+        { commit: { author: { name: 'Dev' } }, author: { login: 'dev' } },
+        { commit: { author: { name: 'Unlinked' } }, author: null },
+      ];
+
+      expect(contributorsFromCommits(commits)).toEqual([
+        { login: 'dev', contributions: 2 },
+        { login: 'Unlinked', contributions: 1 },
+      ]);
+    });
+  });
+
+  describe('request', () => {
+    it('should send the instance token', async () => {
+      const fetchMock = vi.fn().mockResolvedValue(new Response('{}'));
+      vi.stubGlobal('fetch', fetchMock);
+
+      const service = new GiteaApiService('secret', { apiUrl: 'https://git.example.org/api/v1/' });
+      await service.request('/repos/owner/project');
+
+      const [url, init] = fetchMock.mock.calls[0];
+      expect(String(url)).toBe('https://git.example.org/api/v1/repos/owner/project');
+      expect(init.headers.Authorization).toBe('token secret');
+    });
+  });
+
+  describe('resolveForgeHost', () => {
+    it('should resolve Codeberg and self-hosted Gitea/Forgejo instances', () => {
+      expect(resolveForgeHost('codeberg.org').apiUrl).toBe('https://codeberg.org/api/v1');
+      expect(resolveForgeHost('gitea.com').provider).toBe('gitea');
+      expect(resolveForgeHost('forgejo.example.org').apiUrl).toBe('https://forgejo.example.org/api/v1');
+      expect(resolveForgeHost('git.gitea.example.org').provider).toBe('gitea');
+    });
+  });
+});
@@ -6,17 +6,433 @@
  */
 
 import { Octokit } from '@octokit/rest';
+import { ForgeProvider } from './forgeProvider.js';
+import { RequestScheduler } from './requestScheduler.js';
+import { fingerprintToken } from './cacheManager.js';
+import { GOVERNANCE_FILE_CHECKS } from '../config/repositoryFiles.js';
+import { applyResponders, toResponder } from '../utils/firstResponse.js';
+import { isBotUser } from '../utils/bots.js';
+import { getCommitAuthorKey } from '../utils/contributors.js';
+import { summarizeBranchProtection } from '../utils/branchProtection.js';
+import {
+  buildRepositoryQuery,
+  buildUserProfilesQuery,
+  COMMIT_HISTORY_QUERY,
+  groupPullRequests,
+  mapCommit,
+  mapIssue,
+  mapPullRequest,
+  mapRelease,
+  mapRepository,
+  mapTag,
+} from './githubGraphql.js';
 
-export class GitHubApiService {
+// Requests the REST analysis keeps for its required lookups (community files,
+// repository tree, CI, security settings) when budgeting optional per-item
+// lookups: 60 requests an hour without a token don't cover both
+const REST_ANALYSIS_RESERVE = 30;
+
+/**
+ * Map a GitHub Actions workflow run to a CI run. The runs API has no
+ * completion time; updated_at stands in for it, except on re-run attempts,
+ * where it moved with the re-run, so those have no duration.
+ * @param {Object} run - REST workflow run
+ * @returns {Object} { name, conclusion, created_at, started_at, completed_at }
+ */
+export function mapWorkflowRun(run) {
+  const firstAttempt = (run.run_attempt || 1) === 1;
+  return {
+    name: run.name,
+    conclusion: run.conclusion,
+    created_at: run.created_at,
+    started_at: firstAttempt ? run.run_started_at || run.created_at : null,
+    completed_at: firstAttempt ? run.updated_at : null,
+  };
+}
+
+/**
+ * Get the start of the UTC day a number of days ago. Request URLs built from
+ * it stay the same all day, so repeated scans revalidate cached responses
+ * instead of missing the cache.
+ * @param {number} days - Days to look back
+ * @returns {Date} Start of that day
+ */
+function startOfDayAgo(days) {
+  const since = new Date();
+  since.setUTCHours(0, 0, 0, 0);
+  since.setUTCDate(since.getUTCDate() - days);
+  return since;
+}
+
+export class GitHubApiService extends ForgeProvider {
   /**
    * @param {string|null} token - Optional GitHub Personal Access Token
+   * @param {Object} options - Service options
+   * @param {string} options.baseUrl - REST API base URL (https://host/api/v3 for GitHub Enterprise Server)
+   * @param {RequestScheduler} options.scheduler - Scheduler that paces requests and handles rate limits
+   * @param {CacheManager|null} options.responseCache - Persistent store for conditional requests
    */
-  constructor(token = null) {
+  constructor(
+    token = null,
+    { baseUrl = 'https://api.github.com', scheduler = new RequestScheduler(), responseCache = null } = {}
+  ) {
+    super({ scheduler });
+    // Octokit derives the GraphQL endpoint (/api/graphql on Enterprise Server) from baseUrl
     this.octokit = new Octokit({
       auth: token,
+      baseUrl,
       userAgent: 'oss-health-analyzer/1.0',
     });
     this.token = token;
+    this.scheduler.install(this.octokit);
+    if (responseCache) {
+      // Without Web Crypto (insecure contexts) requests go uncached
+      this.installResponseCache(responseCache, fingerprintToken(token).catch(() => null));
+    }
+  }
+
+  /**
+   * Revalidate GET requests against cached responses with If-None-Match /
+   * If-Modified-Since. 304 Not Modified responses are served from the cache
+   * and do not count against the rate limit. GraphQL queries (POST) can't be
+   * revalidated and always run; they cost a few points of the separate GraphQL
+   * budget, while the REST lookups of a tokened analysis are still cached.
+   * @param {CacheManager} responseCache - Store with getResponseKey()/getResponse()/setResponse()
+   * @param {Promise<string|null>} fingerprint - Fingerprint of the token (see fingerprintToken()), null to skip the cache
+   */
+  installResponseCache(responseCache, fingerprint) {
+    this.octokit.hook.wrap('request', async (request, options) => {
+      const tokenFingerprint = await fingerprint;
+      if (options.method !== 'GET' || !tokenFingerprint) {
+        return request(options);
+      }
+
+      const { url } = this.octokit.request.endpoint.parse(options);
+      const key = responseCache.getResponseKey(url, tokenFingerprint);
+      // A broken cache should never break the analysis
+      const cached = await responseCache.getResponse(key).catch(() => null);
+
+      // Inner hooks receive this same options object, so set headers in place
+      if (cached?.etag) {
+        options.headers['if-none-match'] = cached.etag;
+      } else if (cached?.lastModified) {
+        options.headers['if-modified-since'] = cached.lastModified;
+      }
+
+      try {
+        const response = await request(options);
+        const etag = response.headers.etag;
+        const lastModified = response.headers['last-modified'];
+        // Skip 202 Accepted placeholders (statistics still being computed)
+        if (response.status === 200 && (etag || lastModified)) {
+          await responseCache
+            .setResponse(key, {
+              etag,
+              lastModified,
+              // Keep pagination links so cached pages still paginate
+              headers: response.headers.link ? { link: response.headers.link } : {},
+              data: response.data,
+            })
+            .catch(() => {});
+        }
+        return response;
+      } catch (error) {
+        if (error.status === 304 && cached) {
+          return {
+            status: 200,
+            url,
+            headers: { ...cached.headers, ...error.response?.headers },
+            data: cached.data,
+          };
+        }
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Fetch everything MetricCalculator.calculateAll() needs for a repository.
+   * Uses batched GraphQL queries when authenticated (GraphQL requires a token)
+   * and falls back to the sequential REST calls otherwise.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} options - { days, onProgress, scorecardFile }
+   * @returns {Promise<Object>} Data for MetricCalculator.calculateAll()
+   */
+  async getAnalysisData(owner, repo, { days = 90, onProgress = () => {}, scorecardFile = null } = {}) {
+    if (!this.token) {
+      return this.getAnalysisDataRest(owner, repo, { days, onProgress, scorecardFile });
+    }
+
+    onProgress('Fetching repository, issues, pull requests and releases...');
+    const { repository, issues, pullRequests, releases, tags, governanceFiles, readme: readmeMarkdown } =
+      await this.getRepositoryGraphQL(owner, repo, days);
+    // The query only reads README.md; other names and formats need the REST lookup
+    const readme = readmeMarkdown ?? await this.getReadme(owner, repo);
+
+    onProgress('Analyzing commit activity...');
+    const commits = await this.getCommitsGraphQL(owner, repo, days);
+
+    // The remaining lookups have no GraphQL equivalent and are independent
+    onProgress('Fetching contributors, community health and OpenSSF data...');
+    const [contributors, communityProfile, openSSFBadge, scorecard, foundationAffiliation] = await Promise.all([
+      this.getContributors(owner, repo),
+      this.getCommunityProfile(owner, repo),
+      this.getOpenSSFBadge(owner, repo, repository, readme),
+      this.getOpenSSFScorecard(repository.html_url, scorecardFile),
+      this.detectFoundationAffiliation(owner, repo, repository, readme),
+    ]);
+
+    onProgress('Resolving contributor organizations...');
+    const contributorProfiles = await this.getContributorProfiles(contributors);
+
+    onProgress('Looking up first contributions...');
+    const firstContributions = await this.getFirstContributions(owner, repo, commits, pullRequests.merged);
+
+    onProgress('Scanning repository files...');
+    const repositoryTree = await this.getRepositoryTree(owner, repo, repository.default_branch);
+    const changelog = await this.getChangelog(owner, repo, repositoryTree);
+    const manifests = await this.getManifests(owner, repo, repositoryTree);
+    const pagesUrl = await this.getPagesUrl(owner, repo, repository);
+
+    onProgress('Checking CI runs...');
+    const ci = await this.getCIRuns(owner, repo, repository.default_branch, commits, days);
+
+    onProgress('Checking branch protection and security settings...');
+    const securitySettings = await this.getSecuritySettings(owner, repo, repository.default_branch);
+
+    onProgress('Fetching security advisories...');
+    const securityAdvisories = await this.getSecurityAdvisories(owner, repo);
+    // The community profile API doesn't report security policies
+    communityProfile.files.security_policy = this.findSecurityPolicy(repositoryTree);
+    const vulnerabilityReporting = await this.getVulnerabilityReporting(
+      owner,
+      repo,
+      communityProfile.files.security_policy,
+      await this.getPrivateVulnerabilityReporting(owner, repo)
+    );
+
+    return {
+      repository,
+      commits,
+      contributors,
+      contributorProfiles,
+      firstContributions,
+      issues,
+      pullRequests,
+      releases,
+      tags,
+      communityProfile,
+      governanceFiles,
+      readme,
+      repositoryTree,
+      changelog,
+      manifests,
+      pagesUrl,
+      ci,
+      securitySettings,
+      securityAdvisories,
+      vulnerabilityReporting,
+      openSSFBadge,
+      scorecard,
+      foundationAffiliation,
+    };
+  }
+
+  /**
+   * Fetch analysis data with one REST call per data set
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} options - { days, onProgress, scorecardFile }
+   * @returns {Promise<Object>} Data for MetricCalculator.calculateAll()
+   */
+  async getAnalysisDataRest(owner, repo, { days = 90, onProgress = () => {}, scorecardFile = null } = {}) {
+    onProgress('Fetching repository information...');
+    const repository = await this.getRepository(owner, repo);
+
+    onProgress('Analyzing commit activity...');
+    const commits = await this.getCommits(owner, repo, days);
+
+    onProgress('Fetching contributor data...');
+    const contributors = await this.getContributors(owner, repo);
+    const contributorProfiles = await this.getContributorProfiles(contributors);
+
+    onProgress('Analyzing issues...');
+    const issues = await this.getIssues(owner, repo);
+
+    onProgress('Checking pull requests...');
+    const pullRequests = await this.getPullRequests(owner, repo);
+
+    onProgress('Fetching issue comments...');
+    await this.getResponders(owner, repo, [...issues.all, ...pullRequests.all], days);
+
+    onProgress('Fetching pull request reviews...');
+    await this.getReviewers(owner, repo, pullRequests.all);
+
+    onProgress('Looking up first contributions...');
+    const firstContributions = await this.getFirstContributions(owner, repo, commits, pullRequests.merged);
+
+    onProgress('Fetching releases...');
+    const releases = await this.getReleases(owner, repo);
+    const tags = await this.getReleaseTags(owner, repo, releases);
+
+    onProgress('Checking community health files...');
+    const communityProfile = await this.getCommunityProfile(owner, repo);
+
+    onProgress('Checking governance documentation...');
+    const governanceFiles = await this.getGovernanceFiles(owner, repo);
+
+    onProgress('Scanning repository files...');
+    const repositoryTree = await this.getRepositoryTree(owner, repo, repository.default_branch);
+    const changelog = await this.getChangelog(owner, repo, repositoryTree);
+    const manifests = await this.getManifests(owner, repo, repositoryTree);
+    const pagesUrl = await this.getPagesUrl(owner, repo, repository);
+
+    onProgress('Checking CI runs...');
+    const ci = await this.getCIRuns(owner, repo, repository.default_branch, commits, days);
+
+    onProgress('Checking branch protection and security settings...');
+    const securitySettings = await this.getSecuritySettings(owner, repo, repository.default_branch);
+
+    onProgress('Fetching security advisories...');
+    const securityAdvisories = await this.getSecurityAdvisories(owner, repo);
+    // The community profile API doesn't report security policies
+    communityProfile.files.security_policy = this.findSecurityPolicy(repositoryTree);
+    const vulnerabilityReporting = await this.getVulnerabilityReporting(
+      owner,
+      repo,
+      communityProfile.files.security_policy,
+      await this.getPrivateVulnerabilityReporting(owner, repo)
+    );
+
+    onProgress('Reading README...');
+    const readme = await this.getReadme(owner, repo);
+
+    onProgress('Checking OpenSSF Best Practices badge...');
+    const openSSFBadge = await this.getOpenSSFBadge(owner, repo, repository, readme);
+
+    onProgress('Fetching OpenSSF Scorecard results...');
+    const scorecard = await this.getOpenSSFScorecard(repository.html_url, scorecardFile);
+
+    onProgress('Detecting foundation affiliation...');
+    const foundationAffiliation = await this.detectFoundationAffiliation(owner, repo, repository, readme);
+
+    return {
+      repository,
+      commits,
+      contributors,
+      contributorProfiles,
+      firstContributions,
+      issues,
+      pullRequests,
+      releases,
+      tags,
+      communityProfile,
+      governanceFiles,
+      readme,
+      repositoryTree,
+      changelog,
+      manifests,
+      pagesUrl,
+      ci,
+      securitySettings,
+      securityAdvisories,
+      vulnerabilityReporting,
+      openSSFBadge,
+      scorecard,
+      foundationAffiliation,
+    };
+  }
+
+  /**
+   * Get repository metadata, issues, pull requests, releases, governance files
+   * and README in a single GraphQL query
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} days - Number of days to look back for closed issues
+   * @returns {Promise<Object>} { repository, issues, pullRequests, releases, tags, governanceFiles, readme }
+   */
+  async getRepositoryGraphQL(owner, repo, days = 90) {
+    const since = startOfDayAgo(days);
+
+    const filePaths = ['README.md', ...GOVERNANCE_FILE_CHECKS.flatMap(check => check.paths)];
+
+    let result;
+    try {
+      result = await this.octokit.graphql(buildRepositoryQuery(filePaths), {
+        owner,
+        name: repo,
+        since: since.toISOString(),
+      });
+    } catch (error) {
+      // GraphQL reports missing repositories as a NOT_FOUND error with a 200 status
+      if (error.errors?.some(e => e.type === 'NOT_FOUND')) {
+        const notFound = new Error(`Repository ${owner}/${repo} not found`);
+        notFound.status = 404;
+        throw notFound;
+      }
+      throw error;
+    }
+
+    const node = result.repository;
+    const files = new Map(filePaths.map((path, index) => [path, node[`file${index}`]]));
+
+    const governanceFiles = {};
+    for (const { key, paths } of GOVERNANCE_FILE_CHECKS) {
+      const path = paths.find(p => files.get(p));
+      const content = path ? files.get(path).text ?? null : null;
+      governanceFiles[key] = path ? { path, contentLength: content?.length || 0, content } : null;
+    }
+
+    const openIssues = node.openIssues.nodes.map(mapIssue);
+    const closedIssues = node.closedIssues.nodes.map(mapIssue);
+
+    return {
+      repository: mapRepository(node),
+      issues: {
+        open: openIssues,
+        closed: closedIssues,
+        all: [...openIssues, ...closedIssues],
+      },
+      pullRequests: groupPullRequests(node.pullRequests.nodes.map(mapPullRequest)),
+      releases: node.releases.nodes.map(mapRelease),
+      tags: node.tags.nodes.map(mapTag),
+      governanceFiles,
+      readme: files.get('README.md')?.text ?? null,
+    };
+  }
+
+  /**
+   * Get commits from the last N days on the default branch via GraphQL
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} days - Number of days to look back
+   * @returns {Promise<Array>} List of commits in REST shape
+   */
+  async getCommitsGraphQL(owner, repo, days = 90) {
+    const since = startOfDayAgo(days);
+
+    const commits = [];
+    let cursor = null;
+    do {
+      const result = await this.octokit.graphql(COMMIT_HISTORY_QUERY, {
+        owner,
+        name: repo,
+        since: since.toISOString(),
+        cursor,
+      });
+
+      // Empty repositories have no default branch
+      const history = result.repository?.defaultBranchRef?.target?.history;
+      if (!history) {
+        break;
+      }
+
+      commits.push(...history.nodes.map(mapCommit));
+      cursor = history.pageInfo.hasNextPage ? history.pageInfo.endCursor : null;
+    } while (cursor);
+
+    return commits;
   }
 
   /**
@@ -38,8 +454,7 @@ export class GitHubApiService {
    * @returns {Promise<Array>} List of commits
    */
   async getCommits(owner, repo, days = 90) {
-    const since = new Date();
-    since.setDate(since.getDate() - days);
+    const since = startOfDayAgo(days);
 
     try {
       const commits = await this.octokit.paginate(
@@ -89,6 +504,139 @@ export class GitHubApiService {
     }
   }
 
+  /**
+   * Get the profile company of the top contributors, for organization
+   * diversity. One GraphQL query when authenticated; without a token each
+   * profile costs a REST request, so fewer are looked up.
+   * @param {Array<Object>} contributors - Contributors sorted by contributions
+   * @param {number} limit - Maximum number of profiles (default: 50, or 10 without a token)
+   * @returns {Promise<Array<Object>>} Profiles [{ login, company }]
+   */
+  async getContributorProfiles(contributors, limit = this.token ? 50 : 10) {
+    const logins = contributors
+      .filter(contributor => contributor.login && contributor.type !== 'Bot')
+      .slice(0, limit)
+      .map(contributor => contributor.login);
+
+    if (logins.length === 0) {
+      return [];
+    }
+
+    if (this.token) {
+      let result;
+      try {
+        result = await this.octokit.graphql(buildUserProfilesQuery(logins));
+      } catch (error) {
+        // Renamed or deleted accounts fail their lookup but the rest still resolve
+        if (!error.data) {
+          throw error;
+        }
+        result = error.data;
+      }
+      return Object.values(result).filter(Boolean).map(user => ({ login: user.login, company: user.company }));
+    }
+
+    const profiles = await Promise.all(
+      logins.map(async username => {
+        try {
+          const { data } = await this.octokit.users.getByUsername({ username });
+          return { login: data.login, company: data.company };
+        } catch (error) {
+          if (error.status === 404) {
+            return null;
+          }
+          throw error;
+        }
+      })
+    );
+    return profiles.filter(Boolean);
+  }
+
+  /**
+   * Get the first-ever commit date of recent commit and merged pull request
+   * authors. Contributor statistics cover the full history in one request;
+   * authors missing from them (statistics are limited to the top
+   * contributors and empty for very large repositories) are looked up with a
+   * commit search for their earliest commit, as far as the search rate limit
+   * (10 requests a minute without a token) allows without waiting.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array<Object>} commits - Recent commits
+   * @param {Array<Object>} mergedPullRequests - Recently merged pull requests
+   * @param {number} searchLimit - Maximum number of commit searches
+   * @returns {Promise<Object>} First commit date (ISO) by author key (see getCommitAuthorKey())
+   */
+  async getFirstContributions(owner, repo, commits, mergedPullRequests, searchLimit = this.token ? 30 : 10) {
+    const authors = new Set();
+    for (const commit of commits) {
+      if (!isBotUser(commit.author) && getCommitAuthorKey(commit)) {
+        authors.add(getCommitAuthorKey(commit));
+      }
+    }
+    for (const pr of mergedPullRequests) {
+      if (pr.user && !isBotUser(pr.user)) {
+        authors.add(pr.user.login);
+      }
+    }
+
+    const firstContributions = {};
+    if (authors.size === 0) {
+      return firstContributions;
+    }
+
+    for (const stats of await this.getContributorStats(owner, repo)) {
+      const firstWeek = stats.weeks.find(week => week.c > 0);
+      if (stats.author && firstWeek && authors.has(stats.author.login)) {
+        firstContributions[stats.author.login] = new Date(firstWeek.w * 1000).toISOString();
+      }
+    }
+
+    const missing = [...authors].filter(key => !firstContributions[key])
+      .slice(0, this.getAffordableRequests(searchLimit, { resource: 'search' }));
+    for (const key of missing) {
+      const qualifier = key.includes('@') ? `author-email:${key}` : `author:${key}`;
+      try {
+        const { data } = await this.octokit.search.commits({
+          q: `repo:${owner}/${repo} ${qualifier}`,
+          sort: 'author-date',
+          order: 'asc',
+          per_page: 1,
+        });
+        if (data.items[0]) {
+          firstContributions[key] = data.items[0].commit.author.date;
+        }
+      } catch (error) {
+        // Unknown users make the search query invalid
+        if (error.status !== 422) {
+          throw error;
+        }
+      }
+    }
+
+    return firstContributions;
+  }
+
+  /**
+   * Get weekly commit statistics per contributor over the full history
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} attempts - Attempts while GitHub computes the statistics
+   * @returns {Promise<Array>} [{ author, total, weeks: [{ w, a, d, c }] }]
+   */
+  async getContributorStats(owner, repo, attempts = 3) {
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      const { status, data } = await this.octokit.repos.getContributorsStats({ owner, repo });
+      // 202 Accepted: statistics are being computed in the background
+      if (status !== 202) {
+        return Array.isArray(data) ? data : [];
+      }
+      if (attempt < attempts) {
+        await this.scheduler.sleep(2000 * attempt);
+      }
+    }
+    return [];
+  }
+
   /**
    * Get repository issues (open and closed)
    * @param {string} owner - Repository owner
@@ -116,8 +664,7 @@ export class GitHubApiService {
     );
 
     // Fetch recently closed issues (last 90 days)
-    const since = new Date();
-    since.setDate(since.getDate() - 90);
+    const since = startOfDayAgo(90);
 
     const closedIssues = await this.octokit.paginate(
       this.octokit.issues.listForRepo,
@@ -171,14 +718,79 @@ export class GitHubApiService {
       }
     );
 
-    const limitedPrs = prs.slice(0, limit);
+    return groupPullRequests(prs.slice(0, limit));
+  }
 
-    return {
-      open: limitedPrs.filter(pr => pr.state === 'open'),
-      closed: limitedPrs.filter(pr => pr.state === 'closed' && !pr.merged_at),
-      merged: limitedPrs.filter(pr => pr.merged_at),
-      all: limitedPrs,
-    };
+  /**
+   * Set responders on issues and pull requests from the repository-wide
+   * comment listing, which costs a few requests instead of one per issue.
+   * (The GraphQL path reads responders from each item's timeline.) Pages the
+   * rate limit budget can't spare are skipped, leaving responders unknown.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array<Object>} items - Issues and pull requests to update
+   * @param {number} days - Number of days to look back
+   * @param {number} limit - Maximum number of comments to fetch
+   */
+  async getResponders(owner, repo, items, days = 90, limit = 500) {
+    const pages = this.getAffordableRequests(Math.ceil(limit / 100), { reserve: REST_ANALYSIS_RESERVE });
+    if (pages === 0) {
+      return;
+    }
+    const maxComments = Math.min(limit, pages * 100);
+    const since = startOfDayAgo(days);
+
+    let fetched = 0;
+    const comments = await this.octokit.paginate(
+      this.octokit.issues.listCommentsForRepo,
+      {
+        owner,
+        repo,
+        since: since.toISOString(),
+        sort: 'created',
+        direction: 'asc',
+        per_page: 100,
+      },
+      (response, done) => {
+        fetched += response.data.length;
+        if (fetched >= maxComments) {
+          done();
+        }
+        return response.data;
+      }
+    );
+
+    applyResponders(items, comments.slice(0, maxComments), { since, truncated: comments.length >= maxComments });
+  }
+
+  /**
+   * Set reviewers on the most recent pull requests (one request each; the
+   * GraphQL path reads reviews with the pull requests). Reviews also count as
+   * responses, which the issue comment listing doesn't include. Pull requests
+   * whose reviews can't be read, or that the rate limit budget can't spare a
+   * request for, keep unknown reviewers.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array<Object>} pullRequests - Pull requests to update
+   * @param {number} limit - Maximum number of pull requests to look up
+   */
+  async getReviewers(owner, repo, pullRequests, limit = this.token ? 100 : 20) {
+    const recent = [...pullRequests]
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+      .slice(0, this.getAffordableRequests(limit, { reserve: REST_ANALYSIS_RESERVE }));
+
+    await Promise.all(recent.map(async pr => {
+      try {
+        const { data } = await this.octokit.pulls.listReviews({ owner, repo, pull_number: pr.number, per_page: 100 });
+        pr.reviewers = data
+          .filter(review => review.submitted_at)
+          .map(review => toResponder(review.user, review.submitted_at));
+        pr.reviewers_complete = data.length < 100;
+      } catch {
+        // One unreadable pull request shouldn't fail the analysis
+        pr.reviewers_complete = false;
+      }
+    }));
   }
 
   /**
@@ -204,6 +816,34 @@ export class GitHubApiService {
     }
   }
 
+  /**
+   * Get the most recent tags with the date of the commit they point to. Tags
+   * the rate limit budget can't spare a commit lookup for have no date.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} limit - Maximum number of tags to fetch
+   * @returns {Promise<Array>} [{ name, date }]
+   */
+  async getTags(owner, repo, limit = 20) {
+    try {
+      const { data } = await this.octokit.repos.listTags({ owner, repo, per_page: limit });
+      const dated = this.getAffordableRequests(data.length, { reserve: REST_ANALYSIS_RESERVE });
+      // The tags API has no dates and lists tags by name, not by age
+      return Promise.all(data.map(async (tag, i) => {
+        if (i >= dated) {
+          return { name: tag.name, date: null };
+        }
+        const { data: commit } = await this.octokit.git.getCommit({ owner, repo, commit_sha: tag.commit.sha });
+        return { name: tag.name, date: commit.committer?.date || commit.author?.date || null };
+      }));
+    } catch (error) {
+      if (error.status === 404) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
   /**
    * Get community profile (health files)
    * @param {string} owner - Repository owner
@@ -229,6 +869,265 @@ export class GitHubApiService {
     }
   }
 
+  /**
+   * List every file on a branch with a single recursive git tree request
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} ref - Branch, tag or tree SHA (default: HEAD)
+   * @returns {Promise<Object|null>} { paths, truncated } or null if the tree is unavailable
+   */
+  async getRepositoryTree(owner, repo, ref = 'HEAD') {
+    try {
+      const { data } = await this.octokit.git.getTree({
+        owner,
+        repo,
+        tree_sha: ref || 'HEAD',
+        recursive: '1',
+      });
+      return {
+        paths: data.tree.filter(entry => entry.type === 'blob').map(entry => entry.path),
+        truncated: Boolean(data.truncated),
+      };
+    } catch (error) {
+      // 409: empty repository
+      if (error.status === 409) {
+        return { paths: [], truncated: false };
+      }
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get CI results on the default branch: GitHub Actions workflow runs, or the
+   * check suites of recent commits for projects that run CI elsewhere
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} branch - Default branch
+   * @param {Array<Object>} commits - Recent default-branch commits, newest first
+   * @param {number} days - Number of days to look back
+   * @param {number} limit - Maximum number of runs or commits to look up
+   * @returns {Promise<Object|null>} { source, workflows, runs } or null if CI data is not accessible
+   */
+  async getCIRuns(owner, repo, branch, commits = [], days = 90, limit = this.token ? 300 : 100) {
+    const since = startOfDayAgo(days);
+
+    try {
+      const { data } = await this.octokit.actions.listRepoWorkflows({ owner, repo, per_page: 100 });
+      const workflows = data.workflows.filter(workflow => workflow.state === 'active').length;
+
+      let fetched = 0;
+      const workflowRuns = workflows === 0 ? [] : await this.octokit.paginate(
+        this.octokit.actions.listWorkflowRunsForRepo,
+        {
+          owner,
+          repo,
+          branch: branch || undefined,
+          status: 'completed',
+          created: `>=${since.toISOString().slice(0, 10)}`,
+          per_page: 100,
+        },
+        (response, done) => {
+          fetched += response.data.length;
+          if (fetched >= limit) {
+            done();
+          }
+          return response.data;
+        }
+      );
+
+      if (workflowRuns.length > 0) {
+        return {
+          source: 'actions',
+          workflows,
+          runs: workflowRuns.slice(0, limit).map(mapWorkflowRun),
+        };
+      }
+
+      // CI outside GitHub Actions reports through check suites on each commit
+      const suites = await Promise.all(commits.slice(0, this.token ? 20 : 5).map(async commit => {
+        const { data: checks } = await this.octokit.checks.listSuitesForRef({ owner, repo, ref: commit.sha, per_page: 100 });
+        return checks.check_suites
+          .filter(suite => suite.status === 'completed' && suite.latest_check_runs_count > 0)
+          .map(suite => ({
+            name: suite.app?.name || 'Checks',
+            conclusion: suite.conclusion,
+            created_at: suite.created_at,
+            started_at: suite.created_at,
+            completed_at: suite.updated_at,
+          }));
+      }));
+
+      return { source: 'check-suites', workflows, runs: suites.flat() };
+    } catch (error) {
+      // Actions or checks disabled, or not visible to this token
+      if (error.status === 404 || error.status === 403) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get default-branch protection and security feature settings. Most of
+   * these are only visible to repository admins; settings the token can't
+   * see are null rather than false.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} branch - Default branch
+   * @returns {Promise<Object>} { branchProtection, securityFeatures }
+   */
+  async getSecuritySettings(owner, repo, branch) {
+    // undefined when the token can't read the endpoint
+    const readOptional = async request => {
+      try {
+        return (await request()).data;
+      } catch (error) {
+        if (error.status === 401 || error.status === 403 || error.status === 404) {
+          return undefined;
+        }
+        throw error;
+      }
+    };
+
+    const [details, branchData, rules] = await Promise.all([
+      readOptional(() => this.octokit.repos.get({ owner, repo })),
+      branch ? readOptional(() => this.octokit.repos.getBranch({ owner, repo, branch })) : undefined,
+      branch ? readOptional(() => this.octokit.repos.getBranchRules({ owner, repo, branch, per_page: 100 })) : undefined,
+    ]);
+
+    // Non-admins get a 404 for both endpoints, which says nothing about the settings
+    const admin = Boolean(details?.permissions?.admin);
+    const protection = admin && branchData?.protected
+      ? await readOptional(() => this.octokit.repos.getBranchProtection({ owner, repo, branch }))
+      : undefined;
+
+    let dependabotAlerts = null;
+    if (admin) {
+      try {
+        await this.octokit.repos.checkVulnerabilityAlerts({ owner, repo });
+        dependabotAlerts = true;
+      } catch (error) {
+        if (error.status !== 404) {
+          throw error;
+        }
+        dependabotAlerts = false;
+      }
+    }
+
+    const analysis = details?.security_and_analysis;
+    const enabled = feature => (analysis?.[feature] ? analysis[feature].status === 'enabled' : null);
+
+    return {
+      branchProtection: summarizeBranchProtection({ branch: branchData ?? null, protection, rules: rules ?? null }),
+      securityFeatures: {
+        dependabotAlerts,
+        dependabotSecurityUpdates: enabled('dependabot_security_updates'),
+        secretScanning: enabled('secret_scanning'),
+        secretScanningPushProtection: enabled('secret_scanning_push_protection'),
+      },
+    };
+  }
+
+  /**
+   * Get the repository's published security advisories
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} limit - Maximum number of advisories (newest first)
+   * @returns {Promise<Array<Object>|null>} [{ ghsa_id, cve_id, severity, published_at, patched_versions }],
+   *   or null if the advisories can't be read
+   */
+  async getSecurityAdvisories(owner, repo, limit = 100) {
+    try {
+      const { data } = await this.octokit.securityAdvisories.listRepositoryAdvisories({
+        owner,
+        repo,
+        state: 'published',
+        sort: 'published',
+        direction: 'desc',
+        per_page: limit,
+      });
+
+      return data.map(advisory => ({
+        ghsa_id: advisory.ghsa_id,
+        cve_id: advisory.cve_id,
+        severity: advisory.severity,
+        published_at: advisory.published_at,
+        // One comma-separated list per affected package ("1.2.3, 2.0.1")
+        patched_versions: (advisory.vulnerabilities || [])
+          .flatMap(vulnerability => (vulnerability.patched_versions || '').split(','))
+          .map(version => version.trim())
+          .filter(Boolean),
+      }));
+    } catch (error) {
+      if (error.status === 401 || error.status === 403 || error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether private vulnerability reporting is enabled
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<boolean|null>} Setting, or null if it can't be read (e.g. older GitHub Enterprise Server)
+   */
+  async getPrivateVulnerabilityReporting(owner, repo) {
+    try {
+      const { data } = await this.octokit.repos.checkPrivateVulnerabilityReporting({ owner, repo });
+      return data.enabled;
+    } catch (error) {
+      if (error.status === 401 || error.status === 403 || error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the README GitHub displays for the repository, whatever its name or format
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<string|null>} README content or null if there is none
+   */
+  async getReadme(owner, repo) {
+    try {
+      const { data } = await this.octokit.repos.getReadme({ owner, repo });
+      return data.content ? atob(data.content) : null;
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the URL of the repository's GitHub Pages site
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} repository - Repository data (REST data says whether Pages is enabled)
+   * @returns {Promise<string|null>} Site URL or null
+   */
+  async getPagesUrl(owner, repo, repository = {}) {
+    if (repository.has_pages === false) {
+      return null;
+    }
+
+    try {
+      const { data } = await this.octokit.repos.getPages({ owner, repo });
+      return data.html_url || null;
+    } catch (error) {
+      if (error.status === 404 || error.status === 403 || error.status === 401) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
   /**
    * Check if a file exists in the repository
    * @param {string} owner - Repository owner
@@ -295,36 +1194,19 @@ export class GitHubApiService {
    * @returns {Promise<Object>} Governance files data
    */
   async getGovernanceFiles(owner, repo) {
-    const governanceFiles = {
-      governance: null,
-      steering: null,
-      tsc: null,
-      owners: null,
-      maintainers: null,
-      codeowners: null,
-    };
-
-    // Files to check with their possible locations
-    const fileChecks = [
-      { key: 'governance', paths: ['GOVERNANCE.md', 'governance.md', 'docs/GOVERNANCE.md', '.github/GOVERNANCE.md'] },
-      { key: 'steering', paths: ['STEERING.md', 'STEERING-COMMITTEE.md', 'docs/governance/STEERING.md'] },
-      { key: 'tsc', paths: ['TSC.md', 'docs/TSC.md', 'TECHNICAL-STEERING-COMMITTEE.md'] },
-      { key: 'owners', paths: ['OWNERS', 'OWNERS.md', 'docs/OWNERS'] },
-      { key: 'maintainers', paths: ['MAINTAINERS', 'MAINTAINERS.md', 'docs/MAINTAINERS.md'] },
-      { key: 'codeowners', paths: ['CODEOWNERS', '.github/CODEOWNERS', 'docs/CODEOWNERS'] },
-    ];
+    const governanceFiles = Object.fromEntries(GOVERNANCE_FILE_CHECKS.map(({ key }) => [key, null]));
 
     // Check files in parallel
-    const checkPromises = fileChecks.map(async ({ key, paths }) => {
+    const checkPromises = GOVERNANCE_FILE_CHECKS.map(async ({ key, paths }) => {
       for (const path of paths) {
         const exists = await this.fileExists(owner, repo, path);
         if (exists) {
           // Try to get content for quality assessment
           const content = await this.getFileContent(owner, repo, path);
-          return { key, path, exists: true, contentLength: content?.length || 0 };
+          return { key, path, exists: true, contentLength: content?.length || 0, content };
         }
       }
-      return { key, path: null, exists: false, contentLength: 0 };
+      return { key, path: null, exists: false, contentLength: 0, content: null };
     });
 
     const results = await Promise.all(checkPromises);
@@ -333,6 +1215,7 @@ export class GitHubApiService {
         governanceFiles[result.key] = {
           path: result.path,
           contentLength: result.contentLength,
+          content: result.content,
         };
       }
     }
@@ -344,73 +1227,14 @@ export class GitHubApiService {
    * Get OpenSSF Best Practices badge status
    * @param {string} owner - Repository owner
    * @param {string} repo - Repository name
+   * @param {Object} repository - Repository data (already fetched)
+   * @param {string|null} [readme] - README content, if already fetched
    * @returns {Promise<Object>} OpenSSF badge data
    */
-  async getOpenSSFBadge(owner, repo) {
-    const repoUrl = `https://github.com/${owner}/${repo}`;
-
-    // Try OpenSSF API first
-    try {
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), 5000);
-
-      const response = await fetch(
-        `https://www.bestpractices.dev/projects.json?url=${encodeURIComponent(repoUrl)}`,
-        { signal: controller.signal }
-      );
-      clearTimeout(timeout);
-
-      if (response.ok) {
-        const data = await response.json();
-        if (data && data.length > 0) {
-          const project = data[0];
-          // Map badge_level to our levels
-          // OpenSSF returns: in_progress, passing, silver, gold
-          const level = project.badge_level || 'in_progress';
-          return {
-            found: true,
-            source: 'api',
-            level: level,
-            projectId: project.id,
-            percentComplete: project.badge_percentage_0 || 0,
-          };
-        }
-      }
-    } catch {
-      // API failed or timed out, fall back to README
-    }
-
-    // Fallback: Check README for badge
-    try {
-      const readme = await this.getFileContent(owner, repo, 'README.md');
-      if (readme) {
-        // Check for OpenSSF badge patterns
-        const badgePatterns = [
-          /bestpractices\.dev\/projects\/(\d+)\/badge/,
-          /cii-best-practices-badge.*?(\d+)/,
-          /openssf.*?badge/i,
-        ];
-
-        for (const pattern of badgePatterns) {
-          const match = readme.match(pattern);
-          if (match) {
-            // Try to determine level from badge URL or surrounding text
-            if (readme.includes('gold')) {
-              return { found: true, source: 'readme', level: 'gold' };
-            } else if (readme.includes('silver')) {
-              return { found: true, source: 'readme', level: 'silver' };
-            } else if (readme.includes('passing')) {
-              return { found: true, source: 'readme', level: 'passing' };
-            }
-            return { found: true, source: 'readme', level: 'in_progress' };
-          }
-        }
-      }
-    } catch {
-      // README check failed
-    }
-
-    return { found: false, source: null, level: 'none' };
+  async getOpenSSFBadge(owner, repo, repository, readme = undefined) {
+    return this.lookupOpenSSFBadge(repository.html_url, () =>
+      readme !== undefined ? readme : this.getFileContent(owner, repo, 'README.md')
+    );
   }
 
   /**
@@ -418,117 +1242,13 @@ export class GitHubApiService {
    * @param {string} owner - Repository owner
    * @param {string} repo - Repository name
    * @param {Object} repository - Repository data (already fetched)
+   * @param {string|null} [readme] - README content, if already fetched
    * @returns {Promise<Object>} Foundation affiliation data
    */
-  async detectFoundationAffiliation(owner, repo, repository = null) {
-    const result = {
-      foundation: null,
-      level: null,
-      confidence: 0,
-      source: null,
-    };
-
-    // 1. Check GitHub organization (highest confidence)
-    const orgAffiliations = {
-      'apache': { foundation: 'apache', level: 'tlp', confidence: 100 },
-      'kubernetes': { foundation: 'cncf', level: 'graduated', confidence: 100 },
-      'cncf': { foundation: 'cncf', level: 'member', confidence: 95 },
-      'linux-foundation': { foundation: 'linux-foundation', level: 'member', confidence: 100 },
-      'lfai': { foundation: 'linux-foundation', level: 'lfai-data', confidence: 100 },
-      'lf-edge': { foundation: 'linux-foundation', level: 'lf-edge', confidence: 100 },
-      'openjs-foundation': { foundation: 'openjs', level: 'member', confidence: 100 },
-      'eclipse': { foundation: 'eclipse', level: 'member', confidence: 100 },
-      'eclipse-ee4j': { foundation: 'eclipse', level: 'member', confidence: 100 },
-      // LF AI & Data Foundation projects
-      'mlflow': { foundation: 'linux-foundation', level: 'lfai-data', confidence: 100 },
-      'onnx': { foundation: 'linux-foundation', level: 'lfai-data', confidence: 100 },
-      'milvus-io': { foundation: 'linux-foundation', level: 'lfai-data', confidence: 100 },
-      'feast-dev': { foundation: 'linux-foundation', level: 'lfai-data', confidence: 100 },
-    };
-
-    const ownerLower = owner.toLowerCase();
-    if (orgAffiliations[ownerLower]) {
-      return {
-        ...orgAffiliations[ownerLower],
-        source: 'organization',
-      };
-    }
-
-    // 2. Check repository topics (high confidence)
+  async detectFoundationAffiliation(owner, repo, repository = null, readme = undefined) {
     const repoData = repository || await this.getRepository(owner, repo);
-    const topics = repoData.topics || [];
-
-    const topicMappings = {
-      'cncf-graduated': { foundation: 'cncf', level: 'graduated', confidence: 95 },
-      'cncf-incubating': { foundation: 'cncf', level: 'incubating', confidence: 95 },
-      'cncf-sandbox': { foundation: 'cncf', level: 'sandbox', confidence: 95 },
-      'linux-foundation': { foundation: 'linux-foundation', level: 'member', confidence: 90 },
-      'lfai': { foundation: 'linux-foundation', level: 'lfai-data', confidence: 90 },
-      'apache': { foundation: 'apache', level: 'tlp', confidence: 85 },
-      'openjs': { foundation: 'openjs', level: 'member', confidence: 85 },
-      'eclipse': { foundation: 'eclipse', level: 'member', confidence: 85 },
-    };
-
-    for (const topic of topics) {
-      const topicLower = topic.toLowerCase();
-      if (topicMappings[topicLower]) {
-        return {
-          ...topicMappings[topicLower],
-          source: 'topic',
-        };
-      }
-    }
-
-    // 3. Check README for foundation mentions (moderate confidence)
-    try {
-      const readme = await this.getFileContent(owner, repo, 'README.md');
-      if (readme) {
-        const readmePatterns = [
-          { pattern: /linux foundation ai|lfai|lf ai & data/i, foundation: 'linux-foundation', level: 'lfai-data', confidence: 85 },
-          { pattern: /cloud native computing foundation|cncf/i, foundation: 'cncf', level: 'member', confidence: 80 },
-          { pattern: /apache software foundation/i, foundation: 'apache', level: 'tlp', confidence: 80 },
-          { pattern: /linux foundation/i, foundation: 'linux-foundation', level: 'member', confidence: 75 },
-          { pattern: /openjs foundation/i, foundation: 'openjs', level: 'member', confidence: 80 },
-          { pattern: /eclipse foundation/i, foundation: 'eclipse', level: 'member', confidence: 80 },
-        ];
-
-        // Also check for CNCF badge images
-        if (readme.includes('cncf.io') || readme.includes('landscapeapp.io')) {
-          const cncfMatch = readme.match(/cncf.*?(graduated|incubating|sandbox)/i);
-          if (cncfMatch) {
-            return {
-              foundation: 'cncf',
-              level: cncfMatch[1].toLowerCase(),
-              confidence: 85,
-              source: 'readme_badge',
-            };
-          }
-        }
-
-        for (const { pattern, foundation, level, confidence } of readmePatterns) {
-          if (pattern.test(readme)) {
-            return { foundation, level, confidence, source: 'readme' };
-          }
-        }
-      }
-    } catch {
-      // README check failed
-    }
-
-    // 4. Check description and homepage (lower confidence)
-    if (repoData.description) {
-      const descLower = repoData.description.toLowerCase();
-      if (descLower.includes('cncf') || descLower.includes('cloud native')) {
-        return { foundation: 'cncf', level: 'member', confidence: 70, source: 'description' };
-      }
-      if (descLower.includes('apache')) {
-        return { foundation: 'apache', level: 'tlp', confidence: 70, source: 'description' };
-      }
-      if (descLower.includes('linux foundation') || descLower.includes('lfai')) {
-        return { foundation: 'linux-foundation', level: 'member', confidence: 70, source: 'description' };
-      }
-    }
-
-    return result;
+    return this.detectFoundation(owner, repoData, () =>
+      readme !== undefined ? readme : this.getFileContent(owner, repo, 'README.md')
+    );
   }
 }
@@ -0,0 +1,226 @@
+/**
+ * GitHub API Service Tests
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { GitHubApiService, mapWorkflowRun } from './githubApi.js';
+
+const REPO_URL = 'https://api.github.com/repos/owner/repo';
+
+// In-memory stand-in for CacheManager's response store
+function createResponseCache(entries = {}) {
+  const store = new Map(Object.entries(entries).map(([url, response]) => [`anonymous ${url}`, response]));
+  return {
+    store,
+    getResponseKey: (url, fingerprint) => `${fingerprint} ${url}`,
+    getResponse: vi.fn(async key => store.get(key) || null),
+    setResponse: vi.fn(async (key, response) => {
+      store.set(key, response);
+    }),
+  };
+}
+
+const json = (data, status = 200, headers = {}) =>
+  new Response(JSON.stringify(data), { status, headers: { 'content-type': 'application/json', ...headers } });
+
+const setBudget = (service, remaining, resource = 'core') =>
+  service.scheduler.updateBudget({ 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': String(remaining) }, resource);
+
+describe('GitHubApiService', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('response cache', () => {
+    const getRepository = service => service.octokit.repos.get({ owner: 'owner', repo: 'repo' });
+
+    it('should store responses with validators and send them on the next request', async () => {
+      const fetchMock = vi.fn()
+        .mockResolvedValueOnce(json({ name: 'repo' }, 200, { etag: '"abc"' }))
+        .mockResolvedValueOnce(json({ name: 'repo' }, 200, { 'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT' }));
+      vi.stubGlobal('fetch', fetchMock);
+      const responseCache = createResponseCache();
+      const service = new GitHubApiService(null, { responseCache });
+
+      await getRepository(service);
+      expect(responseCache.store.get(`anonymous ${REPO_URL}`)).toMatchObject({ etag: '"abc"', data: { name: 'repo' } });
+
+      await getRepository(service);
+      expect(fetchMock.mock.calls[1][1].headers['if-none-match']).toBe('"abc"');
+    });
+
+    it('should send If-Modified-Since without an ETag', async () => {
+      const fetchMock = vi.fn().mockResolvedValue(json({ name: 'repo' }));
+      vi.stubGlobal('fetch', fetchMock);
+      const responseCache = createResponseCache({
+        [REPO_URL]: { lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT', headers: {}, data: {} },
+      });
+
+      await getRepository(new GitHubApiService(null, { responseCache }));
+
+      expect(fetchMock.mock.calls[0][1].headers['if-modified-since']).toBe('Mon, 01 Jan 2024 00:00:00 GMT');
+    });
+
+    it('should serve 304 responses from the store with their pagination links', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(new Response(null, { status: 304, headers: { etag: '"abc"' } })));
+      const link = `<${REPO_URL}?page=2>; rel="next"`;
+      const responseCache = createResponseCache({
+        [REPO_URL]: { etag: '"abc"', headers: { link }, data: { name: 'cached' } },
+      });
+
+      const response = await getRepository(new GitHubApiService(null, { responseCache }));
+
+      expect(response.status).toBe(200);
+      expect(response.data).toEqual({ name: 'cached' });
+      expect(response.headers.link).toBe(link);
+    });
+
+    it('should not store 202 Accepted placeholders', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(json({}, 202, { etag: '"pending"' })));
+      const responseCache = createResponseCache();
+
+      await getRepository(new GitHubApiService(null, { responseCache }));
+
+      expect(responseCache.setResponse).not.toHaveBeenCalled();
+    });
+
+    it('should fall through to the network when the cache fails', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(json({ name: 'repo' }, 200, { etag: '"abc"' })));
+      const responseCache = createResponseCache();
+      responseCache.getResponse.mockRejectedValue(new Error('IndexedDB unavailable'));
+      responseCache.setResponse.mockRejectedValue(new Error('Quota exceeded'));
+
+      const response = await getRepository(new GitHubApiService(null, { responseCache }));
+
+      expect(response.data).toEqual({ name: 'repo' });
+    });
+  });
+
+  describe('getAffordableRequests', () => {
+    it('should allow every request while the budget is unknown', () => {
+      expect(new GitHubApiService().getAffordableRequests(20, { reserve: 30 })).toBe(20);
+    });
+
+    it('should keep the reserve out of the remaining budget', () => {
+      const service = new GitHubApiService();
+      setBudget(service, 40);
+
+      expect(service.getAffordableRequests(20, { reserve: 30 })).toBe(10);
+      expect(service.getAffordableRequests(5, { reserve: 30 })).toBe(5);
+      expect(service.getAffordableRequests(20, { reserve: 50 })).toBe(0);
+    });
+  });
+
+  describe('getResponders', () => {
+    it('should leave responders unknown when the budget is spent', async () => {
+      const service = new GitHubApiService();
+      setBudget(service, 30);
+      service.octokit.paginate = vi.fn();
+      const issue = { number: 1, created_at: '2024-01-01T00:00:00Z', user: { login: 'author' } };
+
+      await service.getResponders('owner', 'repo', [issue]);
+
+      expect(service.octokit.paginate).not.toHaveBeenCalled();
+      expect(issue.responders).toBeUndefined();
+    });
+  });
+
+  describe('getFirstContributions', () => {
+    it('should only search for as many authors as the search budget allows', async () => {
+      const service = new GitHubApiService();
+      setBudget(service, 1, 'search');
+      service.getContributorStats = vi.fn(async () => []);
+      service.octokit.search.commits = vi.fn(async () => ({
+        data: { items: [{ commit: { author: { date: '2020-01-01T00:00:00Z' } } }] },
+      }));
+      const commits = [{ author: { login: 'alice' } }, { author: { login: 'bob' } }];
+
+      const firstContributions = await service.getFirstContributions('owner', 'repo', commits, []);
+
+      expect(service.octokit.search.commits).toHaveBeenCalledTimes(1);
+      expect(firstContributions).toEqual({ alice: '2020-01-01T00:00:00Z' });
+    });
+  });
+
+  describe('getTags', () => {
+    it('should leave tags undated once the budget is spent', async () => {
+      const service = new GitHubApiService();
+      setBudget(service, 31);
+      service.octokit.repos.listTags = vi.fn(async () => ({
+        data: [{ name: 'v2.0.0', commit: { sha: 'b' } }, { name: 'v1.0.0', commit: { sha: 'a' } }],
+      }));
+      service.octokit.git.getCommit = vi.fn(async () => ({ data: { committer: { date: '2024-01-01T00:00:00Z' } } }));
+
+      const tags = await service.getTags('owner', 'repo');
+
+      expect(service.octokit.git.getCommit).toHaveBeenCalledTimes(1);
+      expect(tags).toEqual([{ name: 'v2.0.0', date: '2024-01-01T00:00:00Z' }, { name: 'v1.0.0', date: null }]);
+    });
+  });
+
+  describe('getReviewers', () => {
+    it('should leave reviewers unknown for pull requests whose reviews fail to load', async () => {
+      const service = new GitHubApiService('token');
+      service.octokit.pulls.listReviews = vi.fn(async ({ pull_number }) => {
+        if (pull_number === 2) {
+          throw Object.assign(new Error('Not Found'), { status: 404 });
+        }
+        return { data: [{ user: { login: 'maintainer', type: 'User' }, submitted_at: '2024-01-02T00:00:00Z' }] };
+      });
+      const pullRequests = [
+        { number: 1, created_at: '2024-01-01T00:00:00Z' },
+        { number: 2, created_at: '2024-01-01T00:00:00Z' },
+      ];
+
+      await service.getReviewers('owner', 'repo', pullRequests);
+
+      expect(pullRequests[0]).toMatchObject({ reviewers_complete: true, reviewers: [{ login: 'maintainer' }] });
+      expect(pullRequests[1].reviewers).toBeUndefined();
+      expect(pullRequests[1].reviewers_complete).toBe(false);
+    });
+
+    it('should only look up the most recent pull requests the budget can spare', async () => {
+      const service = new GitHubApiService();
+      setBudget(service, 31);
+      service.octokit.pulls.listReviews = vi.fn(async () => ({ data: [] }));
+      const pullRequests = [
+        { number: 1, created_at: '2024-01-01T00:00:00Z' },
+        { number: 2, created_at: '2024-02-01T00:00:00Z' },
+      ];
+
+      await service.getReviewers('owner', 'repo', pullRequests);
+
+      expect(service.octokit.pulls.listReviews).toHaveBeenCalledTimes(1);
+      expect(pullRequests[1].reviewers).toEqual([]);
+      expect(pullRequests[0].reviewers).toBeUndefined();
+    });
+  });
+
+  describe('mapWorkflowRun', () => {
+    const workflowRun = (run_attempt) => ({
+      name: 'CI',
+      conclusion: 'success',
+      created_at: '2024-03-01T00:00:00Z',
+      run_started_at: '2024-03-01T00:01:00Z',
+      updated_at: '2024-03-01T00:11:00Z',
+      run_attempt,
+    });
+
+    it('should time first attempts from their start to their last update', () => {
+      expect(mapWorkflowRun(workflowRun(1))).toEqual({
+        name: 'CI',
+        conclusion: 'success',
+        created_at: '2024-03-01T00:00:00Z',
+        started_at: '2024-03-01T00:01:00Z',
+        completed_at: '2024-03-01T00:11:00Z',
+      });
+    });
+
+    it('should leave re-run attempts without a duration', () => {
+      const run = mapWorkflowRun(workflowRun(2));
+      expect(run.conclusion).toBe('success');
+      expect(run.started_at).toBeNull();
+      expect(run.completed_at).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,327 @@
+/**
+ * GitHub GraphQL Queries
+ *
+ * Batched GraphQL queries used by GitHubApiService and mappers that convert
+ * GraphQL nodes into the REST response shapes MetricCalculator consumes.
+ */
+
+import { toResponder } from '../utils/firstResponse.js';
+
+// Timeline items that count as a response to an issue or pull request
+// (fragments must only name types in the timeline's union)
+const ISSUE_RESPONSE_FIELDS = `
+  ... on IssueComment { createdAt author { login __typename } }
+  ... on ClosedEvent { createdAt actor { login __typename } }
+`;
+
+const PULL_REQUEST_RESPONSE_FIELDS = `
+  ${ISSUE_RESPONSE_FIELDS}
+  ... on PullRequestReview { createdAt author { login __typename } }
+  ... on MergedEvent { createdAt actor { login __typename } }
+`;
+
+const ISSUE_FIELDS = `
+  number
+  title
+  state
+  createdAt
+  updatedAt
+  closedAt
+  url
+  comments { totalCount }
+  author { login __typename }
+  timelineItems(first: 20, itemTypes: [ISSUE_COMMENT, CLOSED_EVENT]) {
+    pageInfo { hasNextPage }
+    nodes { ${ISSUE_RESPONSE_FIELDS} }
+  }
+`;
+
+const PULL_REQUEST_FIELDS = `
+  number
+  title
+  state
+  createdAt
+  updatedAt
+  closedAt
+  mergedAt
+  url
+  author { login __typename }
+  mergedBy { login __typename }
+  timelineItems(first: 20, itemTypes: [ISSUE_COMMENT, PULL_REQUEST_REVIEW, CLOSED_EVENT, MERGED_EVENT]) {
+    pageInfo { hasNextPage }
+    nodes { ${PULL_REQUEST_RESPONSE_FIELDS} }
+  }
+  reviews(first: 20, states: [APPROVED, CHANGES_REQUESTED, COMMENTED, DISMISSED]) {
+    pageInfo { hasNextPage }
+    nodes { submittedAt author { login __typename } }
+  }
+`;
+
+/**
+ * Build the repository query, including blob lookups for the given file paths
+ * @param {Array<string>} filePaths - Paths to fetch from the default branch
+ * @returns {string} GraphQL query
+ */
+export function buildRepositoryQuery(filePaths = []) {
+  const fileSelections = filePaths
+    .map((path, index) => {
+      const expression = JSON.stringify(`HEAD:${path}`);
+      return `file${index}: object(expression: ${expression}) { ... on Blob { byteSize text } }`;
+    })
+    .join('\n');
+
+  return `
+    query RepositoryAnalysis($owner: String!, $name: String!, $since: DateTime!) {
+      repository(owner: $owner, name: $name) {
+        name
+        nameWithOwner
+        description
+        url
+        homepageUrl
+        stargazerCount
+        forkCount
+        createdAt
+        updatedAt
+        pushedAt
+        isArchived
+        defaultBranchRef { name }
+        licenseInfo { key name spdxId }
+        repositoryTopics(first: 20) { nodes { topic { name } } }
+        openIssueCount: issues(states: OPEN) { totalCount }
+        openPullRequestCount: pullRequests(states: OPEN) { totalCount }
+        openIssues: issues(states: OPEN, first: 100, orderBy: { field: CREATED_AT, direction: DESC }) {
+          nodes { ${ISSUE_FIELDS} }
+        }
+        closedIssues: issues(states: CLOSED, first: 100, filterBy: { since: $since }, orderBy: { field: UPDATED_AT, direction: DESC }) {
+          nodes { ${ISSUE_FIELDS} }
+        }
+        pullRequests(first: 100, orderBy: { field: UPDATED_AT, direction: DESC }) {
+          nodes { ${PULL_REQUEST_FIELDS} }
+        }
+        releases(first: 20, orderBy: { field: CREATED_AT, direction: DESC }) {
+          nodes { tagName name description url publishedAt createdAt isPrerelease isDraft }
+        }
+        tags: refs(refPrefix: "refs/tags/", first: 50, orderBy: { field: TAG_COMMIT_DATE, direction: DESC }) {
+          nodes {
+            name
+            target {
+              ... on Commit { committedDate }
+              ... on Tag { tagger { date } target { ... on Commit { committedDate } } }
+            }
+          }
+        }
+        ${fileSelections}
+      }
+    }
+  `;
+}
+
+export const COMMIT_HISTORY_QUERY = `
+  query CommitHistory($owner: String!, $name: String!, $since: GitTimestamp!, $cursor: String) {
+    repository(owner: $owner, name: $name) {
+      defaultBranchRef {
+        target {
+          ... on Commit {
+            history(first: 100, since: $since, after: $cursor) {
+              pageInfo { hasNextPage endCursor }
+              nodes {
+                oid
+                message
+                url
+                author { name email date user { login } }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Map a GraphQL actor to the REST user shape
+ * @param {Object|null} actor - GraphQL actor ({ login, __typename })
+ * @returns {Object|null} REST-style user ({ login, type })
+ */
+export function mapActor(actor) {
+  if (!actor) {
+    return null;
+  }
+  return {
+    login: actor.login,
+    type: actor.__typename || 'User',
+  };
+}
+
+/**
+ * Build a query for the profiles of the given users
+ * @param {Array<string>} logins - User logins
+ * @returns {string} GraphQL query with one aliased user lookup per login
+ */
+export function buildUserProfilesQuery(logins) {
+  const selections = logins
+    .map((login, index) => `user${index}: user(login: ${JSON.stringify(login)}) { login company }`)
+    .join('\n');
+
+  return `query UserProfiles {\n${selections}\n}`;
+}
+
+/**
+ * Collect the responders from an issue or pull request timeline
+ * @param {Object} node - GraphQL issue or pull request node with timelineItems
+ * @returns {Object} { responders, responders_complete }; responders is undefined
+ *   without a timeline, and the listing is incomplete if only the first page was read
+ */
+export function mapResponders(node) {
+  if (!node.timelineItems) {
+    return { responders: undefined, responders_complete: false };
+  }
+
+  return {
+    responders: node.timelineItems.nodes.map(item => toResponder(mapActor(item.author || item.actor), item.createdAt)),
+    responders_complete: !node.timelineItems.pageInfo?.hasNextPage,
+  };
+}
+
+/**
+ * Collect the submitted reviews of a pull request (pending reviews have no time)
+ * @param {Object} node - GraphQL pull request node
+ * @returns {Object} { reviewers, reviewers_complete }; reviewers is undefined if reviews weren't queried
+ */
+export function mapReviewers(node) {
+  if (!node.reviews) {
+    return { reviewers: undefined, reviewers_complete: false };
+  }
+
+  return {
+    reviewers: node.reviews.nodes
+      .filter(review => review.submittedAt)
+      .map(review => toResponder(mapActor(review.author), review.submittedAt)),
+    reviewers_complete: !node.reviews.pageInfo?.hasNextPage,
+  };
+}
+
+/**
+ * Map a GraphQL repository node to the REST repository shape
+ */
+export function mapRepository(node) {
+  return {
+    name: node.name,
+    full_name: node.nameWithOwner,
+    description: node.description,
+    html_url: node.url,
+    homepage: node.homepageUrl || null,
+    stargazers_count: node.stargazerCount,
+    forks_count: node.forkCount,
+    // REST counts open pull requests as open issues too
+    open_issues_count: (node.openIssueCount?.totalCount || 0) + (node.openPullRequestCount?.totalCount || 0),
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    pushed_at: node.pushedAt,
+    archived: node.isArchived,
+    default_branch: node.defaultBranchRef?.name || null,
+    topics: (node.repositoryTopics?.nodes || []).map(n => n.topic.name),
+    license: node.licenseInfo
+      ? { key: node.licenseInfo.key, name: node.licenseInfo.name, spdx_id: node.licenseInfo.spdxId }
+      : null,
+  };
+}
+
+/**
+ * Map a GraphQL commit node to the REST commit shape
+ */
+export function mapCommit(node) {
+  return {
+    sha: node.oid,
+    html_url: node.url,
+    commit: {
+      message: node.message,
+      author: {
+        name: node.author?.name,
+        email: node.author?.email,
+        date: node.author?.date,
+      },
+    },
+    author: node.author?.user ? { login: node.author.user.login, type: 'User' } : null,
+  };
+}
+
+/**
+ * Map a GraphQL issue node to the REST issue shape
+ */
+export function mapIssue(node) {
+  return {
+    number: node.number,
+    title: node.title,
+    state: node.state.toLowerCase(),
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    closed_at: node.closedAt,
+    html_url: node.url,
+    comments: node.comments?.totalCount || 0,
+    user: mapActor(node.author),
+    ...mapResponders(node),
+  };
+}
+
+/**
+ * Map a GraphQL pull request node to the REST pull request shape
+ */
+export function mapPullRequest(node) {
+  return {
+    number: node.number,
+    title: node.title,
+    // REST reports merged pull requests as closed
+    state: node.state === 'OPEN' ? 'open' : 'closed',
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    closed_at: node.closedAt,
+    merged_at: node.mergedAt,
+    html_url: node.url,
+    user: mapActor(node.author),
+    merged_by: mapActor(node.mergedBy),
+    ...mapResponders(node),
+    ...mapReviewers(node),
+  };
+}
+
+/**
+ * Map a GraphQL release node to the REST release shape
+ */
+export function mapRelease(node) {
+  return {
+    tag_name: node.tagName,
+    name: node.name,
+    body: node.description,
+    html_url: node.url,
+    published_at: node.publishedAt,
+    created_at: node.createdAt,
+    prerelease: node.isPrerelease,
+    draft: node.isDraft,
+  };
+}
+
+/**
+ * Map a GraphQL tag ref to { name, date }, dating annotated tags by their tagger
+ */
+export function mapTag(node) {
+  const target = node.target || {};
+  return {
+    name: node.name,
+    date: target.tagger?.date || target.target?.committedDate || target.committedDate || null,
+  };
+}
+
+/**
+ * Group pull requests the same way GitHubApiService.getPullRequests() does
+ * @param {Array<Object>} pullRequests - REST-style pull requests
+ * @returns {Object} Pull requests data { open, closed, merged, all }
+ */
+export function groupPullRequests(pullRequests) {
+  return {
+    open: pullRequests.filter(pr => pr.state === 'open'),
+    closed: pullRequests.filter(pr => pr.state === 'closed' && !pr.merged_at),
+    merged: pullRequests.filter(pr => pr.merged_at),
+    all: pullRequests,
+  };
+}
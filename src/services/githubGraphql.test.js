@@ -0,0 +1,219 @@
+/**
+ * GitHub GraphQL Mapper Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildRepositoryQuery,
+  buildUserProfilesQuery,
+  groupPullRequests,
+  mapCommit,
+  mapIssue,
+  mapPullRequest,
+  mapRelease,
+  mapRepository,
+  mapResponders,
+  mapReviewers,
+  mapTag,
+} from './githubGraphql.js';
+
+describe('githubGraphql', () => {
+  describe('buildRepositoryQuery', () => {
+    it('should alias one blob lookup per file path', () => {
+      const query = buildRepositoryQuery(['README.md', 'docs/GOVERNANCE.md']);
+      expect(query).toContain('file0: object(expression: "HEAD:README.md")');
+      expect(query).toContain('file1: object(expression: "HEAD:docs/GOVERNANCE.md")');
+    });
+  });
+
+  describe('buildUserProfilesQuery', () => {
+    it('should alias one user lookup per login', () => {
+      const query = buildUserProfilesQuery(['alice', 'bob']);
+      expect(query).toContain('user0: user(login: "alice") { login company }');
+      expect(query).toContain('user1: user(login: "bob")');
+    });
+  });
+
+  describe('mapRepository', () => {
+    it('should map to the REST repository shape', () => {
+      const repository = mapRepository({
+        name: 'repo',
+        nameWithOwner: 'owner/repo',
+        description: 'A test repo',
+        url: 'https://github.com/owner/repo',
+        homepageUrl: '',
+        stargazerCount: 42,
+        forkCount: 7,
+        pushedAt: '2024-01-01T00:00:00Z',
+        updatedAt: '2024-01-02T00:00:00Z',
+        defaultBranchRef: { name: 'main' },
+        licenseInfo: { key: 'mit', name: 'MIT License', spdxId: 'MIT' },
+        repositoryTopics: { nodes: [{ topic: { name: 'cncf-sandbox' } }] },
+        openIssueCount: { totalCount: 5 },
+        openPullRequestCount: { totalCount: 3 },
+      });
+
+      expect(repository.full_name).toBe('owner/repo');
+      expect(repository.html_url).toBe('https://github.com/owner/repo');
+      expect(repository.homepage).toBeNull();
+      expect(repository.stargazers_count).toBe(42);
+      expect(repository.open_issues_count).toBe(8);
+      expect(repository.default_branch).toBe('main');
+      expect(repository.license.spdx_id).toBe('MIT');
+      expect(repository.topics).toEqual(['cncf-sandbox']);
+    });
+
+    it('should map a missing license to null', () => {
+      expect(mapRepository({ licenseInfo: null }).license).toBeNull();
+    });
+  });
+
+  describe('mapCommit', () => {
+    it('should nest author data like the REST API', () => {
+      const commit = mapCommit({
+        oid: 'abc123',
+        message: 'Fix bug',
+        author: { name: 'Dev', email: 'dev@example.com', date: '2024-01-01T00:00:00Z', user: { login: 'dev' } },
+      });
+
+      expect(commit.sha).toBe('abc123');
+      expect(commit.commit.author.date).toBe('2024-01-01T00:00:00Z');
+      expect(commit.commit.author.email).toBe('dev@example.com');
+      expect(commit.author.login).toBe('dev');
+    });
+
+    it('should leave author null for commits without a linked account', () => {
+      const commit = mapCommit({ oid: 'abc', author: { name: 'Dev', email: 'dev@example.com', user: null } });
+      expect(commit.author).toBeNull();
+    });
+  });
+
+  describe('mapIssue', () => {
+    it('should map comment counts and authors', () => {
+      const issue = mapIssue({
+        number: 1,
+        state: 'OPEN',
+        createdAt: '2024-01-01T00:00:00Z',
+        updatedAt: '2024-01-02T00:00:00Z',
+        closedAt: null,
+        comments: { totalCount: 3 },
+        author: { login: 'renovate', __typename: 'Bot' },
+      });
+
+      expect(issue.state).toBe('open');
+      expect(issue.comments).toBe(3);
+      expect(issue.user).toEqual({ login: 'renovate', type: 'Bot' });
+    });
+  });
+
+  describe('mapResponders', () => {
+    const author = { login: 'reporter', __typename: 'User' };
+
+    it('should collect comment and event authors with their type', () => {
+      const { responders, responders_complete } = mapResponders({
+        author,
+        timelineItems: {
+          pageInfo: { hasNextPage: false },
+          nodes: [
+            { createdAt: '2024-01-01T02:00:00Z', author: { login: 'triage', __typename: 'Bot' } },
+            { createdAt: '2024-01-01T05:00:00Z', actor: { login: 'maintainer', __typename: 'User' } },
+            { createdAt: '2024-01-01T06:00:00Z', author: null },
+          ],
+        },
+      });
+
+      expect(responders).toEqual([
+        { login: 'triage', type: 'Bot', created_at: '2024-01-01T02:00:00Z' },
+        { login: 'maintainer', type: 'User', created_at: '2024-01-01T05:00:00Z' },
+        { login: null, type: null, created_at: '2024-01-01T06:00:00Z' },
+      ]);
+      expect(responders_complete).toBe(true);
+    });
+
+    it('should distinguish a partial timeline from a missing one', () => {
+      const timeline = hasNextPage => ({ author, timelineItems: { pageInfo: { hasNextPage }, nodes: [] } });
+
+      expect(mapResponders(timeline(false))).toEqual({ responders: [], responders_complete: true });
+      expect(mapResponders(timeline(true)).responders_complete).toBe(false);
+      expect(mapResponders({ author }).responders).toBeUndefined();
+    });
+  });
+
+  describe('mapReviewers', () => {
+    it('should skip pending reviews', () => {
+      const author = { login: 'dev', __typename: 'User' };
+      const { reviewers } = mapReviewers({
+        author,
+        reviews: {
+          pageInfo: { hasNextPage: false },
+          nodes: [
+            { submittedAt: null, author: { login: 'pending', __typename: 'User' } },
+            { submittedAt: '2024-01-02T00:00:00Z', author: { login: 'maintainer', __typename: 'User' } },
+          ],
+        },
+      });
+
+      expect(reviewers).toEqual([{ login: 'maintainer', type: 'User', created_at: '2024-01-02T00:00:00Z' }]);
+      expect(mapReviewers({ author }).reviewers).toBeUndefined();
+    });
+  });
+
+  describe('mapPullRequest', () => {
+    it('should report merged pull requests as closed with merged_at', () => {
+      const pr = mapPullRequest({
+        number: 2,
+        state: 'MERGED',
+        mergedAt: '2024-01-03T00:00:00Z',
+        author: { login: 'dev', __typename: 'User' },
+        mergedBy: { login: 'maintainer', __typename: 'User' },
+      });
+
+      expect(pr.state).toBe('closed');
+      expect(pr.merged_at).toBe('2024-01-03T00:00:00Z');
+      expect(pr.merged_by.login).toBe('maintainer');
+    });
+  });
+
+  describe('mapRelease', () => {
+    it('should map to the REST release shape', () => {
+      const release = mapRelease({
+        tagName: 'v1.0.0',
+        publishedAt: '2024-01-01T00:00:00Z',
+        isPrerelease: false,
+        isDraft: false,
+      });
+
+      expect(release.tag_name).toBe('v1.0.0');
+      expect(release.published_at).toBe('2024-01-01T00:00:00Z');
+      expect(release.prerelease).toBe(false);
+    });
+  });
+
+  describe('mapTag', () => {
+    it('should date annotated tags by their tagger and lightweight tags by their commit', () => {
+      const annotated = mapTag({
+        name: 'v1.0.0',
+        target: { tagger: { date: '2024-01-02T00:00:00Z' }, target: { committedDate: '2024-01-01T00:00:00Z' } },
+      });
+      const lightweight = mapTag({ name: 'v0.9.0', target: { committedDate: '2023-12-01T00:00:00Z' } });
+
+      expect(annotated).toEqual({ name: 'v1.0.0', date: '2024-01-02T00:00:00Z' });
+      expect(lightweight.date).toBe('2023-12-01T00:00:00Z');
+    });
+  });
+
+  describe('groupPullRequests', () => {
+    it('should split pull requests by state', () => {
+      const grouped = groupPullRequests([
+        { state: 'open', merged_at: null },
+        { state: 'closed', merged_at: null },
+        { state: 'closed', merged_at: '2024-01-01T00:00:00Z' },
+      ]);
+
+      expect(grouped.open).toHaveLength(1);
+      expect(grouped.closed).toHaveLength(1);
+      expect(grouped.merged).toHaveLength(1);
+      expect(grouped.all).toHaveLength(3);
+    });
+  });
+});
@@ -0,0 +1,457 @@
+/**
+ * GitLab API Service
+ *
+ * Forge provider for gitlab.com and self-hosted GitLab instances (REST API v4).
+ * Maps projects, merge requests, issues, releases and contributors into the
+ * normalized data model described in forgeProvider.js.
+ */
+
+import { ForgeProvider } from './forgeProvider.js';
+import { RequestScheduler } from './requestScheduler.js';
+import { COMMUNITY_FILE_DIRECTORIES, GOVERNANCE_FILE_CHECKS } from '../config/repositoryFiles.js';
+
+// GitLab license keys that differ from their SPDX identifiers
+const LICENSE_SPDX_IDS = {
+  'mit': 'MIT',
+  'apache-2.0': 'Apache-2.0',
+  'gpl-2.0': 'GPL-2.0',
+  'gpl-3.0': 'GPL-3.0',
+  'lgpl-2.1': 'LGPL-2.1',
+  'lgpl-3.0': 'LGPL-3.0',
+  'agpl-3.0': 'AGPL-3.0',
+  'mpl-2.0': 'MPL-2.0',
+  'epl-2.0': 'EPL-2.0',
+  'bsd-2-clause': 'BSD-2-Clause',
+  'bsd-3-clause': 'BSD-3-Clause',
+  'isc': 'ISC',
+  'unlicense': 'Unlicense',
+};
+
+/**
+ * Map a GitLab user to the normalized user shape
+ */
+export function mapGitLabUser(user) {
+  if (!user) {
+    return null;
+  }
+  return {
+    login: user.username,
+    type: user.bot ? 'Bot' : 'User',
+  };
+}
+
+/**
+ * Map a GitLab project to the normalized repository shape
+ */
+export function mapGitLabProject(project) {
+  const license = project.license
+    ? {
+      key: project.license.key,
+      name: project.license.name,
+      spdx_id: LICENSE_SPDX_IDS[project.license.key] || project.license.nickname || project.license.name,
+    }
+    : null;
+
+  return {
+    name: project.path,
+    full_name: project.path_with_namespace,
+    description: project.description,
+    html_url: project.web_url,
+    homepage: null,
+    stargazers_count: project.star_count,
+    forks_count: project.forks_count,
+    open_issues_count: project.open_issues_count || 0,
+    created_at: project.created_at,
+    updated_at: project.last_activity_at,
+    pushed_at: project.last_activity_at,
+    archived: project.archived,
+    default_branch: project.default_branch || null,
+    topics: project.topics || project.tag_list || [],
+    license,
+  };
+}
+
+/**
+ * Map a GitLab commit to the normalized commit shape
+ */
+export function mapGitLabCommit(commit) {
+  return {
+    sha: commit.id,
+    html_url: commit.web_url,
+    commit: {
+      message: commit.message,
+      author: {
+        name: commit.author_name,
+        email: commit.author_email,
+        date: commit.authored_date,
+      },
+    },
+    // GitLab does not link commits to user accounts
+    author: null,
+  };
+}
+
+/**
+ * Map a GitLab contributor to the normalized contributor shape
+ */
+export function mapGitLabContributor(contributor) {
+  return {
+    login: contributor.name,
+    email: contributor.email,
+    contributions: contributor.commits,
+  };
+}
+
+/**
+ * Map a GitLab issue to the normalized issue shape
+ */
+export function mapGitLabIssue(issue) {
+  return {
+    number: issue.iid,
+    title: issue.title,
+    state: issue.state === 'opened' ? 'open' : 'closed',
+    created_at: issue.created_at,
+    updated_at: issue.updated_at,
+    closed_at: issue.closed_at,
+    html_url: issue.web_url,
+    comments: issue.user_notes_count || 0,
+    user: mapGitLabUser(issue.author),
+  };
+}
+
+/**
+ * Map a GitLab merge request to the normalized pull request shape
+ */
+export function mapGitLabMergeRequest(mergeRequest) {
+  return {
+    number: mergeRequest.iid,
+    title: mergeRequest.title,
+    state: mergeRequest.state === 'opened' ? 'open' : 'closed',
+    created_at: mergeRequest.created_at,
+    updated_at: mergeRequest.updated_at,
+    closed_at: mergeRequest.closed_at || mergeRequest.merged_at,
+    merged_at: mergeRequest.state === 'merged' ? mergeRequest.merged_at || mergeRequest.updated_at : null,
+    html_url: mergeRequest.web_url,
+    user: mapGitLabUser(mergeRequest.author),
+    merged_by: mapGitLabUser(mergeRequest.merge_user || mergeRequest.merged_by),
+  };
+}
+
+/**
+ * Map a GitLab release to the normalized release shape
+ */
+export function mapGitLabRelease(release) {
+  return {
+    tag_name: release.tag_name,
+    name: release.name,
+    body: release.description,
+    html_url: release._links?.self,
+    published_at: release.released_at,
+    created_at: release.created_at,
+    prerelease: false,
+    draft: false,
+  };
+}
+
+/**
+ * Map a GitLab tag to { name, date }, dating annotated tags by their creation
+ */
+export function mapGitLabTag(tag) {
+  return {
+    name: tag.name,
+    date: tag.created_at || tag.commit?.committed_date || null,
+  };
+}
+
+export class GitLabApiService extends ForgeProvider {
+  /**
+   * @param {string|null} token - Optional GitLab Personal Access Token
+   * @param {Object} options - Service options
+   * @param {string} options.apiUrl - API base URL (https://host/api/v4)
+   * @param {RequestScheduler} options.scheduler - Scheduler that paces requests and handles rate limits
+   */
+  constructor(token = null, { apiUrl = 'https://gitlab.com/api/v4', scheduler = new RequestScheduler() } = {}) {
+    super({ scheduler });
+    this.apiUrl = apiUrl.replace(/\/$/, '');
+    this.token = token;
+  }
+
+  getRequestHeaders() {
+    return this.token ? { 'PRIVATE-TOKEN': this.token } : {};
+  }
+
+  /**
+   * Get the API path for a project
+   * @param {string} owner - Namespace (may contain subgroups)
+   * @param {string} repo - Project path
+   * @returns {string} Project API path
+   */
+  projectPath(owner, repo) {
+    return `/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+  }
+
+  async getAnalysisData(owner, repo, { days = 90, onProgress = () => {}, scorecardFile = null } = {}) {
+    onProgress('Fetching project information...');
+    const repository = await this.getRepository(owner, repo);
+
+    onProgress('Analyzing commit activity...');
+    const commits = await this.getCommits(owner, repo, days);
+
+    onProgress('Fetching contributor data...');
+    const contributors = await this.getContributors(owner, repo);
+
+    onProgress('Analyzing issues...');
+    const issues = await this.getIssues(owner, repo, days);
+
+    onProgress('Checking merge requests...');
+    const pullRequests = await this.getPullRequests(owner, repo);
+
+    onProgress('Fetching releases...');
+    const releases = await this.getReleases(owner, repo);
+    const tags = await this.getReleaseTags(owner, repo, releases);
+
+    onProgress('Checking community health and governance files...');
+    const paths = await this.listFilePaths(owner, repo);
+    const communityProfile = this.buildCommunityProfile(paths);
+    const governanceFiles = await this.getGovernanceFiles(owner, repo, paths);
+    const readmePath = communityProfile.files.readme?.path;
+    const readme = readmePath ? await this.getFileContent(owner, repo, readmePath) : null;
+
+    onProgress('Scanning repository files...');
+    const repositoryTree = await this.getRepositoryTree(owner, repo, repository.default_branch);
+    const changelog = await this.getChangelog(owner, repo, repositoryTree);
+    const manifests = await this.getManifests(owner, repo, repositoryTree);
+
+    onProgress('Reading security policy...');
+    const vulnerabilityReporting = await this.getVulnerabilityReporting(owner, repo, communityProfile.files.security_policy);
+
+    onProgress('Checking OpenSSF Best Practices badge...');
+    const openSSFBadge = await this.lookupOpenSSFBadge(repository.html_url, async () => readme);
+
+    onProgress('Fetching OpenSSF Scorecard results...');
+    const scorecard = await this.getOpenSSFScorecard(repository.html_url, scorecardFile);
+
+    onProgress('Detecting foundation affiliation...');
+    const foundationAffiliation = await this.detectFoundation(owner, repository, async () => readme);
+
+    return {
+      repository,
+      commits,
+      contributors,
+      issues,
+      pullRequests,
+      releases,
+      tags,
+      communityProfile,
+      governanceFiles,
+      readme,
+      repositoryTree,
+      changelog,
+      manifests,
+      vulnerabilityReporting,
+      openSSFBadge,
+      scorecard,
+      foundationAffiliation,
+    };
+  }
+
+  async getRepository(owner, repo) {
+    const { data } = await this.request(this.projectPath(owner, repo), { license: true });
+    return mapGitLabProject(data);
+  }
+
+  async getCommits(owner, repo, days = 90) {
+    const since = new Date();
+    since.setDate(since.getDate() - days);
+
+    try {
+      const commits = await this.paginate(`${this.projectPath(owner, repo)}/repository/commits`, {
+        since: since.toISOString(),
+        per_page: 100,
+      });
+      return commits.map(mapGitLabCommit);
+    } catch (error) {
+      // Empty repositories have no commits endpoint
+      if (error.status === 404) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async getContributors(owner, repo) {
+    try {
+      const contributors = await this.paginate(`${this.projectPath(owner, repo)}/repository/contributors`, {
+        order_by: 'commits',
+        sort: 'desc',
+        per_page: 100,
+      });
+      return contributors.map(mapGitLabContributor);
+    } catch (error) {
+      if (error.status === 404) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async getIssues(owner, repo, days = 90, limit = 100) {
+    const since = new Date();
+    since.setDate(since.getDate() - days);
+    const path = `${this.projectPath(owner, repo)}/issues`;
+
+    const open = await this.paginate(path, {
+      state: 'opened',
+      order_by: 'created_at',
+      sort: 'desc',
+      per_page: 100,
+    }, limit);
+
+    const closed = await this.paginate(path, {
+      state: 'closed',
+      updated_after: since.toISOString(),
+      order_by: 'updated_at',
+      sort: 'desc',
+      per_page: 100,
+    }, limit);
+
+    const openIssues = open.map(mapGitLabIssue);
+    const closedIssues = closed.map(mapGitLabIssue);
+
+    return {
+      open: openIssues,
+      closed: closedIssues,
+      all: [...openIssues, ...closedIssues],
+    };
+  }
+
+  async getPullRequests(owner, repo, limit = 100) {
+    const mergeRequests = await this.paginate(`${this.projectPath(owner, repo)}/merge_requests`, {
+      state: 'all',
+      order_by: 'updated_at',
+      sort: 'desc',
+      per_page: 100,
+    }, limit);
+
+    const prs = mergeRequests.map(mapGitLabMergeRequest);
+    return {
+      open: prs.filter(pr => pr.state === 'open'),
+      closed: prs.filter(pr => pr.state === 'closed' && !pr.merged_at),
+      merged: prs.filter(pr => pr.merged_at),
+      all: prs,
+    };
+  }
+
+  async getReleases(owner, repo, limit = 20) {
+    try {
+      const { data } = await this.request(`${this.projectPath(owner, repo)}/releases`, { per_page: limit });
+      return data.map(mapGitLabRelease);
+    } catch (error) {
+      if (error.status === 404 || error.status === 403) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async getTags(owner, repo, limit = 20) {
+    try {
+      const { data } = await this.request(`${this.projectPath(owner, repo)}/repository/tags`, {
+        order_by: 'updated',
+        sort: 'desc',
+        per_page: limit,
+      });
+      return data.map(mapGitLabTag);
+    } catch (error) {
+      if (error.status === 404 || error.status === 403) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List file paths in the directories where community and governance files live
+   * @returns {Promise<Array<string>>} File paths
+   */
+  async listFilePaths(owner, repo) {
+    const governanceDirectories = GOVERNANCE_FILE_CHECKS
+      .flatMap(check => check.paths)
+      .map(path => path.split('/').slice(0, -1).join('/'));
+    const directories = [...new Set([...COMMUNITY_FILE_DIRECTORIES, ...governanceDirectories])];
+
+    const listings = await Promise.all(directories.map(async directory => {
+      try {
+        const entries = await this.paginate(`${this.projectPath(owner, repo)}/repository/tree`, {
+          path: directory || undefined,
+          per_page: 100,
+        });
+        return entries.filter(entry => entry.type === 'blob').map(entry => entry.path);
+      } catch (error) {
+        if (error.status === 404) {
+          return [];
+        }
+        throw error;
+      }
+    }));
+
+    return listings.flat();
+  }
+
+  /**
+   * List every file on a branch from the recursive repository tree
+   * @param {number} limit - Maximum number of entries (files and directories) to fetch
+   * @returns {Promise<Object|null>} { paths, truncated } or null if the tree is unavailable
+   */
+  async getRepositoryTree(owner, repo, ref = null, limit = 5000) {
+    try {
+      const entries = await this.paginate(`${this.projectPath(owner, repo)}/repository/tree`, {
+        ref: ref || undefined,
+        recursive: true,
+        per_page: 100,
+      }, limit);
+      return {
+        paths: entries.filter(entry => entry.type === 'blob').map(entry => entry.path),
+        truncated: entries.length >= limit,
+      };
+    } catch (error) {
+      if (error.status === 404 || error.status === 403) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get governance-related files from a list of repository paths
+   */
+  async getGovernanceFiles(owner, repo, paths) {
+    const governanceFiles = {};
+    for (const { key, paths: candidates } of GOVERNANCE_FILE_CHECKS) {
+      const path = candidates.find(candidate => paths.includes(candidate));
+      if (path) {
+        const content = await this.getFileContent(owner, repo, path);
+        governanceFiles[key] = { path, contentLength: content?.length || 0, content };
+      } else {
+        governanceFiles[key] = null;
+      }
+    }
+    return governanceFiles;
+  }
+
+  async getFileContent(owner, repo, path) {
+    try {
+      const { data } = await this.request(
+        `${this.projectPath(owner, repo)}/repository/files/${encodeURIComponent(path)}/raw`,
+        { ref: 'HEAD' },
+        { raw: true }
+      );
+      return data;
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,194 @@
+/**
+ * GitLab API Service Tests
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  GitLabApiService,
+  mapGitLabCommit,
+  mapGitLabContributor,
+  mapGitLabIssue,
+  mapGitLabMergeRequest,
+  mapGitLabProject,
+  mapGitLabRelease,
+  mapGitLabTag,
+} from './gitlabApi.js';
+import { resolveForgeHost } from '../config/forgeHosts.js';
+
+describe('GitLabApiService', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('mappers', () => {
+    it('should map projects to the normalized repository shape', () => {
+      const repository = mapGitLabProject({
+        path: 'project',
+        path_with_namespace: 'group/sub/project',
+        web_url: 'https://gitlab.com/group/sub/project',
+        star_count: 12,
+        forks_count: 3,
+        open_issues_count: 4,
+        last_activity_at: '2024-01-01T00:00:00Z',
+        default_branch: 'main',
+        topics: ['cncf-sandbox'],
+        license: { key: 'apache-2.0', name: 'Apache License 2.0' },
+      });
+
+      expect(repository.full_name).toBe('group/sub/project');
+      expect(repository.html_url).toBe('https://gitlab.com/group/sub/project');
+      expect(repository.stargazers_count).toBe(12);
+      expect(repository.pushed_at).toBe('2024-01-01T00:00:00Z');
+      expect(repository.license.spdx_id).toBe('Apache-2.0');
+      expect(repository.topics).toEqual(['cncf-sandbox']);
+    });
+
+    it('should map commits with author details', () => {
+      const commit = mapGitLabCommit({
+        id: 'abc',
+        author_name: 'Dev',
+        author_email: 'dev@example.com',
+        authored_date: '2024-01-01T00:00:00Z',
+      });
+
+      expect(commit.sha).toBe('abc');
+      expect(commit.commit.author.date).toBe('2024-01-01T00:00:00Z');
+      expect(commit.author).toBeNull();
+    });
+
+    it('should map contributors to login and contributions', () => {
+      expect(mapGitLabContributor({ name: 'Dev', email: 'dev@example.com', commits: 42 }))
+        .toEqual({ login: 'Dev', email: 'dev@example.com', contributions: 42 });
+    });
+
+    it('should map issue state and note counts', () => {
+      const issue = mapGitLabIssue({
+        iid: 7,
+        state: 'opened',
+        user_notes_count: 2,
+        author: { username: 'reporter' },
+      });
+
+      expect(issue.number).toBe(7);
+      expect(issue.state).toBe('open');
+      expect(issue.comments).toBe(2);
+      expect(issue.user.login).toBe('reporter');
+    });
+
+    it('should map merged merge requests like merged pull requests', () => {
+      const pr = mapGitLabMergeRequest({
+        iid: 3,
+        state: 'merged',
+        merged_at: '2024-01-02T00:00:00Z',
+        merge_user: { username: 'maintainer' },
+      });
+
+      expect(pr.state).toBe('closed');
+      expect(pr.merged_at).toBe('2024-01-02T00:00:00Z');
+      expect(pr.merged_by.login).toBe('maintainer');
+    });
+
+    it('should not treat closed merge requests as merged', () => {
+      const pr = mapGitLabMergeRequest({ iid: 4, state: 'closed', merged_at: null });
+      expect(pr.merged_at).toBeNull();
+    });
+
+    it('should map release dates', () => {
+      const release = mapGitLabRelease({ tag_name: 'v1.0.0', released_at: '2024-01-01T00:00:00Z' });
+      expect(release.published_at).toBe('2024-01-01T00:00:00Z');
+    });
+
+    it('should date lightweight tags by their commit', () => {
+      const commit = { committed_date: '2024-01-01T00:00:00Z' };
+      expect(mapGitLabTag({ name: 'v1.0.0', created_at: null, commit }).date).toBe('2024-01-01T00:00:00Z');
+      expect(mapGitLabTag({ name: 'v1.0.0', created_at: '2024-02-01T00:00:00Z', commit }).date).toBe('2024-02-01T00:00:00Z');
+    });
+  });
+
+  describe('buildCommunityProfile', () => {
+    it('should detect community files in any supported directory', () => {
+      const service = new GitLabApiService();
+      const profile = service.buildCommunityProfile([
+        'README.md',
+        'docs/CONTRIBUTING.md',
+        '.gitlab/SECURITY.md',
+        'src/index.js',
+      ]);
+
+      expect(profile.files.readme.path).toBe('README.md');
+      expect(profile.files.contributing.path).toBe('docs/CONTRIBUTING.md');
+      expect(profile.files.security_policy.path).toBe('.gitlab/SECURITY.md');
+      expect(profile.files.code_of_conduct).toBeNull();
+      expect(profile.health_percentage).toBe(60);
+    });
+  });
+
+  describe('paginate', () => {
+    it('should follow Link rel="next" headers', async () => {
+      const fetchMock = vi.fn()
+        .mockResolvedValueOnce(new Response(JSON.stringify([1, 2]), {
+          headers: { link: '<https://gitlab.com/api/v4/projects/1/issues?page=2&per_page=2>; rel="next"' },
+        }))
+        .mockResolvedValueOnce(new Response(JSON.stringify([3])));
+      vi.stubGlobal('fetch', fetchMock);
+
+      const service = new GitLabApiService();
+      const items = await service.paginate('/projects/1/issues', { per_page: 2 });
+
+      expect(items).toEqual([1, 2, 3]);
+      expect(String(fetchMock.mock.calls[1][0])).toContain('page=2');
+    });
+
+    it('should attach the HTTP status to errors', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(new Response('{}', { status: 404 })));
+
+      const service = new GitLabApiService();
+      await expect(service.request('/projects/missing')).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('getOpenSSFScorecard', () => {
+    // Stands in for the selected File (jsdom's Blob has no text())
+    const resultFile = name => ({
+      text: async () => JSON.stringify({ repo: { name }, score: 6.5, checks: [{ name: 'SAST', score: 7 }] }),
+    });
+
+    it('should read a supplied results file without calling the API', async () => {
+      const fetchMock = vi.fn();
+      vi.stubGlobal('fetch', fetchMock);
+
+      const service = new GitLabApiService();
+      const scorecard = await service.getOpenSSFScorecard(
+        'https://gitlab.example.com/group/project',
+        resultFile('gitlab.example.com/group/project')
+      );
+
+      expect(scorecard).toMatchObject({ source: 'file', score: 6.5, checks: [{ name: 'SAST', score: 7 }] });
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('should reject results for another repository', async () => {
+      const service = new GitLabApiService();
+      await expect(service.getOpenSSFScorecard('https://gitlab.com/group/project', resultFile('gitlab.com/other/repo')))
+        .rejects.toThrow('The Scorecard file is for gitlab.com/other/repo, not gitlab.com/group/project');
+    });
+
+    it('should query the public API and treat unscanned repositories as missing', async () => {
+      const fetchMock = vi.fn().mockResolvedValue(new Response('{}', { status: 404 }));
+      vi.stubGlobal('fetch', fetchMock);
+
+      const service = new GitLabApiService();
+      expect(await service.getOpenSSFScorecard('https://gitlab.com/group/project')).toBeNull();
+      expect(fetchMock.mock.calls[0][0]).toBe('https://api.securityscorecards.dev/projects/gitlab.com/group/project');
+    });
+  });
+
+  describe('resolveForgeHost', () => {
+    it('should resolve gitlab.com and self-hosted GitLab instances', () => {
+      expect(resolveForgeHost('gitlab.com').provider).toBe('gitlab');
+      expect(resolveForgeHost('gitlab.example.org').apiUrl).toBe('https://gitlab.example.org/api/v4');
+      expect(resolveForgeHost('github.com').provider).toBe('github');
+      expect(resolveForgeHost('example.com')).toBeNull();
+    });
+  });
+});
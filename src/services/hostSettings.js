@@ -0,0 +1,96 @@
+/**
+ * Host Settings
+ *
+ * Per-host access tokens and self-hosted server configuration, persisted in
+ * localStorage. Tokens are never shared between hosts.
+ */
+
+const TOKENS_KEY = 'forge_tokens';
+const HOSTS_KEY = 'forge_hosts';
+
+// Single-token key used before tokens were stored per host
+const LEGACY_GITHUB_TOKEN_KEY = 'github_token';
+
+export class HostSettings {
+  /**
+   * @param {Storage} storage - Storage backend (default: localStorage)
+   */
+  constructor(storage = globalThis.localStorage) {
+    this.storage = storage;
+    this.migrate();
+  }
+
+  /**
+   * Move the token saved under the old single-token key into the per-host map
+   */
+  migrate() {
+    const legacyToken = this.storage.getItem(LEGACY_GITHUB_TOKEN_KEY);
+    if (legacyToken === null) {
+      return;
+    }
+
+    const tokens = this.read(TOKENS_KEY);
+    tokens['github.com'] = tokens['github.com'] || legacyToken;
+    this.write(TOKENS_KEY, tokens);
+    this.storage.removeItem(LEGACY_GITHUB_TOKEN_KEY);
+  }
+
+  /**
+   * Get the access token for a host
+   * @param {string} host - Hostname
+   * @returns {string|null} Token or null
+   */
+  getToken(host) {
+    return this.read(TOKENS_KEY)[host] || null;
+  }
+
+  /**
+   * Save (or with an empty token, forget) the access token for a host
+   * @param {string} host - Hostname
+   * @param {string|null} token - Token
+   */
+  setToken(host, token) {
+    const tokens = this.read(TOKENS_KEY);
+    if (token) {
+      tokens[host] = token;
+    } else {
+      delete tokens[host];
+    }
+    this.write(TOKENS_KEY, tokens);
+  }
+
+  /**
+   * Get user-configured hosts
+   * @returns {Object} Host configs ({ provider, baseUrl, apiPath }) keyed by hostname
+   */
+  getHosts() {
+    return this.read(HOSTS_KEY);
+  }
+
+  /**
+   * Save (or with null, remove) the configuration of a self-hosted server
+   * @param {string} host - Hostname
+   * @param {Object|null} config - { provider, baseUrl, apiPath }
+   */
+  setHost(host, config) {
+    const hosts = this.read(HOSTS_KEY);
+    if (config) {
+      hosts[host] = config;
+    } else {
+      delete hosts[host];
+    }
+    this.write(HOSTS_KEY, hosts);
+  }
+
+  read(key) {
+    try {
+      return JSON.parse(this.storage.getItem(key)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  write(key, value) {
+    this.storage.setItem(key, JSON.stringify(value));
+  }
+}
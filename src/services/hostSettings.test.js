@@ -0,0 +1,73 @@
+/**
+ * Host Settings Tests
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { HostSettings } from './hostSettings.js';
+import { resolveForgeHost } from '../config/forgeHosts.js';
+
+describe('HostSettings', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should keep tokens separate per host', () => {
+    const settings = new HostSettings();
+    settings.setToken('github.com', 'public');
+    settings.setToken('github.example.com', 'enterprise');
+
+    expect(settings.getToken('github.com')).toBe('public');
+    expect(settings.getToken('github.example.com')).toBe('enterprise');
+    expect(settings.getToken('gitlab.com')).toBeNull();
+  });
+
+  it('should forget a token when it is cleared', () => {
+    const settings = new HostSettings();
+    settings.setToken('github.com', 'public');
+    settings.setToken('github.com', '');
+
+    expect(settings.getToken('github.com')).toBeNull();
+  });
+
+  it('should migrate the legacy single GitHub token', () => {
+    localStorage.setItem('github_token', 'legacy');
+
+    const settings = new HostSettings();
+
+    expect(settings.getToken('github.com')).toBe('legacy');
+    expect(localStorage.getItem('github_token')).toBeNull();
+  });
+
+  it('should store self-hosted server configuration', () => {
+    const settings = new HostSettings();
+    settings.setHost('code.example.com', { provider: 'github', baseUrl: 'https://code.example.com', apiPath: '/api/v3' });
+
+    expect(settings.getHosts()['code.example.com'].provider).toBe('github');
+
+    settings.setHost('code.example.com', null);
+    expect(settings.getHosts()).toEqual({});
+  });
+});
+
+describe('resolveForgeHost', () => {
+  it('should resolve GitHub Enterprise Server hosts to their API path', () => {
+    expect(resolveForgeHost('github.example.com')).toMatchObject({
+      provider: 'github',
+      apiUrl: 'https://github.example.com/api/v3',
+    });
+    expect(resolveForgeHost('owner.github.io')).toBeNull();
+  });
+
+  it('should prefer user-configured hosts', () => {
+    const customHosts = {
+      'code.example.com': { provider: 'github', baseUrl: 'https://code.example.com/', apiPath: '/ghe/api/v3' },
+    };
+
+    expect(resolveForgeHost('code.example.com', customHosts)).toMatchObject({
+      host: 'code.example.com',
+      provider: 'github',
+      name: 'GitHub Enterprise',
+      apiUrl: 'https://code.example.com/ghe/api/v3',
+    });
+  });
+});
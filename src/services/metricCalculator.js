@@ -1,55 +1,104 @@
 /**
  * Metric Calculator
  *
- * Calculates all 25 baseline metrics from GitHub API data.
+ * Calculates all 46 baseline metrics from GitHub API data.
  */
 
 import { METRIC_DEFINITIONS } from '../config/metricDefinitions.js';
 import { METRIC_THRESHOLDS, getScoreLevel } from '../config/thresholds.js';
+import { DEPENDENCY_UPDATE_TOOLS } from '../config/repositoryFiles.js';
+import { findScorecardCheck } from '../utils/scorecard.js';
+import { ADVISORY_SEVERITIES, summarizeAdvisories } from '../utils/advisories.js';
+import { collectDeclaredMaintainers, compareMaintainerActivity } from '../utils/maintainers.js';
+import { analyzeGovernance } from '../utils/governance.js';
+import {
+  classifyExpression,
+  findPolicyViolations,
+  licensesOverlap,
+  parseSpdxExpression,
+  readManifestLicense,
+} from '../utils/licenses.js';
+import { LICENSE_CATEGORIES } from '../config/licenses.js';
+import { collectDependencies, summarizeDependencies } from '../utils/dependencies.js';
+import { median, percentile } from '../utils/statistics.js';
+import { attributeCommits, calculateElephantFactor } from '../utils/organizations.js';
+import { findNewContributors, getCommitAuthorKey } from '../utils/contributors.js';
+import { countReleasesBehind, getStableReleases, hasReleaseNotes } from '../utils/changelog.js';
+import { analyzeReleases } from '../utils/releases.js';
+import { detectDocumentation } from '../utils/documentation.js';
+import { analyzeReadme } from '../utils/readme.js';
+import { detectCISystems, summarizeRuns } from '../utils/ci.js';
 
 export class MetricCalculator {
   /**
    * Calculate all metrics from repository data
    * @param {Object} data - Repository data from GitHub API
+   * @param {Object} [options] - { licensePolicy, registrySnapshot } parsed with parseLicensePolicy()
+   *   and parseRegistrySnapshot()
    * @returns {Array<Object>} Calculated metrics with scores
    */
-  calculateAll(data) {
+  calculateAll(data, options = {}) {
     const metrics = [];
 
     // Activity metrics
     metrics.push(this.calculateCommitFrequency(data.commits));
-    metrics.push(this.calculateReleaseCadence(data.releases));
+    metrics.push(this.calculateReleaseCadence(data.releases, data.tags));
+    metrics.push(this.calculateTimeSinceRelease(data.releases, data.tags));
+    metrics.push(this.calculateSemverCompliance(data.releases, data.tags));
     metrics.push(this.calculateLastActivity(data.commits, data.repository));
     metrics.push(this.calculatePRVelocity(data.pullRequests));
+    metrics.push(this.calculateCIPresence(data.repositoryTree, data.ci));
+    metrics.push(this.calculateCIPassRate(data.ci));
+    metrics.push(this.calculateCIDuration(data.ci));
 
     // Community metrics
     metrics.push(this.calculateContributorCount(data.contributors));
     metrics.push(this.calculateBusFactor(data.contributors));
-    metrics.push(this.calculateNewContributors(data.commits));
-    metrics.push(this.calculateOrgDiversity(data.contributors));
+    metrics.push(this.calculateElephantFactor(data.commits, data.contributorProfiles));
+    metrics.push(this.calculateNewContributors(data.commits, data.pullRequests, data.firstContributions));
+    metrics.push(this.calculateOrgDiversity(data.commits, data.contributorProfiles));
     metrics.push(this.calculatePRMergeRate(data.pullRequests));
 
     // Responsiveness metrics
-    metrics.push(this.calculateIssueResponseTime(data.issues));
+    metrics.push(this.calculateIssueResponseTime(data.issues, data.pullRequests));
     metrics.push(this.calculateIssueCloseTime(data.issues));
+    metrics.push(this.calculatePRReviewTime(data.pullRequests));
+    metrics.push(this.calculatePRMergeTime(data.pullRequests));
+    metrics.push(this.calculateUnreviewedMerges(data.pullRequests));
     metrics.push(this.calculateStaleIssuesRatio(data.issues));
     metrics.push(this.calculateOpenIssuesRatio(data.issues, data.repository));
 
     // Documentation metrics
-    metrics.push(this.calculateReadmeQuality(data.communityProfile, data.repository));
+    metrics.push(this.calculateReadmeQuality(data.readme, data.communityProfile));
     metrics.push(this.calculateContributingGuide(data.communityProfile));
-    metrics.push(this.calculateDocsDirectory(data.communityProfile));
-    metrics.push(this.calculateChangelog(data.communityProfile));
+    metrics.push(this.calculateDocsDirectory(data.repositoryTree, data.repository, data.pagesUrl));
+    metrics.push(this.calculateChangelog(data.changelog, data.releases, data.repositoryTree));
 
     // Security metrics
     metrics.push(this.calculateSecurityPolicy(data.communityProfile));
-    metrics.push(this.calculateLicense(data.repository));
+    metrics.push(this.calculateLicense(data.repository, data.manifests, options.licensePolicy));
     metrics.push(this.calculateCodeOfConduct(data.communityProfile));
-    metrics.push(this.calculateVulnerabilityReporting(data.communityProfile));
+    metrics.push(this.calculateVulnerabilityReporting(data.vulnerabilityReporting));
+    metrics.push(this.calculateSecurityAdvisories(data.securityAdvisories, data.releases));
+    metrics.push(this.calculateBranchProtection(data.securitySettings));
+    metrics.push(this.calculateSignedCommits(data.securitySettings));
+    metrics.push(this.calculateSecurityFeatures(data.securitySettings));
+    metrics.push(this.calculateDependencyUpdates(data.repositoryTree, data.securitySettings));
+    metrics.push(this.calculateDependencyFreshness(data.manifests, options.registrySnapshot));
+    metrics.push(this.calculateScorecardScore(data.scorecard));
+    // Without a Scorecard result the aggregate stands in for the checks, so
+    // their neutral scores don't pull the Security average toward 50
+    if (data.scorecard) {
+      metrics.push(this.calculateScorecardCheck('token-permissions', data.scorecard));
+      metrics.push(this.calculateScorecardCheck('pinned-dependencies', data.scorecard));
+      metrics.push(this.calculateScorecardCheck('dangerous-workflow', data.scorecard));
+      metrics.push(this.calculateScorecardCheck('binary-artifacts', data.scorecard));
+      metrics.push(this.calculateScorecardCheck('known-vulnerabilities', data.scorecard));
+    }
 
     // Governance metrics
     metrics.push(this.calculateGovernanceDocs(data.governanceFiles));
-    metrics.push(this.calculateMaintainerCount(data.contributors, data.pullRequests));
+    metrics.push(this.calculateMaintainerCount(data.contributors, data.pullRequests, data.governanceFiles, data.commits));
     metrics.push(this.calculateOpenSSFBadge(data.openSSFBadge));
     metrics.push(this.calculateFoundationAffiliation(data.foundationAffiliation, data.governanceFiles));
 
@@ -79,42 +128,162 @@ export class MetricCalculator {
   }
 
   /**
-   * Calculate average days between releases
+   * Calculate average days between feature releases
+   * @param {Array<Object>} releases - Normalized releases
+   * @param {Array<Object>} tags - Tags [{ name, date }], used when fewer than two releases are published
    */
-  calculateReleaseCadence(releases) {
+  calculateReleaseCadence(releases, tags = []) {
     const metricDef = METRIC_DEFINITIONS['release-cadence'];
+    const analysis = analyzeReleases(releases, tags);
+    const note = analysis.source === 'tags' ? 'Measured from git tags; no releases are published' : undefined;
+
+    const breakdown = [];
+    if (analysis.source) {
+      breakdown.push({ label: 'Source', value: analysis.source === 'tags' ? 'Git tags' : 'Releases' });
+      breakdown.push({ label: 'Stable releases', value: analysis.stable });
+      breakdown.push({ label: 'Pre-releases', value: analysis.prereleases });
+    }
+    if (analysis.drafts > 0) {
+      breakdown.push({ label: 'Drafts (ignored)', value: analysis.drafts });
+    }
+
+    // Providers leave tags undated when the rate limit budget runs out
+    if (analysis.cadenceDays === null && analysis.undated > 0) {
+      return {
+        ...metricDef,
+        rawValue: null,
+        displayValue: 'Unknown',
+        score: 50, // Neutral
+        level: getScoreLevel(50),
+        breakdown,
+        note: 'Tag dates are not available for this repository',
+      };
+    }
 
-    if (releases.length < 2) {
+    if (analysis.cadenceDays === null) {
       return {
         ...metricDef,
         rawValue: null,
-        displayValue: 'No recent releases',
+        displayValue: analysis.stable === 1 ? 'Only one stable release' : 'No recent releases',
         score: 0,
         level: getScoreLevel(0),
+        breakdown: breakdown.length > 0 ? breakdown : undefined,
+        note,
       };
     }
 
-    // Calculate average days between last 5 releases
-    const recentReleases = releases.slice(0, 5);
-    let totalDays = 0;
-    let intervals = 0;
+    breakdown.push({
+      label: 'Measured between',
+      value: analysis.cadenceBasis === 'feature' ? 'First releases of each minor version' : 'All stable releases',
+    });
+
+    const rawValue = Math.round(analysis.cadenceDays);
+    const score = this.calculateScore('release-cadence', analysis.cadenceDays);
+
+    return {
+      ...metricDef,
+      rawValue,
+      displayValue: `${rawValue} days`,
+      score,
+      level: getScoreLevel(score),
+      breakdown,
+      note,
+    };
+  }
+
+  /**
+   * Calculate days since the last stable release
+   * @param {Array<Object>} releases - Normalized releases
+   * @param {Array<Object>} tags - Tags [{ name, date }], used when fewer than two releases are published
+   */
+  calculateTimeSinceRelease(releases, tags = []) {
+    const metricDef = METRIC_DEFINITIONS['time-since-release'];
+    const analysis = analyzeReleases(releases, tags);
+
+    if (!analysis.latest && analysis.undated > 0) {
+      return {
+        ...metricDef,
+        rawValue: null,
+        displayValue: 'Unknown',
+        score: 50, // Neutral
+        level: getScoreLevel(50),
+        note: 'Tag dates are not available for this repository',
+      };
+    }
 
-    for (let i = 0; i < recentReleases.length - 1; i++) {
-      const current = new Date(recentReleases[i].published_at);
-      const prev = new Date(recentReleases[i + 1].published_at);
-      totalDays += (current - prev) / (1000 * 60 * 60 * 24);
-      intervals++;
+    if (!analysis.latest) {
+      return {
+        ...metricDef,
+        rawValue: null,
+        displayValue: 'No releases',
+        score: 0,
+        level: getScoreLevel(0),
+      };
     }
 
-    const rawValue = intervals > 0 ? totalDays / intervals : 365;
-    const score = this.calculateScore('release-cadence', rawValue);
+    const rawValue = Math.floor(analysis.daysSinceLast);
+    const score = this.calculateScore('time-since-release', rawValue);
+    const breakdown = [{ label: 'Latest release', value: analysis.latest.tag }];
 
     return {
       ...metricDef,
-      rawValue: Math.round(rawValue),
-      displayValue: `${Math.round(rawValue)} days`,
+      rawValue,
+      displayValue: `${rawValue} days ago`,
+      score,
+      level: getScoreLevel(score),
+      breakdown,
+      note: analysis.latest.prerelease
+        ? 'No stable release yet; measured from the latest pre-release'
+        : analysis.source === 'tags' ? 'Measured from git tags; no releases are published' : undefined,
+    };
+  }
+
+  /**
+   * Calculate the share of releases tagged with a SemVer version, and their major/minor/patch mix
+   * @param {Array<Object>} releases - Normalized releases
+   * @param {Array<Object>} tags - Tags [{ name, date }], used when fewer than two releases are published
+   */
+  calculateSemverCompliance(releases, tags = []) {
+    const metricDef = METRIC_DEFINITIONS['semver-compliance'];
+    const analysis = analyzeReleases(releases, tags);
+    const { conforming, total, nonConforming } = analysis.semver;
+
+    if (total === 0) {
+      return {
+        ...metricDef,
+        rawValue: null,
+        displayValue: 'No releases',
+        score: 50,
+        level: getScoreLevel(50),
+        note: 'No releases or tags to check',
+      };
+    }
+
+    const rawValue = Math.round((conforming / total) * 100);
+    const score = this.calculateScore('semver-compliance', rawValue);
+    const { major, minor, patch } = analysis.changes;
+
+    const breakdown = [];
+    breakdown.push({ label: 'SemVer tags', value: `${conforming} of ${total}` });
+    if (major + minor + patch > 0) {
+      breakdown.push({ label: 'Version changes', value: `${major} major, ${minor} minor, ${patch} patch` });
+    }
+    breakdown.push({ label: 'Pre-releases', value: analysis.prereleases });
+    if (nonConforming.length > 0) {
+      breakdown.push({
+        label: 'Not SemVer',
+        value: nonConforming.slice(0, 3).join(', ') + (nonConforming.length > 3 ? ', …' : ''),
+      });
+    }
+
+    return {
+      ...metricDef,
+      rawValue,
+      displayValue: `${rawValue}%`,
       score,
       level: getScoreLevel(score),
+      breakdown,
+      note: analysis.source === 'tags' ? 'Checked against git tags; no releases are published' : undefined,
     };
   }
 
@@ -167,6 +336,135 @@ export class MetricCalculator {
     };
   }
 
+  /**
+   * Check whether CI is configured, from the repository tree and CI runs
+   * @param {Object|null} repositoryTree - { paths, truncated }
+   * @param {Object|null} ci - Default-branch CI results
+   */
+  calculateCIPresence(repositoryTree, ci) {
+    const metricDef = METRIC_DEFINITIONS['ci-presence'];
+    const systems = detectCISystems(repositoryTree?.paths || []);
+    if (ci?.source === 'actions' && !systems.includes('GitHub Actions')) {
+      systems.unshift('GitHub Actions');
+    }
+    if (ci?.source === 'check-suites') {
+      systems.push(...new Set(ci.runs.map(run => run.name).filter(name => !systems.includes(name))));
+    }
+
+    if (systems.length === 0 && (!repositoryTree || repositoryTree.truncated) && !ci?.runs?.length) {
+      return {
+        ...metricDef,
+        rawValue: null,
+        displayValue: 'Unknown',
+        score: 50,
+        level: getScoreLevel(50),
+        note: repositoryTree?.truncated ? 'Repository file list was truncated' : 'Repository files not available',
+      };
+    }
+
+    const exists = systems.length > 0;
+    const score = this.calculateScore('ci-presence', exists);
+    const breakdown = exists ? [{ label: 'Systems', value: systems.join(', ') }] : [];
+    if (ci?.workflows) {
+      breakdown.push({ label: 'Active workflows', value: ci.workflows });
+    }
+
+    return {
+      ...metricDef,
+      rawValue: exists,
+      displayValue: exists ? 'Present' : 'Missing',
+      score,
+      level: getScoreLevel(score),
+      isBoolean: true,
+      breakdown,
+    };
+  }
+
+  /**
+   * Calculate the share of default-branch CI runs that passed, and flag
+   * workflows that have been failing since their last success
+   * @param {Object|null} ci - Default-branch CI results
+   */
+  calculateCIPassRate(ci) {
+    const metricDef = METRIC_DEFINITIONS['ci-pass-rate'];
+    const summary = summarizeRuns(ci?.runs || []);
+
+    if (summary.passRate === null) {
+      return {
+        ...metricDef,
+        rawValue: null,
+        displayValue: ci ? 'No CI runs' : 'Unknown',
+        score: 50, // Neutral
+        level: getScoreLevel(50),
+        note: ci ? undefined : 'CI runs are not available for this repository',
+      };
+    }
+
+    const score = this.calculateScore('ci-pass-rate', summary.passRate);
+    const breakdown = [
+      { label: 'Runs', value: `${summary.passed} of ${summary.completed} passed` },
+      ...summary.failing.slice(0, 3).map(({ name, since }) => ({
+        label: 'Failing',
+        value: `${name} since ${since.slice(0, 10)}`,
+      })),
+    ];
+
+    const failingDays = summary.failing.length > 0
+      ? Math.floor((Date.now() - new Date(summary.failing[0].since)) / (1000 * 60 * 60 * 24))
+      : 0;
+
+    return {
+      ...metricDef,
+      rawValue: Math.round(summary.passRate),
+      displayValue: `${Math.round(summary.passRate)}%`,
+      score,
+      level: getScoreLevel(score),
+      breakdown,
+      note: failingDays >= 7 ? `Default branch has been failing for ${failingDays} days` : undefined,
+    };
+  }
+
+  /**
+   * Calculate the median duration of default-branch CI runs
+   * @param {Object|null} ci - Default-branch CI results
+   */
+  calculateCIDuration(ci) {
+    const metricDef = METRIC_DEFINITIONS['ci-duration'];
+    const { durations } = summarizeRuns(ci?.runs || []);
+
+    if (durations.length === 0) {
+      return {
+        ...metricDef,
+        rawValue: null,
+        displayValue: ci ? 'No CI runs' : 'Unknown',
+        score: 50,
+        level: getScoreLevel(50),
+        note: ci ? undefined : 'CI runs are not available for this repository',
+      };
+    }
+
+    const medianMinutes = median(durations);
+    const score = this.calculateScore('ci-duration', medianMinutes);
+
+    return {
+      ...metricDef,
+      rawValue: Math.round(medianMinutes),
+      displayValue: this.formatMinutes(medianMinutes),
+      score,
+      level: getScoreLevel(score),
+      breakdown: [
+        { label: 'Median', value: this.formatMinutes(medianMinutes) },
+        { label: 'p90', value: this.formatMinutes(percentile(durations, 90)) },
+      ],
+      note: ci.source === 'check-suites' ? 'Approximate, from check suite timestamps' : undefined,
+    };
+  }
+
+  formatMinutes(minutes) {
+    const rounded = Math.round(minutes);
+    return rounded < 60 ? `${rounded} min` : `${Math.floor(rounded / 60)}h ${rounded % 60}m`;
+  }
+
   // ============================================================================
   // COMMUNITY METRICS
   // ============================================================================
@@ -231,15 +529,88 @@ export class MetricCalculator {
   }
 
   /**
-   * Calculate first-time contributors in last 90 days
+   * Calculate elephant factor (organizations responsible for 50% of commits)
+   */
+  calculateElephantFactor(commits, contributorProfiles = []) {
+    const metricDef = METRIC_DEFINITIONS['elephant-factor'];
+    const { organizations, attributedCommits } = attributeCommits(commits, contributorProfiles);
+
+    if (organizations.length === 0) {
+      return {
+        ...metricDef,
+        rawValue: null,
+        displayValue: 'Unknown',
+        score: 50, // Neutral
+        level: getScoreLevel(50),
+        note: 'No organizations identified from commit emails or contributor profiles',
+      };
+    }
+
+    const { elephantFactor, dominant } = calculateElephantFactor(organizations);
+    const score = this.calculateScore('elephant-factor', elephantFactor);
+    const percent = value => `${Math.round((value / attributedCommits) * 100)}% of commits`;
+
+    const breakdown = dominant.map(org => ({ label: org.name, value: percent(org.commits) }));
+    const otherCommits = attributedCommits - dominant.reduce((sum, org) => sum + org.commits, 0);
+    if (otherCommits > 0) {
+      const others = organizations.length - dominant.length;
+      breakdown.push({ label: `${others} other org${others !== 1 ? 's' : ''}`, value: percent(otherCommits) });
+    }
+
+    return {
+      ...metricDef,
+      rawValue: elephantFactor,
+      displayValue: `${elephantFactor} org${elephantFactor !== 1 ? 's' : ''}`,
+      score,
+      level: getScoreLevel(score),
+      breakdown,
+      note: 'Share of commits attributed to an organization',
+    };
+  }
+
+  /**
+   * Calculate first-time contributors in last 90 days from first-ever
+   * contribution dates, including first-time authors of merged pull requests
    */
-  calculateNewContributors(commits) {
+  calculateNewContributors(commits, pullRequests = {}, firstContributions = null) {
     const metricDef = METRIC_DEFINITIONS['new-contributors'];
 
-    // Group commits by author
+    if (!firstContributions) {
+      return this.estimateNewContributors(commits, metricDef);
+    }
+
+    const { newContributors, periods, firstTimePrAuthors, unknown } =
+      findNewContributors(commits, pullRequests.merged || [], firstContributions, { days: 90 });
+    const count = newContributors.length;
+    const score = this.calculateScore('new-contributors', count);
+
+    const periodLabels = ['Last 30 days', '31-60 days ago', '61-90 days ago'];
+    const breakdown = periods.map((period, i) => ({ label: periodLabels[i], value: `${period.count} new` }));
+    const prAuthors = firstTimePrAuthors.length;
+    breakdown.push({ label: 'First merged PR', value: `${prAuthors} author${prAuthors !== 1 ? 's' : ''}` });
+
+    return {
+      ...metricDef,
+      rawValue: count,
+      displayValue: `${count} new`,
+      score,
+      level: getScoreLevel(score),
+      breakdown,
+      note: unknown > 0
+        ? `First contribution unknown for ${unknown} author${unknown !== 1 ? 's' : ''}`
+        : undefined,
+    };
+  }
+
+  /**
+   * Estimate first-time contributors when the provider has no contribution
+   * history: authors whose first commit in the 90-day window falls in its
+   * last 30 days
+   */
+  estimateNewContributors(commits, metricDef) {
     const authorFirstCommit = new Map();
     for (const commit of commits) {
-      const author = commit.author?.login || commit.commit.author.email;
+      const author = getCommitAuthorKey(commit);
       const date = new Date(commit.commit.author.date);
       const existing = authorFirstCommit.get(author);
       if (!existing || date < existing) {
@@ -247,10 +618,8 @@ export class MetricCalculator {
       }
     }
 
-    // Count authors whose first commit is within the 90-day window
-    // This is an approximation - ideally we'd check full history
     const recentWindow = new Date();
-    recentWindow.setDate(recentWindow.getDate() - 30); // First-timers in last 30 days of the window
+    recentWindow.setDate(recentWindow.getDate() - 30);
 
     let newContributors = 0;
     for (const date of authorFirstCommit.values()) {
@@ -267,35 +636,57 @@ export class MetricCalculator {
       displayValue: `${newContributors} new`,
       score,
       level: getScoreLevel(score),
+      note: 'Estimated from the last 90 days of commits',
     };
   }
 
   /**
-   * Calculate organization diversity (unique email domains)
+   * Calculate organization diversity from commit email domains and
+   * contributor profile companies
    */
-  calculateOrgDiversity(contributors) {
+  calculateOrgDiversity(commits, contributorProfiles = []) {
     const metricDef = METRIC_DEFINITIONS['org-diversity'];
+    const { organizations, attributedCommits, totalCommits } = attributeCommits(commits, contributorProfiles);
+
+    if (organizations.length === 0) {
+      return {
+        ...metricDef,
+        rawValue: null,
+        displayValue: 'Unknown',
+        score: 50, // Neutral
+        level: getScoreLevel(50),
+        note: totalCommits === 0
+          ? 'No recent commits'
+          : 'No organizations identified from commit emails or contributor profiles',
+      };
+    }
+
+    const count = organizations.length;
+    const score = this.calculateScore('org-diversity', count);
+    const percent = value => `${Math.round((value / totalCommits) * 100)}% of commits`;
 
-    // Extract unique organizations from contributor data
-    // Note: GitHub API doesn't expose email domains, so we count unique companies
-    const companies = new Set();
-    for (const contributor of contributors) {
-      // In practice, we'd need to fetch each user's profile for company info
-      // For now, we'll estimate based on contributor count
-      companies.add(contributor.login);
+    const breakdown = organizations.slice(0, 5).map(org => ({ label: org.name, value: percent(org.commits) }));
+    if (count > 5) {
+      const otherCommits = organizations.slice(5).reduce((sum, org) => sum + org.commits, 0);
+      breakdown.push({ label: `${count - 5} other orgs`, value: percent(otherCommits) });
+    }
+    if (attributedCommits < totalCommits) {
+      breakdown.push({ label: 'Unattributed', value: percent(totalCommits - attributedCommits) });
     }
 
-    // Rough estimation: assume ~10 contributors per org on average
-    const estimatedOrgs = Math.max(1, Math.ceil(contributors.length / 10));
-    const score = this.calculateScore('org-diversity', estimatedOrgs);
+    const coverage = attributedCommits / totalCommits;
 
     return {
       ...metricDef,
-      rawValue: estimatedOrgs,
-      displayValue: `~${estimatedOrgs} org${estimatedOrgs !== 1 ? 's' : ''}`,
+      rawValue: count,
+      displayValue: `${count} org${count !== 1 ? 's' : ''}`,
       score,
       level: getScoreLevel(score),
-      note: 'Estimated from contributor count',
+      organizations,
+      breakdown,
+      note: coverage < 0.5
+        ? `Only ${Math.round(coverage * 100)}% of commits could be attributed to an organization`
+        : undefined,
     };
   }
 
@@ -335,51 +726,90 @@ export class MetricCalculator {
   // ============================================================================
 
   /**
-   * Calculate median hours to first response on issues
+   * Calculate median hours to first human response on issues, with issue and
+   * pull request response times reported separately
    */
-  calculateIssueResponseTime(issues) {
+  calculateIssueResponseTime(issues, pullRequests = {}) {
     const metricDef = METRIC_DEFINITIONS['issue-response-time'];
-    const allIssues = [...(issues.open || []), ...(issues.closed || [])];
+    const issueTimes = this.getFirstResponseHours(issues.all || [...(issues.open || []), ...(issues.closed || [])]);
+    const prTimes = this.getFirstResponseHours(pullRequests.all || []);
 
-    // Filter issues with comments
-    const issuesWithComments = allIssues.filter(
-      issue => issue.comments > 0
-    );
+    const breakdown = [
+      { label: 'Issues', value: this.formatResponseTimes(issueTimes) },
+      { label: 'Pull requests', value: this.formatResponseTimes(prTimes) },
+    ];
 
-    if (issuesWithComments.length === 0) {
+    if (issueTimes.hours.length === 0) {
       return {
         ...metricDef,
         rawValue: null,
         displayValue: 'No data',
         score: 50, // Neutral
         level: getScoreLevel(50),
+        breakdown,
+        note: issueTimes.known === 0 ? 'Response times are not available for this repository' : undefined,
       };
     }
 
-    // Approximate: use created_at to updated_at as proxy
-    // (Real implementation would fetch comment timestamps)
-    const responseTimes = issuesWithComments.map(issue => {
-      const created = new Date(issue.created_at);
-      const updated = new Date(issue.updated_at);
-      return (updated - created) / (1000 * 60 * 60); // Hours
-    });
-
-    const sorted = responseTimes.sort((a, b) => a - b);
-    const medianIdx = Math.floor(sorted.length / 2);
-    const median = sorted[medianIdx];
-
-    const score = this.calculateScore('issue-response-time', median);
+    const medianHours = median(issueTimes.hours);
+    const score = this.calculateScore('issue-response-time', medianHours);
 
     return {
       ...metricDef,
-      rawValue: Math.round(median),
-      displayValue: median < 24 ? `${Math.round(median)}h` : `${Math.round(median / 24)}d`,
+      rawValue: Math.round(medianHours),
+      displayValue: this.formatHours(medianHours),
       score,
       level: getScoreLevel(score),
-      note: 'Estimated from update time',
+      breakdown,
     };
   }
 
+  /**
+   * Get hours to first response for issues or pull requests. Items still open
+   * without a response count with the time they have been waiting so far;
+   * items closed without a response by someone else are skipped.
+   * @param {Array<Object>} items - Issues or pull requests with first_response_at
+   * @param {string} field - Response time field (first_response_at or first_review_at)
+   * @returns {Object} { hours, known, unanswered }
+   */
+  getFirstResponseHours(items, field = 'first_response_at') {
+    const now = Date.now();
+    const hours = [];
+    let known = 0;
+    let unanswered = 0;
+
+    for (const item of items) {
+      // undefined: the provider could not determine the first response
+      if (item[field] === undefined) {
+        continue;
+      }
+      known++;
+
+      const created = new Date(item.created_at);
+      if (item[field]) {
+        hours.push((new Date(item[field]) - created) / (1000 * 60 * 60));
+      } else if (item.state === 'open') {
+        unanswered++;
+        hours.push((now - created) / (1000 * 60 * 60));
+      }
+    }
+
+    return { hours, known, unanswered };
+  }
+
+  formatResponseTimes({ hours, unanswered }) {
+    if (hours.length === 0) {
+      return 'No data';
+    }
+    const waiting = unanswered > 0 ? `, ${unanswered} still waiting` : '';
+    return `median ${this.formatHours(median(hours))}, p90 ${this.formatHours(percentile(hours, 90))} ` +
+      `(${hours.length} items${waiting})`;
+  }
+
+  formatHours(hours) {
+    return hours < 24 ? `${Math.round(hours)}h` : `${Math.round(hours / 24)}d`;
+  }
+
   /**
    * Calculate median days to close issues
    */
@@ -419,122 +849,211 @@ export class MetricCalculator {
   }
 
   /**
-   * Calculate percentage of stale issues (inactive >90 days)
+   * Calculate median hours to the first review of pull requests
    */
-  calculateStaleIssuesRatio(issues) {
-    const metricDef = METRIC_DEFINITIONS['stale-issues-ratio'];
-    const openIssues = issues.open || [];
+  calculatePRReviewTime(pullRequests = {}) {
+    const metricDef = METRIC_DEFINITIONS['pr-review-time'];
+    const reviewTimes = this.getFirstResponseHours(pullRequests.all || [], 'first_review_at');
 
-    if (openIssues.length === 0) {
+    if (reviewTimes.hours.length === 0) {
       return {
         ...metricDef,
-        rawValue: 0,
-        displayValue: '0%',
-        score: 100,
-        level: getScoreLevel(100),
+        rawValue: null,
+        displayValue: 'No data',
+        score: 50, // Neutral
+        level: getScoreLevel(50),
+        note: reviewTimes.known === 0 ? 'Review data is not available for this repository' : undefined,
       };
     }
 
-    const ninetyDaysAgo = new Date();
-    ninetyDaysAgo.setDate(ninetyDaysAgo.getDate() - 90);
-
-    const staleCount = openIssues.filter(issue => {
-      const lastUpdate = new Date(issue.updated_at);
-      return lastUpdate < ninetyDaysAgo;
-    }).length;
-
-    const rawValue = (staleCount / openIssues.length) * 100;
-    const score = this.calculateScore('stale-issues-ratio', rawValue);
+    const medianHours = median(reviewTimes.hours);
+    const score = this.calculateScore('pr-review-time', medianHours);
 
     return {
       ...metricDef,
-      rawValue: Math.round(rawValue),
-      displayValue: `${Math.round(rawValue)}%`,
+      rawValue: Math.round(medianHours),
+      displayValue: this.formatHours(medianHours),
       score,
       level: getScoreLevel(score),
+      breakdown: [{ label: 'First review', value: this.formatResponseTimes(reviewTimes) }],
     };
   }
 
   /**
-   * Calculate percentage of all issues still open
+   * Calculate median days from opening a pull request to merging it
    */
-  calculateOpenIssuesRatio(issues, repository) {
-    const metricDef = METRIC_DEFINITIONS['open-issues-ratio'];
-    const openCount = repository.open_issues_count || 0;
-    const closedCount = issues.closed?.length || 0;
-    const totalEstimate = openCount + closedCount;
+  calculatePRMergeTime(pullRequests = {}) {
+    const metricDef = METRIC_DEFINITIONS['pr-merge-time'];
+    const hours = (pullRequests.merged || [])
+      .filter(pr => pr.merged_at)
+      .map(pr => (new Date(pr.merged_at) - new Date(pr.created_at)) / (1000 * 60 * 60));
 
-    if (totalEstimate === 0) {
+    if (hours.length === 0) {
       return {
         ...metricDef,
-        rawValue: 0,
-        displayValue: '0%',
-        score: 100,
-        level: getScoreLevel(100),
+        rawValue: null,
+        displayValue: 'No merged PRs',
+        score: 50,
+        level: getScoreLevel(50),
       };
     }
 
-    const rawValue = (openCount / totalEstimate) * 100;
-    const score = this.calculateScore('open-issues-ratio', rawValue);
+    const medianDays = median(hours) / 24;
+    const score = this.calculateScore('pr-merge-time', medianDays);
 
     return {
       ...metricDef,
-      rawValue: Math.round(rawValue),
-      displayValue: `${Math.round(rawValue)}%`,
+      rawValue: Math.round(medianDays * 10) / 10,
+      displayValue: this.formatHours(median(hours)),
       score,
       level: getScoreLevel(score),
+      breakdown: [
+        { label: 'Median', value: this.formatHours(median(hours)) },
+        { label: 'p90', value: this.formatHours(percentile(hours, 90)) },
+        { label: 'Merged PRs', value: hours.length },
+      ],
     };
   }
 
-  // ============================================================================
-  // DOCUMENTATION METRICS
-  // ============================================================================
-
   /**
-   * Calculate README quality score
+   * Calculate the percentage of merged pull requests nobody but the author reviewed
    */
-  calculateReadmeQuality(communityProfile, repository) {
-    const metricDef = METRIC_DEFINITIONS['readme-quality'];
+  calculateUnreviewedMerges(pullRequests = {}) {
+    const metricDef = METRIC_DEFINITIONS['pr-unreviewed-merges'];
+    // undefined: the provider could not determine the reviews
+    const merged = (pullRequests.merged || []).filter(pr => pr.first_review_at !== undefined);
 
-    // Check if README exists
-    const hasReadme = communityProfile?.files?.readme !== null;
-    if (!hasReadme) {
+    if (merged.length === 0) {
       return {
         ...metricDef,
-        rawValue: 0,
-        displayValue: 'Missing',
-        score: 0,
-        level: getScoreLevel(0),
+        rawValue: null,
+        displayValue: 'No data',
+        score: 50,
+        level: getScoreLevel(50),
+        note: (pullRequests.merged || []).length > 0 ? 'Review data is not available for this repository' : undefined,
       };
     }
 
-    // Score based on health percentage and repo indicators
-    let qualityScore = 2; // Base score for having a README
+    // Reviews submitted after the merge don't gate it
+    const unreviewed = merged.filter(pr => !pr.first_review_at || pr.first_review_at > pr.merged_at).length;
+    const rawValue = (unreviewed / merged.length) * 100;
+    const score = this.calculateScore('pr-unreviewed-merges', rawValue);
 
-    // Add points for repo having description
-    if (repository.description) {
-      qualityScore += 1;
+    return {
+      ...metricDef,
+      rawValue: Math.round(rawValue),
+      displayValue: `${Math.round(rawValue)}%`,
+      score,
+      level: getScoreLevel(score),
+      breakdown: [{ label: 'Merged without review', value: `${unreviewed} of ${merged.length}` }],
+    };
+  }
+
+  /**
+   * Calculate percentage of stale issues (inactive >90 days)
+   */
+  calculateStaleIssuesRatio(issues) {
+    const metricDef = METRIC_DEFINITIONS['stale-issues-ratio'];
+    const openIssues = issues.open || [];
+
+    if (openIssues.length === 0) {
+      return {
+        ...metricDef,
+        rawValue: 0,
+        displayValue: '0%',
+        score: 100,
+        level: getScoreLevel(100),
+      };
     }
 
-    // Add points for repo having homepage
-    if (repository.homepage) {
-      qualityScore += 1;
+    const ninetyDaysAgo = new Date();
+    ninetyDaysAgo.setDate(ninetyDaysAgo.getDate() - 90);
+
+    const staleCount = openIssues.filter(issue => {
+      const lastUpdate = new Date(issue.updated_at);
+      return lastUpdate < ninetyDaysAgo;
+    }).length;
+
+    const rawValue = (staleCount / openIssues.length) * 100;
+    const score = this.calculateScore('stale-issues-ratio', rawValue);
+
+    return {
+      ...metricDef,
+      rawValue: Math.round(rawValue),
+      displayValue: `${Math.round(rawValue)}%`,
+      score,
+      level: getScoreLevel(score),
+    };
+  }
+
+  /**
+   * Calculate percentage of all issues still open
+   */
+  calculateOpenIssuesRatio(issues, repository) {
+    const metricDef = METRIC_DEFINITIONS['open-issues-ratio'];
+    const openCount = repository.open_issues_count || 0;
+    const closedCount = issues.closed?.length || 0;
+    const totalEstimate = openCount + closedCount;
+
+    if (totalEstimate === 0) {
+      return {
+        ...metricDef,
+        rawValue: 0,
+        displayValue: '0%',
+        score: 100,
+        level: getScoreLevel(100),
+      };
     }
 
-    // Add points for high health percentage
-    if (communityProfile.health_percentage >= 70) {
-      qualityScore += 1;
+    const rawValue = (openCount / totalEstimate) * 100;
+    const score = this.calculateScore('open-issues-ratio', rawValue);
+
+    return {
+      ...metricDef,
+      rawValue: Math.round(rawValue),
+      displayValue: `${Math.round(rawValue)}%`,
+      score,
+      level: getScoreLevel(score),
+    };
+  }
+
+  // ============================================================================
+  // DOCUMENTATION METRICS
+  // ============================================================================
+
+  /**
+   * Score README content: install instructions, usage examples, badges,
+   * license section, contribution pointer, table of contents and length
+   * @param {string|null|undefined} readme - README content, null if there is none,
+   *   undefined if the provider didn't read it
+   * @param {Object} communityProfile - Community profile (whether a README exists)
+   */
+  calculateReadmeQuality(readme, communityProfile) {
+    const metricDef = METRIC_DEFINITIONS['readme-quality'];
+
+    if (!readme) {
+      // The community profile may know of a README the provider couldn't read
+      const unreadable = readme === undefined || Boolean(communityProfile?.files?.readme);
+      return {
+        ...metricDef,
+        rawValue: unreadable ? null : 0,
+        displayValue: unreadable ? 'Unknown' : 'Missing',
+        score: unreadable ? 50 : 0,
+        level: getScoreLevel(unreadable ? 50 : 0),
+        note: unreadable ? 'README content not available' : undefined,
+      };
     }
 
-    const score = this.calculateScore('readme-quality', qualityScore);
+    const { checks, passed } = analyzeReadme(readme);
+    const score = this.calculateScore('readme-quality', passed);
 
-    const grades = ['F', 'D', 'C', 'B', 'A', 'A+'];
     return {
       ...metricDef,
-      rawValue: qualityScore,
-      displayValue: grades[qualityScore] || 'A+',
+      rawValue: passed,
+      displayValue: `${passed}/${checks.length} checks`,
       score,
       level: getScoreLevel(score),
+      checks,
     };
   }
 
@@ -557,43 +1076,171 @@ export class MetricCalculator {
   }
 
   /**
-   * Check for docs directory
+   * Detect documentation directories, documentation systems and a published
+   * site from the repository tree
+   * @param {Object|null} repositoryTree - { paths, truncated }
+   * @param {Object} repository - Repository data (homepage)
+   * @param {string|null} pagesUrl - Forge-hosted documentation site
    */
-  calculateDocsDirectory(communityProfile) {
+  calculateDocsDirectory(repositoryTree, repository = {}, pagesUrl = null) {
     const metricDef = METRIC_DEFINITIONS['docs-directory'];
-    // Community profile doesn't directly indicate docs folder
-    // Use health percentage as proxy
-    const exists = communityProfile?.health_percentage >= 50;
-    const score = exists ? 100 : 0;
+    const { directories, systems, pageCount, site } = detectDocumentation(repositoryTree?.paths || [], {
+      homepage: repository?.homepage,
+      pagesUrl,
+    });
+
+    const breakdown = [];
+    if (systems.length > 0) {
+      breakdown.push({ label: 'System', value: systems.join(', ') });
+    }
+    if (directories.length > 0) {
+      breakdown.push({ label: 'Directory', value: directories.map(directory => `${directory}/`).join(', ') });
+    }
+    if (site) {
+      breakdown.push({ label: 'Site', value: site });
+    }
+
+    if (!repositoryTree && !site) {
+      return {
+        ...metricDef,
+        rawValue: null,
+        displayValue: 'Unknown',
+        score: 50,
+        level: getScoreLevel(50),
+        note: 'Repository files not available',
+      };
+    }
+
+    if (directories.length === 0 && systems.length === 0 && !site) {
+      return {
+        ...metricDef,
+        rawValue: 0,
+        displayValue: 'Missing',
+        score: repositoryTree.truncated ? 50 : 0,
+        level: getScoreLevel(repositoryTree.truncated ? 50 : 0),
+        note: repositoryTree.truncated ? 'Repository file list was truncated' : undefined,
+      };
+    }
+
+    let score = this.calculateScore('docs-directory', pageCount);
+    // A documentation system or published site is documentation even when its pages live elsewhere
+    if (systems.length > 0 || site) {
+      score = Math.max(score, METRIC_THRESHOLDS['docs-directory'].siteScore);
+    }
 
     return {
       ...metricDef,
-      rawValue: exists,
-      displayValue: exists ? 'Present' : 'Unknown',
+      rawValue: pageCount,
+      displayValue: pageCount > 0 ? `${pageCount} page${pageCount === 1 ? '' : 's'}` : (systems[0] || 'Site only'),
       score,
       level: getScoreLevel(score),
-      isBoolean: true,
-      note: 'Inferred from health score',
+      breakdown,
+      note: repositoryTree?.truncated ? 'Page count from a truncated file list' : undefined,
     };
   }
 
   /**
-   * Check for CHANGELOG.md
+   * Check for a changelog (or substantive release notes) and how current it is
+   * @param {Object|null|undefined} changelog - { path, latestEntry }, null if none was found,
+   *   undefined if the provider didn't look
+   * @param {Array<Object>} releases - Normalized releases
+   * @param {Object|null} repositoryTree - { paths, truncated }
    */
-  calculateChangelog(_communityProfile) {
+  calculateChangelog(changelog, releases = [], repositoryTree = null) {
     const metricDef = METRIC_DEFINITIONS['changelog'];
-    // Community profile doesn't track changelog
-    // We'd need a separate API call to check
-    const exists = false; // Default to false, would need file check
+    const latestRelease = getStableReleases(releases)[0] || null;
+    const releaseNotes = hasReleaseNotes(latestRelease);
+    const breakdown = [];
+
+    if (latestRelease) {
+      breakdown.push({ label: 'Latest release', value: latestRelease.tag_name });
+      breakdown.push({ label: 'Release notes', value: releaseNotes ? 'Yes' : 'No' });
+    }
+
+    if (!changelog) {
+      if (releaseNotes) {
+        return {
+          ...metricDef,
+          rawValue: 0,
+          displayValue: 'Release notes',
+          score: 100,
+          level: getScoreLevel(100),
+          breakdown,
+          note: 'No changelog file; the latest release documents its changes',
+        };
+      }
+
+      // Without a complete file list a missing changelog can't be proven
+      if (changelog === undefined || !repositoryTree || repositoryTree.truncated) {
+        return {
+          ...metricDef,
+          rawValue: null,
+          displayValue: 'Unknown',
+          score: 50,
+          level: getScoreLevel(50),
+          breakdown,
+          note: repositoryTree?.truncated ? 'Repository file list was truncated' : 'Repository files not available',
+        };
+      }
+
+      return {
+        ...metricDef,
+        rawValue: null,
+        displayValue: 'Missing',
+        score: 0,
+        level: getScoreLevel(0),
+        breakdown,
+      };
+    }
+
+    const entry = changelog.latestEntry;
+    breakdown.unshift({ label: 'File', value: changelog.path });
+    if (entry) {
+      breakdown.splice(1, 0, {
+        label: 'Latest entry',
+        value: entry.date ? `${entry.version} (${entry.date})` : entry.version,
+      });
+    }
+
+    if (!latestRelease) {
+      return {
+        ...metricDef,
+        rawValue: 0,
+        displayValue: 'Present',
+        score: 100,
+        level: getScoreLevel(100),
+        breakdown,
+        note: 'No releases to compare against',
+      };
+    }
+
+    if (!entry) {
+      const score = releaseNotes ? 100 : METRIC_THRESHOLDS['changelog'].unversionedScore;
+      return {
+        ...metricDef,
+        rawValue: null,
+        displayValue: 'Present',
+        score,
+        level: getScoreLevel(score),
+        breakdown,
+        note: 'No versioned entries found in the changelog',
+      };
+    }
+
+    const releasesBehind = countReleasesBehind(entry.version, releases);
+    // Notes on the latest release make up for a changelog that fell behind
+    const score = releaseNotes ? 100 : this.calculateScore('changelog', releasesBehind);
 
     return {
       ...metricDef,
-      rawValue: exists,
-      displayValue: 'Unknown',
-      score: 50, // Neutral when unknown
-      level: getScoreLevel(50),
-      isBoolean: true,
-      note: 'Requires additional API call',
+      rawValue: releasesBehind,
+      displayValue: releasesBehind === 0
+        ? 'Up to date'
+        : `${releasesBehind} release${releasesBehind === 1 ? '' : 's'} behind`,
+      score,
+      level: getScoreLevel(score),
+      breakdown,
+      note: releasesBehind > 0 && releaseNotes ? 'The latest release has its own release notes' : undefined,
     };
   }
 
@@ -606,7 +1253,21 @@ export class MetricCalculator {
    */
   calculateSecurityPolicy(communityProfile) {
     const metricDef = METRIC_DEFINITIONS['security-policy'];
-    const exists = communityProfile?.files?.security_policy !== null;
+    const policy = communityProfile?.files?.security_policy;
+
+    // undefined: the provider couldn't look for one (e.g. truncated file list)
+    if (policy === undefined) {
+      return {
+        ...metricDef,
+        rawValue: null,
+        displayValue: 'Unknown',
+        score: 50,
+        level: getScoreLevel(50),
+        note: 'Repository files not available',
+      };
+    }
+
+    const exists = policy !== null;
     const score = exists ? 100 : 0;
 
     return {
@@ -620,21 +1281,86 @@ export class MetricCalculator {
   }
 
   /**
-   * Check for license
+   * Classify the license and check it against the package manifests and the license policy
+   * @param {Object} repository - Repository with license { spdx_id, name } | null
+   * @param {Array<Object>|null} manifests - Package manifests [{ path, content }]
+   * @param {Object|null} licensePolicy - { denied } from parseLicensePolicy(), null for no policy
    */
-  calculateLicense(repository) {
+  calculateLicense(repository, manifests = null, licensePolicy = null) {
     const metricDef = METRIC_DEFINITIONS['license'];
-    const exists = repository.license !== null;
-    const licenseName = repository.license?.spdx_id || repository.license?.name;
-    const score = exists ? 100 : 0;
+    const declarations = (manifests || [])
+      .map(({ path, content }) => ({ path, expression: readManifestLicense(path, content) }))
+      .filter(declaration => declaration.expression)
+      .map(declaration => ({ ...declaration, node: parseSpdxExpression(declaration.expression) }));
+
+    const detected = repository.license?.spdx_id || repository.license?.name || null;
+    if (!detected && declarations.length === 0) {
+      return {
+        ...metricDef,
+        rawValue: null,
+        displayValue: 'Missing',
+        score: 0,
+        level: getScoreLevel(0),
+      };
+    }
+
+    // Forges report NOASSERTION or Other for license files they can't match; use the manifests' declaration instead
+    let expression = detected;
+    let node = parseSpdxExpression(detected);
+    const fallback = node ? null : declarations.find(declaration => declaration.node);
+    if (fallback) {
+      ({ expression, node } = fallback);
+    }
+
+    const category = classifyExpression(node);
+    const mismatched = node ? declarations.filter(declaration => declaration.node && !licensesOverlap(node, declaration.node)) : [];
+    const policySet = licensePolicy?.denied.size > 0;
+    let violations = [];
+    if (policySet) {
+      violations = node ? findPolicyViolations(node, licensePolicy) : [];
+      if (!node && licensePolicy.denied.has('unknown')) {
+        violations = [expression];
+      }
+    }
+
+    let score = this.calculateScore('license', category);
+    if (mismatched.length > 0) {
+      score = Math.min(score, METRIC_THRESHOLDS['license'].mismatchCap);
+    }
+    if (violations.length > 0) {
+      score = 0;
+    }
+
+    const checks = [{ id: 'spdx', label: 'Recognized SPDX license', passed: node !== null }];
+    if (declarations.length > 0) {
+      checks.push({ id: 'manifests', label: 'Package manifests match', passed: node ? mismatched.length === 0 : null });
+    }
+    if (policySet) {
+      checks.push({ id: 'policy', label: 'Allowed by license policy', passed: violations.length === 0 });
+    }
+
+    let note;
+    if (violations.length > 0) {
+      note = `Not allowed by license policy: ${violations.join(', ')}`;
+    } else if (mismatched.length > 0) {
+      note = `${mismatched.map(declaration => declaration.path).join(', ')} declare${mismatched.length === 1 ? 's' : ''} a different license`;
+    } else if (fallback) {
+      note = `License read from ${fallback.path}`;
+    }
 
     return {
       ...metricDef,
-      rawValue: exists,
-      displayValue: exists ? licenseName : 'Missing',
+      rawValue: category,
+      displayValue: node ? `${expression} (${LICENSE_CATEGORIES[category]})` : 'Unrecognized',
       score,
       level: getScoreLevel(score),
-      isBoolean: true,
+      breakdown: [
+        { label: 'Repository', value: detected || 'None detected' },
+        ...declarations.map(declaration => ({ label: declaration.path, value: declaration.expression })),
+        { label: 'Category', value: LICENSE_CATEGORIES[category] },
+      ],
+      checks,
+      note,
     };
   }
 
@@ -657,21 +1383,371 @@ export class MetricCalculator {
   }
 
   /**
-   * Check for vulnerability reporting process
+   * Check for a private vulnerability reporting channel: the forge's private
+   * reporting feature or a security contact named in the security policy
+   * @param {Object} vulnerabilityReporting - { privateReporting, policyPath, contacts }
    */
-  calculateVulnerabilityReporting(communityProfile) {
+  calculateVulnerabilityReporting(vulnerabilityReporting) {
     const metricDef = METRIC_DEFINITIONS['vulnerability-reporting'];
-    // If security policy exists, assume it includes reporting
-    const exists = communityProfile?.files?.security_policy !== null;
-    const score = exists ? 100 : 0;
+    const { privateReporting, contacts } = vulnerabilityReporting || {};
+
+    if (contacts === undefined && !privateReporting) {
+      return {
+        ...metricDef,
+        rawValue: null,
+        displayValue: 'Unknown',
+        score: 50,
+        level: getScoreLevel(50),
+        note: 'Security policy not available',
+      };
+    }
+
+    const hasContact = Boolean(contacts?.length);
+    const exists = Boolean(privateReporting) || hasContact;
+    const score = this.calculateScore('vulnerability-reporting', exists);
+
+    const checks = [{ label: 'Security contact in policy', passed: contacts === undefined ? null : hasContact }];
+    // undefined: the forge has no private reporting feature
+    if (privateReporting !== undefined) {
+      checks.unshift({ label: 'Private vulnerability reporting', passed: privateReporting });
+    }
+
+    let note;
+    if (!exists) {
+      note = contacts === null ? 'No security policy' : 'The security policy names no private reporting channel';
+    }
 
     return {
       ...metricDef,
       rawValue: exists,
-      displayValue: exists ? 'Present' : 'Missing',
+      displayValue: privateReporting ? 'Private reporting' : hasContact ? 'Security contact' : 'Missing',
       score,
       level: getScoreLevel(score),
       isBoolean: true,
+      checks,
+      breakdown: hasContact ? [{ label: 'Contacts', value: contacts.map(contact => contact.value).join(', ') }] : undefined,
+      note,
+    };
+  }
+
+  /**
+   * Summarize published security advisories and score the time from
+   * publication to a release with the fix
+   * @param {Array<Object>|null} securityAdvisories - [{ severity, published_at, patched_versions }]
+   * @param {Array<Object>} releases - Normalized releases
+   */
+  calculateSecurityAdvisories(securityAdvisories, releases = []) {
+    const metricDef = METRIC_DEFINITIONS['security-advisories'];
+
+    if (!securityAdvisories || securityAdvisories.length === 0) {
+      return {
+        ...metricDef,
+        rawValue: null,
+        displayValue: securityAdvisories ? 'None published' : 'Unknown',
+        score: 50, // Neutral: few projects publish advisories
+        level: getScoreLevel(50),
+        note: securityAdvisories ? undefined : 'Security advisories not available',
+      };
+    }
+
+    const summary = summarizeAdvisories(securityAdvisories, releases);
+    const severityMix = ADVISORY_SEVERITIES
+      .filter(severity => summary.severities[severity] > 0)
+      .map(severity => `${summary.severities[severity]} ${severity}`)
+      .join(', ');
+    const breakdown = [
+      { label: 'Published', value: summary.count },
+      { label: 'Severity', value: severityMix || 'Not rated' },
+      { label: 'Unpatched', value: summary.unpatched },
+    ];
+    const note = summary.unmatched > 0
+      ? `Fixed version of ${summary.unmatched} advisor${summary.unmatched === 1 ? 'y' : 'ies'} not among the ${releases.length} most recent releases`
+      : undefined;
+
+    if (summary.patchDays.length === 0) {
+      return {
+        ...metricDef,
+        rawValue: null,
+        displayValue: `${summary.count} published`,
+        score: 50,
+        level: getScoreLevel(50),
+        breakdown,
+        note,
+      };
+    }
+
+    const medianDays = median(summary.patchDays);
+    const score = this.calculateScore('security-advisories', medianDays);
+
+    return {
+      ...metricDef,
+      rawValue: Math.round(medianDays * 10) / 10,
+      displayValue: this.formatHours(medianDays * 24),
+      score,
+      level: getScoreLevel(score),
+      breakdown,
+      note,
+    };
+  }
+
+  /**
+   * Check default-branch protection: required reviews, required status checks
+   * and blocked force pushes. Only the settings visible to the token are scored.
+   * @param {Object} securitySettings - { branchProtection }
+   */
+  calculateBranchProtection(securitySettings) {
+    const protection = securitySettings?.branchProtection || {};
+    return this.scoreSettingChecks('branch-protection', [
+      { label: 'Required reviews', passed: (protection.requiredReviews ?? null) === null ? null : protection.requiredReviews > 0 },
+      { label: 'Required status checks', passed: protection.statusChecks ?? null },
+      { label: 'Force pushes blocked', passed: protection.forcePushBlocked ?? null },
+    ]);
+  }
+
+  /**
+   * Check whether the default branch requires signed commits
+   * @param {Object} securitySettings - { branchProtection }
+   */
+  calculateSignedCommits(securitySettings) {
+    const metricDef = METRIC_DEFINITIONS['signed-commits'];
+    const required = securitySettings?.branchProtection?.signedCommits ?? null;
+
+    if (required === null) {
+      return this.notVisible(metricDef);
+    }
+
+    const score = this.calculateScore('signed-commits', required);
+    return {
+      ...metricDef,
+      rawValue: required,
+      displayValue: required ? 'Required' : 'Not required',
+      score,
+      level: getScoreLevel(score),
+      isBoolean: true,
+    };
+  }
+
+  /**
+   * Check Dependabot alerts and security updates, secret scanning and push protection
+   * @param {Object} securitySettings - { securityFeatures }
+   */
+  calculateSecurityFeatures(securitySettings) {
+    const features = securitySettings?.securityFeatures || {};
+    return this.scoreSettingChecks('security-features', [
+      { label: 'Dependabot alerts', passed: features.dependabotAlerts ?? null },
+      { label: 'Dependabot security updates', passed: features.dependabotSecurityUpdates ?? null },
+      { label: 'Secret scanning', passed: features.secretScanning ?? null },
+      { label: 'Push protection', passed: features.secretScanningPushProtection ?? null },
+    ]);
+  }
+
+  /**
+   * Check for a Dependabot or Renovate configuration
+   * @param {Object|null} repositoryTree - { paths, truncated }
+   * @param {Object} securitySettings - { securityFeatures }
+   */
+  calculateDependencyUpdates(repositoryTree, securitySettings) {
+    const metricDef = METRIC_DEFINITIONS['dependency-updates'];
+    const tools = DEPENDENCY_UPDATE_TOOLS
+      .filter(tool => (repositoryTree?.paths || []).some(path => tool.pattern.test(path)))
+      .map(tool => tool.name);
+    // Dependabot security updates work without a configuration file
+    if (securitySettings?.securityFeatures?.dependabotSecurityUpdates && !tools.includes('Dependabot')) {
+      tools.push('Dependabot');
+    }
+
+    if (tools.length === 0 && (!repositoryTree || repositoryTree.truncated)) {
+      return {
+        ...metricDef,
+        rawValue: null,
+        displayValue: 'Unknown',
+        score: 50,
+        level: getScoreLevel(50),
+        note: repositoryTree?.truncated ? 'Repository file list was truncated' : 'Repository files not available',
+      };
+    }
+
+    const exists = tools.length > 0;
+    const score = this.calculateScore('dependency-updates', exists);
+    return {
+      ...metricDef,
+      rawValue: exists,
+      displayValue: exists ? tools.join(', ') : 'Missing',
+      score,
+      level: getScoreLevel(score),
+      isBoolean: true,
+    };
+  }
+
+  /**
+   * Report direct dependencies and the share on the latest major version
+   * @param {Array<Object>|null} manifests - Package manifests [{ path, content }], null if the tree is unavailable
+   * @param {Object|null} registrySnapshot - Latest versions from parseRegistrySnapshot()
+   */
+  calculateDependencyFreshness(manifests, registrySnapshot = null) {
+    const metricDef = METRIC_DEFINITIONS['dependency-freshness'];
+    const dependencies = manifests ? collectDependencies(manifests) : [];
+    const summary = summarizeDependencies(dependencies, registrySnapshot);
+
+    const breakdown = [
+      { label: 'Direct dependencies', value: `${summary.runtime} runtime, ${summary.dev} development` },
+      { label: 'Pinned', value: summary.pinned },
+      { label: 'Floating', value: summary.floating },
+    ];
+    if (summary.unversioned > 0) {
+      breakdown.push({ label: 'Not from a registry', value: summary.unversioned });
+    }
+    for (const dependency of (summary.behind || []).slice(0, 5)) {
+      const majors = `${dependency.majorsBehind} major${dependency.majorsBehind !== 1 ? 's' : ''} behind`;
+      breakdown.push({ label: dependency.name, value: `${dependency.spec} → ${dependency.latest} (${majors})` });
+    }
+
+    if (summary.checked === 0) {
+      let note = 'Load a registry snapshot to compare with the latest versions';
+      if (!manifests) {
+        note = 'Repository files not available';
+      } else if (dependencies.length === 0) {
+        note = 'No dependencies declared in a supported manifest';
+      } else if (registrySnapshot) {
+        note = 'None of the dependencies are in the registry snapshot';
+      }
+
+      return {
+        ...metricDef,
+        rawValue: null,
+        displayValue: dependencies.length > 0 ? `${summary.total} direct` : 'Unknown',
+        score: 50, // Neutral: freshness unknown
+        level: getScoreLevel(50),
+        breakdown: dependencies.length > 0 ? breakdown : undefined,
+        note,
+      };
+    }
+
+    const rawValue = Math.round(((summary.checked - summary.behind.length) / summary.checked) * 100);
+    const score = this.calculateScore('dependency-freshness', rawValue);
+    const unchecked = summary.total - summary.unversioned - summary.checked;
+
+    return {
+      ...metricDef,
+      rawValue,
+      displayValue: `${rawValue}% current`,
+      score,
+      level: getScoreLevel(score),
+      breakdown,
+      note: unchecked > 0 ? `${unchecked} dependenc${unchecked === 1 ? 'y' : 'ies'} not in the registry snapshot` : undefined,
+    };
+  }
+
+  /**
+   * Score settings checks on the share of visible settings that are enabled
+   * @param {string} metricId - Metric identifier
+   * @param {Array<Object>} checks - [{ label, passed }] with passed null when not visible
+   */
+  scoreSettingChecks(metricId, checks) {
+    const metricDef = METRIC_DEFINITIONS[metricId];
+    const visible = checks.filter(check => check.passed !== null);
+
+    if (visible.length === 0) {
+      return { ...this.notVisible(metricDef), checks };
+    }
+
+    const enabled = visible.filter(check => check.passed).length;
+    const rawValue = (enabled / visible.length) * 100;
+    const score = this.calculateScore(metricId, rawValue);
+    const hidden = checks.length - visible.length;
+
+    return {
+      ...metricDef,
+      rawValue: Math.round(rawValue),
+      displayValue: `${enabled}/${visible.length} enabled`,
+      score,
+      level: getScoreLevel(score),
+      checks,
+      note: hidden > 0 ? `${hidden} setting${hidden === 1 ? '' : 's'} not visible with this token` : undefined,
+    };
+  }
+
+  /**
+   * Neutral result for settings that need more access than the token has
+   */
+  notVisible(metricDef) {
+    return {
+      ...metricDef,
+      rawValue: null,
+      displayValue: 'Not visible',
+      score: 50, // Neutral: unknown, not failing
+      level: getScoreLevel(50),
+      note: 'Requires admin access to the repository',
+    };
+  }
+
+  /**
+   * Report the OpenSSF Scorecard aggregate score with every check in the breakdown
+   * @param {Object|null} scorecard - Parsed Scorecard result { source, date, score, checks }
+   */
+  calculateScorecardScore(scorecard) {
+    const metricDef = METRIC_DEFINITIONS['scorecard-score'];
+
+    if (!scorecard || scorecard.score === null) {
+      return this.scorecardUnavailable(metricDef, scorecard);
+    }
+
+    const score = this.calculateScore('scorecard-score', scorecard.score);
+    return {
+      ...metricDef,
+      rawValue: scorecard.score,
+      displayValue: `${scorecard.score.toFixed(1)}/10`,
+      score,
+      level: getScoreLevel(score),
+      breakdown: [
+        ...scorecard.checks.map(check => ({
+          label: check.name,
+          value: check.score < 0 ? 'Inconclusive' : `${check.score}/10`,
+        })),
+        { label: 'Scanned', value: scorecard.date ? scorecard.date.slice(0, 10) : 'Unknown' },
+      ],
+      note: scorecard.source === 'file' ? 'From the supplied Scorecard results file' : undefined,
+    };
+  }
+
+  /**
+   * Report a single OpenSSF Scorecard check
+   * @param {string} metricId - Metric whose definition names the check (scorecardCheck)
+   * @param {Object|null} scorecard - Parsed Scorecard result
+   */
+  calculateScorecardCheck(metricId, scorecard) {
+    const metricDef = METRIC_DEFINITIONS[metricId];
+    const check = scorecard ? findScorecardCheck(scorecard, metricDef.scorecardCheck) : null;
+
+    if (!check || check.score < 0) {
+      const result = this.scorecardUnavailable(metricDef, scorecard);
+      return check ? { ...result, displayValue: 'Inconclusive', note: check.reason || undefined } : result;
+    }
+
+    const score = this.calculateScore(metricId, check.score);
+    return {
+      ...metricDef,
+      rawValue: check.score,
+      displayValue: `${check.score}/10`,
+      score,
+      level: getScoreLevel(score),
+      note: check.score < 10 ? check.reason : undefined,
+    };
+  }
+
+  /**
+   * Neutral result for Scorecard metrics without a usable result
+   */
+  scorecardUnavailable(metricDef, scorecard) {
+    return {
+      ...metricDef,
+      rawValue: null,
+      displayValue: 'Not available',
+      score: 50, // Neutral: not scanned, not failing
+      level: getScoreLevel(50),
+      note: scorecard
+        ? `Scorecard result has no ${metricDef.scorecardCheck || 'aggregate'} score`
+        : 'No OpenSSF Scorecard results for this repository',
     };
   }
 
@@ -680,8 +1756,8 @@ export class MetricCalculator {
   // ============================================================================
 
   /**
-   * Check for governance documentation
-   * Score based on: main governance doc (40pts) + leadership structure (30pts) + ownership files (30pts)
+   * Check governance documents for concrete governance elements; the score is
+   * the share of elements covered
    */
   calculateGovernanceDocs(governanceFiles) {
     const metricDef = METRIC_DEFINITIONS['governance-docs'];
@@ -690,76 +1766,99 @@ export class MetricCalculator {
     if (!governanceFiles) {
       return {
         ...metricDef,
-        rawValue: false,
+        rawValue: null,
         displayValue: 'Unknown',
         score: 50,
         level: getScoreLevel(50),
-        isBoolean: true,
         note: 'Governance data not available',
       };
     }
 
-    let score = 0;
-    const foundFiles = [];
+    // Maintainer lists often describe how to become (or stop being) a maintainer
+    const documents = ['governance', 'steering', 'tsc', 'maintainers']
+      .map(key => governanceFiles[key])
+      .filter(Boolean);
 
-    // Main governance doc (40 points)
-    if (governanceFiles.governance) {
-      score += 40;
-      foundFiles.push('GOVERNANCE');
-      // Bonus for substantive content (>500 chars)
-      if (governanceFiles.governance.contentLength > 500) {
-        score += 10;
-      }
+    if (documents.length === 0) {
+      return {
+        ...metricDef,
+        rawValue: 0,
+        displayValue: 'Missing',
+        score: 0,
+        level: getScoreLevel(0),
+      };
     }
 
-    // Leadership structure (30 points) - TSC or Steering Committee
-    if (governanceFiles.tsc || governanceFiles.steering) {
-      score += 30;
-      if (governanceFiles.tsc) {
-        foundFiles.push('TSC');
-      }
-      if (governanceFiles.steering) {
-        foundFiles.push('STEERING');
-      }
+    const { checks, passed } = analyzeGovernance(documents.map(file => file.content || '').join('\n\n'));
+    const score = this.calculateScore('governance-docs', passed);
+
+    return {
+      ...metricDef,
+      rawValue: passed,
+      displayValue: `${passed}/${checks.length} elements`,
+      score,
+      level: getScoreLevel(score),
+      checks,
+      breakdown: [{ label: 'Documents', value: documents.map(file => file.path).join(', ') }],
+    };
+  }
+
+  /**
+   * Count declared maintainers who were active in the last 90 days, and the
+   * drift between who is declared and who actually merges. Without maintainer
+   * files, estimate maintainers from merge activity.
+   */
+  calculateMaintainerCount(contributors, pullRequests, governanceFiles = null, commits = []) {
+    const metricDef = METRIC_DEFINITIONS['maintainer-count'];
+    const declared = collectDeclaredMaintainers(governanceFiles);
+
+    if (!declared || declared.people.length === 0) {
+      return this.estimateMaintainerCount(contributors, pullRequests, declared);
     }
 
-    // Ownership files (30 points) - OWNERS, MAINTAINERS, CODEOWNERS
-    const ownershipScore = Math.min(30,
-      (governanceFiles.owners ? 15 : 0) +
-      (governanceFiles.maintainers ? 15 : 0) +
-      (governanceFiles.codeowners ? 10 : 0)
+    const { active, inactive, undeclared } = compareMaintainerActivity(
+      declared.people,
+      this.getRecentActivity(commits, pullRequests)
     );
-    score += ownershipScore;
-    if (governanceFiles.owners) {
-      foundFiles.push('OWNERS');
+    const rawValue = active.length;
+    const score = this.calculateScore('maintainer-count', rawValue);
+    const names = people => {
+      const shown = people.slice(0, 5).map(person => person.login ? `@${person.login}` : person.email);
+      return people.length > 5 ? `${shown.join(', ')} and ${people.length - 5} more` : shown.join(', ');
+    };
+
+    const breakdown = [
+      { label: 'Declared', value: `${declared.people.length} in ${declared.sources.join(', ')}` },
+      { label: 'Active (90 days)', value: active.length },
+    ];
+    if (inactive.length > 0) {
+      breakdown.push({ label: 'Inactive', value: names(inactive) });
     }
-    if (governanceFiles.maintainers) {
-      foundFiles.push('MAINTAINERS');
+    if (undeclared.length > 0) {
+      breakdown.push({ label: 'Undeclared mergers', value: names(undeclared.map(login => ({ login }))) });
     }
-    if (governanceFiles.codeowners) {
-      foundFiles.push('CODEOWNERS');
+    if (declared.teams.length > 0) {
+      breakdown.push({ label: 'Teams', value: declared.teams.map(team => `@${team}`).join(', ') });
     }
 
-    // Cap at 100
-    score = Math.min(100, score);
-
-    const hasGovernance = foundFiles.length > 0;
-
     return {
       ...metricDef,
-      rawValue: hasGovernance,
-      displayValue: hasGovernance ? foundFiles.join(', ') : 'Missing',
+      rawValue,
+      displayValue: `${active.length} of ${declared.people.length} active`,
       score,
       level: getScoreLevel(score),
-      isBoolean: false,
-      details: foundFiles,
+      breakdown,
+      note: inactive.length > declared.people.length / 2
+        ? 'Most declared maintainers were inactive in the last 90 days'
+        : undefined,
     };
   }
 
   /**
-   * Calculate active maintainer count
+   * Estimate maintainers from PR merge activity and the top contributors
+   * @param {Object|null} declared - Declared maintainers, when the files only name teams
    */
-  calculateMaintainerCount(contributors, pullRequests) {
+  estimateMaintainerCount(contributors, pullRequests, declared = null) {
     const metricDef = METRIC_DEFINITIONS['maintainer-count'];
 
     // Estimate maintainers from PR merge activity
@@ -787,10 +1886,46 @@ export class MetricCalculator {
       displayValue: `${rawValue} maintainer${rawValue !== 1 ? 's' : ''}`,
       score,
       level: getScoreLevel(score),
+      breakdown: declared?.teams.length
+        ? [{ label: 'Teams', value: declared.teams.map(team => `@${team}`).join(', ') }]
+        : undefined,
       note: 'Estimated from merge activity',
     };
   }
 
+  /**
+   * Collect who committed, opened or merged pull requests in the last 90 days
+   * @returns {Object} { logins, emails, mergers } as sets of lowercased identities
+   */
+  getRecentActivity(commits = [], pullRequests = {}) {
+    const since = Date.now() - 90 * 24 * 60 * 60 * 1000;
+    const logins = new Set();
+    const emails = new Set();
+    const mergers = new Set();
+
+    for (const commit of commits) {
+      if (commit.author?.login) {
+        logins.add(commit.author.login.toLowerCase());
+      }
+      if (commit.commit?.author?.email) {
+        emails.add(commit.commit.author.email.toLowerCase());
+      }
+    }
+
+    for (const pr of pullRequests.all || []) {
+      if (pr.user?.login && new Date(pr.created_at) >= since) {
+        logins.add(pr.user.login.toLowerCase());
+      }
+      // Bot mergers (e.g. Prow) were already cleared by excludeBots()
+      if (pr.merged_by?.login && pr.merged_at && new Date(pr.merged_at) >= since) {
+        logins.add(pr.merged_by.login.toLowerCase());
+        mergers.add(pr.merged_by.login.toLowerCase());
+      }
+    }
+
+    return { logins, emails, mergers };
+  }
+
   /**
    * Check for OpenSSF Best Practices badge
    */
@@ -977,8 +2112,8 @@ export class MetricCalculator {
       return config.levels[value] || 0;
     }
 
-    // Handle affiliation metrics
-    if (config.type === 'affiliation') {
+    // Handle affiliation and license category metrics
+    if (config.type === 'affiliation' || config.type === 'license') {
       return config.levels[value] || 0;
     }
 
@@ -4,6 +4,8 @@
 
 import { describe, it, expect, beforeEach } from 'vitest';
 import { MetricCalculator } from './metricCalculator.js';
+import { parseLicensePolicy } from '../utils/licenses.js';
+import { parseRegistrySnapshot } from '../utils/dependencies.js';
 
 describe('MetricCalculator', () => {
   let calculator;
@@ -67,6 +69,114 @@ describe('MetricCalculator', () => {
     });
   });
 
+  describe('release metrics', () => {
+    const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const release = (tag_name, days, extra = {}) => ({ tag_name, published_at: daysAgo(days), draft: false, prerelease: false, ...extra });
+
+    it('should measure cadence between feature releases and keep pre-releases out', () => {
+      const releases = [
+        release('v1.3.0-rc.1', 5, { prerelease: true }),
+        release('v1.2.1', 10),
+        release('v1.2.0', 40),
+        release('v1.1.0', 100),
+      ];
+      const result = calculator.calculateReleaseCadence(releases);
+
+      expect(result.rawValue).toBe(60);
+      expect(result.breakdown).toContainEqual({ label: 'Pre-releases', value: 1 });
+      expect(result.note).toBeUndefined();
+    });
+
+    it('should fall back to tags when no releases are published', () => {
+      const tags = [{ name: 'v0.3.0', date: daysAgo(20) }, { name: 'v0.2.0', date: daysAgo(80) }];
+      const result = calculator.calculateReleaseCadence([], tags);
+
+      expect(result.rawValue).toBe(60);
+      expect(result.breakdown).toContainEqual({ label: 'Source', value: 'Git tags' });
+      expect(result.note).toMatch(/git tags/);
+      expect(calculator.calculateReleaseCadence([]).score).toBe(0);
+    });
+
+    it('should score undated tags as unknown instead of as no releases', () => {
+      const tags = [{ name: 'v0.3.0', date: null }, { name: 'v0.2.0', date: null }];
+      const results = [calculator.calculateReleaseCadence([], tags), calculator.calculateTimeSinceRelease([], tags)];
+
+      for (const result of results) {
+        expect(result.displayValue).toBe('Unknown');
+        expect(result.score).toBe(50);
+        expect(result.note).toMatch(/Tag dates/);
+      }
+    });
+
+    it('should score the time since the last stable release', () => {
+      const result = calculator.calculateTimeSinceRelease([release('v2.0.0-beta.1', 3, { prerelease: true }), release('v1.4.0', 200)]);
+
+      expect(result.rawValue).toBe(200);
+      expect(result.breakdown).toContainEqual({ label: 'Latest release', value: 'v1.4.0' });
+      expect(result.score).toBeLessThan(50);
+      expect(calculator.calculateTimeSinceRelease([]).displayValue).toBe('No releases');
+    });
+
+    it('should report SemVer conformance and the release mix', () => {
+      const result = calculator.calculateSemverCompliance([
+        release('v2.0.0', 10),
+        release('v1.1.0', 50),
+        release('v1.0.1', 80),
+        release('v1.0.0', 90),
+        release('nightly-2024', 100),
+      ]);
+
+      expect(result.rawValue).toBe(80);
+      expect(result.breakdown).toContainEqual({ label: 'Version changes', value: '1 major, 1 minor, 1 patch' });
+      expect(result.breakdown).toContainEqual({ label: 'Not SemVer', value: 'nightly-2024' });
+      expect(calculator.calculateSemverCompliance([]).score).toBe(50);
+    });
+  });
+
+  describe('CI metrics', () => {
+    const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const run = (conclusion, days, minutes = 12) => ({
+      name: 'CI',
+      conclusion,
+      created_at: daysAgo(days),
+      started_at: daysAgo(days),
+      completed_at: new Date(new Date(daysAgo(days)).getTime() + minutes * 60 * 1000).toISOString(),
+    });
+
+    it('should detect CI from the repository tree', () => {
+      const result = calculator.calculateCIPresence({ paths: ['.github/workflows/test.yml'], truncated: false }, null);
+
+      expect(result.rawValue).toBe(true);
+      expect(result.breakdown[0]).toEqual({ label: 'Systems', value: 'GitHub Actions' });
+      expect(calculator.calculateCIPresence({ paths: ['README.md'], truncated: false }, null).score).toBe(0);
+      expect(calculator.calculateCIPresence(null, null).displayValue).toBe('Unknown');
+    });
+
+    it('should flag a default branch that has been red for weeks', () => {
+      const ci = { source: 'actions', workflows: 1, runs: [run('failure', 1), run('failure', 20), run('success', 30), run('success', 40)] };
+      const result = calculator.calculateCIPassRate(ci);
+
+      expect(result.rawValue).toBe(50);
+      expect(result.breakdown[0].value).toBe('2 of 4 passed');
+      expect(result.breakdown[1].label).toBe('Failing');
+      expect(result.note).toBe('Default branch has been failing for 20 days');
+    });
+
+    it('should report the median CI duration', () => {
+      const ci = { source: 'actions', workflows: 1, runs: [run('success', 1, 8), run('success', 2, 12), run('failure', 3, 90)] };
+      const result = calculator.calculateCIDuration(ci);
+
+      expect(result.rawValue).toBe(12);
+      expect(result.displayValue).toBe('12 min');
+      expect(result.breakdown[1]).toEqual({ label: 'p90', value: '1h 30m' });
+    });
+
+    it('should return neutral scores without CI data', () => {
+      expect(calculator.calculateCIPassRate(null).score).toBe(50);
+      expect(calculator.calculateCIDuration(undefined).note).toBeDefined();
+    });
+  });
+
   describe('calculateBusFactor', () => {
     it('should return 1 for single contributor', () => {
       const contributors = [{ login: 'dev1', contributions: 100 }];
@@ -128,6 +238,241 @@ describe('MetricCalculator', () => {
     });
   });
 
+  describe('calculateIssueResponseTime', () => {
+    const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+    it('should use real first response times for issues and pull requests', () => {
+      const issues = {
+        all: [
+          { state: 'closed', created_at: hoursAgo(100), first_response_at: hoursAgo(98), user: { login: 'a' } },
+          { state: 'closed', created_at: hoursAgo(100), first_response_at: hoursAgo(96), user: { login: 'b' } },
+          { state: 'open', created_at: hoursAgo(10), first_response_at: null, user: { login: 'c' } },
+          // Closed by its author without a response: skipped
+          { state: 'closed', created_at: hoursAgo(50), first_response_at: null, user: { login: 'd' } },
+        ],
+      };
+      const pullRequests = {
+        all: [{ state: 'open', created_at: hoursAgo(30), first_response_at: hoursAgo(29), user: { login: 'e' } }],
+      };
+
+      const result = calculator.calculateIssueResponseTime(issues, pullRequests);
+
+      expect(result.rawValue).toBe(4);
+      expect(result.score).toBe(100);
+      expect(result.breakdown[0].value).toContain('1 still waiting');
+      expect(result.breakdown[1].value).toContain('median 1h');
+    });
+
+    it('should return neutral score when response times are unknown', () => {
+      const issues = { all: [{ state: 'open', created_at: hoursAgo(10), comments: 3, user: { login: 'a' } }] };
+      const result = calculator.calculateIssueResponseTime(issues, { all: [] });
+
+      expect(result.rawValue).toBeNull();
+      expect(result.score).toBe(50);
+      expect(result.note).toBeDefined();
+    });
+  });
+
+  describe('pull request review metrics', () => {
+    const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    const pr = (created, merged, review) => ({
+      state: merged ? 'closed' : 'open',
+      created_at: hoursAgo(created),
+      merged_at: merged ? hoursAgo(merged) : null,
+      first_review_at: review === undefined ? undefined : review && hoursAgo(review),
+      user: { login: 'dev' },
+    });
+
+    it('should measure time to first review', () => {
+      const all = [pr(50, 10, 48), pr(30, null, 20), pr(100, null, null)];
+      const result = calculator.calculatePRReviewTime({ all });
+
+      expect(result.rawValue).toBe(10);
+      expect(result.breakdown[0].value).toContain('1 still waiting');
+    });
+
+    it('should report median and p90 time to merge', () => {
+      const merged = [pr(48, 24), pr(72, 24), pr(24 * 40, 24)];
+      const result = calculator.calculatePRMergeTime({ merged });
+
+      expect(result.rawValue).toBe(2);
+      expect(result.displayValue).toBe('2d');
+      expect(result.breakdown[1]).toEqual({ label: 'p90', value: '39d' });
+    });
+
+    it('should count merges without a review before the merge', () => {
+      const merged = [pr(50, 10, 48), pr(50, 10, null), pr(50, 10, 5), pr(50, 10, undefined)];
+      const result = calculator.calculateUnreviewedMerges({ merged });
+
+      expect(result.rawValue).toBe(67);
+      expect(result.breakdown[0].value).toBe('2 of 3');
+    });
+
+    it('should return neutral scores without review data', () => {
+      const merged = [pr(50, 10, undefined)];
+
+      expect(calculator.calculateUnreviewedMerges({ merged }).score).toBe(50);
+      expect(calculator.calculatePRReviewTime({ all: merged }).note).toBeDefined();
+    });
+  });
+
+  describe('calculateNewContributors', () => {
+    const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const commit = login => ({ commit: { author: { date: daysAgo(5) } }, author: { login } });
+
+    it('should not count returning contributors as new', () => {
+      const result = calculator.calculateNewContributors(
+        [commit('returning'), commit('newcomer')],
+        { merged: [{ user: { login: 'newcomer' }, merged_at: daysAgo(5) }] },
+        { returning: daysAgo(365), newcomer: daysAgo(5) }
+      );
+
+      expect(result.rawValue).toBe(1);
+      expect(result.breakdown[0]).toEqual({ label: 'Last 30 days', value: '1 new' });
+      expect(result.breakdown[3]).toEqual({ label: 'First merged PR', value: '1 author' });
+    });
+
+    it('should fall back to an estimate without contribution history', () => {
+      const result = calculator.calculateNewContributors([commit('dev')]);
+
+      expect(result.rawValue).toBe(1);
+      expect(result.note).toBe('Estimated from the last 90 days of commits');
+    });
+  });
+
+  describe('calculateOrgDiversity', () => {
+    it('should count organizations and their share of commits', () => {
+      const commits = [
+        { commit: { author: { email: 'a@redhat.com' } }, author: { login: 'a' } },
+        { commit: { author: { email: 'b@redhat.com' } }, author: { login: 'b' } },
+        { commit: { author: { email: 'c@gmail.com' } }, author: { login: 'c' } },
+        { commit: { author: { email: 'd@gmail.com' } }, author: { login: 'd' } },
+      ];
+      const result = calculator.calculateOrgDiversity(commits, [{ login: 'c', company: 'Google LLC' }]);
+
+      expect(result.rawValue).toBe(2);
+      expect(result.breakdown).toEqual([
+        { label: 'Red Hat', value: '50% of commits' },
+        { label: 'Google', value: '25% of commits' },
+        { label: 'Unattributed', value: '25% of commits' },
+      ]);
+    });
+
+    it('should return neutral score when no organization is identified', () => {
+      const commits = [{ commit: { author: { email: 'a@gmail.com' } }, author: { login: 'a' } }];
+      const result = calculator.calculateOrgDiversity(commits, []);
+
+      expect(result.rawValue).toBeNull();
+      expect(result.score).toBe(50);
+    });
+  });
+
+  describe('calculateElephantFactor', () => {
+    it('should list the dominant organizations', () => {
+      const commits = [
+        ...new Array(6).fill({ commit: { author: { email: 'a@redhat.com' } }, author: { login: 'a' } }),
+        ...new Array(3).fill({ commit: { author: { email: 'b@google.com' } }, author: { login: 'b' } }),
+        { commit: { author: { email: 'c@ibm.com' } }, author: { login: 'c' } },
+      ];
+      const result = calculator.calculateElephantFactor(commits, []);
+
+      expect(result.id).toBe('elephant-factor');
+      expect(result.rawValue).toBe(1);
+      expect(result.score).toBe(25);
+      expect(result.breakdown).toEqual([
+        { label: 'Red Hat', value: '60% of commits' },
+        { label: '2 other orgs', value: '40% of commits' },
+      ]);
+    });
+  });
+
+  describe('calculateReadmeQuality', () => {
+    it('should score the README checks and list them', () => {
+      const readme = '# Widget\n\n## Installation\n\n```sh\nnpm install widget\n```\n\n## License\n\nMIT';
+      const result = calculator.calculateReadmeQuality(readme, { files: { readme: {} } });
+
+      expect(result.rawValue).toBe(3);
+      expect(result.displayValue).toBe('3/7 checks');
+      expect(result.score).toBeGreaterThan(40);
+      expect(result.score).toBeLessThan(75);
+      expect(result.checks.find(check => check.id === 'license').passed).toBe(true);
+      expect(result.checks.find(check => check.id === 'badges').passed).toBe(false);
+    });
+
+    it('should distinguish a missing README from an unreadable one', () => {
+      expect(calculator.calculateReadmeQuality(null, { files: { readme: null } }).score).toBe(0);
+      expect(calculator.calculateReadmeQuality(null, { files: { readme: { path: 'README.rst' } } }).score).toBe(50);
+      expect(calculator.calculateReadmeQuality(undefined, { files: {} }).displayValue).toBe('Unknown');
+    });
+  });
+
+  describe('calculateDocsDirectory', () => {
+    it('should report the documentation system and page count', () => {
+      const paths = ['mkdocs.yml', ...Array.from({ length: 12 }, (_, i) => `docs/page${i}.md`)];
+      const result = calculator.calculateDocsDirectory({ paths, truncated: false }, {});
+
+      expect(result.rawValue).toBe(12);
+      expect(result.displayValue).toBe('12 pages');
+      expect(result.score).toBeGreaterThan(85);
+      expect(result.breakdown).toEqual([
+        { label: 'System', value: 'MkDocs' },
+        { label: 'Directory', value: 'docs/' },
+      ]);
+    });
+
+    it('should credit a published site without pages in the repository', () => {
+      const result = calculator.calculateDocsDirectory({ paths: ['README.md'], truncated: false }, {}, 'https://o.github.io/r/');
+
+      expect(result.displayValue).toBe('Site only');
+      expect(result.score).toBe(75);
+    });
+
+    it('should report missing documentation only from a complete file list', () => {
+      expect(calculator.calculateDocsDirectory({ paths: ['README.md'], truncated: false }, {}).score).toBe(0);
+      expect(calculator.calculateDocsDirectory(null, {}).displayValue).toBe('Unknown');
+    });
+  });
+
+  describe('calculateChangelog', () => {
+    const releases = [
+      { tag_name: 'v2.1.0', published_at: '2024-04-01T00:00:00Z', body: '**Full Changelog**: v2.0.0...v2.1.0' },
+      { tag_name: 'v2.0.0', published_at: '2024-02-01T00:00:00Z', body: '' },
+    ];
+    const tree = { paths: ['CHANGELOG.md'], truncated: false };
+
+    it('should score an up-to-date changelog', () => {
+      const changelog = { path: 'CHANGELOG.md', latestEntry: { version: '2.1.0', date: '2024-04-01' } };
+      const result = calculator.calculateChangelog(changelog, releases, tree);
+
+      expect(result.rawValue).toBe(0);
+      expect(result.displayValue).toBe('Up to date');
+      expect(result.score).toBe(100);
+      expect(result.breakdown[1]).toEqual({ label: 'Latest entry', value: '2.1.0 (2024-04-01)' });
+    });
+
+    it('should lower the score for a changelog behind the latest release', () => {
+      const changelog = { path: 'CHANGELOG.md', latestEntry: { version: '2.0.0', date: null } };
+      const result = calculator.calculateChangelog(changelog, releases, tree);
+
+      expect(result.displayValue).toBe('1 release behind');
+      expect(result.score).toBe(75);
+    });
+
+    it('should accept substantive release notes instead of a changelog', () => {
+      const withNotes = [{ ...releases[0], body: '## Fixes\n* Handle missing config files without crashing on startup' }];
+      const result = calculator.calculateChangelog(null, withNotes, { paths: [], truncated: false });
+
+      expect(result.displayValue).toBe('Release notes');
+      expect(result.score).toBe(100);
+    });
+
+    it('should only report a missing changelog when the file list is complete', () => {
+      expect(calculator.calculateChangelog(null, releases, { paths: [], truncated: false }).score).toBe(0);
+      expect(calculator.calculateChangelog(null, releases, { paths: [], truncated: true }).score).toBe(50);
+      expect(calculator.calculateChangelog(undefined, releases, null).displayValue).toBe('Unknown');
+    });
+  });
+
   describe('calculateStaleIssuesRatio', () => {
     it('should calculate percentage of stale issues', () => {
       const now = new Date();
@@ -178,8 +523,237 @@ describe('MetricCalculator', () => {
     });
   });
 
+  describe('vulnerability handling', () => {
+    it('should require a private reporting channel, not just a security policy', () => {
+      const policyOnly = calculator.calculateVulnerabilityReporting({ privateReporting: false, policyPath: 'SECURITY.md', contacts: [] });
+      expect(policyOnly.score).toBe(0);
+      expect(policyOnly.note).toBe('The security policy names no private reporting channel');
+
+      const contact = calculator.calculateVulnerabilityReporting({
+        privateReporting: undefined,
+        policyPath: 'SECURITY.md',
+        contacts: [{ type: 'email', value: 'security@widget.dev' }],
+      });
+      expect(contact.displayValue).toBe('Security contact');
+      expect(contact.checks).toEqual([{ label: 'Security contact in policy', passed: true }]);
+
+      expect(calculator.calculateVulnerabilityReporting({ privateReporting: true, policyPath: null, contacts: null }).score)
+        .toBe(100);
+    });
+
+    it('should score the median time to a patched release', () => {
+      const result = calculator.calculateSecurityAdvisories(
+        [
+          { severity: 'high', published_at: '2024-03-01T00:00:00Z', patched_versions: ['2.0.1'] },
+          { severity: 'high', published_at: '2024-03-10T00:00:00Z', patched_versions: ['2.0.1'] },
+          { severity: 'low', published_at: '2024-03-11T00:00:00Z', patched_versions: ['2.0.1'] },
+        ],
+        [{ tag_name: 'v2.0.1', published_at: '2024-03-11T00:00:00Z' }]
+      );
+
+      expect(result.rawValue).toBe(1);
+      expect(result.score).toBe(100);
+      expect(result.breakdown[1]).toEqual({ label: 'Severity', value: '2 high, 1 low' });
+    });
+
+    it('should stay neutral without published advisories', () => {
+      expect(calculator.calculateSecurityAdvisories([], []).displayValue).toBe('None published');
+      expect(calculator.calculateSecurityAdvisories(null, []).score).toBe(50);
+    });
+  });
+
+  describe('repository security settings', () => {
+    it('should score only the branch protection settings that are visible', () => {
+      const result = calculator.calculateBranchProtection({
+        branchProtection: { requiredReviews: 1, statusChecks: false, forcePushBlocked: null, signedCommits: null },
+      });
+
+      expect(result.displayValue).toBe('1/2 enabled');
+      expect(result.score).toBe(50);
+      expect(result.checks[2]).toEqual({ label: 'Force pushes blocked', passed: null });
+      expect(result.note).toBe('1 setting not visible with this token');
+    });
+
+    it('should return neutral scores for settings that need admin access', () => {
+      const securitySettings = {
+        branchProtection: { requiredReviews: null, statusChecks: null, forcePushBlocked: null, signedCommits: null },
+        securityFeatures: { dependabotAlerts: null, dependabotSecurityUpdates: null, secretScanning: null, secretScanningPushProtection: null },
+      };
+
+      for (const result of [
+        calculator.calculateBranchProtection(securitySettings),
+        calculator.calculateSignedCommits(securitySettings),
+        calculator.calculateSecurityFeatures(securitySettings),
+      ]) {
+        expect(result.displayValue).toBe('Not visible');
+        expect(result.score).toBe(50);
+      }
+    });
+
+    it('should detect dependency update tooling', () => {
+      const tree = paths => ({ paths, truncated: false });
+
+      expect(calculator.calculateDependencyUpdates(tree(['.github/renovate.json']), null).displayValue).toBe('Renovate');
+      expect(calculator.calculateDependencyUpdates(tree(['README.md']), null).score).toBe(0);
+      expect(calculator.calculateDependencyUpdates(null, { securityFeatures: { dependabotSecurityUpdates: true } }).rawValue).toBe(true);
+      expect(calculator.calculateDependencyUpdates(null, null).score).toBe(50);
+    });
+  });
+
+  describe('OpenSSF Scorecard metrics', () => {
+    const scorecard = {
+      source: 'api',
+      date: '2024-05-06T00:00:00Z',
+      score: 6.8,
+      checks: [
+        { name: 'Token-Permissions', score: 0, reason: 'detected GitHub workflow tokens with excessive permissions' },
+        { name: 'Pinned-Dependencies', score: 10, reason: 'all dependencies are pinned' },
+        { name: 'Binary-Artifacts', score: -1, reason: 'internal error: no files' },
+      ],
+    };
+
+    it('should list every check in the aggregate breakdown', () => {
+      const result = calculator.calculateScorecardScore(scorecard);
+
+      expect(result.displayValue).toBe('6.8/10');
+      expect(result.score).toBe(68);
+      expect(result.breakdown).toContainEqual({ label: 'Binary-Artifacts', value: 'Inconclusive' });
+      expect(result.breakdown.at(-1)).toEqual({ label: 'Scanned', value: '2024-05-06' });
+    });
+
+    it('should score individual checks and explain failures', () => {
+      const tokenPermissions = calculator.calculateScorecardCheck('token-permissions', scorecard);
+      expect(tokenPermissions.score).toBe(0);
+      expect(tokenPermissions.note).toBe('detected GitHub workflow tokens with excessive permissions');
+
+      expect(calculator.calculateScorecardCheck('pinned-dependencies', scorecard).score).toBe(100);
+      expect(calculator.calculateScorecardCheck('binary-artifacts', scorecard).displayValue).toBe('Inconclusive');
+      expect(calculator.calculateScorecardCheck('dangerous-workflow', scorecard).score).toBe(50);
+    });
+
+    it('should return neutral scores without Scorecard results', () => {
+      expect(calculator.calculateScorecardScore(null).score).toBe(50);
+      expect(calculator.calculateScorecardCheck('known-vulnerabilities', null).note)
+        .toBe('No OpenSSF Scorecard results for this repository');
+    });
+  });
+
+  describe('calculateMaintainerCount', () => {
+    const now = new Date().toISOString();
+
+    it('should count declared maintainers active in the last 90 days', () => {
+      const governanceFiles = {
+        maintainers: { path: 'MAINTAINERS.md', content: '- @alice\n- @bob\n- @carol' },
+      };
+      const commits = [{ author: { login: 'Alice' }, commit: { author: { email: 'alice@acme.dev', date: now } } }];
+      const pullRequests = {
+        all: [{ user: { login: 'eve' }, created_at: now, merged_at: now, merged_by: { login: 'dave' } }],
+        merged: [],
+      };
+
+      const result = calculator.calculateMaintainerCount([], pullRequests, governanceFiles, commits);
+
+      expect(result.rawValue).toBe(1);
+      expect(result.displayValue).toBe('1 of 3 active');
+      expect(result.breakdown).toContainEqual({ label: 'Inactive', value: '@bob, @carol' });
+      expect(result.breakdown).toContainEqual({ label: 'Undeclared mergers', value: '@dave' });
+      expect(result.note).toBe('Most declared maintainers were inactive in the last 90 days');
+    });
+
+    it('should estimate from merge activity without maintainer files', () => {
+      const pullRequests = { merged: [{ merged_by: { login: 'alice' } }] };
+      const result = calculator.calculateMaintainerCount([{ login: 'bob' }], pullRequests, null, []);
+
+      expect(result.rawValue).toBe(2);
+      expect(result.note).toBe('Estimated from merge activity');
+    });
+  });
+
+  describe('calculateLicense', () => {
+    const packageJson = license => ({ path: 'package.json', content: JSON.stringify({ name: 'x', license }) });
+
+    it('should classify the repository license', () => {
+      const result = calculator.calculateLicense({ license: { spdx_id: 'MPL-2.0' } });
+      expect(result.rawValue).toBe('weak-copyleft');
+      expect(result.displayValue).toBe('MPL-2.0 (Weak copyleft)');
+      expect(result.score).toBe(90);
+      expect(result.checks).toEqual([{ id: 'spdx', label: 'Recognized SPDX license', passed: true }]);
+    });
+
+    it('should score a missing license as 0', () => {
+      const result = calculator.calculateLicense({ license: null }, []);
+      expect(result.displayValue).toBe('Missing');
+      expect(result.score).toBe(0);
+    });
+
+    it('should fall back to the manifest when the forge cannot identify the license', () => {
+      const result = calculator.calculateLicense(
+        { license: { spdx_id: 'NOASSERTION', name: 'Other' } },
+        [packageJson('MIT OR Apache-2.0')]
+      );
+      expect(result.rawValue).toBe('permissive');
+      expect(result.score).toBe(100);
+      expect(result.note).toBe('License read from package.json');
+    });
+
+    it('should cap the score when a manifest declares a different license', () => {
+      const result = calculator.calculateLicense({ license: { spdx_id: 'MIT' } }, [packageJson('ISC')]);
+      expect(result.score).toBe(50);
+      expect(result.checks.find(check => check.id === 'manifests').passed).toBe(false);
+      expect(result.note).toBe('package.json declares a different license');
+    });
+
+    it('should fail licenses the policy denies', () => {
+      const policy = parseLicensePolicy('network-copyleft');
+      const denied = calculator.calculateLicense({ license: { spdx_id: 'AGPL-3.0' } }, null, policy);
+      expect(denied.score).toBe(0);
+      expect(denied.note).toBe('Not allowed by license policy: AGPL-3.0');
+
+      const allowed = calculator.calculateLicense({ license: { spdx_id: 'GPL-3.0' } }, null, policy);
+      expect(allowed.score).toBe(70);
+      expect(allowed.checks.find(check => check.id === 'policy').passed).toBe(true);
+    });
+
+    it('should leave unrecognized licenses unknown', () => {
+      const result = calculator.calculateLicense({ license: { spdx_id: 'NOASSERTION' } }, []);
+      expect(result.rawValue).toBe('unknown');
+      expect(result.displayValue).toBe('Unrecognized');
+      expect(result.score).toBe(25);
+    });
+  });
+
+  describe('calculateDependencyFreshness', () => {
+    const manifests = [{
+      path: 'package.json',
+      content: JSON.stringify({ dependencies: { react: '^16.14.0', lodash: '4.17.21' }, devDependencies: { vitest: '^3.0.0' } }),
+    }];
+
+    it('should report dependencies without scoring them when there is no snapshot', () => {
+      const result = calculator.calculateDependencyFreshness(manifests);
+      expect(result.displayValue).toBe('3 direct');
+      expect(result.score).toBe(50);
+      expect(result.breakdown).toContainEqual({ label: 'Pinned', value: 1 });
+      expect(result.breakdown).toContainEqual({ label: 'Floating', value: 2 });
+      expect(result.note).toBe('Load a registry snapshot to compare with the latest versions');
+    });
+
+    it('should score the share of dependencies on the latest major', () => {
+      const snapshot = parseRegistrySnapshot(JSON.stringify({ packages: { npm: { react: '19.1.0', lodash: '4.17.21' } } }));
+      const result = calculator.calculateDependencyFreshness(manifests, snapshot);
+      expect(result.rawValue).toBe(50);
+      expect(result.score).toBe(0);
+      expect(result.breakdown).toContainEqual({ label: 'react', value: '^16.14.0 → 19.1.0 (3 majors behind)' });
+      expect(result.note).toBe('1 dependency not in the registry snapshot');
+    });
+
+    it('should return neutral score without manifests', () => {
+      expect(calculator.calculateDependencyFreshness(null).note).toBe('Repository files not available');
+      expect(calculator.calculateDependencyFreshness([]).note).toBe('No dependencies declared in a supported manifest');
+    });
+  });
+
   describe('calculateAll', () => {
-    it('should return 25 metrics', () => {
+    it('should return 41 metrics without Scorecard results', () => {
       const mockData = {
         repository: {
           pushed_at: new Date().toISOString(),
@@ -202,7 +776,11 @@ describe('MetricCalculator', () => {
       };
 
       const metrics = calculator.calculateAll(mockData);
-      expect(metrics).toHaveLength(25);
+      expect(metrics).toHaveLength(41);
+      expect(metrics.some(m => m.id === 'token-permissions')).toBe(false);
+
+      const scorecard = { source: 'api', date: null, score: 5, checks: [] };
+      expect(calculator.calculateAll({ ...mockData, scorecard })).toHaveLength(46);
     });
 
     it('should include all categories', () => {
@@ -242,47 +820,48 @@ describe('MetricCalculator', () => {
       expect(result.displayValue).toBe('Unknown');
     });
 
-    it('should score 50 for main governance doc', () => {
+    it('should score governance documents on the elements they cover', () => {
       const governanceFiles = {
-        governance: { path: 'GOVERNANCE.md', contentLength: 1000 },
+        governance: {
+          path: 'GOVERNANCE.md',
+          content: '## Decision Making\nDecisions are made by lazy consensus.\n\n## Voting\nA simple majority of maintainers.',
+        },
         steering: null,
         tsc: null,
         owners: null,
-        maintainers: null,
+        maintainers: { path: 'MAINTAINERS.md', content: 'Maintainers who step down become emeritus.' },
         codeowners: null,
       };
       const result = calculator.calculateGovernanceDocs(governanceFiles);
-      // 40 base + 10 for content > 500 chars = 50
+
+      expect(result.rawValue).toBe(3);
       expect(result.score).toBe(50);
-      expect(result.displayValue).toBe('GOVERNANCE');
+      expect(result.displayValue).toBe('3/6 elements');
+      expect(result.checks.filter(check => !check.passed).map(check => check.id))
+        .toEqual(['roles', 'conflict-resolution', 'release-authority']);
+      expect(result.breakdown[0]).toEqual({ label: 'Documents', value: 'GOVERNANCE.md, MAINTAINERS.md' });
     });
 
-    it('should score 100 for full governance structure', () => {
+    it('should not reward long documents without governance elements', () => {
       const governanceFiles = {
-        governance: { path: 'GOVERNANCE.md', contentLength: 1000 },
-        steering: { path: 'STEERING.md', contentLength: 500 },
-        tsc: null,
-        owners: { path: 'OWNERS', contentLength: 200 },
-        maintainers: { path: 'MAINTAINERS.md', contentLength: 300 },
-        codeowners: null,
+        governance: { path: 'GOVERNANCE.md', content: 'This project is great. '.repeat(100) },
       };
-      const result = calculator.calculateGovernanceDocs(governanceFiles);
-      // 40 + 10 (content) + 30 (steering) + 15 (owners) + 15 (maintainers) = 110 capped at 100
-      expect(result.score).toBe(100);
+      expect(calculator.calculateGovernanceDocs(governanceFiles).score).toBe(0);
     });
 
-    it('should score 30 for ownership files only', () => {
+    it('should score 0 without governance documents', () => {
       const governanceFiles = {
         governance: null,
         steering: null,
         tsc: null,
-        owners: { path: 'OWNERS', contentLength: 200 },
-        maintainers: { path: 'MAINTAINERS.md', contentLength: 300 },
+        owners: { path: 'OWNERS', content: 'approvers:\n  - alice\n' },
+        maintainers: null,
         codeowners: null,
       };
       const result = calculator.calculateGovernanceDocs(governanceFiles);
-      // 15 (owners) + 15 (maintainers) = 30
-      expect(result.score).toBe(30);
+
+      expect(result.displayValue).toBe('Missing');
+      expect(result.score).toBe(0);
     });
   });
 
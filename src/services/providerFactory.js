@@ -0,0 +1,28 @@
+/**
+ * Provider Factory
+ *
+ * Creates the forge provider that serves a resolved forge host.
+ */
+
+import { GitHubApiService } from './githubApi.js';
+import { GitLabApiService } from './gitlabApi.js';
+import { GiteaApiService } from './giteaApi.js';
+
+/**
+ * Create a forge provider
+ * @param {Object} forgeHost - Resolved host ({ provider, apiUrl }) from resolveForgeHost()
+ * @param {Object} options - { token, scheduler, responseCache }
+ * @returns {ForgeProvider} Provider instance
+ */
+export function createForgeProvider(forgeHost, { token = null, scheduler, responseCache = null } = {}) {
+  switch (forgeHost.provider) {
+    case 'github':
+      return new GitHubApiService(token, { baseUrl: forgeHost.apiUrl, scheduler, responseCache });
+    case 'gitlab':
+      return new GitLabApiService(token, { apiUrl: forgeHost.apiUrl, scheduler });
+    case 'gitea':
+      return new GiteaApiService(token, { apiUrl: forgeHost.apiUrl, scheduler });
+    default:
+      throw new Error(`Unsupported forge provider: ${forgeHost.provider}`);
+  }
+}
@@ -0,0 +1,215 @@
+/**
+ * Request Scheduler
+ *
+ * Wraps API requests with rate-limit tracking and retries.
+ * Tracks x-ratelimit-* headers, honours secondary rate limit retry-after,
+ * retries 5xx responses with exponential backoff and pauses (instead of
+ * failing) when the primary rate limit is exhausted.
+ */
+
+const DEFAULT_SECONDARY_LIMIT_DELAY = 60 * 1000;
+
+export class RequestScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {number} options.maxRetries - Maximum retries per request
+   * @param {number} options.baseDelay - Initial backoff delay in milliseconds
+   * @param {number} options.maxWait - Longest rate limit pause before giving up, in milliseconds
+   * @param {Function} options.onStatus - Called with the current budget whenever it changes
+   * @param {Function} options.sleep - Delay implementation (overridable for tests)
+   * @param {Function} options.now - Clock implementation (overridable for tests)
+   */
+  constructor({
+    maxRetries = 3,
+    baseDelay = 1000,
+    maxWait = 60 * 60 * 1000,
+    onStatus = () => {},
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+    now = () => Date.now(),
+  } = {}) {
+    this.maxRetries = maxRetries;
+    this.baseDelay = baseDelay;
+    this.maxWait = maxWait;
+    this.onStatus = onStatus;
+    this.sleep = sleep;
+    this.now = now;
+
+    // Budget per rate limit resource (core, graphql, search, ...)
+    this.budgets = {};
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * Route every request of an Octokit instance through the scheduler
+   * @param {Object} octokit - Octokit instance
+   */
+  install(octokit) {
+    octokit.hook.wrap('request', (request, options) =>
+      this.schedule(() => request(options), this.getResource(options.url))
+    );
+  }
+
+  /**
+   * Get the rate limit resource a request URL counts against
+   * @param {string} url - Request URL (route or absolute)
+   * @returns {string} Resource name
+   */
+  getResource(url = '') {
+    if (url.endsWith('/graphql')) {
+      return 'graphql';
+    }
+    if (url.startsWith('/search') || url.includes('/search/')) {
+      return 'search';
+    }
+    return 'core';
+  }
+
+  /**
+   * Run a request, waiting out rate limits and retrying transient failures
+   * @param {Function} task - Returns a promise resolving to a response with headers
+   * @param {string} resource - Rate limit resource the request counts against
+   * @returns {Promise<Object>} Response
+   */
+  async schedule(task, resource = 'core') {
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForBudget(resource);
+
+      try {
+        const response = await task();
+        this.updateBudget(response.headers, resource);
+        return response;
+      } catch (error) {
+        const headers = error.response?.headers;
+        if (headers) {
+          this.updateBudget(headers, resource);
+        }
+
+        const delay = this.getRetryDelay(error, attempt);
+        if (delay === null) {
+          throw error;
+        }
+        await this.pause(delay, error.status >= 500 ? 'server-error' : 'rate-limit');
+      }
+    }
+  }
+
+  /**
+   * Decide whether and how long to wait before retrying a failed request
+   * @param {Object} error - Request error with status and response headers
+   * @param {number} attempt - Zero-based attempt number
+   * @returns {number|null} Delay in milliseconds, or null to give up
+   */
+  getRetryDelay(error, attempt) {
+    if (attempt >= this.maxRetries) {
+      return null;
+    }
+
+    const status = error.status;
+    const headers = error.response?.headers || {};
+
+    if (status === 403 || status === 429) {
+      // Secondary rate limits tell us exactly how long to back off
+      if (headers['retry-after'] !== undefined) {
+        return Number(headers['retry-after']) * 1000;
+      }
+
+      // Primary rate limit exhausted: wait for the window to reset
+      if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+        const delay = Number(headers['x-ratelimit-reset']) * 1000 - this.now() + 1000;
+        return delay <= this.maxWait ? Math.max(delay, 0) : null;
+      }
+
+      if (/secondary rate limit/i.test(error.message || '')) {
+        return DEFAULT_SECONDARY_LIMIT_DELAY;
+      }
+      return null;
+    }
+
+    if (status >= 500) {
+      return this.baseDelay * 2 ** attempt;
+    }
+
+    return null;
+  }
+
+  /**
+   * Record the budget reported by rate limit headers
+   * @param {Object} headers - Response headers
+   * @param {string} resource - Fallback resource name
+   */
+  updateBudget(headers = {}, resource = 'core') {
+    if (headers['x-ratelimit-remaining'] === undefined) {
+      return;
+    }
+
+    const name = headers['x-ratelimit-resource'] || resource;
+    this.budgets[name] = {
+      limit: Number(headers['x-ratelimit-limit']),
+      remaining: Number(headers['x-ratelimit-remaining']),
+      reset: Number(headers['x-ratelimit-reset']) * 1000,
+    };
+    this.notify(name);
+  }
+
+  /**
+   * Wait until the given resource has budget left
+   * @param {string} resource - Rate limit resource
+   */
+  async waitForBudget(resource) {
+    if (this.pausedUntil > this.now()) {
+      await this.sleep(this.pausedUntil - this.now());
+    }
+
+    const budget = this.budgets[resource];
+    if (budget && budget.remaining === 0 && budget.reset > this.now()) {
+      const delay = budget.reset - this.now() + 1000;
+      if (delay > this.maxWait) {
+        const error = new Error('Rate limit exceeded');
+        error.status = 403;
+        throw error;
+      }
+      await this.pause(delay, 'rate-limit', resource);
+    }
+  }
+
+  /**
+   * Pause all scheduled requests
+   * @param {number} delay - Pause length in milliseconds
+   * @param {string} reason - Why requests are paused (rate-limit, server-error)
+   * @param {string} resource - Resource the pause relates to
+   */
+  async pause(delay, reason, resource = 'core') {
+    this.pausedUntil = Math.max(this.pausedUntil, this.now() + delay);
+    this.notify(resource, reason);
+    await this.sleep(delay);
+
+    // A budget we waited out has been replenished
+    const budget = this.budgets[resource];
+    if (budget && budget.reset <= this.now()) {
+      budget.remaining = budget.limit;
+    }
+    this.notify(resource);
+  }
+
+  /**
+   * Get the current status for a resource
+   * @param {string} resource - Rate limit resource
+   * @returns {Object} { resource, limit, remaining, reset, resumeAt, reason }
+   */
+  getStatus(resource = 'core') {
+    const budget = this.budgets[resource] || {};
+    const paused = this.pausedUntil > this.now();
+    return {
+      resource,
+      limit: budget.limit ?? null,
+      remaining: budget.remaining ?? null,
+      reset: budget.reset ? new Date(budget.reset) : null,
+      resumeAt: paused ? new Date(this.pausedUntil) : null,
+      reason: null,
+    };
+  }
+
+  notify(resource, reason = null) {
+    this.onStatus({ ...this.getStatus(resource), reason });
+  }
+}
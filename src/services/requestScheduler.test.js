@@ -0,0 +1,123 @@
+/**
+ * Request Scheduler Tests
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { RequestScheduler } from './requestScheduler.js';
+
+function httpError(status, headers = {}, message = 'Request failed') {
+  const error = new Error(message);
+  error.status = status;
+  error.response = { headers };
+  return error;
+}
+
+describe('RequestScheduler', () => {
+  let clock;
+  let sleeps;
+  let scheduler;
+
+  beforeEach(() => {
+    clock = 1_700_000_000_000;
+    sleeps = [];
+    scheduler = new RequestScheduler({
+      now: () => clock,
+      sleep: async ms => {
+        sleeps.push(ms);
+        clock += ms;
+      },
+    });
+  });
+
+  it('should track the budget from rate limit headers', async () => {
+    const onStatus = vi.fn();
+    scheduler.onStatus = onStatus;
+
+    await scheduler.schedule(async () => ({
+      headers: {
+        'x-ratelimit-limit': '5000',
+        'x-ratelimit-remaining': '4321',
+        'x-ratelimit-reset': String(clock / 1000 + 600),
+        'x-ratelimit-resource': 'core',
+      },
+    }));
+
+    expect(scheduler.budgets.core.remaining).toBe(4321);
+    expect(onStatus).toHaveBeenCalledWith(expect.objectContaining({ remaining: 4321, limit: 5000 }));
+  });
+
+  it('should retry 5xx responses with exponential backoff', async () => {
+    const task = vi.fn()
+      .mockRejectedValueOnce(httpError(502))
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValueOnce({ headers: {}, data: 'ok' });
+
+    const response = await scheduler.schedule(task);
+
+    expect(response.data).toBe('ok');
+    expect(sleeps).toEqual([1000, 2000]);
+  });
+
+  it('should give up after the maximum number of retries', async () => {
+    const task = vi.fn().mockRejectedValue(httpError(500));
+    await expect(scheduler.schedule(task)).rejects.toMatchObject({ status: 500 });
+    expect(task).toHaveBeenCalledTimes(4);
+  });
+
+  it('should honour retry-after on secondary rate limits', async () => {
+    const task = vi.fn()
+      .mockRejectedValueOnce(httpError(403, { 'retry-after': '30' }))
+      .mockResolvedValueOnce({ headers: {} });
+
+    await scheduler.schedule(task);
+    expect(sleeps).toEqual([30000]);
+  });
+
+  it('should pause until reset when the primary rate limit is exhausted', async () => {
+    const reset = clock / 1000 + 120;
+    const task = vi.fn()
+      .mockRejectedValueOnce(httpError(403, {
+        'x-ratelimit-limit': '60',
+        'x-ratelimit-remaining': '0',
+        'x-ratelimit-reset': String(reset),
+      }))
+      .mockResolvedValueOnce({ headers: {} });
+
+    await scheduler.schedule(task);
+    expect(sleeps).toEqual([121000]);
+    expect(task).toHaveBeenCalledTimes(2);
+  });
+
+  it('should fail when the reset is further away than maxWait', async () => {
+    scheduler.maxWait = 60 * 1000;
+    const task = vi.fn().mockRejectedValue(httpError(403, {
+      'x-ratelimit-remaining': '0',
+      'x-ratelimit-reset': String(clock / 1000 + 3600),
+    }));
+
+    await expect(scheduler.schedule(task)).rejects.toMatchObject({ status: 403 });
+    expect(sleeps).toEqual([]);
+  });
+
+  it('should wait before sending when a known budget is exhausted', async () => {
+    scheduler.budgets.core = { limit: 60, remaining: 0, reset: clock + 5000 };
+    const task = vi.fn().mockResolvedValue({ headers: {} });
+
+    await scheduler.schedule(task);
+    expect(sleeps).toEqual([6000]);
+    expect(scheduler.budgets.core.remaining).toBe(60);
+  });
+
+  it('should not retry client errors', async () => {
+    const task = vi.fn().mockRejectedValue(httpError(404));
+    await expect(scheduler.schedule(task)).rejects.toMatchObject({ status: 404 });
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+
+  it('should map request URLs to rate limit resources', () => {
+    expect(scheduler.getResource('/graphql')).toBe('graphql');
+    expect(scheduler.getResource('https://ghe.example.com/api/graphql')).toBe('graphql');
+    expect(scheduler.getResource('/search/issues')).toBe('search');
+    expect(scheduler.getResource('/repos/{owner}/{repo}')).toBe('core');
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Security Advisory Helpers
+ *
+ * Summarize a repository's published security advisories: how many there
+ * are, how severe, and how long users waited for a release with the fix.
+ */
+
+import { compareVersions, parseVersion } from './changelog.js';
+
+export const ADVISORY_SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Summarize published advisories against the repository's releases
+ * @param {Array<Object>} advisories - [{ ghsa_id, severity, published_at, patched_versions: [string] }]
+ * @param {Array<Object>} releases - Normalized releases
+ * @param {Date} now - Reference time for advisories that are still unpatched
+ * @returns {Object} { count, severities: { critical, high, medium, low, unknown }, patchDays,
+ *   unpatched, unmatched }. patchDays holds the days from publication to the first release with
+ *   the fix (0 if the fix was released first) and, for unpatched advisories, their current age;
+ *   unmatched counts fixes released outside the known releases
+ */
+export function summarizeAdvisories(advisories, releases = [], now = new Date()) {
+  const severities = Object.fromEntries([...ADVISORY_SEVERITIES, 'unknown'].map(severity => [severity, 0]));
+  const published = releases
+    .filter(release => !release.draft && release.published_at)
+    .map(release => ({ version: parseVersion(release.tag_name), date: new Date(release.published_at) }))
+    .filter(release => release.version);
+
+  const patchDays = [];
+  let unpatched = 0;
+  let unmatched = 0;
+
+  for (const advisory of advisories) {
+    const severity = ADVISORY_SEVERITIES.includes(advisory.severity) ? advisory.severity : 'unknown';
+    severities[severity]++;
+
+    const publishedAt = new Date(advisory.published_at);
+    const fixes = advisory.patched_versions.map(parseVersion).filter(Boolean);
+    if (fixes.length === 0) {
+      unpatched++;
+      patchDays.push(Math.max(0, (now - publishedAt) / DAY_MS));
+      continue;
+    }
+
+    const fixDates = published
+      .filter(release => fixes.some(version => compareVersions(release.version, version) === 0))
+      .map(release => release.date.getTime());
+    if (fixDates.length === 0) {
+      unmatched++;
+      continue;
+    }
+    patchDays.push(Math.max(0, (Math.min(...fixDates) - publishedAt) / DAY_MS));
+  }
+
+  return {
+    count: advisories.length,
+    severities,
+    patchDays,
+    unpatched,
+    unmatched,
+  };
+}
@@ -0,0 +1,49 @@
+/**
+ * Security Advisory Helper Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { summarizeAdvisories } from './advisories.js';
+
+const releases = [
+  { tag_name: 'v2.0.1', published_at: '2024-03-11T00:00:00Z' },
+  { tag_name: 'v1.4.2', published_at: '2024-02-20T00:00:00Z' },
+  { tag_name: 'v1.4.1', published_at: '2024-01-01T00:00:00Z' },
+];
+
+describe('advisories', () => {
+  describe('summarizeAdvisories', () => {
+    it('should measure the time from publication to the first release with the fix', () => {
+      const summary = summarizeAdvisories([
+        { severity: 'high', published_at: '2024-03-01T00:00:00Z', patched_versions: ['1.4.3', '2.0.1'] },
+        // Coordinated disclosure: the fix shipped before the advisory
+        { severity: 'critical', published_at: '2024-02-21T00:00:00Z', patched_versions: ['>= 1.4.2'] },
+      ], releases);
+
+      expect(summary.patchDays).toEqual([10, 0]);
+      expect(summary.severities).toMatchObject({ critical: 1, high: 1, medium: 0 });
+    });
+
+    it('should count unpatched advisories at their current age', () => {
+      const summary = summarizeAdvisories(
+        [{ severity: null, published_at: '2024-03-01T00:00:00Z', patched_versions: [] }],
+        releases,
+        new Date('2024-03-31T00:00:00Z')
+      );
+
+      expect(summary.unpatched).toBe(1);
+      expect(summary.patchDays).toEqual([30]);
+      expect(summary.severities.unknown).toBe(1);
+    });
+
+    it('should skip fixes released outside the known releases', () => {
+      const summary = summarizeAdvisories(
+        [{ severity: 'low', published_at: '2020-01-01T00:00:00Z', patched_versions: ['0.9.0'] }],
+        releases
+      );
+
+      expect(summary.unmatched).toBe(1);
+      expect(summary.patchDays).toEqual([]);
+    });
+  });
+});
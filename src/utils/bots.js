@@ -0,0 +1,57 @@
+/**
+ * Bot Classifier
+ *
+ * Recognise automation accounts so people-based metrics only count humans.
+ * An account is a bot if its type is Bot, its login ends in "[bot]", it is
+ * on the denylist, or its login, name or email looks like a service account.
+ */
+
+import { DEFAULT_BOT_DENYLIST } from '../config/bots.js';
+
+// Service account naming conventions ("release-bot", "bot-deploy", "ci-robot")
+const SERVICE_LOGIN_PATTERNS = [/[-_.](bot|robot)$/i, /^(bot|robot)[-_.]/i, /^bot$/i];
+const SERVICE_NAME_PATTERN = /(\[bot\]|\bbot)$/i;
+const SERVICE_EMAIL_PATTERN = /(\[bot\]@|^bot@|[-_.+]bot@)/i;
+
+/**
+ * Create a bot classifier
+ * @param {Array<string>} denylist - Extra logins to treat as bots
+ * @returns {Object} { isBotUser(user), isBotCommit(commit) }
+ */
+export function createBotClassifier(denylist = []) {
+  const denied = new Set([...DEFAULT_BOT_DENYLIST, ...denylist].map(login => login.trim().toLowerCase()));
+
+  const isBotLogin = login => {
+    if (!login) {
+      return false;
+    }
+    const normalized = login.toLowerCase().replace(/\[bot\]$/, '');
+    return (
+      /\[bot\]$/i.test(login) || denied.has(normalized) || SERVICE_LOGIN_PATTERNS.some(pattern => pattern.test(login))
+    );
+  };
+
+  const isBotUser = user => Boolean(user) && (user.type === 'Bot' || isBotLogin(user.login));
+
+  const isBotCommit = commit => {
+    if (commit.author) {
+      return isBotUser(commit.author);
+    }
+    // Commits without a linked account only have git author details
+    const { name = '', email = '' } = commit.commit?.author || {};
+    return SERVICE_NAME_PATTERN.test(name) || SERVICE_EMAIL_PATTERN.test(email) || denied.has(name.toLowerCase());
+  };
+
+  return { isBotUser, isBotCommit };
+}
+
+export const defaultBotClassifier = createBotClassifier();
+
+/**
+ * Check whether a user is a bot account (default denylist)
+ * @param {Object|null} user - { login, type }
+ * @returns {boolean} True for bot accounts
+ */
+export function isBotUser(user) {
+  return defaultBotClassifier.isBotUser(user);
+}
@@ -0,0 +1,38 @@
+/**
+ * Bot Classifier Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createBotClassifier, isBotUser } from './bots.js';
+
+describe('bots', () => {
+  it('should recognise bot accounts by type or [bot] suffix', () => {
+    expect(isBotUser({ login: 'dependabot[bot]', type: 'Bot' })).toBe(true);
+    expect(isBotUser({ login: 'github-actions[bot]', type: 'User' })).toBe(true);
+    expect(isBotUser({ login: 'dev', type: 'User' })).toBe(false);
+    expect(isBotUser(null)).toBe(false);
+  });
+
+  it('should recognise denylisted and service accounts', () => {
+    expect(isBotUser({ login: 'renovate', type: 'User' })).toBe(true);
+    expect(isBotUser({ login: 'k8s-ci-robot', type: 'User' })).toBe(true);
+    expect(isBotUser({ login: 'release-bot', type: 'User' })).toBe(true);
+    // Humans whose names merely end in "bot"
+    expect(isBotUser({ login: 'talbot', type: 'User' })).toBe(false);
+  });
+
+  it('should accept a custom denylist', () => {
+    const classifier = createBotClassifier(['Acme-Automation']);
+    expect(classifier.isBotUser({ login: 'acme-automation', type: 'User' })).toBe(true);
+    expect(isBotUser({ login: 'acme-automation', type: 'User' })).toBe(false);
+  });
+
+  it('should classify unlinked commits by git author name and email', () => {
+    const { isBotCommit } = createBotClassifier();
+    const commit = (name, email) => ({ commit: { author: { name, email } }, author: null });
+
+    expect(isBotCommit(commit('dependabot[bot]', '49699333+dependabot[bot]@users.noreply.github.com'))).toBe(true);
+    expect(isBotCommit(commit('Renovate Bot', 'bot@renovateapp.com'))).toBe(true);
+    expect(isBotCommit(commit('Jane Doe', 'jane@example.com'))).toBe(false);
+  });
+});
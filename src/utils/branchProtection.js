@@ -0,0 +1,58 @@
+/**
+ * Branch Protection Helpers
+ *
+ * Combine classic branch protection (readable by admins only), the public
+ * branch summary and repository rulesets into one view of how the default
+ * branch is protected. Settings the token can't see are null.
+ */
+
+/**
+ * Summarize the protection of a branch
+ * @param {Object} sources - API responses
+ * @param {Object|null} sources.branch - GET /branches/{branch} ({ protected, protection }) or null
+ * @param {Object|null|undefined} sources.protection - GET /branches/{branch}/protection; null if the
+ *   branch has no classic protection, undefined if it can't be read
+ * @param {Array<Object>|null} sources.rules - GET /rules/branches/{branch} ([{ type, parameters }]) or null
+ * @returns {Object} { requiredReviews, statusChecks, forcePushBlocked, signedCommits }
+ */
+export function summarizeBranchProtection({ branch = null, protection, rules = null }) {
+  // The public branch summary says whether classic protection exists at all
+  const classic = branch?.protected === false ? null : protection;
+  const classicKnown = classic !== undefined;
+  const ruleTypes = new Map((rules || []).map(rule => [rule.type, rule]));
+
+  const combine = (ruleValue, classicValue) => {
+    if (ruleValue) {
+      return ruleValue;
+    }
+    if (!classicKnown) {
+      return null;
+    }
+    return classicValue;
+  };
+
+  const reviewRule = ruleTypes.get('pull_request');
+  const requiredReviews = combine(
+    reviewRule ? reviewRule.parameters?.required_approving_review_count ?? 0 : null,
+    classic ? classic.required_pull_request_reviews?.required_approving_review_count ?? 0 : 0
+  );
+
+  // Required status checks are part of the public branch summary
+  const publicStatusChecks = Boolean(branch?.protection?.required_status_checks?.contexts?.length) ||
+    Boolean(branch?.protection?.required_status_checks?.checks?.length);
+  const statusChecks = ruleTypes.has('required_status_checks') || publicStatusChecks ||
+    combine(false, Boolean(classic?.required_status_checks));
+
+  const forcePushBlocked = combine(
+    ruleTypes.has('non_fast_forward'),
+    classic ? !classic.allow_force_pushes?.enabled : false
+  );
+  const signedCommits = combine(ruleTypes.has('required_signatures'), Boolean(classic?.required_signatures?.enabled));
+
+  return {
+    requiredReviews,
+    statusChecks,
+    forcePushBlocked,
+    signedCommits,
+  };
+}
@@ -0,0 +1,41 @@
+/**
+ * Branch Protection Helper Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { summarizeBranchProtection } from './branchProtection.js';
+
+describe('branchProtection', () => {
+  describe('summarizeBranchProtection', () => {
+    it('should read classic protection visible to admins', () => {
+      const summary = summarizeBranchProtection({
+        branch: { protected: true },
+        protection: {
+          required_pull_request_reviews: { required_approving_review_count: 2 },
+          required_status_checks: { contexts: ['ci'] },
+          allow_force_pushes: { enabled: false },
+          required_signatures: { enabled: true },
+        },
+        rules: [],
+      });
+
+      expect(summary).toEqual({ requiredReviews: 2, statusChecks: true, forcePushBlocked: true, signedCommits: true });
+    });
+
+    it('should combine rulesets with the public branch summary when protection is unreadable', () => {
+      const summary = summarizeBranchProtection({
+        branch: { protected: true, protection: { required_status_checks: { contexts: ['build'] } } },
+        protection: undefined,
+        rules: [{ type: 'pull_request', parameters: { required_approving_review_count: 1 } }],
+      });
+
+      expect(summary).toEqual({ requiredReviews: 1, statusChecks: true, forcePushBlocked: null, signedCommits: null });
+    });
+
+    it('should report an unprotected branch as unprotected without admin access', () => {
+      const summary = summarizeBranchProtection({ branch: { protected: false }, protection: undefined, rules: [] });
+
+      expect(summary).toEqual({ requiredReviews: 0, statusChecks: false, forcePushBlocked: false, signedCommits: false });
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Changelog Helpers
+ *
+ * Find a changelog in the repository tree, read its latest versioned entry
+ * and compare it to the project's releases.
+ */
+
+import { CHANGELOG_DIRECTORIES, CHANGELOG_FILE_PATTERN } from '../config/repositoryFiles.js';
+
+// Release notes shorter than this (after removing boilerplate) don't describe a release
+export const MIN_RELEASE_NOTES_LENGTH = 50;
+
+// Base names in order of preference when several changelogs exist
+const NAME_PREFERENCE = ['changelog', 'changes', 'history', 'news'];
+
+// 1.2, v1.2.3, 1.2.3-rc.1 (the leading "v" and any prefix such as "release-" are dropped)
+const VERSION_PATTERN = /(?:^|[^\w.])v?(\d+\.\d+(?:\.\d+)*(?:-[0-9A-Za-z][0-9A-Za-z.-]*)?)/;
+const DATE_PATTERN = /\b(\d{4}-\d{2}-\d{2})\b/;
+
+// Setext (Markdown) and reStructuredText heading underlines
+const UNDERLINE_PATTERN = /^(=+|-+|~+|\^+|\*+)$/;
+
+/**
+ * Find the changelog in a list of repository paths. Root files are preferred,
+ * then the documentation directories in CHANGELOG_DIRECTORIES; changelogs of
+ * vendored or nested packages elsewhere in the tree are ignored.
+ * @param {Array<string>} paths - File paths from the repository tree
+ * @returns {string|null} Changelog path or null
+ */
+export function findChangelogPath(paths) {
+  const candidates = [];
+
+  for (const path of paths) {
+    const segments = path.split('/');
+    const name = segments.pop();
+    if (!CHANGELOG_FILE_PATTERN.test(name)) {
+      continue;
+    }
+
+    const location = segments.length === 0 ? 0 : CHANGELOG_DIRECTORIES.indexOf(segments[0].toLowerCase()) + 1;
+    if (location === 0 && segments.length > 0) {
+      continue;
+    }
+
+    const base = name.split('.')[0].toLowerCase();
+    candidates.push({ path, location, preference: NAME_PREFERENCE.indexOf(base), depth: segments.length });
+  }
+
+  candidates.sort((a, b) => a.location - b.location || a.preference - b.preference || a.depth - b.depth);
+  return candidates[0]?.path || null;
+}
+
+/**
+ * Parse a version number out of a changelog heading or release tag
+ * @param {string} text - Heading or tag ("v1.2.3", "release-1.2", "pkg@1.2.3")
+ * @returns {string|null} Version without the "v" prefix, or null
+ */
+export function parseVersion(text) {
+  return text?.match(VERSION_PATTERN)?.[1] || null;
+}
+
+/**
+ * Compare two version strings numerically; a pre-release sorts before its release
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+export function compareVersions(a, b) {
+  const [coreA, preA] = splitVersion(a);
+  const [coreB, preB] = splitVersion(b);
+
+  for (let i = 0; i < Math.max(coreA.length, coreB.length); i++) {
+    const diff = (coreA[i] || 0) - (coreB[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+
+  if (preA === preB) {
+    return 0;
+  }
+  if (!preA || !preB) {
+    return preA ? -1 : 1;
+  }
+  return preA.localeCompare(preB, undefined, { numeric: true });
+}
+
+function splitVersion(version) {
+  const [core, ...pre] = version.split('-');
+  return [core.split('.').map(Number), pre.join('-') || null];
+}
+
+/**
+ * Get the versioned entries of a changelog, newest first (the order
+ * changelogs are written in). "Unreleased" sections are skipped.
+ * @param {string} text - Changelog content
+ * @param {number} limit - Maximum number of entries to return
+ * @returns {Array<Object>} [{ version, date }] with date as YYYY-MM-DD or null
+ */
+export function parseChangelogEntries(text, limit = 20) {
+  const entries = [];
+  const lines = (text || '').split(/\r?\n/).map(line => line.trim());
+
+  for (let i = 0; i < lines.length && entries.length < limit; i++) {
+    const line = lines[i];
+    if (!line || UNDERLINE_PATTERN.test(line) || /unreleased/i.test(line)) {
+      continue;
+    }
+
+    const isHeading =
+      /^#{1,6}\s/.test(line) ||
+      UNDERLINE_PATTERN.test(lines[i + 1] || '') ||
+      // Org-mode style NEWS headings ("* Noteworthy changes in release 1.2")
+      /^\*+\s.*\b(release|version)\b/i.test(line) ||
+      // Bare version lines ("1.2.3 (2024-01-01)", "Version 1.2")
+      (line.length <= 80 && /^(version\s+|release\s+)?\[?v?\d+\.\d+/i.test(line));
+
+    const version = isHeading ? parseVersion(line) : null;
+    if (version) {
+      entries.push({ version, date: line.match(DATE_PATTERN)?.[1] || null });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Get published, non-pre-release releases with a parseable version, newest first
+ * @param {Array<Object>} releases - Normalized releases
+ * @returns {Array<Object>} Releases with an added `version`
+ */
+export function getStableReleases(releases = []) {
+  return releases
+    .filter(release => !release.draft && !release.prerelease)
+    .map(release => ({ ...release, version: parseVersion(release.tag_name) }))
+    .filter(release => release.version)
+    .sort((a, b) => new Date(b.published_at || 0) - new Date(a.published_at || 0));
+}
+
+/**
+ * Count the stable releases newer than a changelog entry
+ * @param {string} version - Latest version in the changelog
+ * @param {Array<Object>} releases - Normalized releases
+ * @returns {number} Number of releases the changelog is behind
+ */
+export function countReleasesBehind(version, releases) {
+  const newer = getStableReleases(releases).filter(release => compareVersions(release.version, version) > 0);
+  return new Set(newer.map(release => release.version)).size;
+}
+
+/**
+ * Check whether a release has substantive notes, ignoring the bare
+ * "Full Changelog: v1...v2" link forges generate
+ * @param {Object} release - Normalized release
+ * @returns {boolean} True if the release notes describe the release
+ */
+export function hasReleaseNotes(release) {
+  const body = (release?.body || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/^\W*full changelog\W*:.*$/gim, '')
+    .trim();
+  return body.length >= MIN_RELEASE_NOTES_LENGTH;
+}
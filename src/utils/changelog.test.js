@@ -0,0 +1,105 @@
+/**
+ * Changelog Helper Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  compareVersions,
+  countReleasesBehind,
+  findChangelogPath,
+  hasReleaseNotes,
+  parseChangelogEntries,
+  parseVersion,
+} from './changelog.js';
+
+const release = (tag_name, published_at, extra = {}) => ({ tag_name, published_at, draft: false, prerelease: false, ...extra });
+
+describe('changelog', () => {
+  describe('findChangelogPath', () => {
+    it('should find changelogs in any case and common extensions', () => {
+      expect(findChangelogPath(['src/index.js', 'Changes.rst'])).toBe('Changes.rst');
+      expect(findChangelogPath(['HISTORY.md'])).toBe('HISTORY.md');
+      expect(findChangelogPath(['NEWS'])).toBe('NEWS');
+      expect(findChangelogPath(['changelog.txt'])).toBe('changelog.txt');
+    });
+
+    it('should prefer the root over documentation folders', () => {
+      expect(findChangelogPath(['docs/source/changelog.rst', 'CHANGELOG.md'])).toBe('CHANGELOG.md');
+      expect(findChangelogPath(['docs/source/changelog.rst', 'README.md'])).toBe('docs/source/changelog.rst');
+    });
+
+    it('should ignore changelogs of nested packages', () => {
+      expect(findChangelogPath(['vendor/lib/CHANGELOG.md', 'packages/a/CHANGELOG.md'])).toBeNull();
+      expect(findChangelogPath(['CHANGELOG-template.md'])).toBeNull();
+    });
+  });
+
+  describe('parseChangelogEntries', () => {
+    it('should read Keep a Changelog headings and skip Unreleased', () => {
+      const text = [
+        '# Changelog',
+        '## [Unreleased]',
+        '- Work in progress',
+        '## [1.4.0] - 2024-03-01',
+        '### Added',
+        '## [1.3.2] - 2024-01-15',
+      ].join('\n');
+
+      expect(parseChangelogEntries(text)).toEqual([
+        { version: '1.4.0', date: '2024-03-01' },
+        { version: '1.3.2', date: '2024-01-15' },
+      ]);
+    });
+
+    it('should read setext, reStructuredText and NEWS-style headings', () => {
+      expect(parseChangelogEntries('4.18.2 / 2022-10-08\n===================\n\n  * Fix regression')[0])
+        .toEqual({ version: '4.18.2', date: '2022-10-08' });
+      expect(parseChangelogEntries('Changelog\n=========\n\nv2.0.0\n------\n')[0].version).toBe('2.0.0');
+      expect(parseChangelogEntries('* Noteworthy changes in release 1.10 (2023-05-01) [stable]')[0].version).toBe('1.10');
+    });
+
+    it('should ignore versions mentioned in list items', () => {
+      expect(parseChangelogEntries('# Changelog\n\n- Bump lodash to 4.17.21')).toEqual([]);
+    });
+  });
+
+  describe('versions', () => {
+    it('should parse versions out of tags', () => {
+      expect(parseVersion('v1.2.3')).toBe('1.2.3');
+      expect(parseVersion('release-2.0')).toBe('2.0');
+      expect(parseVersion('pkg@3.1.0-rc.1')).toBe('3.1.0-rc.1');
+      expect(parseVersion('nightly')).toBeNull();
+    });
+
+    it('should compare versions numerically', () => {
+      expect(compareVersions('1.10.0', '1.9.0')).toBeGreaterThan(0);
+      expect(compareVersions('1.2', '1.2.0')).toBe(0);
+      expect(compareVersions('2.0.0-rc.1', '2.0.0')).toBeLessThan(0);
+    });
+  });
+
+  describe('countReleasesBehind', () => {
+    it('should count stable releases newer than the changelog', () => {
+      const releases = [
+        release('v1.6.0-beta.1', '2024-05-01T00:00:00Z', { prerelease: true }),
+        release('v1.5.0', '2024-04-01T00:00:00Z'),
+        release('v1.4.1', '2024-03-15T00:00:00Z'),
+        release('v1.4.0', '2024-03-01T00:00:00Z'),
+      ];
+
+      expect(countReleasesBehind('1.4.0', releases)).toBe(2);
+      expect(countReleasesBehind('1.5.0', releases)).toBe(0);
+    });
+  });
+
+  describe('hasReleaseNotes', () => {
+    it('should not count a bare Full Changelog link as release notes', () => {
+      expect(hasReleaseNotes({ body: '**Full Changelog**: https://github.com/o/r/compare/v1.0.0...v1.1.0' })).toBe(false);
+      expect(hasReleaseNotes({ body: '' })).toBe(false);
+      expect(hasReleaseNotes(null)).toBe(false);
+      expect(hasReleaseNotes({
+        body: "## What's Changed\n* Fix crash when the config file is missing by @dev in #12\n",
+      })).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * CI Helpers
+ *
+ * Detect CI systems from the repository tree and summarize CI runs on the
+ * default branch: pass rate, durations and workflows that are currently red.
+ */
+
+import { CI_SYSTEMS } from '../config/repositoryFiles.js';
+
+// Conclusions that say something about the code; cancelled, skipped and
+// neutral runs don't
+const PASSING_CONCLUSIONS = new Set(['success']);
+const FAILING_CONCLUSIONS = new Set(['failure', 'timed_out', 'startup_failure']);
+
+/**
+ * Detect the CI systems configured in a repository
+ * @param {Array<string>} paths - File paths from the repository tree
+ * @returns {Array<string>} CI system names
+ */
+export function detectCISystems(paths) {
+  return CI_SYSTEMS.filter(system => paths.some(path => system.pattern.test(path))).map(system => system.name);
+}
+
+/**
+ * Summarize CI runs
+ * @param {Array<Object>} runs - [{ name, conclusion, created_at, started_at, completed_at }]
+ * @returns {Object} { completed, passed, passRate (% or null), durations (minutes, of decisive runs),
+ *   failing: [{ name, since }] workflows whose latest run failed, with the start of the failure streak }
+ */
+export function summarizeRuns(runs) {
+  const decisive = runs.filter(run => PASSING_CONCLUSIONS.has(run.conclusion) || FAILING_CONCLUSIONS.has(run.conclusion));
+  const passed = decisive.filter(run => PASSING_CONCLUSIONS.has(run.conclusion)).length;
+
+  // Runs cancelled or skipped in seconds would understate how long CI takes
+  const durations = decisive
+    .filter(run => run.started_at && run.completed_at)
+    .map(run => (new Date(run.completed_at) - new Date(run.started_at)) / (1000 * 60))
+    .filter(minutes => minutes >= 0);
+
+  const byName = new Map();
+  for (const run of decisive) {
+    if (!byName.has(run.name)) {
+      byName.set(run.name, []);
+    }
+    byName.get(run.name).push(run);
+  }
+
+  const failing = [];
+  for (const [name, workflowRuns] of byName) {
+    workflowRuns.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    let since = null;
+    for (const run of workflowRuns) {
+      if (!FAILING_CONCLUSIONS.has(run.conclusion)) {
+        break;
+      }
+      since = run.created_at;
+    }
+    if (since) {
+      failing.push({ name, since });
+    }
+  }
+  failing.sort((a, b) => new Date(a.since) - new Date(b.since));
+
+  return {
+    completed: decisive.length,
+    passed,
+    passRate: decisive.length > 0 ? (passed / decisive.length) * 100 : null,
+    durations,
+    failing,
+  };
+}
@@ -0,0 +1,68 @@
+/**
+ * CI Helper Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { detectCISystems, summarizeRuns } from './ci.js';
+
+const run = (name, conclusion, created_at, minutes = 10) => ({
+  name,
+  conclusion,
+  created_at,
+  started_at: created_at,
+  completed_at: new Date(new Date(created_at).getTime() + minutes * 60 * 1000).toISOString(),
+});
+
+describe('ci', () => {
+  describe('detectCISystems', () => {
+    it('should detect CI configuration files', () => {
+      expect(detectCISystems(['.github/workflows/ci.yml', '.circleci/config.yml', 'src/index.js']))
+        .toEqual(['GitHub Actions', 'CircleCI']);
+      expect(detectCISystems(['docs/.travis.yml', '.github/workflows/README.md'])).toEqual([]);
+    });
+  });
+
+  describe('summarizeRuns', () => {
+    it('should ignore cancelled and skipped runs in the pass rate', () => {
+      const summary = summarizeRuns([
+        run('CI', 'success', '2024-03-03T00:00:00Z'),
+        run('CI', 'failure', '2024-03-02T00:00:00Z'),
+        run('CI', 'cancelled', '2024-03-01T00:00:00Z'),
+        run('Lint', 'skipped', '2024-03-01T00:00:00Z'),
+      ]);
+
+      expect(summary.completed).toBe(2);
+      expect(summary.passRate).toBe(50);
+      expect(summary.failing).toEqual([]);
+    });
+
+    it('should only measure durations of decisive runs', () => {
+      const summary = summarizeRuns([
+        run('CI', 'success', '2024-03-03T00:00:00Z', 20),
+        run('CI', 'timed_out', '2024-03-02T00:00:00Z', 60),
+        run('CI', 'cancelled', '2024-03-01T00:00:00Z', 0.5),
+        run('Lint', 'skipped', '2024-03-01T00:00:00Z', 0),
+      ]);
+
+      expect(summary.durations).toEqual([20, 60]);
+    });
+
+    it('should report workflows failing since their last success', () => {
+      const summary = summarizeRuns([
+        run('CI', 'failure', '2024-03-03T00:00:00Z'),
+        run('CI', 'timed_out', '2024-03-02T00:00:00Z'),
+        run('CI', 'success', '2024-03-01T00:00:00Z'),
+        run('Nightly', 'failure', '2024-02-01T00:00:00Z'),
+      ]);
+
+      expect(summary.failing).toEqual([
+        { name: 'Nightly', since: '2024-02-01T00:00:00Z' },
+        { name: 'CI', since: '2024-03-02T00:00:00Z' },
+      ]);
+    });
+
+    it('should return no pass rate without decisive runs', () => {
+      expect(summarizeRuns([]).passRate).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Contributor Helpers
+ *
+ * Identify commit authors and find first-time contributors from their
+ * first-ever contribution dates.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get a stable key for a commit author: the account login when the commit is
+ * linked to one, otherwise the lowercased author email
+ * @param {Object} commit - Normalized commit
+ * @returns {string|null} Author key
+ */
+export function getCommitAuthorKey(commit) {
+  return commit.author?.login || commit.commit?.author?.email?.toLowerCase() || null;
+}
+
+/**
+ * Find contributors whose first-ever contribution falls in the analysis window
+ * @param {Array<Object>} commits - Commits in the window
+ * @param {Array<Object>} mergedPullRequests - Pull requests merged in the window
+ * @param {Object} firstContributions - First-ever commit date (ISO) by author key
+ * @param {Object} options - { days: window length, periodDays: length of each reported period, now }
+ * @returns {Object} { newContributors: [{ key, firstContributionAt }], periods: [{ start, end, count }],
+ *   firstTimePrAuthors: [login], unknown: authors without a known first contribution }
+ */
+export function findNewContributors(
+  commits,
+  mergedPullRequests,
+  firstContributions,
+  { days = 90, periodDays = 30, now = Date.now() } = {}
+) {
+  const windowStart = now - days * DAY;
+  const authors = new Set();
+
+  for (const commit of commits) {
+    const key = getCommitAuthorKey(commit);
+    if (key) {
+      authors.add(key);
+    }
+  }
+
+  // A merged pull request is a contribution even if its commits were rewritten
+  const recentlyMerged = mergedPullRequests.filter(
+    pr => pr.user && new Date(pr.merged_at).getTime() >= windowStart
+  );
+  for (const pr of recentlyMerged) {
+    authors.add(pr.user.login);
+  }
+
+  const newContributors = [];
+  let unknown = 0;
+  for (const key of authors) {
+    const firstContributionAt = firstContributions[key];
+    if (!firstContributionAt) {
+      unknown++;
+    } else if (new Date(firstContributionAt).getTime() >= windowStart) {
+      newContributors.push({ key, firstContributionAt });
+    }
+  }
+
+  // Most recent period first
+  const periods = [];
+  for (let end = now; end > windowStart; end -= periodDays * DAY) {
+    const start = Math.max(windowStart, end - periodDays * DAY);
+    const count = newContributors.filter(({ firstContributionAt }) => {
+      const time = new Date(firstContributionAt).getTime();
+      return time >= start && time < end;
+    }).length;
+    periods.push({ start: new Date(start).toISOString(), end: new Date(end).toISOString(), count });
+  }
+
+  const newKeys = new Set(newContributors.map(({ key }) => key));
+  const firstTimePrAuthors = [
+    ...new Set(recentlyMerged.filter(pr => newKeys.has(pr.user.login)).map(pr => pr.user.login)),
+  ];
+
+  return { newContributors, periods, firstTimePrAuthors, unknown };
+}
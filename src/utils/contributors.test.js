@@ -0,0 +1,50 @@
+/**
+ * Contributor Helper Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { findNewContributors, getCommitAuthorKey } from './contributors.js';
+
+const now = new Date('2024-04-01T00:00:00Z').getTime();
+const daysAgo = days => new Date(now - days * 24 * 60 * 60 * 1000).toISOString();
+const commit = (login, email = `${login}@example.com`) => ({
+  commit: { author: { email, date: daysAgo(1) } },
+  author: login ? { login, type: 'User' } : null,
+});
+
+describe('contributors', () => {
+  it('should key authors by login, falling back to email', () => {
+    expect(getCommitAuthorKey(commit('dev'))).toBe('dev');
+    expect(getCommitAuthorKey(commit(null, 'Dev@Example.com'))).toBe('dev@example.com');
+  });
+
+  it('should only count contributors whose first-ever contribution is recent', () => {
+    const result = findNewContributors(
+      [commit('veteran'), commit('newcomer'), commit('returning'), commit('unknown')],
+      [],
+      {
+        veteran: daysAgo(900),
+        newcomer: daysAgo(10),
+        // Took a break: first commit long ago, active again now
+        returning: daysAgo(400),
+      },
+      { now }
+    );
+
+    expect(result.newContributors).toEqual([{ key: 'newcomer', firstContributionAt: daysAgo(10) }]);
+    expect(result.unknown).toBe(1);
+    expect(result.periods.map(period => period.count)).toEqual([1, 0, 0]);
+  });
+
+  it('should report first-time authors of merged pull requests', () => {
+    const mergedPullRequests = [
+      { user: { login: 'first-pr' }, merged_at: daysAgo(40) },
+      { user: { login: 'veteran' }, merged_at: daysAgo(5) },
+    ];
+
+    const result = findNewContributors([], mergedPullRequests, { 'first-pr': daysAgo(41), veteran: daysAgo(900) }, { now });
+
+    expect(result.firstTimePrAuthors).toEqual(['first-pr']);
+    expect(result.periods.map(period => period.count)).toEqual([0, 1, 0]);
+  });
+});
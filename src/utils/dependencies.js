@@ -0,0 +1,446 @@
+/**
+ * Dependency Helpers
+ *
+ * Read the direct dependencies package manifests declare, tell pinned
+ * versions from floating ranges and compare declared versions with the latest
+ * ones in a registry metadata snapshot. Also reads the full dependency tree
+ * of npm lockfiles and the source repositories packages point to.
+ */
+
+// Manifest file names (lowercased) and the registry their dependencies come from
+const MANIFEST_ECOSYSTEMS = {
+  'package.json': 'npm',
+  'composer.json': 'packagist',
+  'requirements.txt': 'pypi',
+  'pyproject.toml': 'pypi',
+  'setup.cfg': 'pypi',
+  'go.mod': 'go',
+  'cargo.toml': 'cargo',
+  'pom.xml': 'maven',
+};
+
+// npm specs that don't resolve from the registry (local paths, workspaces, git and tarball URLs, GitHub shorthand)
+const NPM_NON_REGISTRY_SPEC = /^(file|link|workspace|portal|git|git\+[a-z]+|github|https?):|^[\w-]+\/[\w.-]+(#.*)?$/i;
+
+/**
+ * Normalize a package name the way its registry compares names
+ * @param {string} ecosystem - npm, pypi, go, cargo, maven or packagist
+ * @param {string} name - Package name
+ * @returns {string} Normalized name
+ */
+export function normalizePackageName(ecosystem, name) {
+  if (ecosystem === 'pypi') {
+    return name.toLowerCase().replace(/[-_.]+/g, '-');
+  }
+  return ecosystem === 'packagist' ? name.toLowerCase() : name;
+}
+
+/**
+ * Read the direct dependencies a manifest declares
+ * @param {string} path - Manifest path
+ * @param {string} content - Manifest content
+ * @returns {Array<Object>} [{ ecosystem, name, spec, dev }]; spec is the declared version range,
+ *   or null for dependencies that don't come from the registry (paths, git, workspace or parent-managed versions)
+ */
+export function parseManifestDependencies(path, content) {
+  const name = path.split('/').pop().toLowerCase();
+  const ecosystem = MANIFEST_ECOSYSTEMS[name];
+
+  switch (name) {
+    case 'package.json':
+      return readJsonDependencies(content, [['dependencies', false], ['optionalDependencies', false], ['devDependencies', true]])
+        .map(dependency => ({ ecosystem, ...dependency, spec: NPM_NON_REGISTRY_SPEC.test(dependency.spec) ? null : dependency.spec }));
+    case 'composer.json':
+      // Platform requirements (php, ext-*, lib-*) aren't packages
+      return readJsonDependencies(content, [['require', false], ['require-dev', true]])
+        .filter(dependency => dependency.name.includes('/'))
+        .map(dependency => ({ ecosystem, ...dependency }));
+    case 'requirements.txt':
+      return readRequirements(content.split('\n'));
+    case 'setup.cfg': {
+      const match = content.match(/^install_requires\s*=(.*)\n((?:[ \t]+.*(?:\n|$))*)/m);
+      return match ? readRequirements([match[1], ...match[2].split('\n')]) : [];
+    }
+    case 'pyproject.toml':
+      return readPyproject(content);
+    case 'go.mod':
+      return readGoModule(content);
+    case 'cargo.toml':
+      return readCargoManifest(content);
+    case 'pom.xml':
+      return readMavenPom(content);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Collect the direct dependencies of all manifests, counting each package once
+ * @param {Array<Object>} manifests - [{ path, content }]
+ * @returns {Array<Object>} [{ ecosystem, name, spec, dev }]
+ */
+export function collectDependencies(manifests) {
+  const dependencies = new Map();
+  for (const { path, content } of manifests) {
+    for (const dependency of parseManifestDependencies(path, content)) {
+      const key = `${dependency.ecosystem}:${normalizePackageName(dependency.ecosystem, dependency.name)}`;
+      const existing = dependencies.get(key);
+      // A runtime declaration wins over a development one
+      if (!existing || (existing.dev && !dependency.dev)) {
+        dependencies.set(key, dependency);
+      }
+    }
+  }
+  return [...dependencies.values()];
+}
+
+/**
+ * Check whether a version spec pins a single version
+ * @param {string} ecosystem - Dependency ecosystem
+ * @param {string|null} spec - Declared version range
+ * @returns {boolean|null} True if pinned, false if floating, null for non-registry dependencies
+ */
+export function isPinned(ecosystem, spec) {
+  if (spec === null) {
+    return null;
+  }
+
+  const trimmed = spec.trim();
+  switch (ecosystem) {
+    case 'go':
+      // Minimal version selection builds the listed version
+      return true;
+    case 'maven':
+      return !/^[[(]|^(LATEST|RELEASE)$/i.test(trimmed);
+    case 'pypi':
+      return /^===?\s*[^*,;\s]+$/.test(trimmed);
+    case 'cargo':
+      // Cargo reads a bare version as a caret range
+      return /^=\s*\d+\.\d+\.\d+\S*$/.test(trimmed);
+    default:
+      return /^[=v]?\d+\.\d+\.\d+([-+][\w.+-]+)?$/.test(trimmed);
+  }
+}
+
+/**
+ * Find the highest major version a spec allows
+ * @param {string} spec - Version or range ("^1.2.0", ">=2,<3", "v1.4.0", "1.x || 2.x")
+ * @returns {number|null} Major version, or null if the spec names none
+ */
+export function getMajorVersion(spec) {
+  const majors = spec.split('||')
+    .map(alternative => alternative.match(/\d+/)?.[0])
+    .filter(Boolean)
+    .map(Number);
+  return majors.length > 0 ? Math.max(...majors) : null;
+}
+
+/**
+ * Parse a registry metadata snapshot
+ * @param {string} text - JSON { generated, packages: { <ecosystem>: { <name>: "1.2.3" | { latest: "1.2.3" } } } }
+ * @returns {Object} { generated, packages: { <ecosystem>: Map of normalized name -> latest version } }
+ * @throws {Error} If the text isn't a registry snapshot
+ */
+export function parseRegistrySnapshot(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The registry snapshot is not valid JSON');
+  }
+  if (!data || typeof data.packages !== 'object' || data.packages === null) {
+    throw new Error('Not a registry snapshot: expected a "packages" object keyed by ecosystem');
+  }
+
+  const packages = {};
+  for (const [ecosystem, entries] of Object.entries(data.packages)) {
+    const key = ecosystem.toLowerCase();
+    packages[key] = new Map(
+      Object.entries(entries || {})
+        .map(([name, entry]) => [normalizePackageName(key, name), typeof entry === 'string' ? entry : entry?.latest])
+        .filter(([, latest]) => typeof latest === 'string')
+    );
+  }
+  return { generated: data.generated || null, packages };
+}
+
+/**
+ * Summarize direct dependencies and how far they trail the snapshot's latest versions
+ * @param {Array<Object>} dependencies - Result of collectDependencies()
+ * @param {Object|null} snapshot - Result of parseRegistrySnapshot()
+ * @returns {Object} { total, runtime, dev, pinned, floating, unversioned, checked, behind };
+ *   behind lists [{ ecosystem, name, spec, dev, latest, majorsBehind }] by majors behind (null without a snapshot)
+ */
+export function summarizeDependencies(dependencies, snapshot = null) {
+  const versioned = dependencies.filter(dependency => dependency.spec !== null);
+  const pinned = versioned.filter(dependency => isPinned(dependency.ecosystem, dependency.spec)).length;
+
+  const summary = {
+    total: dependencies.length,
+    runtime: dependencies.filter(dependency => !dependency.dev).length,
+    dev: dependencies.filter(dependency => dependency.dev).length,
+    pinned,
+    floating: versioned.length - pinned,
+    unversioned: dependencies.length - versioned.length,
+    checked: 0,
+    behind: null,
+  };
+  if (!snapshot) {
+    return summary;
+  }
+
+  const compared = versioned.flatMap(dependency => {
+    const latest = snapshot.packages[dependency.ecosystem]?.get(normalizePackageName(dependency.ecosystem, dependency.name));
+    const current = getMajorVersion(dependency.spec);
+    const newest = latest ? getMajorVersion(latest) : null;
+    if (current === null || newest === null) {
+      return [];
+    }
+    return [{ ...dependency, latest, majorsBehind: Math.max(0, newest - current) }];
+  });
+
+  summary.checked = compared.length;
+  summary.behind = compared.filter(dependency => dependency.majorsBehind > 0)
+    .sort((a, b) => b.majorsBehind - a.majorsBehind);
+  return summary;
+}
+
+function readJsonDependencies(content, sections) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    return [];
+  }
+
+  return sections.flatMap(([key, dev]) => Object.entries(data?.[key] || {})
+    .map(([name, spec]) => ({ name, spec: String(spec), dev })));
+}
+
+// PEP 508 requirements: name[extras] specifier ; markers
+function readRequirements(lines) {
+  return lines
+    .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+    .filter(line => line && !line.startsWith('-') && !/^[\w.+-]+:\/\//.test(line))
+    .flatMap(line => {
+      const match = line.split(';')[0].trim().match(/^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*(.*)$/);
+      if (!match) {
+        return [];
+      }
+      const spec = match[2].replace(/^\((.*)\)$/, '$1').trim();
+      return [{ ecosystem: 'pypi', name: match[1], spec: spec.startsWith('@') ? null : spec, dev: false }];
+    });
+}
+
+function readPyproject(content) {
+  const dependencies = [];
+
+  // PEP 621: dependencies = ["requests>=2", ...] under [project]
+  const project = readTomlTable(content, 'project');
+  const start = project.search(/^\s*dependencies\s*=\s*\[/m);
+  if (start !== -1) {
+    const requirements = [];
+    const items = /"([^"]*)"|'([^']*)'|\]/g;
+    items.lastIndex = project.indexOf('[', start) + 1;
+    for (let match = items.exec(project); match && match[0] !== ']'; match = items.exec(project)) {
+      requirements.push(match[1] ?? match[2]);
+    }
+    dependencies.push(...readRequirements(requirements));
+  }
+
+  // Poetry tables
+  const poetryTables = [
+    ['tool.poetry.dependencies', false],
+    ['tool.poetry.dev-dependencies', true],
+    ['tool.poetry.group.dev.dependencies', true],
+  ];
+  for (const [table, dev] of poetryTables) {
+    for (const { name, spec } of readTomlDependencyTable(readTomlTable(content, table))) {
+      if (name.toLowerCase() !== 'python') {
+        dependencies.push({ ecosystem: 'pypi', name, spec, dev });
+      }
+    }
+  }
+  return dependencies;
+}
+
+function readGoModule(content) {
+  const lines = [
+    ...[...content.matchAll(/^\s*require\s*\(([\s\S]*?)^\s*\)/gm)].flatMap(match => match[1].split('\n')),
+    ...[...content.matchAll(/^\s*require\s+([^(\s].*)$/gm)].map(match => match[1]),
+  ];
+
+  return lines.flatMap(line => {
+    const match = line.match(/^\s*(\S+)\s+(v\S+)(.*)$/);
+    // Indirect requirements are transitive dependencies
+    if (!match || match[3].includes('// indirect')) {
+      return [];
+    }
+    return [{ ecosystem: 'go', name: match[1], spec: match[2], dev: false }];
+  });
+}
+
+function readCargoManifest(content) {
+  const tables = [['dependencies', false], ['build-dependencies', false], ['dev-dependencies', true]];
+  const dependencies = tables.flatMap(([table, dev]) => readTomlDependencyTable(readTomlTable(content, table))
+    .map(({ name, spec }) => ({ ecosystem: 'cargo', name, spec, dev })));
+
+  // [dependencies.serde] tables
+  for (const match of content.matchAll(/^\s*\[(dev-|build-)?dependencies\.([^\]]+)\]\s*$/gm)) {
+    const table = readTomlTable(content, `${match[1] || ''}dependencies.${match[2]}`);
+    const spec = table.match(/^\s*version\s*=\s*"([^"]*)"/m)?.[1] ?? null;
+    dependencies.push({ ecosystem: 'cargo', name: match[2].trim().replace(/^"|"$/g, ''), spec, dev: match[1] === 'dev-' });
+  }
+  return dependencies;
+}
+
+function readMavenPom(content) {
+  // Managed versions and plugin dependencies aren't direct dependencies
+  const pom = content.replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<dependencyManagement>[\s\S]*?<\/dependencyManagement>/g, '')
+    .replace(/<build>[\s\S]*?<\/build>/g, '');
+  const properties = Object.fromEntries(
+    [...(pom.match(/<properties>([\s\S]*?)<\/properties>/)?.[1] || '').matchAll(/<([\w.-]+)>([^<]*)<\/\1>/g)]
+      .map(match => [match[1], match[2].trim()])
+  );
+  const element = (xml, name) => xml.match(new RegExp(`<${name}>\\s*([^<]*?)\\s*</${name}>`))?.[1] ?? null;
+
+  return [...pom.matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)].map(([, xml]) => {
+    const version = element(xml, 'version')?.replace(/\$\{([^}]+)\}/g, (placeholder, name) => properties[name] ?? placeholder) ?? null;
+    return {
+      ecosystem: 'maven',
+      name: `${element(xml, 'groupId')}:${element(xml, 'artifactId')}`,
+      spec: version && !version.includes('${') ? version : null,
+      dev: element(xml, 'scope') === 'test',
+    };
+  });
+}
+
+// Lines of a TOML table, up to the next table header
+function readTomlTable(content, name) {
+  const lines = [];
+  let inside = false;
+  for (const line of content.split('\n')) {
+    const header = line.match(/^\s*\[([^\]]+)\]\s*$/);
+    if (header) {
+      inside = header[1].trim() === name;
+    } else if (inside) {
+      lines.push(line);
+    }
+  }
+  return lines.join('\n');
+}
+
+// name = "1.0" or name = { version = "1.0", ... } entries; path, git and workspace entries have no spec
+function readTomlDependencyTable(table) {
+  return [...table.matchAll(/^\s*("[^"]+"|[A-Za-z0-9_.-]+)\s*=\s*(.+)$/gm)].map(([, name, value]) => ({
+    name: name.replace(/^"|"$/g, ''),
+    spec: value.match(/^"([^"]*)"/)?.[1] ?? value.match(/\bversion\s*=\s*"([^"]*)"/)?.[1] ?? null,
+  }));
+}
+
+/**
+ * Read the packages a project depends on from its package.json (direct
+ * dependencies only) or npm lockfile (the full tree)
+ * @param {string} path - File name (package.json, package-lock.json or npm-shrinkwrap.json)
+ * @param {string} content - File content
+ * @returns {Array<Object>} [{ name, versions, dev, direct }], direct dependencies first;
+ *   dev is true if only development dependencies need the package
+ * @throws {Error} If the file isn't a supported dependency file
+ */
+export function parseDependencyFile(path, content) {
+  const name = path.split('/').pop().toLowerCase();
+  if (!['package.json', 'package-lock.json', 'npm-shrinkwrap.json'].includes(name)) {
+    throw new Error(`Unsupported dependency file ${name}: expected package.json or package-lock.json`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    throw new Error(`${name} is not valid JSON`);
+  }
+
+  const packages = new Map();
+  const add = (packageName, version, dev, direct) => {
+    const existing = packages.get(packageName);
+    if (!existing) {
+      packages.set(packageName, { name: packageName, versions: version ? [version] : [], dev, direct });
+      return;
+    }
+    if (version && !existing.versions.includes(version)) {
+      existing.versions.push(version);
+    }
+    existing.dev = existing.dev && dev;
+    existing.direct = existing.direct || direct;
+  };
+
+  if (name === 'package.json') {
+    for (const { name: packageName, spec, dev } of parseManifestDependencies(name, content)) {
+      add(packageName, spec, dev, true);
+    }
+  } else if (data.packages) {
+    // Lockfile v2/v3: flat "node_modules/a/node_modules/b" entries, with the project itself under ""
+    const root = data.packages[''] || {};
+    const direct = new Set(['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies']
+      .flatMap(key => Object.keys(root[key] || {})));
+    for (const [key, entry] of Object.entries(data.packages)) {
+      if (!key.includes('node_modules/') || entry.link) {
+        continue;
+      }
+      const packageName = entry.name || key.slice(key.lastIndexOf('node_modules/') + 'node_modules/'.length);
+      add(packageName, entry.version, entry.dev === true, key === `node_modules/${packageName}` && direct.has(packageName));
+    }
+  } else {
+    // Lockfile v1 nests dependencies and doesn't list the project's own; top-level
+    // packages nothing else requires are the direct ones
+    const required = new Set();
+    const entries = [];
+    const walk = (dependencies, depth) => {
+      for (const [packageName, entry] of Object.entries(dependencies || {})) {
+        Object.keys(entry.requires || {}).forEach(requirement => required.add(requirement));
+        entries.push({ packageName, entry, depth });
+        walk(entry.dependencies, depth + 1);
+      }
+    };
+    walk(data.dependencies, 0);
+    for (const { packageName, entry, depth } of entries) {
+      add(packageName, entry.version, entry.dev === true, depth === 0 && !required.has(packageName));
+    }
+  }
+
+  return [...packages.values()].sort((a, b) => Number(b.direct) - Number(a.direct));
+}
+
+/**
+ * Turn the repository field of package metadata into a browsable repository URL
+ * @param {string|Object} repository - "owner/repo", "github:owner/repo", a git URL or { type, url, directory }
+ * @returns {string|null} https://host/owner/repo, or null if there is no usable URL
+ */
+export function normalizeRepositoryUrl(repository) {
+  const url = (typeof repository === 'string' ? repository : repository?.url)?.trim();
+  if (!url) {
+    return null;
+  }
+
+  const shorthand = url.match(/^(?:(github|gitlab|bitbucket):)?([\w.-]+)\/([\w.-]+)$/);
+  if (shorthand) {
+    const host = { github: 'github.com', gitlab: 'gitlab.com', bitbucket: 'bitbucket.org' }[shorthand[1] || 'github'];
+    return `https://${host}/${shorthand[2]}/${shorthand[3].replace(/\.git$/, '')}`.toLowerCase();
+  }
+
+  // git+https://, git://, ssh://git@host/ and scp-style git@host: forms
+  const match = url.match(/^(?:git\+)?[a-z]+:\/\/(?:[^@/]+@)?([^/:]+)(?::\d+)?\/([^#?]+)/i) ||
+    url.match(/^[^@/]+@([^/:]+):([^#?]+)/);
+  if (!match) {
+    return null;
+  }
+
+  const host = match[1].toLowerCase();
+  let path = match[2].replace(/\/(-|tree|blob)\/.*$/, '').replace(/\.git$|\/$/g, '');
+  if (host === 'github.com' || host === 'bitbucket.org') {
+    // Monorepo URLs can point below the repository
+    path = path.split('/').slice(0, 2).join('/').toLowerCase();
+  }
+  return path.includes('/') ? `https://${host}/${path}` : null;
+}
@@ -0,0 +1,293 @@
+/**
+ * Dependency Helper Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  collectDependencies,
+  getMajorVersion,
+  isPinned,
+  normalizeRepositoryUrl,
+  parseDependencyFile,
+  parseManifestDependencies,
+  parseRegistrySnapshot,
+  summarizeDependencies,
+} from './dependencies.js';
+
+const specs = (path, content) => Object.fromEntries(
+  parseManifestDependencies(path, content).map(dependency => [dependency.name, dependency.spec])
+);
+
+describe('dependencies', () => {
+  describe('parseManifestDependencies', () => {
+    it('should read package.json dependencies and mark development ones', () => {
+      const content = JSON.stringify({
+        dependencies: { react: '^18.2.0', local: 'file:../local', fork: 'acme/fork#main' },
+        devDependencies: { vitest: '2.1.9' },
+      });
+      expect(parseManifestDependencies('package.json', content)).toEqual([
+        { ecosystem: 'npm', name: 'react', spec: '^18.2.0', dev: false },
+        { ecosystem: 'npm', name: 'local', spec: null, dev: false },
+        { ecosystem: 'npm', name: 'fork', spec: null, dev: false },
+        { ecosystem: 'npm', name: 'vitest', spec: '2.1.9', dev: true },
+      ]);
+    });
+
+    it('should skip composer platform requirements', () => {
+      expect(specs('composer.json', '{"require": {"php": ">=8.1", "ext-json": "*", "monolog/monolog": "^3.0"}}'))
+        .toEqual({ 'monolog/monolog': '^3.0' });
+    });
+
+    it('should read Python requirements', () => {
+      const requirements = [
+        '# Runtime',
+        'requests[socks]>=2.31,<3',
+        'Django==4.2.7  # LTS',
+        'numpy ; python_version >= "3.9"',
+        '-r base.txt',
+        'git+https://github.com/acme/tool.git',
+      ].join('\n');
+      expect(specs('requirements.txt', requirements)).toEqual({ requests: '>=2.31,<3', Django: '==4.2.7', numpy: '' });
+
+      const pyproject = [
+        '[project]',
+        'name = "tool"',
+        'dependencies = [',
+        '  "httpx[http2]>=0.27",',
+        "  'click==8.1.7',",
+        ']',
+        '',
+        '[tool.poetry.dev-dependencies]',
+        'pytest = "^8.0"',
+      ].join('\n');
+      expect(parseManifestDependencies('pyproject.toml', pyproject)).toEqual([
+        { ecosystem: 'pypi', name: 'httpx', spec: '>=0.27', dev: false },
+        { ecosystem: 'pypi', name: 'click', spec: '==8.1.7', dev: false },
+        { ecosystem: 'pypi', name: 'pytest', spec: '^8.0', dev: true },
+      ]);
+
+      expect(specs('setup.cfg', '[options]\ninstall_requires =\n    attrs>=23\n    six\n\n[metadata]\n'))
+        .toEqual({ attrs: '>=23', six: '' });
+    });
+
+    it('should read direct go.mod requirements', () => {
+      const content = [
+        'module example.com/tool',
+        '',
+        'require github.com/spf13/cobra v1.8.0',
+        '',
+        'require (',
+        '\tgolang.org/x/sync v0.6.0',
+        '\tgithub.com/inconshreveable/mousetrap v1.1.0 // indirect',
+        ')',
+      ].join('\n');
+      expect(specs('go.mod', content)).toEqual({ 'golang.org/x/sync': 'v0.6.0', 'github.com/spf13/cobra': 'v1.8.0' });
+    });
+
+    it('should read Cargo dependencies', () => {
+      const content = [
+        '[package]',
+        'name = "tool"',
+        'version = "0.1.0"',
+        '',
+        '[dependencies]',
+        'serde = { version = "1.0", features = ["derive"] }',
+        'anyhow = "=1.0.80"',
+        'local = { path = "../local" }',
+        '',
+        '[dependencies.tokio]',
+        'version = "1.36"',
+        '',
+        '[dev-dependencies]',
+        'proptest = "1"',
+      ].join('\n');
+      expect(parseManifestDependencies('Cargo.toml', content)).toEqual([
+        { ecosystem: 'cargo', name: 'serde', spec: '1.0', dev: false },
+        { ecosystem: 'cargo', name: 'anyhow', spec: '=1.0.80', dev: false },
+        { ecosystem: 'cargo', name: 'local', spec: null, dev: false },
+        { ecosystem: 'cargo', name: 'proptest', spec: '1', dev: true },
+        { ecosystem: 'cargo', name: 'tokio', spec: '1.36', dev: false },
+      ]);
+    });
+
+    it('should read Maven dependencies and resolve properties', () => {
+      const content = `
+        <project>
+          <properties><jackson.version>2.17.0</jackson.version></properties>
+          <dependencyManagement><dependencies>
+            <dependency><groupId>managed</groupId><artifactId>bom</artifactId><version>1.0</version></dependency>
+          </dependencies></dependencyManagement>
+          <dependencies>
+            <dependency>
+              <groupId>com.fasterxml.jackson.core</groupId>
+              <artifactId>jackson-databind</artifactId>
+              <version>\${jackson.version}</version>
+            </dependency>
+            <dependency>
+              <groupId>org.junit.jupiter</groupId>
+              <artifactId>junit-jupiter</artifactId>
+              <scope>test</scope>
+            </dependency>
+          </dependencies>
+        </project>`;
+      expect(parseManifestDependencies('pom.xml', content)).toEqual([
+        { ecosystem: 'maven', name: 'com.fasterxml.jackson.core:jackson-databind', spec: '2.17.0', dev: false },
+        { ecosystem: 'maven', name: 'org.junit.jupiter:junit-jupiter', spec: null, dev: true },
+      ]);
+    });
+
+    it('should ignore unreadable manifests', () => {
+      expect(parseManifestDependencies('package.json', '{')).toEqual([]);
+      expect(parseManifestDependencies('Gemfile', 'gem "rails"')).toEqual([]);
+    });
+  });
+
+  describe('collectDependencies', () => {
+    it('should count a package declared by several manifests once, preferring the runtime declaration', () => {
+      const dependencies = collectDependencies([
+        { path: 'pyproject.toml', content: '[tool.poetry.dev-dependencies]\nRequests = "^2.0"\n' },
+        { path: 'requirements.txt', content: 'requests==2.31.0\n' },
+      ]);
+      expect(dependencies).toEqual([{ ecosystem: 'pypi', name: 'requests', spec: '==2.31.0', dev: false }]);
+    });
+  });
+
+  describe('isPinned', () => {
+    it('should follow each ecosystem\'s range syntax', () => {
+      expect(isPinned('npm', '1.2.3')).toBe(true);
+      expect(isPinned('npm', '^1.2.3')).toBe(false);
+      expect(isPinned('npm', 'latest')).toBe(false);
+      expect(isPinned('pypi', '==2.31.0')).toBe(true);
+      expect(isPinned('pypi', '==2.*')).toBe(false);
+      expect(isPinned('pypi', '')).toBe(false);
+      expect(isPinned('cargo', '1.0.80')).toBe(false);
+      expect(isPinned('cargo', '=1.0.80')).toBe(true);
+      expect(isPinned('maven', '2.17.0')).toBe(true);
+      expect(isPinned('maven', '[1.0,2.0)')).toBe(false);
+      expect(isPinned('go', 'v0.6.0')).toBe(true);
+      expect(isPinned('npm', null)).toBeNull();
+    });
+  });
+
+  describe('getMajorVersion', () => {
+    it('should find the highest major a spec allows', () => {
+      expect(getMajorVersion('^18.2.0')).toBe(18);
+      expect(getMajorVersion('>=2.31,<3')).toBe(2);
+      expect(getMajorVersion('v1.8.0')).toBe(1);
+      expect(getMajorVersion('^1.0.0 || ^2.0.0')).toBe(2);
+      expect(getMajorVersion('*')).toBeNull();
+    });
+  });
+
+  describe('parseRegistrySnapshot', () => {
+    it('should index latest versions by normalized name', () => {
+      const snapshot = parseRegistrySnapshot(JSON.stringify({
+        generated: '2026-10-01',
+        packages: { npm: { react: '19.1.0' }, PyPI: { Django_REST: { latest: '5.0' }, broken: {} } },
+      }));
+      expect(snapshot.generated).toBe('2026-10-01');
+      expect(snapshot.packages.npm.get('react')).toBe('19.1.0');
+      expect(snapshot.packages.pypi.get('django-rest')).toBe('5.0');
+      expect(snapshot.packages.pypi.has('broken')).toBe(false);
+    });
+
+    it('should reject invalid snapshots', () => {
+      expect(() => parseRegistrySnapshot('{')).toThrow('not valid JSON');
+      expect(() => parseRegistrySnapshot('{"npm": {}}')).toThrow('Not a registry snapshot');
+    });
+  });
+
+  describe('summarizeDependencies', () => {
+    const dependencies = [
+      { ecosystem: 'npm', name: 'react', spec: '^16.14.0', dev: false },
+      { ecosystem: 'npm', name: 'lodash', spec: '4.17.21', dev: false },
+      { ecosystem: 'npm', name: 'local', spec: null, dev: false },
+      { ecosystem: 'npm', name: 'vitest', spec: '^1.0.0', dev: true },
+      { ecosystem: 'npm', name: 'private', spec: '^1.0.0', dev: true },
+    ];
+
+    it('should count pinned and floating dependencies', () => {
+      expect(summarizeDependencies(dependencies)).toEqual({
+        total: 5,
+        runtime: 3,
+        dev: 2,
+        pinned: 1,
+        floating: 3,
+        unversioned: 1,
+        checked: 0,
+        behind: null,
+      });
+    });
+
+    it('should compare majors with the snapshot', () => {
+      const snapshot = parseRegistrySnapshot(JSON.stringify({
+        packages: { npm: { react: '19.1.0', lodash: '4.17.21', vitest: '3.2.4' } },
+      }));
+      const summary = summarizeDependencies(dependencies, snapshot);
+      expect(summary.checked).toBe(3);
+      expect(summary.behind.map(({ name, majorsBehind }) => [name, majorsBehind])).toEqual([['react', 3], ['vitest', 2]]);
+    });
+  });
+
+  describe('parseDependencyFile', () => {
+    it('should read the direct dependencies of a package.json', () => {
+      const content = JSON.stringify({ dependencies: { react: '^18.2.0' }, devDependencies: { vitest: '^3.0.0' } });
+      expect(parseDependencyFile('package.json', content)).toEqual([
+        { name: 'react', versions: ['^18.2.0'], dev: false, direct: true },
+        { name: 'vitest', versions: ['^3.0.0'], dev: true, direct: true },
+      ]);
+    });
+
+    it('should read the full tree of a v3 lockfile', () => {
+      const content = JSON.stringify({
+        lockfileVersion: 3,
+        packages: {
+          '': { dependencies: { react: '^18.2.0' }, devDependencies: { vitest: '^3.0.0' } },
+          'node_modules/react': { version: '18.3.1' },
+          'node_modules/loose-envify': { version: '1.4.0' },
+          'node_modules/vitest': { version: '3.2.4', dev: true },
+          'node_modules/vitest/node_modules/loose-envify': { version: '1.3.0', dev: true },
+          'node_modules/local': { resolved: 'packages/local', link: true },
+        },
+      });
+      expect(parseDependencyFile('package-lock.json', content)).toEqual([
+        { name: 'react', versions: ['18.3.1'], dev: false, direct: true },
+        { name: 'vitest', versions: ['3.2.4'], dev: true, direct: true },
+        { name: 'loose-envify', versions: ['1.4.0', '1.3.0'], dev: false, direct: false },
+      ]);
+    });
+
+    it('should read a v1 lockfile', () => {
+      const content = JSON.stringify({
+        lockfileVersion: 1,
+        dependencies: {
+          'react': { version: '16.14.0', requires: { 'loose-envify': '^1.1.0' } },
+          'loose-envify': { version: '1.4.0' },
+        },
+      });
+      expect(parseDependencyFile('package-lock.json', content)).toEqual([
+        { name: 'react', versions: ['16.14.0'], dev: false, direct: true },
+        { name: 'loose-envify', versions: ['1.4.0'], dev: false, direct: false },
+      ]);
+    });
+
+    it('should reject unsupported and invalid files', () => {
+      expect(() => parseDependencyFile('yarn.lock', '')).toThrow('Unsupported dependency file');
+      expect(() => parseDependencyFile('package-lock.json', '{')).toThrow('not valid JSON');
+    });
+  });
+
+  describe('normalizeRepositoryUrl', () => {
+    it('should turn repository fields into repository URLs', () => {
+      expect(normalizeRepositoryUrl('git+https://github.com/Facebook/react.git')).toBe('https://github.com/facebook/react');
+      expect(normalizeRepositoryUrl({ type: 'git', url: 'git+ssh://git@github.com/babel/babel.git', directory: 'packages/core' }))
+        .toBe('https://github.com/babel/babel');
+      expect(normalizeRepositoryUrl('git@gitlab.com:group/sub/project.git')).toBe('https://gitlab.com/group/sub/project');
+      expect(normalizeRepositoryUrl('https://github.com/vuejs/core/tree/main/packages/vue')).toBe('https://github.com/vuejs/core');
+      expect(normalizeRepositoryUrl('gitlab:group/project')).toBe('https://gitlab.com/group/project');
+      expect(normalizeRepositoryUrl('stevemao/left-pad')).toBe('https://github.com/stevemao/left-pad');
+      expect(normalizeRepositoryUrl('https://example.com')).toBeNull();
+      expect(normalizeRepositoryUrl(undefined)).toBeNull();
+    });
+  });
+});
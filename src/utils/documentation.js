@@ -0,0 +1,69 @@
+/**
+ * Documentation Helpers
+ *
+ * Detect documentation directories, documentation systems and a published
+ * documentation site from the repository tree, and count the pages.
+ */
+
+import {
+  DOCS_DIRECTORIES,
+  DOCS_PAGE_PATTERN,
+  DOCS_SITE_PATTERN,
+  DOCS_SYSTEMS,
+} from '../config/repositoryFiles.js';
+
+/**
+ * Resolve a path relative to a directory ("docs" + ".." -> "")
+ */
+function joinPath(directory, relative) {
+  const segments = directory ? directory.split('/') : [];
+  for (const segment of relative.split('/').filter(Boolean)) {
+    if (segment === '..') {
+      segments.pop();
+    } else {
+      segments.push(segment);
+    }
+  }
+  return segments.join('/');
+}
+
+/**
+ * Detect the project's documentation from its file list
+ * @param {Array<string>} paths - File paths from the repository tree
+ * @param {Object} options - { homepage: repository homepage, pagesUrl: published Pages site }
+ * @returns {Object} { directories, systems: [name], pageCount, site: URL or null }
+ */
+export function detectDocumentation(paths, { homepage = null, pagesUrl = null } = {}) {
+  const topLevel = path => path.split('/')[0].toLowerCase();
+  const inDocsDirectory = path => path.includes('/') && DOCS_DIRECTORIES.includes(topLevel(path));
+
+  const directories = DOCS_DIRECTORIES.filter(directory => paths.some(path => topLevel(path) === directory && path.includes('/')));
+  const roots = new Set(paths.filter(inDocsDirectory).map(path => path.split('/')[0]));
+  const systems = [];
+
+  for (const system of DOCS_SYSTEMS) {
+    // Configuration files elsewhere belong to examples, fixtures or vendored code
+    const config = paths.find(path =>
+      system.pattern.test(path) && (inDocsDirectory(path) || (!system.inDocsOnly && !path.includes('/')))
+    );
+    if (!config) {
+      continue;
+    }
+
+    systems.push(system.name);
+    if (system.pages !== undefined) {
+      const root = joinPath(config.split('/').slice(0, -1).join('/'), system.pages);
+      // A root-level source directory would count the whole repository
+      if (root) {
+        roots.add(root);
+      }
+    }
+  }
+
+  const pages = paths.filter(path =>
+    DOCS_PAGE_PATTERN.test(path) && [...roots].some(root => path.startsWith(`${root}/`))
+  );
+  const site = pagesUrl || (homepage && DOCS_SITE_PATTERN.test(homepage) ? homepage : null);
+
+  return { directories, systems, pageCount: pages.length, site };
+}
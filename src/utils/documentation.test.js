@@ -0,0 +1,58 @@
+/**
+ * Documentation Helper Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { detectDocumentation } from './documentation.js';
+
+describe('documentation', () => {
+  describe('detectDocumentation', () => {
+    it('should detect MkDocs and count its pages', () => {
+      const result = detectDocumentation([
+        'README.md',
+        'mkdocs.yml',
+        'docs/index.md',
+        'docs/guide/install.md',
+        'docs/img/logo.png',
+        'src/main.py',
+      ]);
+
+      expect(result.directories).toEqual(['docs']);
+      expect(result.systems).toEqual(['MkDocs']);
+      expect(result.pageCount).toBe(2);
+      expect(result.site).toBeNull();
+    });
+
+    it('should detect Sphinx and Read the Docs', () => {
+      const result = detectDocumentation(
+        ['.readthedocs.yaml', 'doc/source/conf.py', 'doc/source/index.rst', 'doc/source/api.rst', 'setup.py'],
+        { homepage: 'https://project.readthedocs.io/en/latest/' }
+      );
+
+      expect(result.systems).toEqual(['Sphinx', 'Read the Docs']);
+      expect(result.pageCount).toBe(2);
+      expect(result.site).toBe('https://project.readthedocs.io/en/latest/');
+    });
+
+    it('should count Docusaurus pages outside the docs directories', () => {
+      const result = detectDocumentation(['website/docusaurus.config.js', 'website/docs/intro.mdx', 'website/src/pages/index.js']);
+
+      expect(result.systems).toEqual(['Docusaurus']);
+      expect(result.pageCount).toBe(1);
+    });
+
+    it('should ignore generic configuration files outside the docs directories', () => {
+      const result = detectDocumentation(['conf.py', 'tests/fixtures/mkdocs.yml', 'README.md']);
+
+      expect(result.systems).toEqual([]);
+      expect(result.directories).toEqual([]);
+      expect(result.pageCount).toBe(0);
+    });
+
+    it('should prefer the published Pages site over the homepage', () => {
+      const result = detectDocumentation([], { homepage: 'https://example.com', pagesUrl: 'https://owner.github.io/repo/' });
+      expect(result.site).toBe('https://owner.github.io/repo/');
+      expect(detectDocumentation([], { homepage: 'https://example.com' }).site).toBeNull();
+    });
+  });
+});
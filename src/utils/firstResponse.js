@@ -0,0 +1,95 @@
+/**
+ * First Response Helpers
+ *
+ * Find when an issue or pull request first got a response from someone other
+ * than its author. Providers collect the responders of each item; the first
+ * response is resolved during preprocessing so bot comments (CI reports,
+ * triage bots, denylisted accounts, ...) don't count.
+ */
+
+import { isBotUser } from './bots.js';
+
+/**
+ * Reduce a comment, review or event author to a responder entry
+ * @param {Object|null} user - { login, type }
+ * @param {string} createdAt - Time of the response
+ * @returns {Object} { login, type, created_at }
+ */
+export function toResponder(user, createdAt) {
+  return { login: user?.login ?? null, type: user?.type ?? null, created_at: createdAt };
+}
+
+/**
+ * Find the first human response to an issue or pull request
+ * @param {Object} item - Issue or pull request ({ user })
+ * @param {Array<Object>} responders - [{ login, type, created_at }]
+ * @param {Function} isBot - Bot check for { login, type }, e.g. from createBotClassifier()
+ * @returns {string|null} Timestamp of the first response, or null if nobody responded
+ */
+export function findFirstResponse(item, responders, isBot = isBotUser) {
+  const author = item.user?.login;
+
+  const times = responders
+    .filter(responder => responder.login && responder.login !== author && !isBot(responder))
+    .map(responder => responder.created_at)
+    .sort();
+
+  return times[0] || null;
+}
+
+/**
+ * Resolve first_response_at and first_review_at from an item's responders and
+ * reviewers. Reviews count as responses too. A time is unknown (undefined) if
+ * the responders weren't collected, or if nobody human responded in a listing
+ * that may be incomplete.
+ * @param {Object} item - Issue or pull request ({ user, responders, responders_complete, reviewers, reviewers_complete })
+ * @param {Function} isBot - Bot check for { login, type }
+ * @returns {Object} { first_response_at, first_review_at }
+ */
+export function resolveFirstResponses(item, isBot = isBotUser) {
+  const resolve = (responders, complete) => {
+    if (!responders) {
+      return undefined;
+    }
+    return findFirstResponse(item, responders, isBot) || (complete ? null : undefined);
+  };
+
+  const firstReview = resolve(item.reviewers, item.reviewers_complete);
+  let firstResponse = resolve(item.responders, item.responders_complete);
+  if (firstReview && (firstResponse === null || firstReview < firstResponse)) {
+    firstResponse = firstReview;
+  }
+
+  return { first_response_at: firstResponse, first_review_at: firstReview };
+}
+
+/**
+ * Set responders on issues and pull requests from a repository-wide comment
+ * listing (oldest first, created since `since`). Items created before `since`
+ * may have older responses, so their responders stay unknown (undefined), as
+ * do items created after the last listed comment of a truncated listing.
+ * @param {Array<Object>} items - Issues and pull requests ({ number, created_at })
+ * @param {Array<Object>} comments - REST issue comments ({ issue_url, created_at, user })
+ * @param {Object} options - { since, truncated }
+ */
+export function applyResponders(items, comments, { since, truncated = false }) {
+  const byNumber = new Map();
+  for (const comment of comments) {
+    const number = Number(comment.issue_url.split('/').pop());
+    if (!byNumber.has(number)) {
+      byNumber.set(number, []);
+    }
+    byNumber.get(number).push(toResponder(comment.user, comment.created_at));
+  }
+
+  const coveredUntil = truncated && comments.length > 0 ? comments[comments.length - 1].created_at : null;
+
+  for (const item of items) {
+    if (new Date(item.created_at) < since || (coveredUntil && item.created_at > coveredUntil)) {
+      continue;
+    }
+    item.responders = byNumber.get(item.number) || [];
+    // A truncated listing can't prove the absence of a response
+    item.responders_complete = !coveredUntil;
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * First Response Helper Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { applyResponders, findFirstResponse, resolveFirstResponses, toResponder } from './firstResponse.js';
+import { createBotClassifier } from './bots.js';
+
+const comment = (number, login, createdAt) => ({
+  issue_url: `https://api.github.com/repos/owner/repo/issues/${number}`,
+  user: { login, type: 'User' },
+  created_at: createdAt,
+});
+
+const responder = (login, createdAt, type = 'User') => toResponder({ login, type }, createdAt);
+
+describe('firstResponse', () => {
+  it('should ignore responses from bots', () => {
+    const item = { user: { login: 'reporter' } };
+    expect(findFirstResponse(item, [responder('k8s-ci-robot', '2024-01-01T00:00:00Z')])).toBeNull();
+  });
+
+  it('should ignore responses from the author', () => {
+    const item = { user: { login: 'reporter' } };
+    expect(findFirstResponse(item, [responder('reporter', '2024-01-01T00:00:00Z')])).toBeNull();
+  });
+
+  describe('resolveFirstResponses', () => {
+    const user = { login: 'reporter' };
+
+    it('should count reviews as responses', () => {
+      const times = resolveFirstResponses({
+        user,
+        responders: [responder('maintainer', '2024-01-03T00:00:00Z')],
+        responders_complete: true,
+        reviewers: [responder('reviewer', '2024-01-02T00:00:00Z')],
+        reviewers_complete: true,
+      });
+
+      expect(times).toEqual({ first_response_at: '2024-01-02T00:00:00Z', first_review_at: '2024-01-02T00:00:00Z' });
+    });
+
+    it('should distinguish no response from an unknown one', () => {
+      expect(resolveFirstResponses({ user, responders: [], responders_complete: true }).first_response_at).toBeNull();
+      expect(resolveFirstResponses({ user, responders: [], responders_complete: false }).first_response_at).toBeUndefined();
+      expect(resolveFirstResponses({ user })).toEqual({ first_response_at: undefined, first_review_at: undefined });
+    });
+
+    it('should skip accounts on a custom denylist', () => {
+      const { isBotUser } = createBotClassifier(['release-automation']);
+      const times = resolveFirstResponses({
+        user,
+        responders: [responder('release-automation', '2024-01-01T00:00:00Z'), responder('maintainer', '2024-01-02T00:00:00Z')],
+        responders_complete: true,
+      }, isBotUser);
+
+      expect(times.first_response_at).toBe('2024-01-02T00:00:00Z');
+    });
+  });
+
+  describe('applyResponders', () => {
+    const since = new Date('2024-01-01T00:00:00Z');
+
+    it('should set responders from a comment listing', () => {
+      const answered = { number: 1, created_at: '2024-01-02T00:00:00Z', user: { login: 'a' } };
+      const unanswered = { number: 2, created_at: '2024-01-02T00:00:00Z', user: { login: 'b' } };
+      const old = { number: 3, created_at: '2023-06-01T00:00:00Z', user: { login: 'c' } };
+
+      applyResponders([answered, unanswered, old], [
+        comment(1, 'maintainer', '2024-01-03T00:00:00Z'),
+        comment(3, 'maintainer', '2024-01-03T00:00:00Z'),
+      ], { since });
+
+      expect(answered.responders).toEqual([responder('maintainer', '2024-01-03T00:00:00Z')]);
+      expect(unanswered).toMatchObject({ responders: [], responders_complete: true });
+      expect(old.responders).toBeUndefined();
+    });
+
+    it('should mark responders incomplete when the listing was truncated', () => {
+      const unanswered = { number: 2, created_at: '2024-01-02T00:00:00Z', user: { login: 'b' } };
+      const late = { number: 4, created_at: '2024-02-01T00:00:00Z', user: { login: 'd' } };
+
+      applyResponders([unanswered, late], [comment(1, 'maintainer', '2024-01-03T00:00:00Z')], {
+        since,
+        truncated: true,
+      });
+
+      expect(unanswered).toMatchObject({ responders: [], responders_complete: false });
+      expect(resolveFirstResponses(unanswered).first_response_at).toBeUndefined();
+      expect(late.responders).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Governance Helpers
+ *
+ * Check governance documents for the elements that make a project's
+ * governance actionable, rather than for their length.
+ */
+
+// Governance elements, matched anywhere in the documents (headings included)
+const GOVERNANCE_ELEMENTS = [
+  {
+    id: 'decision-making',
+    label: 'Decision-making process',
+    pattern: /\b(decision[- ]making|decisions? (are|is|will be|get) (made|taken|reached)|(lazy|rough) consensus|consensus[- ]seeking|seek consensus|bdfl|benevolent dictator)\b/i,
+  },
+  {
+    id: 'roles',
+    label: 'Roles and path to maintainer',
+    pattern: /\b(becom(e|es|ing) an? (maintainer|committer|approver|reviewer|core (team )?member)|contributor ladder|nominat(e|ed|es|ing|ion)|promot(e|ed|ion) to|added as an? (maintainer|committer))\b/i,
+  },
+  {
+    id: 'conflict-resolution',
+    label: 'Conflict resolution',
+    pattern: /\b(conflict resolution|resolv(e|ing) (conflicts|disputes|disagreements)|dispute resolution|disputes? (is|are) (resolved|escalated)|escalat(e|ed|es|ion)|appeals? process)\b/i,
+  },
+  {
+    id: 'voting',
+    label: 'Voting rules',
+    pattern: /\b(vot(e|es|ed|ing)|majority|quorum|ballot)\b/i,
+  },
+  {
+    id: 'release-authority',
+    label: 'Release authority',
+    pattern: /\b(release (manager|managers|authority|team|captain|lead)|releases? (are|is) (cut|made|approved|published|tagged)|(cut|approve|publish|tag)(s|ing)? (a |the )?(new )?releases?)\b/i,
+  },
+  {
+    id: 'succession',
+    label: 'Succession and emeritus policy',
+    pattern: /\b(emeritus|succession|step(s|ping)? down|inactive (maintainers?|members?)|retir(e|ed|es|ing|ement)|alumni)\b/i,
+  },
+];
+
+/**
+ * Check governance text for decision-making, roles, conflict resolution,
+ * voting, release authority and succession
+ * @param {string} text - Governance document content (several documents may be joined)
+ * @returns {Object} { checks: [{ id, label, passed }], passed }
+ */
+export function analyzeGovernance(text) {
+  const content = text || '';
+  const checks = GOVERNANCE_ELEMENTS.map(({ id, label, pattern }) => ({ id, label, passed: pattern.test(content) }));
+
+  return { checks, passed: checks.filter(check => check.passed).length };
+}
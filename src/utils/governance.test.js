@@ -0,0 +1,42 @@
+/**
+ * Governance Helper Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { analyzeGovernance } from './governance.js';
+
+const passedChecks = text => analyzeGovernance(text).checks.filter(check => check.passed).map(check => check.id);
+
+describe('governance', () => {
+  describe('analyzeGovernance', () => {
+    it('should find every element in a complete governance document', () => {
+      const text = [
+        '# Governance',
+        '## Decision Making',
+        'We operate by lazy consensus.',
+        '## Becoming a Maintainer',
+        'Contributors are nominated by an existing maintainer.',
+        '## Conflict Resolution',
+        'Disagreements that cannot be settled are escalated to the steering committee.',
+        '## Voting',
+        'Votes require a two-thirds majority with a quorum of half the maintainers.',
+        '## Releases',
+        'The release manager cuts releases after maintainer approval.',
+        '## Stepping Down',
+        'Inactive maintainers move to emeritus status.',
+      ].join('\n\n');
+
+      const result = analyzeGovernance(text);
+      expect(result.passed).toBe(6);
+      expect(result.checks).toHaveLength(6);
+    });
+
+    it('should not match incidental wording', () => {
+      expect(passedChecks('Please make decisions about your own fork. Releases are on the releases page.')).toEqual([]);
+    });
+
+    it('should handle missing content', () => {
+      expect(analyzeGovernance(null).passed).toBe(0);
+    });
+  });
+});
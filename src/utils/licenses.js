@@ -0,0 +1,232 @@
+/**
+ * License Helpers
+ *
+ * Parse SPDX license expressions, classify them by policy category, read the
+ * licenses package manifests declare and check expressions against a license
+ * policy.
+ */
+
+import {
+  LICENSE_CATEGORIES,
+  LICENSE_CLASSIFICATION,
+  LINKING_EXCEPTIONS,
+  NON_SPDX_LICENSE_VALUES,
+} from '../config/licenses.js';
+
+// Categories from least to most restrictive
+const CATEGORY_ORDER = Object.keys(LICENSE_CATEGORIES);
+
+const CATEGORY_BY_ID = new Map(
+  Object.entries(LICENSE_CLASSIFICATION).flatMap(([category, ids]) => ids.map(id => [id.toLowerCase(), category]))
+);
+
+const OPERATORS = ['AND', 'OR', 'WITH'];
+
+/**
+ * Strip the version-range suffix of a license identifier ("GPL-3.0-or-later" -> "GPL-3.0")
+ * @param {string} id - SPDX license identifier
+ * @returns {string} Base identifier
+ */
+export function normalizeLicenseId(id) {
+  return id.replace(/\+$/, '').replace(/-(only|or-later)$/i, '');
+}
+
+/**
+ * Parse an SPDX license expression
+ * @param {string} text - Expression ("MIT", "(MIT OR Apache-2.0) AND BSD-3-Clause", "GPL-2.0+ WITH Classpath-exception-2.0")
+ * @returns {Object|null} Expression tree of { license, exception } leaves and { conjunction: 'and' | 'or', left, right }
+ *   nodes, or null if the text isn't a valid expression or says no SPDX license applies
+ */
+export function parseSpdxExpression(text) {
+  const trimmed = typeof text === 'string' ? text.trim() : '';
+  if (!trimmed || NON_SPDX_LICENSE_VALUES.includes(trimmed.toUpperCase()) || /^see licen[cs]e in\b/i.test(trimmed)) {
+    return null;
+  }
+
+  const tokens = trimmed.match(/\(|\)|[^\s()]+/g);
+  let position = 0;
+  const accept = operator => {
+    if (tokens[position]?.toUpperCase() === operator) {
+      position++;
+      return true;
+    }
+    return false;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (token === '(') {
+      const node = parseOr();
+      if (tokens[position++] !== ')') {
+        throw new SyntaxError('Unbalanced parentheses');
+      }
+      return node;
+    }
+    if (!token || token === ')' || OPERATORS.includes(token.toUpperCase())) {
+      throw new SyntaxError(`Expected a license at ${position}`);
+    }
+    return { license: token, exception: null };
+  };
+  const parseWith = () => {
+    const node = parsePrimary();
+    if (accept('WITH')) {
+      const exception = tokens[position++];
+      if (!node.license || !exception || exception === '(' || exception === ')') {
+        throw new SyntaxError('Expected a license exception');
+      }
+      node.exception = exception;
+    }
+    return node;
+  };
+  const parseAnd = () => {
+    let node = parseWith();
+    while (accept('AND')) {
+      node = { conjunction: 'and', left: node, right: parseWith() };
+    }
+    return node;
+  };
+  function parseOr() {
+    let node = parseAnd();
+    while (accept('OR')) {
+      node = { conjunction: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  try {
+    const node = parseOr();
+    return position === tokens.length ? node : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * List the licenses in an expression
+ * @param {Object} node - Parsed expression
+ * @returns {Array<string>} License identifiers, in order of appearance
+ */
+export function getLicenseIds(node) {
+  if (!node) {
+    return [];
+  }
+  return node.license ? [node.license] : [...getLicenseIds(node.left), ...getLicenseIds(node.right)];
+}
+
+/**
+ * Classify a license identifier
+ * @param {string} id - SPDX license identifier
+ * @returns {string} Category key of LICENSE_CATEGORIES
+ */
+export function classifyLicense(id) {
+  return CATEGORY_BY_ID.get(normalizeLicenseId(id).toLowerCase()) || 'unknown';
+}
+
+/**
+ * Classify an expression: a choice (OR) takes the least restrictive option,
+ * a combination (AND) the most restrictive part
+ * @param {Object|null} node - Parsed expression
+ * @returns {string} Category key of LICENSE_CATEGORIES
+ */
+export function classifyExpression(node) {
+  if (!node) {
+    return 'unknown';
+  }
+
+  if (node.license) {
+    const category = classifyLicense(node.license);
+    const linkingException = node.exception &&
+      LINKING_EXCEPTIONS.some(exception => exception.toLowerCase() === node.exception.toLowerCase());
+    return category === 'strong-copyleft' && linkingException ? 'weak-copyleft' : category;
+  }
+
+  const ranks = [classifyExpression(node.left), classifyExpression(node.right)].map(category => CATEGORY_ORDER.indexOf(category));
+  return CATEGORY_ORDER[node.conjunction === 'or' ? Math.min(...ranks) : Math.max(...ranks)];
+}
+
+/**
+ * Parse a license policy setting
+ * @param {string} text - Comma-separated categories ("network-copyleft", "non-osi") and license identifiers to fail
+ * @returns {Object} { denied: Set of lowercased categories and base license identifiers }
+ */
+export function parseLicensePolicy(text) {
+  const entries = (text || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  return {
+    denied: new Set(entries.map(entry => {
+      const category = entry.toLowerCase().replace(/\s+/g, '-');
+      return category in LICENSE_CATEGORIES ? category : normalizeLicenseId(entry).toLowerCase();
+    })),
+  };
+}
+
+/**
+ * Find the licenses that keep an expression from complying with a policy. A
+ * choice (OR) complies if either option does.
+ * @param {Object} node - Parsed expression
+ * @param {Object} policy - Result of parseLicensePolicy()
+ * @returns {Array<string>} Denied license identifiers; empty if the expression complies
+ */
+export function findPolicyViolations(node, policy) {
+  if (node.license) {
+    const denied = policy.denied.has(classifyExpression(node)) ||
+      policy.denied.has(normalizeLicenseId(node.license).toLowerCase());
+    return denied ? [node.license] : [];
+  }
+
+  const left = findPolicyViolations(node.left, policy);
+  const right = findPolicyViolations(node.right, policy);
+  if (node.conjunction === 'or' && (left.length === 0 || right.length === 0)) {
+    return [];
+  }
+  return [...left, ...right];
+}
+
+/**
+ * Read the license a package manifest declares
+ * @param {string} path - Manifest path (package.json, composer.json, Cargo.toml, pyproject.toml or setup.cfg)
+ * @param {string} content - Manifest content
+ * @returns {string|null} License expression as declared, or null if the manifest declares none
+ */
+export function readManifestLicense(path, content) {
+  const name = path.split('/').pop().toLowerCase();
+
+  if (name === 'package.json' || name === 'composer.json') {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch {
+      return null;
+    }
+    // Composer lists alternatives; old npm packages used a "licenses" array
+    const licenses = [data.license ?? data.licenses].flat().filter(Boolean).map(license => license.type || license);
+    return licenses.length > 0 ? licenses.join(' OR ') : null;
+  }
+
+  if (name === 'cargo.toml') {
+    // Cargo used "MIT/Apache-2.0" for alternatives before adopting SPDX syntax
+    return content.match(/^\s*license\s*=\s*"([^"]+)"/m)?.[1].replace(/\//g, ' OR ') || null;
+  }
+
+  if (name === 'pyproject.toml') {
+    return content.match(/^\s*license\s*=\s*"([^"]+)"/m)?.[1] ||
+      content.match(/^\s*license\s*=\s*\{[^}]*\btext\s*=\s*"([^"]+)"/m)?.[1] ||
+      null;
+  }
+
+  if (name === 'setup.cfg') {
+    return content.match(/^\s*license\s*=\s*(.+?)\s*$/m)?.[1] || null;
+  }
+
+  return null;
+}
+
+/**
+ * Check whether two expressions name any license in common
+ * @param {Object} a - Parsed expression
+ * @param {Object} b - Parsed expression
+ * @returns {boolean} True if the expressions share a license
+ */
+export function licensesOverlap(a, b) {
+  const ids = new Set(getLicenseIds(a).map(id => normalizeLicenseId(id).toLowerCase()));
+  return getLicenseIds(b).some(id => ids.has(normalizeLicenseId(id).toLowerCase()));
+}
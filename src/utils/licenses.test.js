@@ -0,0 +1,155 @@
+/**
+ * License Helper Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeLicenseId,
+  parseSpdxExpression,
+  getLicenseIds,
+  classifyLicense,
+  classifyExpression,
+  parseLicensePolicy,
+  findPolicyViolations,
+  readManifestLicense,
+  licensesOverlap,
+} from './licenses.js';
+
+const classify = text => classifyExpression(parseSpdxExpression(text));
+
+describe('licenses', () => {
+  describe('normalizeLicenseId', () => {
+    it('should strip version-range suffixes', () => {
+      expect(normalizeLicenseId('GPL-3.0-or-later')).toBe('GPL-3.0');
+      expect(normalizeLicenseId('LGPL-2.1-only')).toBe('LGPL-2.1');
+      expect(normalizeLicenseId('GPL-2.0+')).toBe('GPL-2.0');
+      expect(normalizeLicenseId('MIT')).toBe('MIT');
+    });
+  });
+
+  describe('parseSpdxExpression', () => {
+    it('should parse a single license', () => {
+      expect(parseSpdxExpression('MIT')).toEqual({ license: 'MIT', exception: null });
+    });
+
+    it('should give AND precedence over OR', () => {
+      expect(parseSpdxExpression('MIT OR Apache-2.0 AND BSD-3-Clause')).toEqual({
+        conjunction: 'or',
+        left: { license: 'MIT', exception: null },
+        right: {
+          conjunction: 'and',
+          left: { license: 'Apache-2.0', exception: null },
+          right: { license: 'BSD-3-Clause', exception: null },
+        },
+      });
+    });
+
+    it('should respect parentheses and exceptions', () => {
+      const node = parseSpdxExpression('(MIT OR Apache-2.0) AND GPL-2.0-only WITH Classpath-exception-2.0');
+      expect(node.conjunction).toBe('and');
+      expect(node.left.conjunction).toBe('or');
+      expect(node.right).toEqual({ license: 'GPL-2.0-only', exception: 'Classpath-exception-2.0' });
+    });
+
+    it('should accept lowercase operators', () => {
+      expect(getLicenseIds(parseSpdxExpression('mit or apache-2.0'))).toEqual(['mit', 'apache-2.0']);
+    });
+
+    it('should reject invalid expressions and placeholders', () => {
+      expect(parseSpdxExpression('MIT OR')).toBeNull();
+      expect(parseSpdxExpression('(MIT')).toBeNull();
+      expect(parseSpdxExpression('MIT License')).toBeNull();
+      expect(parseSpdxExpression('(MIT OR ISC) WITH LLVM-exception')).toBeNull();
+      expect(parseSpdxExpression('NOASSERTION')).toBeNull();
+      expect(parseSpdxExpression('UNLICENSED')).toBeNull();
+      expect(parseSpdxExpression('SEE LICENSE IN LICENSE.txt')).toBeNull();
+      expect(parseSpdxExpression('')).toBeNull();
+      expect(parseSpdxExpression(null)).toBeNull();
+    });
+  });
+
+  describe('classifyLicense', () => {
+    it('should classify licenses regardless of case and suffix', () => {
+      expect(classifyLicense('mit')).toBe('permissive');
+      expect(classifyLicense('MPL-2.0')).toBe('weak-copyleft');
+      expect(classifyLicense('GPL-3.0-or-later')).toBe('strong-copyleft');
+      expect(classifyLicense('AGPL-3.0-only')).toBe('network-copyleft');
+      expect(classifyLicense('SSPL-1.0')).toBe('non-osi');
+      expect(classifyLicense('LicenseRef-Proprietary')).toBe('unknown');
+    });
+  });
+
+  describe('classifyExpression', () => {
+    it('should take the least restrictive option of a choice', () => {
+      expect(classify('GPL-3.0-only OR MIT')).toBe('permissive');
+    });
+
+    it('should take the most restrictive part of a combination', () => {
+      expect(classify('MIT AND AGPL-3.0-only')).toBe('network-copyleft');
+    });
+
+    it('should treat strong copyleft with a linking exception as weak copyleft', () => {
+      expect(classify('GPL-2.0-only WITH Classpath-exception-2.0')).toBe('weak-copyleft');
+      expect(classify('GPL-2.0-only WITH Font-exception-2.0')).toBe('strong-copyleft');
+    });
+
+    it('should classify a missing expression as unknown', () => {
+      expect(classifyExpression(null)).toBe('unknown');
+    });
+  });
+
+  describe('findPolicyViolations', () => {
+    const policy = parseLicensePolicy('Network copyleft, non-osi, GPL-3.0-or-later');
+
+    it('should parse categories and license identifiers', () => {
+      expect([...policy.denied]).toEqual(['network-copyleft', 'non-osi', 'gpl-3.0']);
+      expect(parseLicensePolicy('').denied.size).toBe(0);
+    });
+
+    it('should report denied licenses', () => {
+      expect(findPolicyViolations(parseSpdxExpression('AGPL-3.0-only'), policy)).toEqual(['AGPL-3.0-only']);
+      expect(findPolicyViolations(parseSpdxExpression('GPL-3.0-only'), policy)).toEqual(['GPL-3.0-only']);
+      expect(findPolicyViolations(parseSpdxExpression('MIT'), policy)).toEqual([]);
+    });
+
+    it('should allow a choice if any option complies', () => {
+      expect(findPolicyViolations(parseSpdxExpression('SSPL-1.0 OR AGPL-3.0-only'), policy))
+        .toEqual(['SSPL-1.0', 'AGPL-3.0-only']);
+      expect(findPolicyViolations(parseSpdxExpression('AGPL-3.0-only OR MIT'), policy)).toEqual([]);
+      expect(findPolicyViolations(parseSpdxExpression('AGPL-3.0-only AND MIT'), policy)).toEqual(['AGPL-3.0-only']);
+    });
+  });
+
+  describe('readManifestLicense', () => {
+    it('should read package.json licenses', () => {
+      expect(readManifestLicense('package.json', '{"license": "MIT OR Apache-2.0"}')).toBe('MIT OR Apache-2.0');
+      expect(readManifestLicense('package.json', '{"license": {"type": "ISC"}}')).toBe('ISC');
+      expect(readManifestLicense('package.json', '{"licenses": [{"type": "MIT"}, {"type": "GPL-2.0"}]}'))
+        .toBe('MIT OR GPL-2.0');
+      expect(readManifestLicense('package.json', '{"name": "x"}')).toBeNull();
+      expect(readManifestLicense('package.json', '{')).toBeNull();
+    });
+
+    it('should read composer.json alternatives', () => {
+      expect(readManifestLicense('composer.json', '{"license": ["LGPL-2.1-only", "GPL-3.0-or-later"]}'))
+        .toBe('LGPL-2.1-only OR GPL-3.0-or-later');
+    });
+
+    it('should read TOML and setup.cfg declarations', () => {
+      expect(readManifestLicense('Cargo.toml', '[package]\nname = "x"\nlicense = "MIT/Apache-2.0"\n'))
+        .toBe('MIT OR Apache-2.0');
+      expect(readManifestLicense('pyproject.toml', '[project]\nlicense = "BSD-3-Clause"\n')).toBe('BSD-3-Clause');
+      expect(readManifestLicense('pyproject.toml', '[project]\nlicense = { text = "MIT" }\n')).toBe('MIT');
+      expect(readManifestLicense('setup.cfg', '[metadata]\nlicense = Apache-2.0\n')).toBe('Apache-2.0');
+      expect(readManifestLicense('Cargo.toml', '[package]\nname = "x"\n')).toBeNull();
+    });
+  });
+
+  describe('licensesOverlap', () => {
+    it('should compare base license identifiers', () => {
+      expect(licensesOverlap(parseSpdxExpression('GPL-3.0'), parseSpdxExpression('GPL-3.0-or-later'))).toBe(true);
+      expect(licensesOverlap(parseSpdxExpression('MIT'), parseSpdxExpression('MIT OR Apache-2.0'))).toBe(true);
+      expect(licensesOverlap(parseSpdxExpression('MIT'), parseSpdxExpression('ISC'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Maintainer File Helpers
+ *
+ * Parse the files projects use to declare who maintains them: CODEOWNERS,
+ * Kubernetes-style OWNERS and OWNERS_ALIASES, and MAINTAINERS lists.
+ * Logins are compared case-insensitively, like the forges do.
+ */
+
+const EMAIL_PATTERN = /\b[\w.+-]+@[\w-]+(\.[\w-]+)*\.[a-z]{2,}\b/gi;
+// @login mentions, not the domain part of an email address or an @org/team
+const MENTION_PATTERN = /(?<![\w.@/])@([a-z\d](?:[a-z\d-]{0,38}))(?![\w/-])/gi;
+const PROFILE_LINK_PATTERN = /\b(?:github|gitlab)\.com\/([a-z\d](?:[a-z\d-]{0,38}))(?![\w/.-])/gi;
+const OWNERS_ROLES = ['approvers', 'reviewers'];
+
+/**
+ * Parse a CODEOWNERS file (GitHub, GitLab and Gitea syntax)
+ * @param {string} text - File content
+ * @returns {Object} { users, teams, emails } listed as owners of any path
+ */
+export function parseCodeowners(text) {
+  const users = new Set();
+  const teams = new Set();
+  const emails = new Set();
+
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/(^|\s)#.*$/, '').trim();
+    if (!line) {
+      continue;
+    }
+
+    // GitLab sections ("[Docs][2] @docs-team") name default owners after the header
+    const owners = line.startsWith('[') || line.startsWith('^[')
+      ? line.replace(/^\^?\[[^\]]*\](\[\d+\])?/, '').trim().split(/\s+/)
+      : line.replace(/\\ /g, '_').split(/\s+/).slice(1);
+
+    for (const owner of owners.filter(Boolean)) {
+      if (owner.startsWith('@')) {
+        (owner.includes('/') ? teams : users).add(owner.slice(1).toLowerCase());
+      } else if (owner.includes('@')) {
+        emails.add(owner.toLowerCase());
+      }
+    }
+  }
+
+  return { users: [...users], teams: [...teams], emails: [...emails] };
+}
+
+/**
+ * Read the YAML lists of a simple mapping, as used by OWNERS files. Nested
+ * mappings (OWNERS `filters`, OWNERS_ALIASES `aliases`) are flattened, so
+ * lists are keyed by their innermost key.
+ * @param {string} text - YAML content
+ * @returns {Map<string, Array<string>>} Items by key
+ */
+function readYamlLists(text) {
+  const lists = new Map();
+  let key = null;
+
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/\s+#.*$/, '').replace(/^#.*$/, '');
+    if (!line.trim()) {
+      continue;
+    }
+
+    const item = line.match(/^\s*-\s*["']?([^"'\s]+)["']?\s*$/);
+    if (item) {
+      if (key) {
+        lists.get(key).push(item[1]);
+      }
+      continue;
+    }
+
+    const entry = line.match(/^\s*["']?([^"':]+)["']?\s*:\s*(.*)$/);
+    if (!entry) {
+      key = null;
+      continue;
+    }
+
+    key = entry[1].trim();
+    if (!lists.has(key)) {
+      lists.set(key, []);
+    }
+    // Flow sequences ("approvers: [alice, bob]")
+    const inline = entry[2].match(/^\[(.*)\]$/);
+    if (inline) {
+      lists.get(key).push(...inline[1].split(',').map(value => value.trim().replace(/^["']|["']$/g, '')).filter(Boolean));
+    }
+  }
+
+  return lists;
+}
+
+/**
+ * Parse a Kubernetes-style OWNERS file
+ * @param {string} text - File content
+ * @returns {Object} { approvers, reviewers } (may include alias names; emeritus entries are left out)
+ */
+export function parseOwners(text) {
+  const lists = readYamlLists(text);
+  return Object.fromEntries(OWNERS_ROLES.map(role => [role, [...new Set((lists.get(role) || []).map(login => login.toLowerCase()))]]));
+}
+
+/**
+ * Parse an OWNERS_ALIASES file
+ * @param {string} text - File content
+ * @returns {Object} Members by lowercased alias name
+ */
+export function parseOwnersAliases(text) {
+  const aliases = {};
+  for (const [name, members] of readYamlLists(text)) {
+    if (name !== 'aliases' && members.length > 0) {
+      aliases[name.toLowerCase()] = members.map(login => login.toLowerCase());
+    }
+  }
+  return aliases;
+}
+
+/**
+ * Parse a MAINTAINERS list: @mentions, forge profile links and email addresses
+ * @param {string} text - File content (plain text or Markdown)
+ * @returns {Object} { logins, emails }
+ */
+export function parseMaintainersList(text) {
+  const content = text || '';
+  const logins = new Set([
+    ...[...content.matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase()),
+    ...[...content.matchAll(PROFILE_LINK_PATTERN)].map(match => match[1].toLowerCase()),
+  ]);
+  const emails = new Set((content.match(EMAIL_PATTERN) || []).map(email => email.toLowerCase()));
+
+  return { logins: [...logins], emails: [...emails] };
+}
+
+/**
+ * Collect the maintainers a repository declares in its governance files
+ * @param {Object|null} governanceFiles - { owners, owners_aliases, maintainers, codeowners } of { path, content } | null
+ * @returns {Object|null} { people: [{ login, email, roles }], teams, sources }, or null if no file
+ *   declares anyone
+ */
+export function collectDeclaredMaintainers(governanceFiles) {
+  const people = new Map();
+  const sources = [];
+  const add = (person, role) => {
+    const key = person.login || person.email;
+    const entry = people.get(key) || { login: person.login || null, email: person.email || null, roles: [] };
+    if (!entry.roles.includes(role)) {
+      entry.roles.push(role);
+    }
+    people.set(key, entry);
+  };
+
+  const maintainersFile = governanceFiles?.maintainers;
+  if (maintainersFile?.content) {
+    const { logins, emails } = parseMaintainersList(maintainersFile.content);
+    logins.forEach(login => add({ login }, 'maintainer'));
+    emails.forEach(email => add({ email }, 'maintainer'));
+    sources.push(maintainersFile.path);
+  }
+
+  const ownersFile = governanceFiles?.owners;
+  if (ownersFile?.content) {
+    const aliases = parseOwnersAliases(governanceFiles.owners_aliases?.content);
+    const owners = parseOwners(ownersFile.content);
+    for (const [role, name] of [['approvers', 'approver'], ['reviewers', 'reviewer']]) {
+      owners[role].flatMap(login => aliases[login] || [login]).forEach(login => add({ login }, name));
+    }
+    sources.push(ownersFile.path);
+    if (governanceFiles.owners_aliases?.content) {
+      sources.push(governanceFiles.owners_aliases.path);
+    }
+  }
+
+  let teams = [];
+  const codeownersFile = governanceFiles?.codeowners;
+  if (codeownersFile?.content) {
+    const codeowners = parseCodeowners(codeownersFile.content);
+    codeowners.users.forEach(login => add({ login }, 'code owner'));
+    codeowners.emails.forEach(email => add({ email }, 'code owner'));
+    teams = codeowners.teams;
+    sources.push(codeownersFile.path);
+  }
+
+  if (people.size === 0 && teams.length === 0) {
+    return null;
+  }
+  return { people: [...people.values()], teams, sources };
+}
+
+/**
+ * Compare declared maintainers with recent activity
+ * @param {Array<Object>} people - Declared maintainers [{ login, email }]
+ * @param {Object} activity - { logins: Set, emails: Set, mergers: Set } of lowercased active identities
+ * @returns {Object} { active, inactive, undeclared } where undeclared are recent mergers nobody declared
+ */
+export function compareMaintainerActivity(people, activity) {
+  const isActive = person =>
+    (person.login && activity.logins.has(person.login)) || (person.email && activity.emails.has(person.email));
+  const declaredLogins = new Set(people.map(person => person.login).filter(Boolean));
+
+  return {
+    active: people.filter(isActive),
+    inactive: people.filter(person => !isActive(person)),
+    undeclared: [...activity.mergers].filter(login => !declaredLogins.has(login)),
+  };
+}
@@ -0,0 +1,108 @@
+/**
+ * Maintainer File Helper Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  collectDeclaredMaintainers,
+  compareMaintainerActivity,
+  parseCodeowners,
+  parseMaintainersList,
+  parseOwners,
+  parseOwnersAliases,
+} from './maintainers.js';
+
+describe('maintainers', () => {
+  describe('parseCodeowners', () => {
+    it('should read users, teams and emails, including GitLab section owners', () => {
+      const text = [
+        '# Default owners',
+        '*       @Alice @acme/core',
+        '/docs/  docs@acme.dev  # docs team',
+        '[Backend][2] @bob',
+        'src/my\\ file.js @carol',
+      ].join('\n');
+
+      expect(parseCodeowners(text)).toEqual({
+        users: ['alice', 'bob', 'carol'],
+        teams: ['acme/core'],
+        emails: ['docs@acme.dev'],
+      });
+    });
+  });
+
+  describe('parseOwners', () => {
+    it('should read approvers and reviewers, including filters', () => {
+      const text = [
+        'approvers:',
+        '  - alice',
+        '  - sig-leads # alias',
+        'reviewers: [bob, "carol"]',
+        'emeritus_approvers:',
+        '  - dave',
+        'filters:',
+        '  ".*_test\\\\.go$":',
+        '    approvers:',
+        '      - erin',
+      ].join('\n');
+
+      expect(parseOwners(text)).toEqual({ approvers: ['alice', 'sig-leads', 'erin'], reviewers: ['bob', 'carol'] });
+    });
+  });
+
+  describe('parseOwnersAliases', () => {
+    it('should map aliases to their members', () => {
+      const text = 'aliases:\n  sig-leads:\n    - Frank\n    - grace\n  empty-alias: []\n';
+      expect(parseOwnersAliases(text)).toEqual({ 'sig-leads': ['frank', 'grace'] });
+    });
+  });
+
+  describe('parseMaintainersList', () => {
+    it('should read mentions, profile links and emails but not teams', () => {
+      const text = [
+        '| Name | GitHub |',
+        '| Alice | [@alice](https://github.com/alice) |',
+        '- Bob Smith <bob@acme.dev> (https://github.com/bobsmith)',
+        'Ping @acme/maintainers for reviews.',
+      ].join('\n');
+
+      expect(parseMaintainersList(text)).toEqual({ logins: ['alice', 'bobsmith'], emails: ['bob@acme.dev'] });
+    });
+  });
+
+  describe('collectDeclaredMaintainers', () => {
+    it('should merge people from every maintainer file and expand aliases', () => {
+      const declared = collectDeclaredMaintainers({
+        maintainers: { path: 'MAINTAINERS.md', content: '@alice' },
+        owners: { path: 'OWNERS', content: 'approvers:\n  - sig-leads\n  - alice\n' },
+        owners_aliases: { path: 'OWNERS_ALIASES', content: 'aliases:\n  sig-leads:\n    - bob\n' },
+        codeowners: { path: '.github/CODEOWNERS', content: '* @acme/core' },
+      });
+
+      expect(declared.people).toEqual([
+        { login: 'alice', email: null, roles: ['maintainer', 'approver'] },
+        { login: 'bob', email: null, roles: ['approver'] },
+      ]);
+      expect(declared.teams).toEqual(['acme/core']);
+      expect(declared.sources).toEqual(['MAINTAINERS.md', 'OWNERS', 'OWNERS_ALIASES', '.github/CODEOWNERS']);
+    });
+
+    it('should return null without maintainer files', () => {
+      expect(collectDeclaredMaintainers({ governance: { path: 'GOVERNANCE.md', content: '# Governance' } })).toBeNull();
+      expect(collectDeclaredMaintainers(null)).toBeNull();
+    });
+  });
+
+  describe('compareMaintainerActivity', () => {
+    it('should split declared maintainers by activity and find undeclared mergers', () => {
+      const result = compareMaintainerActivity(
+        [{ login: 'alice', email: null }, { login: null, email: 'bob@acme.dev' }, { login: 'carol', email: null }],
+        { logins: new Set(['alice', 'dave']), emails: new Set(['bob@acme.dev']), mergers: new Set(['alice', 'dave']) }
+      );
+
+      expect(result.active.map(person => person.login || person.email)).toEqual(['alice', 'bob@acme.dev']);
+      expect(result.inactive).toEqual([{ login: 'carol', email: null }]);
+      expect(result.undeclared).toEqual(['dave']);
+    });
+  });
+});
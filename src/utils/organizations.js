@@ -0,0 +1,221 @@
+/**
+ * Organization Helpers
+ *
+ * Attribute commits to organizations using commit email domains and the
+ * `company` field of contributor profiles, for the organization diversity
+ * and elephant factor metrics.
+ */
+
+// Personal mail providers say nothing about an employer
+export const FREE_MAIL_DOMAINS = new Set([
+  '126.com',
+  '163.com',
+  'aol.com',
+  'fastmail.com',
+  'foxmail.com',
+  'gmail.com',
+  'gmx.com',
+  'gmx.de',
+  'gmx.net',
+  'googlemail.com',
+  'hey.com',
+  'hotmail.com',
+  'icloud.com',
+  'live.com',
+  'mac.com',
+  'mail.ru',
+  'me.com',
+  'msn.com',
+  'outlook.com',
+  'pm.me',
+  'proton.me',
+  'protonmail.com',
+  'qq.com',
+  'web.de',
+  'yahoo.com',
+  'yandex.ru',
+  'zoho.com',
+]);
+
+// Placeholder domains that don't identify anyone
+const IGNORED_DOMAINS = [
+  'users.noreply.github.com',
+  'noreply.github.com',
+  'users.noreply.gitlab.com',
+  'noreply.codeberg.org',
+  'localhost',
+  'localdomain',
+  'example.com',
+];
+
+// Normalized company names or domain labels -> organization name
+export const COMPANY_ALIASES = {
+  'google': 'Google',
+  'alphabet': 'Google',
+  'microsoft': 'Microsoft',
+  'redhat': 'Red Hat',
+  'red hat': 'Red Hat',
+  'ibm': 'IBM',
+  'amazon': 'Amazon',
+  'aws': 'Amazon',
+  'amazon web services': 'Amazon',
+  'facebook': 'Meta',
+  'fb': 'Meta',
+  'meta': 'Meta',
+  'apple': 'Apple',
+  'intel': 'Intel',
+  'vmware': 'VMware',
+  'broadcom': 'Broadcom',
+  'suse': 'SUSE',
+  'canonical': 'Canonical',
+  'oracle': 'Oracle',
+  'alibaba': 'Alibaba',
+  'alibaba-inc': 'Alibaba',
+  'huawei': 'Huawei',
+  'nvidia': 'NVIDIA',
+  'github': 'GitHub',
+};
+
+// Company fields that don't name an employer
+const NON_COMPANIES = new Set([
+  '-',
+  'n/a',
+  'na',
+  'none',
+  'nothing',
+  'self',
+  'self-employed',
+  'freelance',
+  'freelancer',
+  'independent',
+  'personal',
+  'home',
+  'student',
+]);
+
+// Legal suffixes stripped before matching aliases
+const COMPANY_SUFFIX_PATTERN = /[,.]?\s+(inc|llc|ltd|limited|corp|corporation|co|company|gmbh|ag|plc|sa|s\.a|bv|b\.v|oy|ab)\.?$/i;
+
+// Second-level labels under which organizations register (example.co.uk)
+const SECOND_LEVEL_LABELS = new Set(['co', 'com', 'ac', 'org', 'net', 'gov', 'edu']);
+
+/**
+ * Normalize a free-form company field ("@google", "Google LLC") to an organization name
+ * @param {string|null} company - Company field from a user profile
+ * @returns {string|null} Organization name or null
+ */
+export function normalizeCompany(company) {
+  if (!company) {
+    return null;
+  }
+
+  // Profiles often list several orgs ("@google @kubernetes"); the first is the employer
+  let name = company.trim().split(/\s+@|,|\/|\|/)[0].trim().replace(/^@/, '');
+  let previous;
+  do {
+    previous = name;
+    name = name.replace(COMPANY_SUFFIX_PATTERN, '').trim();
+  } while (name !== previous);
+
+  const key = name.toLowerCase();
+  if (!key || NON_COMPANIES.has(key)) {
+    return null;
+  }
+  return COMPANY_ALIASES[key] || COMPANY_ALIASES[key.replace(/[\s.-]/g, '')] || name;
+}
+
+/**
+ * Get the organization behind a commit email address
+ * @param {string|null} email - Commit author email
+ * @returns {string|null} Organization name, or null for free-mail and placeholder domains
+ */
+export function organizationFromEmail(email) {
+  const domain = email?.split('@')[1]?.trim().toLowerCase();
+  if (!domain || !domain.includes('.')) {
+    return null;
+  }
+  if (FREE_MAIL_DOMAINS.has(domain) || IGNORED_DOMAINS.some(d => domain === d || domain.endsWith(`.${d}`))) {
+    return null;
+  }
+
+  // Reduce subdomains (us.ibm.com) to the registered domain (ibm.com)
+  const labels = domain.split('.');
+  const keep = labels.length > 2 && SECOND_LEVEL_LABELS.has(labels[labels.length - 2]) ? 3 : 2;
+  const registered = labels.slice(-keep);
+  if (FREE_MAIL_DOMAINS.has(registered.join('.'))) {
+    return null;
+  }
+
+  return COMPANY_ALIASES[registered[0]] || registered.join('.');
+}
+
+/**
+ * Get the key that identifies an organization across sources, so a commit
+ * email domain ("acme.io") and a profile company ("Acme") count as one
+ * @param {string} name - Organization name from normalizeCompany() or organizationFromEmail()
+ * @returns {string} Lowercased name without its top-level domain, spaces and punctuation
+ */
+export function getOrganizationKey(name) {
+  const key = name.toLowerCase();
+  const domain = key.match(/^([a-z0-9-]+)\.(?:[a-z0-9-]+\.)*[a-z]{2,}$/);
+  return (domain ? domain[1] : key).replace(/[\s.,_-]/g, '');
+}
+
+/**
+ * Attribute commits to organizations. The commit email domain is preferred
+ * because it reflects the author's employer at the time of the commit; the
+ * author's profile company is the fallback.
+ * @param {Array<Object>} commits - Normalized commits
+ * @param {Array<Object>} profiles - Contributor profiles [{ login, company }]
+ * @returns {Object} { organizations: [{ name, commits, share }], attributedCommits, totalCommits }
+ */
+export function attributeCommits(commits, profiles = []) {
+  const companies = new Map(profiles.map(profile => [profile.login, normalizeCompany(profile.company)]));
+  // Profile companies name an organization better than its email domain
+  const names = new Map([...companies.values()].filter(Boolean).map(name => [getOrganizationKey(name), name]));
+  const counts = new Map();
+  let totalCommits = 0;
+
+  for (const commit of commits) {
+    totalCommits++;
+
+    const organization =
+      organizationFromEmail(commit.commit?.author?.email) || companies.get(commit.author?.login) || null;
+    if (organization) {
+      const key = getOrganizationKey(organization);
+      if (!names.has(key)) {
+        names.set(key, organization);
+      }
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+
+  const attributedCommits = [...counts.values()].reduce((sum, count) => sum + count, 0);
+  const organizations = [...counts.entries()]
+    .map(([key, count]) => ({ name: names.get(key), commits: count, share: count / attributedCommits }))
+    .sort((a, b) => b.commits - a.commits);
+
+  return { organizations, attributedCommits, totalCommits };
+}
+
+/**
+ * Calculate the CHAOSS elephant factor: the minimum number of organizations
+ * whose commits make up 50% of attributed commits
+ * @param {Array<Object>} organizations - [{ name, commits }] sorted by commits (see attributeCommits())
+ * @returns {Object} { elephantFactor, dominant: organizations counted in the factor }
+ */
+export function calculateElephantFactor(organizations) {
+  const total = organizations.reduce((sum, org) => sum + org.commits, 0);
+  const dominant = [];
+  let cumulative = 0;
+
+  for (const org of organizations) {
+    if (cumulative >= total * 0.5) {
+      break;
+    }
+    cumulative += org.commits;
+    dominant.push(org);
+  }
+
+  return { elephantFactor: dominant.length, dominant };
+}
@@ -0,0 +1,119 @@
+/**
+ * Organization Helper Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  attributeCommits,
+  calculateElephantFactor,
+  getOrganizationKey,
+  normalizeCompany,
+  organizationFromEmail,
+} from './organizations.js';
+
+const commit = (login, email) => ({
+  commit: { author: { email } },
+  author: login ? { login, type: login.endsWith('[bot]') ? 'Bot' : 'User' } : null,
+});
+
+describe('organizations', () => {
+  describe('normalizeCompany', () => {
+    it('should normalize company aliases', () => {
+      expect(normalizeCompany('@google')).toBe('Google');
+      expect(normalizeCompany('Google LLC')).toBe('Google');
+      expect(normalizeCompany('Red Hat, Inc.')).toBe('Red Hat');
+      expect(normalizeCompany('@redhat @kubernetes')).toBe('Red Hat');
+      expect(normalizeCompany('Microsoft Corporation')).toBe('Microsoft');
+      expect(normalizeCompany('Acme Widgets GmbH')).toBe('Acme Widgets');
+    });
+
+    it('should ignore fields that are not employers', () => {
+      expect(normalizeCompany(null)).toBeNull();
+      expect(normalizeCompany('Freelance')).toBeNull();
+      expect(normalizeCompany('  ')).toBeNull();
+    });
+  });
+
+  describe('organizationFromEmail', () => {
+    it('should map corporate domains to organizations', () => {
+      expect(organizationFromEmail('dev@redhat.com')).toBe('Red Hat');
+      expect(organizationFromEmail('dev@us.ibm.com')).toBe('IBM');
+      expect(organizationFromEmail('dev@mail.example.co.uk')).toBe('example.co.uk');
+    });
+
+    it('should ignore free-mail and noreply domains', () => {
+      expect(organizationFromEmail('dev@gmail.com')).toBeNull();
+      expect(organizationFromEmail('123+dev@users.noreply.github.com')).toBeNull();
+      expect(organizationFromEmail('dev@localhost')).toBeNull();
+      expect(organizationFromEmail(undefined)).toBeNull();
+    });
+  });
+
+  describe('attributeCommits', () => {
+    it('should prefer email domains and fall back to profile companies', () => {
+      const result = attributeCommits(
+        [
+          commit('alice', 'alice@google.com'),
+          commit('alice', 'alice@google.com'),
+          commit('bob', 'bob@gmail.com'),
+          commit('carol', 'carol@gmail.com'),
+        ],
+        [
+          { login: 'bob', company: '@microsoft' },
+          { login: 'carol', company: null },
+        ]
+      );
+
+      expect(result.totalCommits).toBe(4);
+      expect(result.attributedCommits).toBe(3);
+      expect(result.organizations).toEqual([
+        { name: 'Google', commits: 2, share: 2 / 3 },
+        { name: 'Microsoft', commits: 1, share: 1 / 3 },
+      ]);
+    });
+
+    it('should count an email domain and a profile company of one organization together', () => {
+      const result = attributeCommits(
+        [
+          commit('alice', 'alice@acme.io'),
+          commit('bob', 'bob@gmail.com'),
+          commit('carol', 'carol@initech.com'),
+        ],
+        [{ login: 'bob', company: 'Acme Inc.' }]
+      );
+
+      expect(result.organizations).toEqual([
+        { name: 'Acme', commits: 2, share: 2 / 3 },
+        { name: 'initech.com', commits: 1, share: 1 / 3 },
+      ]);
+      expect(calculateElephantFactor(result.organizations).elephantFactor).toBe(1);
+    });
+  });
+
+  describe('getOrganizationKey', () => {
+    it('should match email domains with company names', () => {
+      expect(getOrganizationKey('acme.io')).toBe(getOrganizationKey('Acme'));
+      expect(getOrganizationKey('acme-widgets.com')).toBe(getOrganizationKey('Acme Widgets'));
+      expect(getOrganizationKey('example.co.uk')).toBe('example');
+    });
+  });
+
+  describe('calculateElephantFactor', () => {
+    it('should count the organizations covering half of the commits', () => {
+      const organizations = [
+        { name: 'A', commits: 40 },
+        { name: 'B', commits: 30 },
+        { name: 'C', commits: 30 },
+      ];
+
+      const result = calculateElephantFactor(organizations);
+      expect(result.elephantFactor).toBe(2);
+      expect(result.dominant.map(org => org.name)).toEqual(['A', 'B']);
+    });
+
+    it('should be 1 for a single dominant organization', () => {
+      expect(calculateElephantFactor([{ name: 'A', commits: 5 }, { name: 'B', commits: 5 }]).elephantFactor).toBe(1);
+      expect(calculateElephantFactor([]).elephantFactor).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * README Helpers
+ *
+ * Parse README Markdown and check for the sections a newcomer looks for.
+ */
+
+// Below this many words a README rarely explains what the project is and how to use it
+export const MIN_README_WORDS = 150;
+
+// Commands that install or fetch a project
+const INSTALL_COMMAND_PATTERN =
+  /\b(npm (i|install)|yarn add|pnpm add|pip3? install|pipx install|poetry add|conda install|go (get|install)|cargo (add|install)|gem install|brew install|apt(-get)? install|dnf install|docker (pull|run)|helm install|composer require|dotnet add|git clone)\b/i;
+
+const HEADING_CHECKS = {
+  install: /\b(install(ation|ing)?|getting started|get started|quick ?start|setup|set up|building|build from source|download)\b/i,
+  usage: /\b(usage|examples?|how to use|tutorial|quick ?start|getting started|demo)\b/i,
+  license: /\blicen[cs](e|ing)\b/i,
+  contributing: /\b(contribut(e|ing|ors?|ion)|development|hacking)\b/i,
+  toc: /^(table of contents|contents|toc|index)$/i,
+};
+
+/**
+ * Extract the headings of a Markdown (or reStructuredText) document
+ * @param {string} text - Document content
+ * @returns {Array<string>} Heading texts
+ */
+export function extractHeadings(text) {
+  const lines = text.split(/\r?\n/);
+  const headings = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    const atx = line.match(/^#{1,6}\s+(.+?)\s*#*$/);
+    const html = line.match(/^<h[1-6][^>]*>(.*?)<\/h[1-6]>/i);
+    if (atx || html) {
+      headings.push((atx || html)[1]);
+    } else if (line && !/^[-=~^*]+$/.test(line) && /^([=~^]{3,}|-{3,})$/.test(lines[i + 1]?.trim() || '')) {
+      headings.push(line);
+    }
+  }
+
+  // Drop Markdown links and emphasis ("[Install](#install)", "**Usage**")
+  return headings.map(heading => heading.replace(/\[([^\]]*)\]\([^)]*\)/g, '$1').replace(/[*_`:]/g, '').trim());
+}
+
+/**
+ * Check a README for install instructions, usage examples, badges, a license
+ * section, a contribution pointer, a table of contents and a reasonable length
+ * @param {string} text - README content
+ * @returns {Object} { checks: [{ id, label, passed }], passed, words }
+ */
+export function analyzeReadme(text) {
+  const content = text || '';
+  const headings = extractHeadings(content);
+  const hasHeading = pattern => headings.some(heading => pattern.test(heading));
+
+  const codeBlocks = content.match(/^\s*(```|~~~)[\s\S]*?^\s*\1/gm) || [];
+  const hasCodeBlock = codeBlocks.length > 0 || /<pre\b|^\.\. code(-block)?::/im.test(content);
+  // Prose is what's left outside code blocks, HTML tags and link targets
+  const prose = codeBlocks.reduce((rest, block) => rest.replace(block, ' '), content)
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\]\([^)]*\)/g, ']');
+  const words = prose.split(/\s+/).filter(word => /\w/.test(word)).length;
+
+  const anchorLinks = content.match(/^\s*([-*+]|\d+\.)\s+\[[^\]]+\]\(#[^)]*\)/gm) || [];
+
+  const checks = [
+    {
+      id: 'install',
+      label: 'Install instructions',
+      passed: hasHeading(HEADING_CHECKS.install) || INSTALL_COMMAND_PATTERN.test(content),
+    },
+    {
+      id: 'usage',
+      label: 'Usage examples',
+      passed: hasCodeBlock || hasHeading(HEADING_CHECKS.usage),
+    },
+    {
+      id: 'badges',
+      label: 'Badges',
+      passed: /\[!\[[^\]]*\]\([^)]+\)\]\([^)]+\)/.test(content) || /(shields\.io|\/badge(\.svg)?\b|badge\.fury\.io)/i.test(content),
+    },
+    {
+      id: 'license',
+      label: 'License section',
+      passed: hasHeading(HEADING_CHECKS.license),
+    },
+    {
+      id: 'contributing',
+      label: 'Contribution pointer',
+      passed: hasHeading(HEADING_CHECKS.contributing) || /contributing(\.md)?/i.test(content),
+    },
+    {
+      id: 'toc',
+      label: 'Table of contents',
+      passed: hasHeading(HEADING_CHECKS.toc) || anchorLinks.length >= 3 || /\[\[_TOC_\]\]|^\.\. contents::|\[toc\]/im.test(content),
+    },
+    {
+      id: 'length',
+      label: `At least ${MIN_README_WORDS} words`,
+      passed: words >= MIN_README_WORDS,
+    },
+  ];
+
+  return { checks, passed: checks.filter(check => check.passed).length, words };
+}
@@ -0,0 +1,52 @@
+/**
+ * README Helper Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { analyzeReadme, extractHeadings } from './readme.js';
+
+const passedChecks = text => analyzeReadme(text).checks.filter(check => check.passed).map(check => check.id);
+
+describe('readme', () => {
+  describe('extractHeadings', () => {
+    it('should read ATX, setext and HTML headings', () => {
+      const text = '# Project\n\nIntro\n\nUsage\n-----\n\n<h2 align="center">License</h2>\n\n## [Install](#install) ##';
+      expect(extractHeadings(text)).toEqual(['Project', 'Usage', 'License', 'Install']);
+    });
+  });
+
+  describe('analyzeReadme', () => {
+    it('should pass every check for a complete README', () => {
+      const text = [
+        '# Widget',
+        '[![CI](https://github.com/o/widget/actions/workflows/ci.yml/badge.svg)](https://github.com/o/widget/actions)',
+        '## Table of Contents',
+        '- [Installation](#installation)',
+        '- [Usage](#usage)',
+        '## Installation',
+        '```sh\nnpm install widget\n```',
+        '## Usage',
+        '```js\nimport widget from "widget";\n```',
+        '## Contributing',
+        'See [CONTRIBUTING.md](CONTRIBUTING.md).',
+        '## License',
+        'MIT',
+        'word '.repeat(160),
+      ].join('\n\n');
+
+      const result = analyzeReadme(text);
+      expect(result.passed).toBe(7);
+      expect(result.checks).toHaveLength(7);
+    });
+
+    it('should detect install commands and code blocks without headings', () => {
+      expect(passedChecks('Run `pip install widget` and then:\n\n```\nwidget --help\n```')).toEqual(['install', 'usage']);
+    });
+
+    it('should not count code as prose', () => {
+      const result = analyzeReadme(`# Widget\n\n\`\`\`\n${'code '.repeat(300)}\n\`\`\``);
+      expect(result.words).toBe(1);
+      expect(passedChecks('# Widget\n\nA short description.')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Release Helpers
+ *
+ * Build a project's release history from its published releases, or from its
+ * git tags when it doesn't publish releases, and analyze its versioning:
+ * SemVer conformance, the mix of major, minor and patch releases, cadence and
+ * the time since the last release.
+ */
+
+// SemVer 2.0.0 after an optional monorepo prefix ("pkg@", "module/") and "v"
+const SEMVER_PATTERN = /^(?:[\w.@/-]+[@/])?v?(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+[0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*)?$/;
+
+// Pre-release markers in versions that don't follow SemVer ("1.2rc1", "2.0.beta")
+const PRERELEASE_PATTERN = /(alpha|beta|rc|pre|preview|dev|snapshot|nightly|canary)/i;
+
+// Releases the cadence is averaged over
+const CADENCE_WINDOW = 5;
+
+const DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Parse a SemVer release tag
+ * @param {string} tag - Tag name ("v1.2.3", "1.2.3-rc.1", "pkg@1.2.3")
+ * @returns {Object|null} { major, minor, patch, prerelease }, or null if the tag doesn't follow SemVer
+ */
+export function parseSemver(tag) {
+  const match = tag?.match(SEMVER_PATTERN);
+  if (!match) {
+    return null;
+  }
+  return { major: Number(match[1]), minor: Number(match[2]), patch: Number(match[3]), prerelease: match[4] || null };
+}
+
+/**
+ * Check whether a tag names a pre-release
+ * @param {string} tag - Tag name
+ * @returns {boolean} True for SemVer pre-releases and versions with a pre-release marker
+ */
+export function isPrereleaseTag(tag) {
+  const semver = parseSemver(tag);
+  if (semver) {
+    return semver.prerelease !== null;
+  }
+  // Only look at the version, not a package prefix such as "devtools-"
+  const versionStart = tag.search(/\d/);
+  return versionStart !== -1 && PRERELEASE_PATTERN.test(tag.slice(versionStart));
+}
+
+/**
+ * Build the release history, falling back to tags when fewer than two releases are published
+ * @param {Array<Object>} releases - Normalized releases
+ * @param {Array<Object>} tags - Tags [{ name, date }]
+ * @returns {Object} { source: 'releases' | 'tags' | null, releases: [{ tag, date, prerelease, draft }] } newest first
+ */
+export function buildReleaseHistory(releases = [], tags = []) {
+  const published = releases.filter(release => !release.draft);
+  let history;
+  let source;
+
+  if (published.length >= 2 || tags.length === 0) {
+    source = releases.length > 0 ? 'releases' : null;
+    history = releases.map(release => ({
+      tag: release.tag_name,
+      date: release.published_at || release.created_at || null,
+      // GitLab has no pre-release flag
+      prerelease: Boolean(release.prerelease) || isPrereleaseTag(release.tag_name),
+      draft: Boolean(release.draft),
+    }));
+  } else {
+    source = 'tags';
+    history = tags.map(tag => ({ tag: tag.name, date: tag.date || null, prerelease: isPrereleaseTag(tag.name), draft: false }));
+  }
+
+  history.sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0));
+  return { source, releases: history };
+}
+
+/**
+ * Count the major, minor and patch steps between consecutive stable versions
+ * @param {Array<string>} tags - Stable release tags
+ * @returns {Object} { major, minor, patch }
+ */
+export function countVersionChanges(tags) {
+  const versions = tags.map(parseSemver).filter(Boolean)
+    .sort((a, b) => a.major - b.major || a.minor - b.minor || a.patch - b.patch);
+  const changes = { major: 0, minor: 0, patch: 0 };
+
+  for (let i = 1; i < versions.length; i++) {
+    const [previous, current] = [versions[i - 1], versions[i]];
+    if (current.major !== previous.major) {
+      changes.major++;
+    } else if (current.minor !== previous.minor) {
+      changes.minor++;
+    } else if (current.patch !== previous.patch) {
+      changes.patch++;
+    }
+  }
+  return changes;
+}
+
+/**
+ * Analyze a project's releases
+ * @param {Array<Object>} releases - Normalized releases
+ * @param {Array<Object>} tags - Tags [{ name, date }], used when fewer than two releases are published
+ * @param {Date} now - Reference time
+ * @returns {Object} { source, stable, prereleases, drafts, latest, semver: { conforming, total, nonConforming },
+ *   changes, cadenceDays, cadenceBasis: 'feature' | 'all' | null, daysSinceLast, undated }
+ */
+export function analyzeReleases(releases = [], tags = [], now = new Date()) {
+  const { source, releases: history } = buildReleaseHistory(releases, tags);
+  const published = history.filter(release => !release.draft);
+  const stable = published.filter(release => !release.prerelease);
+  const nonConforming = published.filter(release => !parseSemver(release.tag)).map(release => release.tag);
+
+  // Patch releases don't shorten the cadence: measure between the first releases of each minor line
+  const dated = stable.filter(release => release.date);
+  const lines = new Set();
+  const feature = [...dated].reverse().filter(release => {
+    const semver = parseSemver(release.tag);
+    const line = semver ? `${semver.major}.${semver.minor}` : release.tag;
+    if (lines.has(line)) {
+      return false;
+    }
+    lines.add(line);
+    return true;
+  }).reverse();
+
+  const cadenceBasis = feature.length >= 2 ? 'feature' : dated.length >= 2 ? 'all' : null;
+  const measured = (cadenceBasis === 'feature' ? feature : dated).slice(0, CADENCE_WINDOW + 1);
+  const cadenceDays = cadenceBasis
+    ? (new Date(measured[0].date) - new Date(measured[measured.length - 1].date)) / DAY / (measured.length - 1)
+    : null;
+
+  const latest = dated[0] || published.find(release => release.date) || null;
+
+  return {
+    source,
+    stable: stable.length,
+    prereleases: published.length - stable.length,
+    drafts: history.length - published.length,
+    latest,
+    semver: { conforming: published.length - nonConforming.length, total: published.length, nonConforming },
+    changes: countVersionChanges(stable.map(release => release.tag)),
+    cadenceDays,
+    cadenceBasis,
+    daysSinceLast: latest ? Math.max(0, (now - new Date(latest.date)) / DAY) : null,
+    // Tags whose date couldn't be looked up
+    undated: published.filter(release => !release.date).length,
+  };
+}
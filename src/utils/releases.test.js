@@ -0,0 +1,136 @@
+/**
+ * Release Helper Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  analyzeReleases,
+  buildReleaseHistory,
+  countVersionChanges,
+  isPrereleaseTag,
+  parseSemver,
+} from './releases.js';
+
+const release = (tag_name, published_at, extra = {}) => ({ tag_name, published_at, draft: false, prerelease: false, ...extra });
+const tag = (name, date) => ({ name, date });
+
+describe('releases', () => {
+  describe('parseSemver', () => {
+    it('should parse versions with a v or package prefix', () => {
+      expect(parseSemver('v1.2.3')).toEqual({ major: 1, minor: 2, patch: 3, prerelease: null });
+      expect(parseSemver('1.2.3-rc.1+build.5')).toEqual({ major: 1, minor: 2, patch: 3, prerelease: 'rc.1' });
+      expect(parseSemver('@scope/pkg@2.0.0').major).toBe(2);
+      expect(parseSemver('api/v0.4.1').minor).toBe(4);
+    });
+
+    it('should reject versions that do not follow SemVer', () => {
+      expect(parseSemver('v1.2')).toBeNull();
+      expect(parseSemver('2024.01')).toBeNull();
+      expect(parseSemver('1.02.3')).toBeNull();
+      expect(parseSemver('release-42')).toBeNull();
+      expect(parseSemver(undefined)).toBeNull();
+    });
+  });
+
+  describe('isPrereleaseTag', () => {
+    it('should detect SemVer and informal pre-releases', () => {
+      expect(isPrereleaseTag('v2.0.0-beta.1')).toBe(true);
+      expect(isPrereleaseTag('1.5rc1')).toBe(true);
+      expect(isPrereleaseTag('v2.0.0')).toBe(false);
+      expect(isPrereleaseTag('devtools-1.0')).toBe(false);
+    });
+  });
+
+  describe('buildReleaseHistory', () => {
+    it('should use releases when at least two are published', () => {
+      const history = buildReleaseHistory(
+        [release('v1.0.0', '2024-01-01T00:00:00Z'), release('v1.1.0', '2024-03-01T00:00:00Z')],
+        [tag('v0.9.0', '2023-12-01T00:00:00Z')]
+      );
+
+      expect(history.source).toBe('releases');
+      expect(history.releases.map(r => r.tag)).toEqual(['v1.1.0', 'v1.0.0']);
+    });
+
+    it('should fall back to tags for tag-only projects', () => {
+      const history = buildReleaseHistory(
+        [release('v2.0.0', null, { draft: true }), release('v1.0.0', '2024-01-01T00:00:00Z')],
+        [tag('v1.0.0', '2024-01-01T00:00:00Z'), tag('v1.1.0-rc.1', '2024-02-01T00:00:00Z')]
+      );
+
+      expect(history.source).toBe('tags');
+      expect(history.releases[0]).toEqual({ tag: 'v1.1.0-rc.1', date: '2024-02-01T00:00:00Z', prerelease: true, draft: false });
+    });
+
+    it('should flag pre-release tags on forges without a pre-release flag', () => {
+      const history = buildReleaseHistory([release('v1.0.0-alpha', '2024-01-01T00:00:00Z')]);
+      expect(history.releases[0].prerelease).toBe(true);
+      expect(buildReleaseHistory([], []).source).toBeNull();
+    });
+  });
+
+  describe('countVersionChanges', () => {
+    it('should classify steps between consecutive versions', () => {
+      expect(countVersionChanges(['v2.0.0', 'v1.1.1', 'v1.1.0', 'v1.0.0', 'v1.0.1', 'nightly']))
+        .toEqual({ major: 1, minor: 1, patch: 2 });
+    });
+  });
+
+  describe('analyzeReleases', () => {
+    const now = new Date('2024-07-01T00:00:00Z');
+
+    it('should measure cadence between feature releases, ignoring patches', () => {
+      const analysis = analyzeReleases([
+        release('v1.2.1', '2024-05-15T00:00:00Z'),
+        release('v1.2.0', '2024-05-01T00:00:00Z'),
+        release('v1.1.1', '2024-03-10T00:00:00Z'),
+        release('v1.1.0', '2024-03-01T00:00:00Z'),
+        release('v1.0.0', '2024-01-02T00:00:00Z'),
+      ], [], now);
+
+      expect(analysis.cadenceBasis).toBe('feature');
+      expect(analysis.cadenceDays).toBe(60);
+      expect(analysis.latest.tag).toBe('v1.2.1');
+      expect(analysis.daysSinceLast).toBe(47);
+      expect(analysis.changes).toEqual({ major: 0, minor: 2, patch: 2 });
+    });
+
+    it('should separate pre-releases and drafts and report non-SemVer tags', () => {
+      const analysis = analyzeReleases([
+        release('v2.0.0', null, { draft: true }),
+        release('v2.0.0-rc.1', '2024-06-01T00:00:00Z', { prerelease: true }),
+        release('release-7', '2024-04-01T00:00:00Z'),
+        release('v1.0.0', '2024-01-01T00:00:00Z'),
+      ], [], now);
+
+      expect(analysis.stable).toBe(2);
+      expect(analysis.prereleases).toBe(1);
+      expect(analysis.drafts).toBe(1);
+      expect(analysis.latest.tag).toBe('release-7');
+      expect(analysis.semver).toEqual({ conforming: 2, total: 3, nonConforming: ['release-7'] });
+    });
+
+    it('should fall back to all stable releases for a single minor line', () => {
+      const analysis = analyzeReleases([
+        release('v1.0.2', '2024-03-01T00:00:00Z'),
+        release('v1.0.1', '2024-02-01T00:00:00Z'),
+      ], [], now);
+
+      expect(analysis.cadenceBasis).toBe('all');
+      expect(analysis.cadenceDays).toBe(29);
+    });
+
+    it('should count tags without a date', () => {
+      const analysis = analyzeReleases([], [{ name: 'v1.1.0', date: null }, { name: 'v1.0.0', date: '2024-01-01T00:00:00Z' }], now);
+      expect(analysis.undated).toBe(1);
+      expect(analysis.latest.tag).toBe('v1.0.0');
+    });
+
+    it('should report nothing without releases or tags', () => {
+      const analysis = analyzeReleases([], [], now);
+      expect(analysis.cadenceDays).toBeNull();
+      expect(analysis.daysSinceLast).toBeNull();
+      expect(analysis.semver.total).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * OpenSSF Scorecard Helpers
+ *
+ * Normalize Scorecard results, as served by api.securityscorecards.dev or
+ * written by `scorecard --format json`, into the shape the metrics read.
+ */
+
+/**
+ * Parse a Scorecard result
+ * @param {Object} data - Scorecard JSON ({ date, repo: { name, commit }, scorecard: { version }, score, checks })
+ * @returns {Object} { repo, commit, date, version, score, checks: [{ name, score, reason, url }] }
+ *   Check scores run from 0 to 10, with -1 for inconclusive checks
+ * @throws {Error} If the data isn't a Scorecard result
+ */
+export function parseScorecard(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.checks)) {
+    throw new Error('Not an OpenSSF Scorecard result: expected a "checks" list');
+  }
+
+  const checks = data.checks
+    .filter(check => typeof check?.name === 'string' && typeof check.score === 'number')
+    .map(check => ({
+      name: check.name,
+      score: check.score,
+      reason: check.reason || null,
+      url: check.documentation?.url || null,
+    }));
+
+  // The CLI omits the aggregate for some output options; fall back to the plain mean
+  let score = typeof data.score === 'number' ? data.score : null;
+  const conclusive = checks.filter(check => check.score >= 0);
+  if (score === null && conclusive.length > 0) {
+    score = Math.round((conclusive.reduce((sum, check) => sum + check.score, 0) / conclusive.length) * 10) / 10;
+  }
+
+  return {
+    repo: data.repo?.name || null,
+    commit: data.repo?.commit || null,
+    date: data.date || null,
+    version: data.scorecard?.version || null,
+    score,
+    checks,
+  };
+}
+
+/**
+ * Find a check in a parsed Scorecard result
+ * @param {Object} scorecard - Result of parseScorecard()
+ * @param {string} name - Check name (e.g. 'Token-Permissions')
+ * @returns {Object|null} { name, score, reason, url } or null if the check wasn't run
+ */
+export function findScorecardCheck(scorecard, name) {
+  const wanted = name.toLowerCase();
+  return scorecard.checks.find(check => check.name.toLowerCase() === wanted) || null;
+}
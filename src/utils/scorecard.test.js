@@ -0,0 +1,47 @@
+/**
+ * OpenSSF Scorecard Helper Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { findScorecardCheck, parseScorecard } from './scorecard.js';
+
+describe('scorecard', () => {
+  describe('parseScorecard', () => {
+    it('should normalize API and CLI results', () => {
+      const scorecard = parseScorecard({
+        date: '2024-05-06T00:00:00Z',
+        repo: { name: 'github.com/ossf/scorecard', commit: 'abc123' },
+        scorecard: { version: 'v5.0.0' },
+        score: 8.2,
+        checks: [
+          {
+            name: 'Token-Permissions',
+            score: 10,
+            reason: 'GitHub workflow tokens follow principle of least privilege',
+            documentation: { url: 'https://github.com/ossf/scorecard/blob/main/docs/checks.md#token-permissions' },
+          },
+        ],
+      });
+
+      expect(scorecard).toMatchObject({ repo: 'github.com/ossf/scorecard', version: 'v5.0.0', score: 8.2 });
+      expect(scorecard.checks[0].url).toContain('#token-permissions');
+    });
+
+    it('should average conclusive checks when the aggregate is missing', () => {
+      const scorecard = parseScorecard({ checks: [{ name: 'A', score: 10 }, { name: 'B', score: 5 }, { name: 'C', score: -1 }] });
+      expect(scorecard.score).toBe(7.5);
+    });
+
+    it('should reject data that is not a Scorecard result', () => {
+      expect(() => parseScorecard({ name: 'package' })).toThrow('Not an OpenSSF Scorecard result');
+    });
+  });
+
+  describe('findScorecardCheck', () => {
+    it('should match check names case-insensitively', () => {
+      const scorecard = parseScorecard({ checks: [{ name: 'Dangerous-Workflow', score: 10 }] });
+      expect(findScorecardCheck(scorecard, 'dangerous-workflow').score).toBe(10);
+      expect(findScorecardCheck(scorecard, 'Fuzzing')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Security Policy Helpers
+ *
+ * Find the private channels a security policy (SECURITY.md) offers for
+ * reporting vulnerabilities. A policy that only says "open an issue" doesn't
+ * count.
+ */
+
+// Disclosure platforms and managed security contacts
+const DISCLOSURE_PLATFORMS = [
+  /\bhackerone\.com\/[\w-]+/i,
+  /\bbugcrowd\.com\/[\w-]+/i,
+  /\bhuntr\.(dev|com)\b[^\s)>\]]*/i,
+  /\bintigriti\.com\/[^\s)>\]]+/i,
+  /\byeswehack\.com\/[^\s)>\]]+/i,
+  /\btidelift\.com\/security\b/i,
+];
+
+const EMAIL_PATTERN = /\b[\w.+-]+@[\w-]+(\.[\w-]+)*\.[a-z]{2,}\b/gi;
+
+// Forge forms for private reports (GitHub advisories, GitLab confidential issues)
+const ADVISORY_FORM_PATTERN = /\/security\/advisories\/new\b/i;
+const CONFIDENTIAL_ISSUE_PATTERN = /\bconfidential\s+issue/i;
+
+/**
+ * Find private vulnerability reporting contacts in a security policy
+ * @param {string} text - Security policy content
+ * @returns {Array<Object>} [{ type: 'email' | 'advisory-form' | 'confidential-issue' | 'platform', value }]
+ */
+export function findSecurityContacts(text) {
+  const contacts = [];
+  const content = text || '';
+
+  const emails = (content.match(EMAIL_PATTERN) || [])
+    .map(email => email.toLowerCase())
+    .filter(email => !/@(example\.(com|org)|users\.noreply\.github\.com)$/.test(email));
+  for (const email of new Set(emails)) {
+    contacts.push({ type: 'email', value: email });
+  }
+
+  if (ADVISORY_FORM_PATTERN.test(content)) {
+    contacts.push({ type: 'advisory-form', value: 'Security advisory form' });
+  }
+  if (CONFIDENTIAL_ISSUE_PATTERN.test(content)) {
+    contacts.push({ type: 'confidential-issue', value: 'Confidential issue' });
+  }
+  for (const pattern of DISCLOSURE_PLATFORMS) {
+    const match = content.match(pattern);
+    if (match) {
+      contacts.push({ type: 'platform', value: match[0] });
+    }
+  }
+
+  return contacts;
+}
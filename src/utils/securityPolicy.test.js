@@ -0,0 +1,32 @@
+/**
+ * Security Policy Helper Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { findSecurityContacts } from './securityPolicy.js';
+
+describe('securityPolicy', () => {
+  describe('findSecurityContacts', () => {
+    it('should find emails, advisory forms and disclosure platforms', () => {
+      const text = [
+        '# Security Policy',
+        'Please report vulnerabilities to Security@Widget.dev or through',
+        '[GitHub](https://github.com/o/widget/security/advisories/new).',
+        'We also run a program at https://hackerone.com/widget.',
+      ].join('\n');
+
+      expect(findSecurityContacts(text)).toEqual([
+        { type: 'email', value: 'security@widget.dev' },
+        { type: 'advisory-form', value: 'Security advisory form' },
+        { type: 'platform', value: 'hackerone.com/widget' },
+      ]);
+    });
+
+    it('should not count public issues or placeholder addresses', () => {
+      expect(findSecurityContacts('Open an issue, or mail someone@example.com.')).toEqual([]);
+      expect(findSecurityContacts('Report it in a confidential issue.')).toEqual([
+        { type: 'confidential-issue', value: 'Confidential issue' },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Statistics Helpers
+ *
+ * Small descriptive statistics used by metric calculations.
+ */
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values (any order)
+ * @returns {number|null} Median, or null for an empty list
+ */
+export function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+/**
+ * Nearest-rank percentile of a list of numbers
+ * @param {Array<number>} values - Values (any order)
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} Percentile value, or null for an empty list
+ */
+export function percentile(values, p) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.max(1, Math.ceil((p / 100) * sorted.length));
+  return sorted[Math.min(rank, sorted.length) - 1];
+}
@@ -0,0 +1,22 @@
+/**
+ * Statistics Helper Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { median, percentile } from './statistics.js';
+
+describe('statistics', () => {
+  it('should compute the median of odd and even length lists', () => {
+    expect(median([5, 1, 3])).toBe(3);
+    expect(median([4, 1, 3, 2])).toBe(2.5);
+    expect(median([])).toBeNull();
+  });
+
+  it('should compute nearest-rank percentiles', () => {
+    const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    expect(percentile(values, 90)).toBe(9);
+    expect(percentile(values, 100)).toBe(10);
+    expect(percentile([7], 90)).toBe(7);
+    expect(percentile([], 90)).toBeNull();
+  });
+});